@@ -0,0 +1,22 @@
+// Shows rider alerts sent by Web Push while the app isn't open, and opens
+// the page the alert points at when one is clicked
+self.addEventListener('push', (event) => {
+  const notification = event.data ? event.data.json() : { title: 'E-Bus', body: '' }
+
+  event.waitUntil(self.registration.showNotification(notification.title, {
+    body: notification.body,
+    tag: notification.tag,
+    renotify: Boolean(notification.tag),
+    data: { url: notification.url || '/' }
+  }))
+})
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close()
+  const url = new URL(event.notification.data.url, self.location.origin).href
+
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+    const open = windows.find(client => client.url === url)
+    return open ? open.focus() : self.clients.openWindow(url)
+  }))
+})
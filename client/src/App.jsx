@@ -9,6 +9,10 @@ import BusTracking from './pages/BusTracking'
 import RoutesList from './pages/RoutesList'
 import AdminDashboard from './pages/AdminDashboard'
 import DriverDashboard from './pages/DriverDashboard'
+import DepartureBoard from './pages/DepartureBoard'
+import Tickets from './pages/Tickets'
+import Reservations from './pages/Reservations'
+import Alerts from './pages/Alerts'
 import ProtectedRoute from './components/ProtectedRoute'
 
 function App() {
@@ -27,6 +31,7 @@ function App() {
       {/* Public routes */}
       <Route path="/login" element={!user ? <Login /> : <Navigate to="/" />} />
       <Route path="/register" element={!user ? <Register /> : <Navigate to="/" />} />
+      <Route path="/board/:stopCode" element={<DepartureBoard />} />
       
       {/* Protected routes */}
       <Route path="/" element={
@@ -48,7 +53,7 @@ function App() {
           </ProtectedRoute>
         } />
         <Route path="tracking/:busId" element={
-          <ProtectedRoute allowedRoles={['user']}>
+          <ProtectedRoute allowedRoles={['user', 'admin']}>
             <BusTracking />
           </ProtectedRoute>
         } />
@@ -57,6 +62,21 @@ function App() {
             <RoutesList />
           </ProtectedRoute>
         } />
+        <Route path="tickets" element={
+          <ProtectedRoute allowedRoles={['user']}>
+            <Tickets />
+          </ProtectedRoute>
+        } />
+        <Route path="reservations" element={
+          <ProtectedRoute allowedRoles={['user']}>
+            <Reservations />
+          </ProtectedRoute>
+        } />
+        <Route path="alerts" element={
+          <ProtectedRoute allowedRoles={['user']}>
+            <Alerts />
+          </ProtectedRoute>
+        } />
         
         {/* Admin routes */}
         <Route path="admin" element={
@@ -0,0 +1,26 @@
+import { Users } from 'lucide-react'
+
+const LEVELS = {
+  empty: { label: 'Empty', className: 'bg-green-100 text-green-800' },
+  many_seats: { label: 'Many seats', className: 'bg-green-100 text-green-800' },
+  standing: { label: 'Standing room', className: 'bg-yellow-100 text-yellow-800' },
+  full: { label: 'Full', className: 'bg-red-100 text-red-800' }
+}
+
+// How crowded a bus is right now, or usually is when expected is set
+const CrowdingBadge = ({ level, expected = false, title }) => {
+  const crowding = LEVELS[level]
+  if (!crowding) return null
+
+  return (
+    <span
+      title={title}
+      className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${crowding.className}`}
+    >
+      <Users className="h-3 w-3 mr-1" />
+      {expected ? `Usually ${crowding.label.toLowerCase()}` : crowding.label}
+    </span>
+  )
+}
+
+export default CrowdingBadge
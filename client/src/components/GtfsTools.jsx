@@ -0,0 +1,97 @@
+import { useRef, useState } from 'react'
+import { useQueryClient } from 'react-query'
+import { Upload, Download } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { importGtfsFeed, exportGtfsFeed } from '../services/api'
+
+const GtfsTools = () => {
+  const queryClient = useQueryClient()
+  const fileInput = useRef(null)
+  const [dryRun, setDryRun] = useState(true)
+  const [busy, setBusy] = useState(false)
+  const [summary, setSummary] = useState(null)
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    setBusy(true)
+    try {
+      const response = await importGtfsFeed(file, { dryRun })
+      setSummary(response.data)
+      toast.success(response.data.message)
+      if (!dryRun) queryClient.invalidateQueries('routes')
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'GTFS import failed')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleExport = async () => {
+    setBusy(true)
+    try {
+      const response = await exportGtfsFeed()
+      const url = URL.createObjectURL(response.data)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `gtfs-${new Date().toISOString().slice(0, 10)}.zip`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (error) {
+      toast.error('GTFS export failed')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="mb-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <input
+          ref={fileInput}
+          type="file"
+          accept=".zip"
+          className="hidden"
+          onChange={handleImport}
+        />
+        <button
+          onClick={() => fileInput.current.click()}
+          disabled={busy}
+          className="btn btn-secondary flex items-center space-x-2"
+        >
+          <Upload className="h-4 w-4" />
+          <span>Import GTFS</span>
+        </button>
+        <label className="flex items-center space-x-2 text-sm text-gray-600">
+          <input type="checkbox" checked={dryRun} onChange={(e) => setDryRun(e.target.checked)} />
+          <span>Validate only</span>
+        </label>
+        <button
+          onClick={handleExport}
+          disabled={busy}
+          className="btn btn-secondary flex items-center space-x-2"
+        >
+          <Download className="h-4 w-4" />
+          <span>Export GTFS</span>
+        </button>
+      </div>
+
+      {summary && (
+        <div className="mt-3 bg-gray-50 rounded-lg p-4 text-sm text-gray-700">
+          <p>
+            {summary.dryRun ? 'Would create' : 'Created'} {summary.created.length},{' '}
+            {summary.dryRun ? 'update' : 'updated'} {summary.updated.length},{' '}
+            failed {summary.failed.length} routes
+          </p>
+          {[...summary.failed.map(f => `${f.routeNumber}: ${f.message}`), ...summary.warnings].map((line, i) => (
+            <p key={i} className="text-yellow-700">{line}</p>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default GtfsTools
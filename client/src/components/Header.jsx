@@ -15,7 +15,10 @@ import {
   Users, 
   Bus, 
   BarChart3,
-  Navigation
+  Navigation,
+  Ticket,
+  Armchair,
+  BellRing
 } from 'lucide-react'
 
 const Header = () => {
@@ -27,6 +30,9 @@ const Header = () => {
     { to: '/dashboard', icon: Home, label: 'Dashboard' },
     { to: '/search', icon: Search, label: 'Search Bus' },
     { to: '/routes', icon: Route, label: 'Routes' },
+    { to: '/tickets', icon: Ticket, label: 'Tickets' },
+    { to: '/reservations', icon: Armchair, label: 'Seats' },
+    { to: '/alerts', icon: BellRing, label: 'Alerts' },
   ]
 
   const adminNavItems = [
@@ -1,9 +1,37 @@
-import { Outlet } from 'react-router-dom'
+import { useEffect } from 'react'
+import { Outlet, useNavigate } from 'react-router-dom'
+import toast from 'react-hot-toast'
 import { useAuth } from '../contexts/AuthContext'
+import { connectSocket } from '../services/socket'
 import Header from './Header'
 
 const Layout = () => {
   const { user } = useAuth()
+  const navigate = useNavigate()
+
+  // A rider's alerts pop up wherever they are in the app
+  useEffect(() => {
+    if (user?.role !== 'user') return undefined
+    const socket = connectSocket(user.role)
+
+    const handleAlert = (notification) => {
+      toast((t) => (
+        <button
+          className="text-left"
+          onClick={() => {
+            toast.dismiss(t.id)
+            if (notification.url) navigate(notification.url)
+          }}
+        >
+          <p className="font-medium text-gray-900">{notification.title}</p>
+          <p className="text-sm text-gray-600">{notification.body}</p>
+        </button>
+      ), { id: notification.tag, duration: 10000 })
+    }
+
+    socket.on('rider-alert', handleAlert)
+    return () => socket.off('rider-alert', handleAlert)
+  }, [user, navigate])
 
   return (
     <div className="min-h-screen bg-gray-50">
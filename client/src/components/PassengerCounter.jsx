@@ -0,0 +1,79 @@
+import { useState } from 'react'
+import { Users, Plus, Minus } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { recordPassengerFlow } from '../services/api'
+import CrowdingBadge from './CrowdingBadge'
+
+// Tally riders getting on and off at a stop, then send the counts before
+// pulling away so trackers see how crowded the bus is
+const PassengerCounter = () => {
+  const [counts, setCounts] = useState({ boarded: 0, alighted: 0 })
+  const [occupancy, setOccupancy] = useState(null)
+  const [sending, setSending] = useState(false)
+
+  const change = (field, by) => setCounts(current => ({ ...current, [field]: Math.max(0, current[field] + by) }))
+
+  const handleSend = async () => {
+    setSending(true)
+    try {
+      const response = await recordPassengerFlow(counts)
+      setOccupancy(response.data.occupancy)
+      setCounts({ boarded: 0, alighted: 0 })
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to record passengers')
+    } finally {
+      setSending(false)
+    }
+  }
+
+  const counter = (field, label) => (
+    <div className="flex items-center space-x-2">
+      <span className="text-sm text-gray-700 w-16">{label}</span>
+      <button
+        type="button"
+        onClick={() => change(field, -1)}
+        className="p-2 rounded-md border border-gray-300 hover:bg-gray-50"
+      >
+        <Minus className="h-4 w-4" />
+      </button>
+      <span className="w-8 text-center font-semibold">{counts[field]}</span>
+      <button
+        type="button"
+        onClick={() => change(field, 1)}
+        className="p-2 rounded-md border border-gray-300 hover:bg-gray-50"
+      >
+        <Plus className="h-4 w-4" />
+      </button>
+    </div>
+  )
+
+  return (
+    <div>
+      <h3 className="font-medium text-gray-900 mb-3 flex items-center">
+        <Users className="h-5 w-5 mr-2" />
+        Passengers
+        {occupancy && (
+          <span className="ml-auto flex items-center space-x-2 text-sm font-normal text-gray-600">
+            <span>{occupancy.onBoard}/{occupancy.capacity} on board</span>
+            <CrowdingBadge level={occupancy.level} />
+          </span>
+        )}
+      </h3>
+
+      <div className="flex flex-wrap items-center gap-4">
+        {counter('boarded', 'Boarded')}
+        {counter('alighted', 'Alighted')}
+        <button
+          type="button"
+          onClick={handleSend}
+          disabled={sending || (counts.boarded === 0 && counts.alighted === 0)}
+          className="bg-primary-600 text-white py-2 px-4 rounded-md hover:bg-primary-700 disabled:opacity-50"
+        >
+          {sending ? 'Sending...' : 'Send'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default PassengerCounter
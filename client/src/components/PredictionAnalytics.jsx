@@ -0,0 +1,267 @@
+import { useState } from 'react'
+import { useQuery } from 'react-query'
+import {
+  ResponsiveContainer,
+  LineChart,
+  Line,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine
+} from 'recharts'
+import { getPredictionAnalytics } from '../services/api'
+
+const PERIODS = [
+  { value: '24h', label: 'Last 24 hours' },
+  { value: '7d', label: 'Last 7 days' },
+  { value: '30d', label: 'Last 30 days' }
+]
+
+const ALGORITHMS = ['linear_regression', 'random_forest', 'neural_network', 'ensemble']
+
+// Lead times the server keeps prediction snapshots at
+const LEAD_MINUTES = [5, 10, 20, 30, 45, 60]
+
+const CONDITION_BREAKDOWNS = [
+  { id: 'leadTime', label: 'Lead time', key: 'leadMinutes' },
+  { id: 'weather', label: 'Weather', key: 'weatherConditions' },
+  { id: 'traffic', label: 'Traffic', key: 'trafficConditions' },
+  { id: 'algorithm', label: 'Algorithm', key: 'algorithm' }
+]
+
+const formatMinutes = (value) => `${value > 0 ? '+' : ''}${value?.toFixed(1) ?? '0.0'} min`
+
+const ChartCard = ({ title, children }) => (
+  <div className="bg-gray-50 rounded-lg p-4">
+    <h3 className="text-sm font-semibold text-gray-700 mb-3">{title}</h3>
+    <div className="h-64">
+      <ResponsiveContainer width="100%" height="100%">
+        {children}
+      </ResponsiveContainer>
+    </div>
+  </div>
+)
+
+const WorstTable = ({ title, rows, label }) => (
+  <div className="bg-gray-50 rounded-lg p-4">
+    <h3 className="text-sm font-semibold text-gray-700 mb-3">{title}</h3>
+    {rows.length === 0 ? (
+      <p className="text-sm text-gray-500">No scored predictions</p>
+    ) : (
+      <table className="min-w-full text-sm">
+        <thead>
+          <tr className="text-left text-xs text-gray-500 uppercase">
+            <th className="py-1">Name</th>
+            <th className="py-1 text-right">Count</th>
+            <th className="py-1 text-right">Bias</th>
+            <th className="py-1 text-right">p90</th>
+            <th className="py-1 text-right">Late</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {rows.slice(0, 5).map((row, i) => (
+            <tr key={i}>
+              <td className="py-1 text-gray-900">{label(row)}</td>
+              <td className="py-1 text-right text-gray-600">{row.totalPredictions}</td>
+              <td className="py-1 text-right text-gray-600">{formatMinutes(row.meanError)}</td>
+              <td className="py-1 text-right text-gray-600">{formatMinutes(row.percentiles.p90)}</td>
+              <td className="py-1 text-right text-gray-600">
+                {Math.round((row.late / row.totalPredictions) * 100)}%
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+)
+
+const PredictionAnalytics = ({ routes = [] }) => {
+  const [period, setPeriod] = useState('7d')
+  const [routeId, setRouteId] = useState('')
+  const [algorithm, setAlgorithm] = useState('')
+  const [leadMinutes, setLeadMinutes] = useState('')
+
+  const params = {
+    period,
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+    ...(routeId && { routeId }),
+    ...(algorithm && { algorithm }),
+    ...(leadMinutes && { leadMinutes })
+  }
+
+  const { data, isLoading } = useQuery(
+    ['predictionAnalytics', period, routeId, algorithm, leadMinutes],
+    () => getPredictionAnalytics(params),
+    { refetchInterval: 60000 }
+  )
+
+  const report = data?.data
+  const distribution = report?.distribution
+
+  const timeSeries = (report?.timeSeries || []).map(point => ({
+    ...point,
+    label: new Date(point.time).toLocaleString([], report.interval === 'hour'
+      ? { month: 'short', day: 'numeric', hour: '2-digit' }
+      : { month: 'short', day: 'numeric' })
+  }))
+
+  const summary = distribution && [
+    { title: 'Scored Snapshots', value: distribution.totalPredictions },
+    { title: 'Median Error', value: formatMinutes(distribution.percentiles.p50) },
+    { title: '90th Percentile', value: formatMinutes(distribution.percentiles.p90) },
+    { title: 'Mean Absolute Error', value: `${distribution.meanAbsoluteError.toFixed(1)} min` },
+    {
+      title: 'Early / On Time / Late',
+      value: `${distribution.early} / ${distribution.onTime} / ${distribution.late}`
+    }
+  ]
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap gap-3">
+        <select value={period} onChange={(e) => setPeriod(e.target.value)} className="input w-auto">
+          {PERIODS.map(p => (
+            <option key={p.value} value={p.value}>{p.label}</option>
+          ))}
+        </select>
+        <select value={routeId} onChange={(e) => setRouteId(e.target.value)} className="input w-auto">
+          <option value="">All routes</option>
+          {routes.map(route => (
+            <option key={route._id} value={route._id}>
+              {route.routeNumber} - {route.routeName}
+            </option>
+          ))}
+        </select>
+        <select value={algorithm} onChange={(e) => setAlgorithm(e.target.value)} className="input w-auto">
+          <option value="">All algorithms</option>
+          {ALGORITHMS.map(name => (
+            <option key={name} value={name}>{name.replace('_', ' ')}</option>
+          ))}
+        </select>
+        <select value={leadMinutes} onChange={(e) => setLeadMinutes(e.target.value)} className="input w-auto">
+          <option value="">All lead times</option>
+          {LEAD_MINUTES.map(minutes => (
+            <option key={minutes} value={minutes}>{minutes} min ahead</option>
+          ))}
+        </select>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center h-32">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+        </div>
+      ) : !distribution ? (
+        <p className="text-gray-500 text-center py-12">
+          No predictions with a recorded arrival in this window
+        </p>
+      ) : (
+        <>
+          <p className="text-xs text-gray-500">
+            Error is actual minus predicted arrival: positive means the bus arrived later than predicted.
+          </p>
+
+          <div className="grid grid-cols-2 lg:grid-cols-5 gap-4">
+            {summary.map(item => (
+              <div key={item.title} className="bg-gray-50 rounded-lg p-4">
+                <p className="text-xs font-medium text-gray-600">{item.title}</p>
+                <p className="text-xl font-bold text-gray-900">{item.value}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <ChartCard title="Error over time">
+              <LineChart data={timeSeries}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" fontSize={12} />
+                <YAxis fontSize={12} unit=" min" />
+                <Tooltip />
+                <Legend />
+                <ReferenceLine y={0} stroke="#9ca3af" />
+                <Line type="monotone" dataKey="percentiles.p50" name="Median" stroke="#2563eb" dot={false} />
+                <Line type="monotone" dataKey="percentiles.p90" name="p90" stroke="#dc2626" dot={false} />
+                <Line type="monotone" dataKey="percentiles.p10" name="p10" stroke="#16a34a" dot={false} />
+              </LineChart>
+            </ChartCard>
+
+            <ChartCard title="Error distribution">
+              <BarChart data={distribution.histogram}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="minutes" fontSize={12} unit="m" />
+                <YAxis fontSize={12} allowDecimals={false} />
+                <Tooltip />
+                <ReferenceLine x={0} stroke="#9ca3af" />
+                <Bar dataKey="count" name="Predictions" fill="#2563eb" />
+              </BarChart>
+            </ChartCard>
+
+            <ChartCard title="Error by hour of day">
+              <BarChart data={report.breakdowns.hour}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="hour" fontSize={12} />
+                <YAxis fontSize={12} unit=" min" />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="meanAbsoluteError" name="Mean absolute" fill="#f59e0b" />
+                <Bar dataKey="meanError" name="Bias" fill="#6366f1" />
+              </BarChart>
+            </ChartCard>
+
+            <ChartCard title="Early vs late by hour">
+              <BarChart data={report.breakdowns.hour}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="hour" fontSize={12} />
+                <YAxis fontSize={12} allowDecimals={false} />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="early" name="Early" stackId="error" fill="#16a34a" />
+                <Bar dataKey="onTime" name="On time" stackId="error" fill="#9ca3af" />
+                <Bar dataKey="late" name="Late" stackId="error" fill="#dc2626" />
+              </BarChart>
+            </ChartCard>
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            {CONDITION_BREAKDOWNS.map(breakdown => (
+              <ChartCard key={breakdown.id} title={`Error by ${breakdown.label.toLowerCase()}`}>
+                <BarChart data={report.breakdowns[breakdown.id]}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey={breakdown.key} fontSize={12} />
+                  <YAxis fontSize={12} unit=" min" />
+                  <Tooltip />
+                  <Bar dataKey="percentiles.p50" name="Median" fill="#2563eb" />
+                  <Bar dataKey="percentiles.p90" name="p90" fill="#dc2626" />
+                </BarChart>
+              </ChartCard>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <WorstTable
+              title="Worst routes"
+              rows={report.breakdowns.route}
+              label={(row) => row.routeNumber || 'Deleted route'}
+            />
+            <WorstTable
+              title="Worst stops"
+              rows={report.breakdowns.stop}
+              label={(row) => `${row.stopName || `Stop ${row.stopNumber}`} (${row.routeNumber || '-'})`}
+            />
+            <WorstTable
+              title="Worst buses"
+              rows={report.breakdowns.bus}
+              label={(row) => row.busNumber || 'Deleted bus'}
+            />
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default PredictionAnalytics
@@ -0,0 +1,69 @@
+import { useEffect, useMemo } from 'react'
+import { MapContainer, TileLayer, Polyline, CircleMarker, Tooltip, useMap } from 'react-leaflet'
+
+const FitToRoute = ({ positions }) => {
+  const map = useMap()
+
+  useEffect(() => {
+    if (positions.length > 0) {
+      map.fitBounds(positions, { padding: [24, 24] })
+    }
+  }, [map, positions])
+
+  return null
+}
+
+// Route path and stops. Draws the route shape when it has one, otherwise
+// straight lines between the stops. Children are drawn on top, and
+// stopColor can pick a colour per stop. Without a route path the map opens
+// at center.
+const RouteMap = ({ route, className = 'h-64', stopColor, center, children }) => {
+  // Leaflet expects [lat, lng] while the API returns [lng, lat]
+  const stops = useMemo(
+    () => [...(route?.stops || [])]
+      .filter(stop => stop.location?.coordinates)
+      .sort((a, b) => a.stopNumber - b.stopNumber),
+    [route]
+  )
+  const stopPositions = useMemo(
+    () => stops.map(stop => [stop.location.coordinates[1], stop.location.coordinates[0]]),
+    [stops]
+  )
+  const path = useMemo(
+    () => route?.shape?.coordinates?.length
+      ? route.shape.coordinates.map(([lng, lat]) => [lat, lng])
+      : stopPositions,
+    [route, stopPositions]
+  )
+
+  if (path.length === 0 && !center) return null
+
+  return (
+    <div className={`${className} rounded-lg overflow-hidden`}>
+      <MapContainer center={path[0] || center} zoom={13} className="h-full w-full">
+        <TileLayer
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+        />
+        <FitToRoute positions={path} />
+        <Polyline
+          positions={path}
+          pathOptions={{ color: '#2563eb', weight: 4, opacity: 0.7, dashArray: route?.shape ? null : '6 6' }}
+        />
+        {stops.map((stop, i) => (
+          <CircleMarker
+            key={stop._id || stop.stopNumber}
+            center={stopPositions[i]}
+            radius={5}
+            pathOptions={{ color: stopColor?.(stop) || '#1e3a8a', fillColor: '#ffffff', fillOpacity: 1, weight: 2 }}
+          >
+            <Tooltip>{stop.name}</Tooltip>
+          </CircleMarker>
+        ))}
+        {children}
+      </MapContainer>
+    </div>
+  )
+}
+
+export default RouteMap
@@ -0,0 +1,122 @@
+import { useRef, useState } from 'react'
+import { useQueryClient } from 'react-query'
+import { Upload, Trash2, Route as RouteIcon } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { updateRouteShape, removeRouteShape } from '../services/api'
+import RouteMap from './RouteMap'
+
+// Upload a GeoJSON LineString as the path a route drives. The server snaps
+// the stops onto it and measures the route along it.
+const RouteShapeEditor = ({ routes = [] }) => {
+  const queryClient = useQueryClient()
+  const fileInput = useRef(null)
+  const [routeId, setRouteId] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [unsnapped, setUnsnapped] = useState([])
+
+  const route = routes.find(r => r._id === routeId)
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file || !route) return
+
+    setBusy(true)
+    setUnsnapped([])
+    try {
+      const shape = JSON.parse(await file.text())
+      const response = await updateRouteShape(route._id, shape)
+      toast.success(response.data.message)
+      queryClient.invalidateQueries('routes')
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        toast.error('File is not valid GeoJSON')
+      } else {
+        setUnsnapped(error.response?.data?.unsnapped || [])
+        toast.error(error.response?.data?.message || 'Failed to update route shape')
+      }
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleRemove = async () => {
+    setBusy(true)
+    try {
+      const response = await removeRouteShape(route._id)
+      toast.success(response.data.message)
+      queryClient.invalidateQueries('routes')
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to remove route shape')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-sm font-medium text-gray-900 flex items-center mb-2">
+        <RouteIcon className="h-4 w-4 mr-2" />
+        Route shapes
+      </h3>
+
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <select
+          value={routeId}
+          onChange={(e) => {
+            setRouteId(e.target.value)
+            setUnsnapped([])
+          }}
+          className="input w-auto"
+        >
+          <option value="">Select a route</option>
+          {routes.map(r => (
+            <option key={r._id} value={r._id}>{r.routeNumber} - {r.routeName}</option>
+          ))}
+        </select>
+        <input
+          ref={fileInput}
+          type="file"
+          accept=".json,.geojson"
+          className="hidden"
+          onChange={handleUpload}
+        />
+        <button
+          onClick={() => fileInput.current.click()}
+          disabled={busy || !route}
+          className="btn btn-secondary flex items-center space-x-2"
+        >
+          <Upload className="h-4 w-4" />
+          <span>Upload GeoJSON</span>
+        </button>
+        {route?.shape && (
+          <button
+            onClick={handleRemove}
+            disabled={busy}
+            className="btn btn-secondary flex items-center space-x-2"
+          >
+            <Trash2 className="h-4 w-4" />
+            <span>Remove shape</span>
+          </button>
+        )}
+        {route && (
+          <span className="text-sm text-gray-600">
+            {route.shape ? `${route.totalDistance} km along shape` : 'No shape, drawn stop to stop'}
+          </span>
+        )}
+      </div>
+
+      {unsnapped.length > 0 && (
+        <div className="text-sm text-red-600 mb-3">
+          {unsnapped.map(stop => (
+            <p key={stop.stopNumber}>Stop {stop.stopNumber} ({stop.name}) is {stop.distance} m from the shape</p>
+          ))}
+        </div>
+      )}
+
+      {route && <RouteMap route={route} />}
+    </div>
+  )
+}
+
+export default RouteShapeEditor
@@ -0,0 +1,95 @@
+import { useState } from 'react'
+import { useQuery } from 'react-query'
+import { CalendarDays } from 'lucide-react'
+import { getRouteTimetable } from '../services/api'
+
+// Today's date for a date input, in local time
+const today = () => {
+  const now = new Date()
+  const offset = now.getTimezoneOffset() * 60000
+  return new Date(now.getTime() - offset).toISOString().slice(0, 10)
+}
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+const RouteTimetable = ({ routeId }) => {
+  const [date, setDate] = useState(today())
+  const [expandedTrip, setExpandedTrip] = useState(null)
+
+  const { data, isLoading, isError } = useQuery(
+    ['routeTimetable', routeId, date],
+    () => getRouteTimetable(routeId, { date }),
+    { enabled: Boolean(routeId), retry: 1 }
+  )
+
+  const timetable = data?.data
+  const now = new Date()
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <CalendarDays className="h-5 w-5 mr-2" />
+          Timetable
+        </h3>
+        <input
+          type="date"
+          value={date}
+          onChange={(e) => setDate(e.target.value)}
+          className="input w-auto"
+        />
+      </div>
+
+      {timetable?.services.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {timetable.services.map(service => (
+            <span key={service.serviceId} className="text-xs bg-primary-50 text-primary-700 rounded-full px-2 py-1">
+              {service.name}{service.note ? ` - ${service.note}` : ''}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {isLoading ? (
+        <div className="flex items-center justify-center h-16">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600"></div>
+        </div>
+      ) : isError ? (
+        <p className="text-sm text-gray-500">Timetable unavailable for this route</p>
+      ) : timetable?.trips.length === 0 ? (
+        <p className="text-sm text-gray-500">No planned trips on {timetable.day}</p>
+      ) : (
+        <div className="space-y-2 max-h-80 overflow-y-auto">
+          {timetable?.trips.map(trip => {
+            const departed = new Date(trip.departureTime) < now
+            return (
+              <div key={trip.tripNumber} className="bg-gray-50 rounded-lg">
+                <button
+                  onClick={() => setExpandedTrip(expandedTrip === trip.tripNumber ? null : trip.tripNumber)}
+                  className={`w-full flex items-center justify-between p-3 text-sm ${departed ? 'text-gray-400' : 'text-gray-900'}`}
+                >
+                  <span className="font-medium">Trip {trip.tripNumber}</span>
+                  <span>
+                    {formatTime(trip.departureTime)} - {formatTime(trip.arrivalTime)}
+                  </span>
+                </button>
+                {expandedTrip === trip.tripNumber && (
+                  <div className="px-3 pb-3 space-y-1">
+                    {trip.stops.map(stop => (
+                      <div key={stop.stopNumber} className="flex justify-between text-xs text-gray-600">
+                        <span>{stop.name}</span>
+                        <span>{formatTime(stop.plannedTime)}</span>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RouteTimetable
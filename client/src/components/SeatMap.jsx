@@ -0,0 +1,53 @@
+import { Accessibility } from 'lucide-react'
+
+const TYPE_LABELS = {
+  standard: 'Standard',
+  window: 'Window',
+  aisle: 'Aisle',
+  accessible: 'Accessible',
+  premium: 'Premium'
+}
+
+// A bus floor plan, front at the top. Seats sit at their row and column, so
+// a column without seats shows as the aisle. Seats marked unavailable, and
+// every seat when there is no onSelect, can't be picked.
+const SeatMap = ({ seats, selected, onSelect }) => {
+  const columns = Math.max(1, ...seats.map(seat => seat.column))
+
+  const seatClass = (seat) => {
+    if (seat.label === selected) return 'bg-primary-600 text-white border-primary-600'
+    if (!seat.reservable) return 'bg-gray-100 text-gray-300 border-gray-200'
+    if (seat.available === false) return 'bg-gray-300 text-gray-500 border-gray-300'
+    return 'bg-white text-gray-700 border-gray-300 hover:border-primary-500'
+  }
+
+  return (
+    <div className="inline-block p-3 border border-gray-200 rounded-lg bg-gray-50">
+      <p className="text-xs text-gray-500 text-center mb-2">Front</p>
+      <div className="grid gap-1" style={{ gridTemplateColumns: `repeat(${columns}, 2.5rem)` }}>
+        {seats.map(seat => (
+          <button
+            key={seat.label}
+            type="button"
+            onClick={() => onSelect(seat.label)}
+            disabled={!onSelect || !seat.reservable || seat.available === false}
+            title={`${seat.label} · ${TYPE_LABELS[seat.type]}${seat.reservable ? '' : ' · not reservable'}`}
+            style={{ gridRow: seat.row, gridColumn: seat.column }}
+            className={`h-10 rounded-md border text-xs font-medium flex items-center justify-center disabled:cursor-not-allowed ${seatClass(seat)}`}
+          >
+            {seat.type === 'accessible' ? <Accessibility className="h-4 w-4" /> : seat.label}
+          </button>
+        ))}
+      </div>
+      {onSelect && (
+        <div className="flex space-x-3 mt-3 text-xs text-gray-500">
+          <span className="flex items-center"><span className="h-3 w-3 mr-1 rounded border border-gray-300 bg-white"></span>Free</span>
+          <span className="flex items-center"><span className="h-3 w-3 mr-1 rounded bg-gray-300"></span>Taken</span>
+          <span className="flex items-center"><span className="h-3 w-3 mr-1 rounded bg-primary-600"></span>Yours</span>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SeatMap
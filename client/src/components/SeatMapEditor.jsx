@@ -0,0 +1,84 @@
+import { useState } from 'react'
+import { useQueryClient } from 'react-query'
+import { Armchair } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { setBusSeatMap } from '../services/api'
+import SeatMap from './SeatMap'
+
+// Lay out a bus's seats in regular rows for seat reservations. The server
+// refuses a layout that drops seats already reserved on upcoming trips.
+const SeatMapEditor = ({ buses = [] }) => {
+  const queryClient = useQueryClient()
+  const [busId, setBusId] = useState('')
+  const [layout, setLayout] = useState({ rows: 10, seatsPerRow: 4, aisleAfter: 2 })
+  const [busy, setBusy] = useState(false)
+
+  const bus = buses.find(b => b._id === busId)
+
+  const handleSave = async () => {
+    setBusy(true)
+    try {
+      const response = await setBusSeatMap(bus._id, { layout })
+      toast.success(response.data.message)
+      queryClient.invalidateQueries('buses')
+    } catch (error) {
+      const conflicts = error.response?.data?.conflicts || []
+      toast.error(conflicts.length > 0
+        ? `${error.response.data.message}: ${conflicts.map(conflict => conflict.seatLabel).join(', ')}`
+        : error.response?.data?.message || 'Failed to update seat map')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const numberInput = (field, label) => (
+    <label className="text-sm text-gray-700 flex items-center space-x-2">
+      <span>{label}</span>
+      <input
+        type="number"
+        min="0"
+        value={layout[field]}
+        onChange={(e) => setLayout({ ...layout, [field]: Number(e.target.value) })}
+        className="input w-20"
+      />
+    </label>
+  )
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-sm font-medium text-gray-900 flex items-center mb-2">
+        <Armchair className="h-4 w-4 mr-2" />
+        Seat maps
+      </h3>
+
+      <div className="flex flex-wrap items-center gap-3 mb-3">
+        <select
+          value={busId}
+          onChange={(e) => setBusId(e.target.value)}
+          className="input w-auto"
+        >
+          <option value="">Select a bus</option>
+          {buses.map(b => (
+            <option key={b._id} value={b._id}>{b.busNumber} ({b.capacity} seats)</option>
+          ))}
+        </select>
+        {numberInput('rows', 'Rows')}
+        {numberInput('seatsPerRow', 'Seats per row')}
+        {numberInput('aisleAfter', 'Aisle after')}
+        <button
+          onClick={handleSave}
+          disabled={busy || !bus}
+          className="btn btn-secondary"
+        >
+          Save layout
+        </button>
+      </div>
+
+      {bus && (bus.seatMap?.length > 0
+        ? <SeatMap seats={bus.seatMap} />
+        : <p className="text-sm text-gray-600">No seat map yet, so this bus can't be used for seat reservations.</p>)}
+    </div>
+  )
+}
+
+export default SeatMapEditor
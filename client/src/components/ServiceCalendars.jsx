@@ -0,0 +1,85 @@
+import { useState } from 'react'
+import { useQuery, useQueryClient } from 'react-query'
+import { CalendarDays } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { getServiceCalendars, applyHoliday } from '../services/api'
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+
+const ServiceCalendars = () => {
+  const queryClient = useQueryClient()
+  const [holiday, setHoliday] = useState({ date: '', runAs: 'sunday', description: '' })
+  const [busy, setBusy] = useState(false)
+
+  const { data } = useQuery('serviceCalendars', getServiceCalendars)
+  const calendars = data?.data?.calendars || []
+
+  const handleApplyHoliday = async (e) => {
+    e.preventDefault()
+    setBusy(true)
+    try {
+      const response = await applyHoliday(holiday)
+      toast.success(response.data.message)
+      setHoliday({ ...holiday, date: '', description: '' })
+      queryClient.invalidateQueries('serviceCalendars')
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to apply holiday')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-sm font-medium text-gray-900 flex items-center mb-2">
+        <CalendarDays className="h-4 w-4 mr-2" />
+        Service calendars
+      </h3>
+
+      {calendars.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-3">No service calendars yet. Routes run on their weekly schedule.</p>
+      ) : (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {calendars.map(calendar => (
+            <span key={calendar._id} className="text-xs bg-gray-100 text-gray-700 rounded-full px-2 py-1">
+              {calendar.name} ({calendar.days.map(day => day.slice(0, 3)).join(', ') || 'dates only'})
+              {calendar.exceptions.length > 0 && ` · ${calendar.exceptions.length} exception(s)`}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleApplyHoliday} className="flex flex-wrap items-center gap-3">
+        <input
+          type="date"
+          required
+          value={holiday.date}
+          onChange={(e) => setHoliday({ ...holiday, date: e.target.value })}
+          className="input w-auto"
+        />
+        <label className="flex items-center space-x-2 text-sm text-gray-600">
+          <span>Run as</span>
+          <select
+            value={holiday.runAs}
+            onChange={(e) => setHoliday({ ...holiday, runAs: e.target.value })}
+            className="input w-auto capitalize"
+          >
+            {WEEKDAYS.map(day => <option key={day} value={day}>{day}</option>)}
+          </select>
+        </label>
+        <input
+          type="text"
+          placeholder="Holiday name"
+          value={holiday.description}
+          onChange={(e) => setHoliday({ ...holiday, description: e.target.value })}
+          className="input w-auto"
+        />
+        <button type="submit" disabled={busy || calendars.length === 0} className="btn btn-secondary">
+          Apply holiday
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default ServiceCalendars
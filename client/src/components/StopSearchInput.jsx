@@ -0,0 +1,107 @@
+import { useState, useEffect } from 'react'
+import { useQuery } from 'react-query'
+import { MapPin } from 'lucide-react'
+import { searchStops } from '../services/api'
+
+const SEARCH_DELAY_MS = 250 // wait for a pause in typing before searching
+
+// Text input suggesting stops as the rider types. Typing calls onChange with
+// the text; picking a suggestion also calls onSelect with the stop, and any
+// further typing calls onSelect(null). Suggestions near `near`
+// ({ latitude, longitude }) come first among equal matches.
+const StopSearchInput = ({ id, value, onChange, onBlur, onSelect, near, placeholder }) => {
+  const [term, setTerm] = useState('')
+  const [open, setOpen] = useState(false)
+  const [highlighted, setHighlighted] = useState(0)
+
+  useEffect(() => {
+    const timer = setTimeout(() => setTerm(value.trim()), SEARCH_DELAY_MS)
+    return () => clearTimeout(timer)
+  }, [value])
+
+  const { data } = useQuery(
+    ['stopSearch', term, near?.latitude, near?.longitude],
+    () => searchStops({ q: term, limit: 8, latitude: near?.latitude, longitude: near?.longitude }),
+    { enabled: open && term.length >= 2, keepPreviousData: true, staleTime: 60000 }
+  )
+
+  const suggestions = open && term.length >= 2 ? data?.data.stops || [] : []
+
+  const select = (stop) => {
+    onChange(stop.name)
+    onSelect(stop)
+    setOpen(false)
+  }
+
+  const handleKeyDown = (event) => {
+    if (suggestions.length === 0) return
+
+    if (event.key === 'ArrowDown') {
+      event.preventDefault()
+      setHighlighted((highlighted + 1) % suggestions.length)
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault()
+      setHighlighted((highlighted - 1 + suggestions.length) % suggestions.length)
+    } else if (event.key === 'Enter') {
+      event.preventDefault()
+      select(suggestions[highlighted] || suggestions[0])
+    } else if (event.key === 'Escape') {
+      setOpen(false)
+    }
+  }
+
+  return (
+    <div className="relative">
+      <MapPin className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+      <input
+        id={id}
+        type="text"
+        autoComplete="off"
+        value={value}
+        onChange={(event) => {
+          onChange(event.target.value)
+          onSelect(null)
+          setHighlighted(0)
+          setOpen(true)
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => {
+          setOpen(false)
+          onBlur()
+        }}
+        onKeyDown={handleKeyDown}
+        className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+        placeholder={placeholder}
+      />
+
+      {suggestions.length > 0 && (
+        <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg max-h-72 overflow-y-auto">
+          {suggestions.map((stop, index) => (
+            <li key={stop._id}>
+              <button
+                type="button"
+                // Keep focus in the input so blurring doesn't close the list first
+                onMouseDown={(event) => event.preventDefault()}
+                onClick={() => select(stop)}
+                className={`w-full text-left px-4 py-2 ${index === highlighted ? 'bg-primary-50' : 'hover:bg-gray-50'}`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-medium text-gray-900">{stop.name}</span>
+                  <span className="text-xs text-gray-500">
+                    {stop.distance !== undefined && `${stop.distance < 1000 ? `${stop.distance} m` : `${(stop.distance / 1000).toFixed(1)} km`} · `}
+                    {stop.code}
+                  </span>
+                </div>
+                {stop.matchedAlias && (
+                  <p className="text-xs text-gray-500">Also known as {stop.matchedAlias}</p>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default StopSearchInput
@@ -0,0 +1,169 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { ScanLine, CheckCircle, XCircle, WifiOff, UploadCloud } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { validateTicket, uploadBoardingScans, getTicketSigningKey } from '../services/api'
+import {
+  OFFLINE_MESSAGES,
+  checkTicketOffline,
+  getQueuedScans,
+  queueScan,
+  saveSigningKey,
+  syncQueuedScans
+} from '../services/offlineTickets'
+
+const TYPE_LABELS = {
+  single: 'Single ride',
+  day_pass: 'Day pass',
+  monthly_pass: 'Monthly pass'
+}
+
+// Handheld QR scanners type the code followed by Enter, so the input stays
+// focused for the next rider
+const TicketValidator = ({ trip }) => {
+  const [code, setCode] = useState('')
+  const [checking, setChecking] = useState(false)
+  const [result, setResult] = useState(null)
+  const [queued, setQueued] = useState(getQueuedScans().length)
+  const inputRef = useRef(null)
+
+  const sync = useCallback(async () => {
+    if (getQueuedScans().length === 0) return
+    try {
+      const results = await syncQueuedScans(uploadBoardingScans)
+      const rejected = results.filter(scan => !scan.accepted).length
+      toast.success(`Uploaded ${results.length} offline scan${results.length === 1 ? '' : 's'}${rejected ? `, ${rejected} rejected` : ''}`)
+    } catch (error) {
+      // Still offline, try again later
+    }
+    setQueued(getQueuedScans().length)
+  }, [])
+
+  // Keep the signing key fresh for offline checks, and upload scans queued
+  // while offline whenever the connection comes back
+  useEffect(() => {
+    getTicketSigningKey()
+      .then(response => saveSigningKey(response.data))
+      .catch(() => {})
+    sync()
+
+    window.addEventListener('online', sync)
+    return () => window.removeEventListener('online', sync)
+  }, [sync])
+
+  const checkOffline = async (scanned) => {
+    const { payload, reason } = await checkTicketOffline(scanned, { tripId: trip._id, routeId: trip.route })
+    queueScan({ tripId: trip._id, code: scanned, ticketId: payload?.ticketId, accepted: !reason })
+    setQueued(getQueuedScans().length)
+
+    setResult(reason
+      ? { accepted: false, offline: true, message: OFFLINE_MESSAGES[reason] }
+      : {
+          accepted: true,
+          offline: true,
+          message: 'Ticket accepted',
+          ticket: {
+            productName: payload.product,
+            type: payload.type,
+            riderCategory: payload.category,
+            validUntil: new Date(payload.validUntil * 1000)
+          }
+        })
+  }
+
+  const handleSubmit = async (event) => {
+    event.preventDefault()
+    const scanned = code.trim()
+    if (!scanned) return
+
+    setCode('')
+    setChecking(true)
+    try {
+      const response = await validateTicket(scanned)
+      setResult(response.data)
+      sync()
+    } catch (error) {
+      if (error.response) {
+        setResult({ accepted: false, message: error.response.data.message || 'Ticket rejected' })
+      } else {
+        await checkOffline(scanned)
+      }
+    } finally {
+      setChecking(false)
+      inputRef.current?.focus()
+    }
+  }
+
+  return (
+    <div>
+      <h3 className="font-medium text-gray-900 mb-3 flex items-center">
+        <ScanLine className="h-5 w-5 mr-2" />
+        Validate Tickets
+      </h3>
+
+      <form onSubmit={handleSubmit} className="flex space-x-2">
+        <input
+          ref={inputRef}
+          type="text"
+          value={code}
+          onChange={(event) => setCode(event.target.value)}
+          placeholder="Scan a ticket QR code"
+          autoComplete="off"
+          className="input flex-1"
+        />
+        <button
+          type="submit"
+          disabled={checking || !code.trim()}
+          className="bg-primary-600 text-white py-2 px-4 rounded-md hover:bg-primary-700 disabled:opacity-50"
+        >
+          {checking ? 'Checking...' : 'Check'}
+        </button>
+      </form>
+
+      {result && (
+        <div className={`mt-3 p-4 rounded-lg ${result.accepted ? 'bg-green-50 border border-green-200' : 'bg-red-50 border border-red-200'}`}>
+          <div className="flex items-center">
+            {result.accepted
+              ? <CheckCircle className="h-6 w-6 text-green-600 mr-2" />
+              : <XCircle className="h-6 w-6 text-red-600 mr-2" />}
+            <p className={`font-semibold ${result.accepted ? 'text-green-800' : 'text-red-800'}`}>{result.message}</p>
+            {result.offline && (
+              <span className="ml-auto flex items-center text-xs text-gray-500">
+                <WifiOff className="h-3 w-3 mr-1" />
+                Checked offline
+              </span>
+            )}
+          </div>
+
+          {result.ticket && (
+            <div className="mt-2 text-sm text-gray-700 space-y-1">
+              <p>
+                {result.ticket.productName} · {TYPE_LABELS[result.ticket.type]}
+                {result.ticket.ridesLeft !== undefined && result.ticket.ridesLeft !== null && ` · ${result.ticket.ridesLeft} rides left`}
+              </p>
+              <p>Valid until {new Date(result.ticket.validUntil).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}</p>
+              {result.ticket.riderCategory === 'concession' && (
+                <p className="font-medium text-amber-700">Concession ticket: check the rider's entitlement</p>
+              )}
+              {result.currentCapacity !== undefined && (
+                <p>{result.currentCapacity} on board, {result.availableSeats} seats free</p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {queued > 0 && (
+        <button
+          type="button"
+          onClick={sync}
+          className="mt-3 text-sm text-gray-600 hover:text-gray-900 flex items-center"
+        >
+          <UploadCloud className="h-4 w-4 mr-1" />
+          {queued} offline scan{queued === 1 ? '' : 's'} waiting to upload
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default TicketValidator
@@ -0,0 +1,193 @@
+import { useState, useEffect, useMemo } from 'react'
+import { MapContainer, TileLayer, Polyline, CircleMarker, useMap } from 'react-leaflet'
+import { Play, Pause, RotateCcw, History } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { getBusTrack } from '../services/api'
+
+const PLAYBACK_SPEEDS = [1, 5, 20]
+
+// Format a Date for a datetime-local input
+const toInputValue = (date) => {
+  const offset = date.getTimezoneOffset() * 60000
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16)
+}
+
+const FitToTrack = ({ positions }) => {
+  const map = useMap()
+
+  useEffect(() => {
+    if (positions.length > 0) {
+      map.fitBounds(positions, { padding: [24, 24] })
+    }
+  }, [map, positions])
+
+  return null
+}
+
+const TrackReplay = ({ busId }) => {
+  const [from, setFrom] = useState(toInputValue(new Date(Date.now() - 60 * 60 * 1000)))
+  const [to, setTo] = useState(toInputValue(new Date()))
+  const [points, setPoints] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [index, setIndex] = useState(0)
+  const [playing, setPlaying] = useState(false)
+  const [speed, setSpeed] = useState(PLAYBACK_SPEEDS[0])
+
+  // Leaflet expects [lat, lng] while the API returns [lng, lat]
+  const positions = useMemo(
+    () => points.map(point => [point.coordinates[1], point.coordinates[0]]),
+    [points]
+  )
+
+  useEffect(() => {
+    if (!playing) return undefined
+
+    const timer = setInterval(() => {
+      setIndex(current => Math.min(current + 1, points.length - 1))
+    }, 1000 / speed)
+
+    return () => clearInterval(timer)
+  }, [playing, speed, points.length])
+
+  useEffect(() => {
+    if (playing && index >= points.length - 1) {
+      setPlaying(false)
+    }
+  }, [playing, index, points.length])
+
+  const loadTrack = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+    setPlaying(false)
+    try {
+      const response = await getBusTrack(busId, {
+        from: new Date(from).toISOString(),
+        to: new Date(to).toISOString()
+      })
+      setPoints(response.data.points)
+      setIndex(0)
+      if (response.data.points.length === 0) {
+        toast.error('No positions recorded in this window')
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load track')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const current = points[index]
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center mb-4">
+        <History className="h-6 w-6 text-primary-600 mr-2" />
+        <h2 className="text-xl font-semibold text-gray-900">Trip Replay</h2>
+      </div>
+
+      <form onSubmit={loadTrack} className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <div>
+          <label htmlFor="replay-from" className="block text-sm font-medium text-gray-700 mb-1">From</label>
+          <input
+            id="replay-from"
+            type="datetime-local"
+            value={from}
+            onChange={(e) => setFrom(e.target.value)}
+            className="input"
+          />
+        </div>
+        <div>
+          <label htmlFor="replay-to" className="block text-sm font-medium text-gray-700 mb-1">To</label>
+          <input
+            id="replay-to"
+            type="datetime-local"
+            value={to}
+            onChange={(e) => setTo(e.target.value)}
+            className="input"
+          />
+        </div>
+        <div className="flex items-end">
+          <button type="submit" disabled={loading} className="btn btn-primary w-full disabled:opacity-50">
+            {loading ? 'Loading...' : 'Load Track'}
+          </button>
+        </div>
+      </form>
+
+      <div className="rounded-lg overflow-hidden h-96">
+        <MapContainer center={[20.5937, 78.9629]} zoom={5} className="h-full w-full">
+          <TileLayer
+            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          />
+          {positions.length > 0 && (
+            <>
+              <FitToTrack positions={positions} />
+              <Polyline positions={positions} pathOptions={{ color: '#2563eb', weight: 4, opacity: 0.6 }} />
+              <CircleMarker
+                center={positions[index]}
+                radius={8}
+                pathOptions={{ color: '#1d4ed8', fillColor: '#3b82f6', fillOpacity: 1 }}
+              />
+            </>
+          )}
+        </MapContainer>
+      </div>
+
+      {points.length > 0 && (
+        <div className="mt-4 space-y-3">
+          <input
+            type="range"
+            min={0}
+            max={points.length - 1}
+            value={index}
+            onChange={(e) => setIndex(parseInt(e.target.value))}
+            className="w-full"
+          />
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex items-center space-x-2">
+              <button
+                type="button"
+                onClick={() => {
+                  if (index >= points.length - 1) setIndex(0)
+                  setPlaying(!playing)
+                }}
+                className="btn btn-secondary flex items-center"
+              >
+                {playing ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setPlaying(false)
+                  setIndex(0)
+                }}
+                className="btn btn-secondary flex items-center"
+              >
+                <RotateCcw className="h-4 w-4" />
+              </button>
+              {PLAYBACK_SPEEDS.map(option => (
+                <button
+                  key={option}
+                  type="button"
+                  onClick={() => setSpeed(option)}
+                  className={`px-2 py-1 text-sm rounded ${
+                    speed === option ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-700'
+                  }`}
+                >
+                  {option}x
+                </button>
+              ))}
+            </div>
+            <div className="text-sm text-gray-600">
+              {new Date(current.recordedAt).toLocaleString()}
+              {current.speed !== undefined && current.speed !== null && ` · ${current.speed} km/h`}
+              {' · '}{index + 1}/{points.length}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default TrackReplay
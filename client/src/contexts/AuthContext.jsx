@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, useEffect } from 'react'
 import { loginUser, registerUser, getProfile } from '../services/auth'
+import { disconnectSockets } from '../services/socket'
 import toast from 'react-hot-toast'
 
 const AuthContext = createContext()
@@ -68,6 +69,7 @@ export const AuthProvider = ({ children }) => {
 
   const logout = () => {
     localStorage.removeItem('token')
+    disconnectSockets()
     setUser(null)
     toast.success('Logged out successfully')
   }
@@ -8,9 +8,15 @@ import {
   AlertTriangle, 
   CheckCircle,
   Clock,
-  Navigation
+  Navigation,
+  BarChart3
 } from 'lucide-react'
 import { getAdminDashboard, getDrivers, getBuses, getRoutes } from '../services/api'
+import PredictionAnalytics from '../components/PredictionAnalytics'
+import GtfsTools from '../components/GtfsTools'
+import ServiceCalendars from '../components/ServiceCalendars'
+import RouteShapeEditor from '../components/RouteShapeEditor'
+import SeatMapEditor from '../components/SeatMapEditor'
 
 const AdminDashboard = () => {
   const [activeTab, setActiveTab] = useState('overview')
@@ -43,7 +49,8 @@ const AdminDashboard = () => {
     { id: 'overview', label: 'Overview', icon: TrendingUp },
     { id: 'drivers', label: 'Drivers', icon: Users },
     { id: 'buses', label: 'Buses', icon: Bus },
-    { id: 'routes', label: 'Routes', icon: MapPin }
+    { id: 'routes', label: 'Routes', icon: MapPin },
+    { id: 'predictions', label: 'Predictions', icon: BarChart3 }
   ]
 
   const stats = [
@@ -260,6 +267,7 @@ const AdminDashboard = () => {
 
           {activeTab === 'buses' && (
             <div>
+              <SeatMapEditor buses={buses?.data?.buses} />
               {busesLoading ? (
                 <div className="flex items-center justify-center h-32">
                   <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
@@ -334,6 +342,9 @@ const AdminDashboard = () => {
 
           {activeTab === 'routes' && (
             <div>
+              <GtfsTools />
+              <ServiceCalendars />
+              <RouteShapeEditor routes={routes?.data?.routes} />
               {routesLoading ? (
                 <div className="flex items-center justify-center h-32">
                   <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
@@ -404,6 +415,10 @@ const AdminDashboard = () => {
               )}
             </div>
           )}
+
+          {activeTab === 'predictions' && (
+            <PredictionAnalytics routes={routes?.data?.routes} />
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,422 @@
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from 'react-query'
+import { Bell, BellOff, BellRing, Clock, Send, Trash2, Plus } from 'lucide-react'
+import toast from 'react-hot-toast'
+import {
+  getAlertChannels,
+  getRiderAlerts,
+  createRiderAlert,
+  updateRiderAlert,
+  deleteRiderAlert,
+  testRiderAlert,
+  getRoutePage
+} from '../services/api'
+import { pushSupported, getPushSubscription, enablePush, disablePush } from '../services/push'
+
+const DAYS = [
+  { value: 'monday', label: 'Mon' },
+  { value: 'tuesday', label: 'Tue' },
+  { value: 'wednesday', label: 'Wed' },
+  { value: 'thursday', label: 'Thu' },
+  { value: 'friday', label: 'Fri' },
+  { value: 'saturday', label: 'Sat' },
+  { value: 'sunday', label: 'Sun' }
+]
+
+const CHANNEL_LABELS = {
+  socket: 'In app',
+  push: 'Push',
+  email: 'Email'
+}
+
+const DELIVERY_STYLES = {
+  sent: 'text-green-700',
+  skipped: 'text-gray-500',
+  failed: 'text-red-700'
+}
+
+const EMPTY_FORM = {
+  type: 'approaching',
+  name: '',
+  routeId: '',
+  stopNumber: '',
+  leadMinutes: 5,
+  time: '08:00',
+  startTime: '',
+  endTime: '',
+  days: [],
+  channels: ['socket']
+}
+
+const describeDays = (days) => {
+  if (days.length === 0) return 'every day'
+  return DAYS.filter(day => days.includes(day.value)).map(day => day.label).join(', ')
+}
+
+const describeAlert = (alert) => {
+  const where = `route ${alert.route?.routeNumber} at ${alert.stopName || `stop ${alert.stopNumber}`}`
+  if (alert.type === 'commute') return `At ${alert.time} ${describeDays(alert.days)}: next buses on ${where}`
+  const window = alert.startTime ? ` between ${alert.startTime} and ${alert.endTime}` : ''
+  return `${alert.leadMinutes} min before a bus on ${where}, ${describeDays(alert.days)}${window}`
+}
+
+const AlertRow = ({ alert, onToggle, onTest, onDelete, busy }) => (
+  <div className="p-4 border border-gray-200 rounded-lg">
+    <div className="flex items-start justify-between">
+      <div className="flex items-start">
+        {alert.type === 'commute'
+          ? <Clock className={`h-6 w-6 mr-3 ${alert.active ? 'text-primary-600' : 'text-gray-400'}`} />
+          : <BellRing className={`h-6 w-6 mr-3 ${alert.active ? 'text-primary-600' : 'text-gray-400'}`} />}
+        <div>
+          <p className={`font-medium ${alert.active ? 'text-gray-900' : 'text-gray-500'}`}>
+            {alert.name || (alert.type === 'commute' ? 'Commute alert' : 'Bus approaching alert')}
+          </p>
+          <p className="text-sm text-gray-600">{describeAlert(alert)}</p>
+          <p className="text-xs text-gray-500">
+            By {alert.channels.map(channel => CHANNEL_LABELS[channel]).join(', ')}
+            {alert.lastTriggeredAt && ` · last sent ${new Date(alert.lastTriggeredAt).toLocaleString()}`}
+          </p>
+          {alert.lastDeliveries?.length > 0 && (
+            <p className="text-xs">
+              {alert.lastDeliveries.map(delivery => (
+                <span key={delivery.channel} className={`mr-3 ${DELIVERY_STYLES[delivery.status]}`}>
+                  {CHANNEL_LABELS[delivery.channel]}: {delivery.status}{delivery.reason && ` (${delivery.reason})`}
+                </span>
+              ))}
+            </p>
+          )}
+        </div>
+      </div>
+      <div className="flex items-center space-x-2">
+        <button
+          onClick={() => onToggle(alert)}
+          disabled={busy}
+          className="p-2 text-gray-500 hover:text-primary-600"
+          title={alert.active ? 'Switch off' : 'Switch on'}
+        >
+          {alert.active ? <Bell className="h-4 w-4" /> : <BellOff className="h-4 w-4" />}
+        </button>
+        <button
+          onClick={() => onTest(alert)}
+          disabled={busy}
+          className="p-2 text-gray-500 hover:text-primary-600"
+          title="Send a test notification"
+        >
+          <Send className="h-4 w-4" />
+        </button>
+        <button
+          onClick={() => onDelete(alert)}
+          disabled={busy}
+          className="p-2 text-gray-500 hover:text-red-600"
+          title="Delete"
+        >
+          <Trash2 className="h-4 w-4" />
+        </button>
+      </div>
+    </div>
+  </div>
+)
+
+const Alerts = () => {
+  const queryClient = useQueryClient()
+  const [form, setForm] = useState(EMPTY_FORM)
+
+  const { data: channelsData } = useQuery('alertChannels', getAlertChannels, { staleTime: 10 * 60 * 1000 })
+  const { data: routesData } = useQuery('alertRoutes', () => getRoutePage({ limit: 100 }), { staleTime: 10 * 60 * 1000 })
+  const { data: alertsData, isLoading } = useQuery('riderAlerts', getRiderAlerts)
+  const { data: pushSubscription } = useQuery('pushSubscription', getPushSubscription, { enabled: pushSupported() })
+
+  const channels = channelsData?.data.channels || ['socket']
+  const vapidPublicKey = channelsData?.data.vapidPublicKey
+  const routes = routesData?.data.routes || []
+  const route = routes.find(candidate => candidate._id === form.routeId)
+  const stops = route ? [...route.stops].sort((a, b) => a.stopNumber - b.stopNumber) : []
+  const alerts = alertsData?.data.alerts || []
+
+  const setField = (field, value) => setForm(current => ({ ...current, [field]: value }))
+  const toggleIn = (field, value) => setForm(current => ({
+    ...current,
+    [field]: current[field].includes(value)
+      ? current[field].filter(entry => entry !== value)
+      : [...current[field], value]
+  }))
+
+  const refresh = () => queryClient.invalidateQueries('riderAlerts')
+  const showError = (fallback) => (error) => {
+    const response = error.response?.data
+    toast.error(response?.message || response?.errors?.[0]?.msg || fallback)
+  }
+
+  const createMutation = useMutation(createRiderAlert, {
+    onSuccess: () => {
+      toast.success('Alert created')
+      setForm(EMPTY_FORM)
+      refresh()
+    },
+    onError: showError('Could not create the alert')
+  })
+
+  const toggleMutation = useMutation((alert) => updateRiderAlert(alert._id, { active: !alert.active }), {
+    onSuccess: refresh,
+    onError: showError('Could not update the alert')
+  })
+
+  const testMutation = useMutation((alert) => testRiderAlert(alert._id), {
+    onSuccess: (response) => {
+      const failed = response.data.deliveries.filter(delivery => delivery.status !== 'sent')
+      if (failed.length === 0) toast.success(response.data.message)
+      else toast.error(failed.map(delivery => `${CHANNEL_LABELS[delivery.channel]}: ${delivery.reason}`).join('\n'))
+      refresh()
+    },
+    onError: showError('Could not send a test notification')
+  })
+
+  const deleteMutation = useMutation((alert) => deleteRiderAlert(alert._id), {
+    onSuccess: () => {
+      toast.success('Alert deleted')
+      refresh()
+    },
+    onError: showError('Could not delete the alert')
+  })
+
+  const pushMutation = useMutation(
+    () => (pushSubscription ? disablePush() : enablePush(vapidPublicKey)),
+    {
+      onSuccess: () => {
+        toast.success(pushSubscription ? 'Push notifications turned off' : 'Push notifications turned on')
+        queryClient.invalidateQueries('pushSubscription')
+      },
+      onError: showError('Could not change push notifications')
+    }
+  )
+
+  const busy = toggleMutation.isLoading || testMutation.isLoading || deleteMutation.isLoading
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    const commute = form.type === 'commute'
+    createMutation.mutate({
+      type: form.type,
+      name: form.name || undefined,
+      routeId: form.routeId,
+      stopNumber: Number(form.stopNumber),
+      leadMinutes: commute ? undefined : Number(form.leadMinutes),
+      time: commute ? form.time : undefined,
+      startTime: commute ? undefined : form.startTime,
+      endTime: commute ? undefined : form.endTime,
+      days: form.days,
+      channels: form.channels
+    })
+  }
+
+  const selectClass = 'mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-transparent'
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex justify-between items-start">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 mb-2">Bus Alerts</h1>
+            <p className="text-gray-600">
+              Hear when your bus is a few minutes from your stop, or get the next buses every morning before you leave.
+            </p>
+          </div>
+          {channels.includes('push') && vapidPublicKey && pushSupported() && (
+            <button
+              onClick={() => pushMutation.mutate()}
+              disabled={pushMutation.isLoading}
+              className="btn btn-secondary flex items-center text-sm whitespace-nowrap"
+            >
+              {pushSubscription ? <BellOff className="h-4 w-4 mr-1" /> : <Bell className="h-4 w-4 mr-1" />}
+              {pushSubscription ? 'Turn off push' : 'Turn on push'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* My Alerts */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">My Alerts</h2>
+        {isLoading ? (
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+        ) : alerts.length === 0 ? (
+          <p className="text-gray-600">You have no alerts yet.</p>
+        ) : (
+          <div className="space-y-3">
+            {alerts.map(alert => (
+              <AlertRow
+                key={alert._id}
+                alert={alert}
+                onToggle={toggleMutation.mutate}
+                onTest={testMutation.mutate}
+                onDelete={deleteMutation.mutate}
+                busy={busy}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* New Alert */}
+      <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 space-y-4">
+        <h2 className="text-xl font-semibold text-gray-900">New Alert</h2>
+
+        <div className="flex space-x-2">
+          {[
+            { value: 'approaching', label: 'Bus approaching' },
+            { value: 'commute', label: 'Daily commute' }
+          ].map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => setField('type', option.value)}
+              className={`px-3 py-2 rounded-md border text-sm ${
+                form.type === option.value
+                  ? 'border-primary-600 bg-primary-50 text-primary-700'
+                  : 'border-gray-300 text-gray-700 hover:border-primary-500'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm text-gray-700">
+          <label className="block">
+            Route
+            <select
+              value={form.routeId}
+              onChange={(event) => setForm(current => ({ ...current, routeId: event.target.value, stopNumber: '' }))}
+              className={selectClass}
+              required
+            >
+              <option value="">Choose a route</option>
+              {routes.map(candidate => (
+                <option key={candidate._id} value={candidate._id}>{candidate.routeNumber} · {candidate.routeName}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            Stop
+            <select
+              value={form.stopNumber}
+              onChange={(event) => setField('stopNumber', event.target.value)}
+              disabled={!route}
+              className={selectClass}
+              required
+            >
+              <option value="">Choose a stop</option>
+              {stops.map(stop => (
+                <option key={stop.stopNumber} value={stop.stopNumber}>{stop.name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            Name (optional)
+            <input
+              type="text"
+              value={form.name}
+              maxLength={100}
+              onChange={(event) => setField('name', event.target.value)}
+              placeholder={form.type === 'commute' ? 'Morning commute' : 'Bus to work'}
+              className={selectClass}
+            />
+          </label>
+
+          {form.type === 'commute' ? (
+            <label className="block">
+              Time
+              <input
+                type="time"
+                value={form.time}
+                onChange={(event) => setField('time', event.target.value)}
+                className={selectClass}
+                required
+              />
+            </label>
+          ) : (
+            <>
+              <label className="block">
+                Minutes before the bus arrives
+                <input
+                  type="number"
+                  min="1"
+                  max="60"
+                  value={form.leadMinutes}
+                  onChange={(event) => setField('leadMinutes', event.target.value)}
+                  className={selectClass}
+                  required
+                />
+              </label>
+              <label className="block">
+                Only from (optional)
+                <input
+                  type="time"
+                  value={form.startTime}
+                  onChange={(event) => setField('startTime', event.target.value)}
+                  className={selectClass}
+                />
+              </label>
+              <label className="block">
+                Until
+                <input
+                  type="time"
+                  value={form.endTime}
+                  onChange={(event) => setField('endTime', event.target.value)}
+                  className={selectClass}
+                  required={Boolean(form.startTime)}
+                />
+              </label>
+            </>
+          )}
+        </div>
+
+        <div className="text-sm text-gray-700">
+          <p className="mb-1">Days <span className="text-gray-500">(none picked means every day)</span></p>
+          <div className="flex flex-wrap gap-2">
+            {DAYS.map(day => (
+              <label key={day.value} className="flex items-center space-x-1">
+                <input
+                  type="checkbox"
+                  checked={form.days.includes(day.value)}
+                  onChange={() => toggleIn('days', day.value)}
+                />
+                <span>{day.label}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="text-sm text-gray-700">
+          <p className="mb-1">Send by</p>
+          <div className="flex flex-wrap gap-4">
+            {channels.map(channel => (
+              <label key={channel} className="flex items-center space-x-1">
+                <input
+                  type="checkbox"
+                  checked={form.channels.includes(channel)}
+                  onChange={() => toggleIn('channels', channel)}
+                />
+                <span>{CHANNEL_LABELS[channel] || channel}</span>
+              </label>
+            ))}
+          </div>
+          {form.channels.includes('push') && !pushSubscription && (
+            <p className="text-xs text-gray-500 mt-1">Turn on push above for this browser to receive push alerts.</p>
+          )}
+        </div>
+
+        <button
+          type="submit"
+          disabled={createMutation.isLoading || form.channels.length === 0}
+          className="btn btn-primary flex items-center"
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Create alert
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default Alerts
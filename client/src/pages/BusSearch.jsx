@@ -1,53 +1,168 @@
 import { useState } from 'react'
-import { useForm } from 'react-hook-form'
-import { Search, MapPin, Clock, Bus } from 'lucide-react'
+import { useForm, Controller } from 'react-hook-form'
+import { useQuery } from 'react-query'
+import { useNavigate } from 'react-router-dom'
+import { Search, Clock, Bus, Footprints, Repeat, Radio, LocateFixed } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { planJourney, getNearbyStops, getCurrentFares } from '../services/api'
+import StopSearchInput from '../components/StopSearchInput'
+import CrowdingBadge from '../components/CrowdingBadge'
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+const formatPrice = (price, currency) => new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(price)
+
+const formatDuration = (minutes) => {
+  if (minutes < 60) return `${minutes} min`
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`
+}
+
+const JourneyLeg = ({ leg, currency, onTrack }) => {
+  if (leg.mode === 'walk') {
+    return (
+      <div className="flex items-start">
+        <Footprints className="h-5 w-5 text-gray-400 mr-3 mt-0.5 flex-shrink-0" />
+        <div className="text-sm text-gray-600">
+          Walk {leg.minutes} min ({leg.distance} m) from {leg.from.name} to {leg.to.name}
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="flex items-start">
+      <Bus className="h-5 w-5 text-primary-600 mr-3 mt-0.5 flex-shrink-0" />
+      <div className="flex-1">
+        <div className="flex items-center justify-between">
+          <p className="text-sm font-medium text-gray-900">
+            Route {leg.route.routeNumber} towards {leg.headsign}
+          </p>
+          {leg.realtime ? (
+            <span className="flex items-center text-xs text-green-600">
+              <Radio className="h-3 w-3 mr-1" />
+              Live{leg.bus ? ` · ${leg.bus.busNumber}` : ''}
+            </span>
+          ) : (
+            <span className="text-xs text-gray-500">Scheduled</span>
+          )}
+        </div>
+        <p className="text-sm text-gray-600">
+          {formatTime(leg.departureTime)} {leg.from.name} → {formatTime(leg.arrivalTime)} {leg.to.name}
+        </p>
+        <p className="text-xs text-gray-500">
+          {leg.stops} stop{leg.stops === 1 ? '' : 's'} · {formatPrice(leg.fare, currency)}
+        </p>
+        {(leg.bus?.occupancy || leg.expectedCrowding) && (
+          <div className="flex flex-wrap gap-1 mt-1">
+            {leg.bus?.occupancy && (
+              <CrowdingBadge level={leg.bus.occupancy.level} title={`${leg.bus.occupancy.loadPercent}% full right now`} />
+            )}
+            {leg.expectedCrowding && (
+              <CrowdingBadge
+                level={leg.expectedCrowding.level}
+                expected
+                title={`Riders stood on ${leg.expectedCrowding.standingPercent}% of ${leg.expectedCrowding.samples} past trips at this hour`}
+              />
+            )}
+          </div>
+        )}
+        {leg.bus && (
+          <button
+            type="button"
+            onClick={() => onTrack(leg.bus._id)}
+            className="mt-1 text-xs text-primary-600 hover:text-primary-700"
+          >
+            Track this bus
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
 
 const BusSearch = () => {
-  const [searchResults, setSearchResults] = useState([])
+  const navigate = useNavigate()
+  const [itineraries, setItineraries] = useState([])
+  const [searched, setSearched] = useState(false)
   const [loading, setLoading] = useState(false)
+  const [locating, setLocating] = useState(false)
+  // A picked suggestion is searched by its code, the rider's position by
+  // coordinates. Once known, the position also ranks nearby stops first.
+  const [sourceStop, setSourceStop] = useState(null)
+  const [destinationStop, setDestinationStop] = useState(null)
+  const [position, setPosition] = useState(null)
+  const [fromPosition, setFromPosition] = useState(false)
 
   const {
     register,
+    control,
+    setValue,
     handleSubmit,
     formState: { errors },
-  } = useForm()
+  } = useForm({ defaultValues: { source: '', destination: '', maxTransfers: '2', riderCategory: 'adult' } })
+
+  // Rider categories with their own fares, such as students or seniors
+  const { data: faresData } = useQuery('currentFares', getCurrentFares, { staleTime: 10 * 60 * 1000 })
+  const riderCategories = faresData?.data.riderCategories || []
+  const categoryName = (code) => faresData?.data.ruleSet?.riderCategories.find(category => category.code === code)?.name ||
+    code.charAt(0).toUpperCase() + code.slice(1)
+
+  const { data: nearbyData } = useQuery(
+    ['nearbyStops', position?.latitude, position?.longitude],
+    () => getNearbyStops({ latitude: position.latitude, longitude: position.longitude, limit: 3 }),
+    { enabled: fromPosition }
+  )
+
+  const nearbyStops = fromPosition ? nearbyData?.data.stops || [] : []
+
+  const locateMe = () => {
+    if (!navigator.geolocation) {
+      toast.error('Location is not available in this browser')
+      return
+    }
+
+    setLocating(true)
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        setPosition({ latitude: coords.latitude, longitude: coords.longitude })
+        setFromPosition(true)
+        setSourceStop(null)
+        setValue('source', 'Your location', { shouldValidate: true })
+        setLocating(false)
+      },
+      () => {
+        toast.error('Could not get your location')
+        setLocating(false)
+      }
+    )
+  }
+
+  const pickSourceStop = (stop) => {
+    setFromPosition(false)
+    setSourceStop(stop)
+    setValue('source', stop.name, { shouldValidate: true })
+  }
 
   const onSubmit = async (data) => {
     setLoading(true)
     try {
-      // Mock search results for now
-      const mockResults = [
-        {
-          route: {
-            _id: '1',
-            routeNumber: 'R101',
-            routeName: 'Central to Airport',
-            totalDistance: 25,
-            estimatedDuration: 45,
-            fare: 15,
-            sourceStop: 'Central Station',
-            destinationStop: 'Airport Terminal',
-          },
-          activeBuses: 2,
-          nextPredictions: [
-            {
-              predictedArrivalTime: new Date(Date.now() + 10 * 60000),
-              busId: { busNumber: 'B101', busType: 'AC' },
-            },
-            {
-              predictedArrivalTime: new Date(Date.now() + 25 * 60000),
-              busId: { busNumber: 'B102', busType: 'Non-AC' },
-            },
-          ],
-          operatingHours: { start: '06:00', end: '22:00' },
-          frequency: 15,
-        },
-      ]
-      
-      setSearchResults(mockResults)
+      const from = fromPosition
+        ? { fromLat: position.latitude, fromLng: position.longitude }
+        : { from: sourceStop ? sourceStop.code : data.source }
+
+      const response = await planJourney({
+        ...from,
+        to: destinationStop ? destinationStop.code : data.destination,
+        maxTransfers: data.maxTransfers,
+        riderCategory: data.riderCategory,
+        departAt: data.departAt ? new Date(data.departAt).toISOString() : undefined
+      })
+      setItineraries(response.data.itineraries)
     } catch (error) {
-      console.error('Search error:', error)
+      setItineraries([])
+      toast.error(error.response?.data?.message || 'Journey search failed')
     } finally {
+      setSearched(true)
       setLoading(false)
     }
   }
@@ -57,48 +172,135 @@ const BusSearch = () => {
       <div className="bg-white rounded-lg shadow p-6">
         <h1 className="text-2xl font-bold text-gray-900 mb-4">Search Bus</h1>
         <p className="text-gray-600 mb-6">
-          Find buses by entering your source and destination locations.
+          Plan a journey by stop name, stop code or your location, changing buses where needed.
         </p>
 
         <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <div>
-              <label htmlFor="source" className="block text-sm font-medium text-gray-700 mb-2">
-                From
-              </label>
-              <div className="relative">
-                <MapPin className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
-                <input
-                  id="source"
-                  type="text"
-                  {...register('source', { required: 'Source location is required' })}
-                  className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                  placeholder="Enter source location"
-                />
+              <div className="flex items-center justify-between mb-2">
+                <label htmlFor="source" className="block text-sm font-medium text-gray-700">
+                  From
+                </label>
+                <button
+                  type="button"
+                  onClick={locateMe}
+                  disabled={locating}
+                  className="flex items-center text-sm text-primary-600 hover:text-primary-700 disabled:opacity-50"
+                >
+                  <LocateFixed className="h-4 w-4 mr-1" />
+                  {locating ? 'Locating...' : 'Use my location'}
+                </button>
               </div>
+              <Controller
+                name="source"
+                control={control}
+                rules={{ required: 'Source location is required' }}
+                render={({ field }) => (
+                  <StopSearchInput
+                    id="source"
+                    value={field.value}
+                    onChange={(text) => {
+                      setFromPosition(false)
+                      field.onChange(text)
+                    }}
+                    onBlur={field.onBlur}
+                    onSelect={setSourceStop}
+                    near={position}
+                    placeholder="Enter stop name or code"
+                  />
+                )}
+              />
               {errors.source && (
                 <p className="mt-1 text-sm text-red-600">{errors.source.message}</p>
               )}
+              {nearbyStops.length > 0 && (
+                <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+                  <span className="text-gray-500">Nearest stops:</span>
+                  {nearbyStops.map(stop => (
+                    <button
+                      key={stop._id}
+                      type="button"
+                      onClick={() => pickSourceStop(stop)}
+                      className="px-2 py-1 rounded-full bg-gray-100 text-gray-700 hover:bg-gray-200"
+                    >
+                      {stop.name} · {stop.distance} m
+                    </button>
+                  ))}
+                </div>
+              )}
             </div>
 
             <div>
               <label htmlFor="destination" className="block text-sm font-medium text-gray-700 mb-2">
                 To
               </label>
-              <div className="relative">
-                <MapPin className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
-                <input
-                  id="destination"
-                  type="text"
-                  {...register('destination', { required: 'Destination location is required' })}
-                  className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-transparent"
-                  placeholder="Enter destination location"
-                />
-              </div>
+              <Controller
+                name="destination"
+                control={control}
+                rules={{ required: 'Destination location is required' }}
+                render={({ field }) => (
+                  <StopSearchInput
+                    id="destination"
+                    value={field.value}
+                    onChange={field.onChange}
+                    onBlur={field.onBlur}
+                    onSelect={setDestinationStop}
+                    near={position}
+                    placeholder="Enter stop name or code"
+                  />
+                )}
+              />
               {errors.destination && (
                 <p className="mt-1 text-sm text-red-600">{errors.destination.message}</p>
               )}
             </div>
+
+            <div>
+              <label htmlFor="departAt" className="block text-sm font-medium text-gray-700 mb-2">
+                Leave at
+              </label>
+              <input
+                id="departAt"
+                type="datetime-local"
+                {...register('departAt')}
+                className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              />
+              <p className="mt-1 text-xs text-gray-500">Leave empty to go now</p>
+            </div>
+
+            <div>
+              <label htmlFor="maxTransfers" className="block text-sm font-medium text-gray-700 mb-2">
+                Changes
+              </label>
+              <select
+                id="maxTransfers"
+                {...register('maxTransfers')}
+                className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="0">Direct buses only</option>
+                <option value="1">Up to 1 change</option>
+                <option value="2">Up to 2 changes</option>
+                <option value="3">Up to 3 changes</option>
+              </select>
+            </div>
+
+            {riderCategories.length > 1 && (
+              <div>
+                <label htmlFor="riderCategory" className="block text-sm font-medium text-gray-700 mb-2">
+                  Fare type
+                </label>
+                <select
+                  id="riderCategory"
+                  {...register('riderCategory')}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  {riderCategories.map(code => (
+                    <option key={code} value={code}>{categoryName(code)}</option>
+                  ))}
+                </select>
+              </div>
+            )}
           </div>
 
           <button
@@ -118,23 +320,23 @@ const BusSearch = () => {
         </form>
       </div>
 
-      {/* Search Results */}
-      {searchResults.length > 0 && (
+      {/* Journey Options */}
+      {itineraries.length > 0 && (
         <div className="space-y-4">
-          <h2 className="text-xl font-semibold text-gray-900">Search Results</h2>
-          {searchResults.map((result, index) => (
+          <h2 className="text-xl font-semibold text-gray-900">Journey Options</h2>
+          {itineraries.map((itinerary, index) => (
             <div key={index} className="bg-white rounded-lg shadow p-6">
               <div className="flex justify-between items-start mb-4">
                 <div>
                   <h3 className="text-lg font-semibold text-gray-900">
-                    Route {result.route.routeNumber}: {result.route.routeName}
+                    {formatTime(itinerary.departureTime)} → {formatTime(itinerary.arrivalTime)}
                   </h3>
                   <p className="text-gray-600">
-                    {result.route.sourceStop} → {result.route.destinationStop}
+                    {itinerary.legs.filter(leg => leg.mode === 'bus').map(leg => leg.route.routeNumber).join(' → ') || 'Walk'}
                   </p>
                 </div>
                 <div className="text-right">
-                  <p className="text-2xl font-bold text-primary-600">${result.route.fare}</p>
+                  <p className="text-2xl font-bold text-primary-600">{formatPrice(itinerary.fare, itinerary.currency)}</p>
                   <p className="text-sm text-gray-500">Fare</p>
                 </div>
               </div>
@@ -143,49 +345,30 @@ const BusSearch = () => {
                 <div className="flex items-center">
                   <Clock className="h-5 w-5 text-gray-400 mr-2" />
                   <div>
-                    <p className="text-sm font-medium text-gray-900">{result.route.estimatedDuration} min</p>
+                    <p className="text-sm font-medium text-gray-900">{formatDuration(itinerary.durationMinutes)}</p>
                     <p className="text-xs text-gray-500">Duration</p>
                   </div>
                 </div>
                 <div className="flex items-center">
-                  <Bus className="h-5 w-5 text-gray-400 mr-2" />
+                  <Repeat className="h-5 w-5 text-gray-400 mr-2" />
                   <div>
-                    <p className="text-sm font-medium text-gray-900">{result.activeBuses}</p>
-                    <p className="text-xs text-gray-500">Active Buses</p>
+                    <p className="text-sm font-medium text-gray-900">{itinerary.transfers}</p>
+                    <p className="text-xs text-gray-500">Changes</p>
                   </div>
                 </div>
                 <div className="flex items-center">
-                  <Clock className="h-5 w-5 text-gray-400 mr-2" />
+                  <Footprints className="h-5 w-5 text-gray-400 mr-2" />
                   <div>
-                    <p className="text-sm font-medium text-gray-900">{result.frequency} min</p>
-                    <p className="text-xs text-gray-500">Frequency</p>
+                    <p className="text-sm font-medium text-gray-900">{itinerary.walkingMinutes} min</p>
+                    <p className="text-xs text-gray-500">Walking</p>
                   </div>
                 </div>
               </div>
 
-              {/* Next Arrivals */}
-              <div className="border-t pt-4">
-                <h4 className="text-sm font-medium text-gray-900 mb-2">Next Arrivals</h4>
-                <div className="space-y-2">
-                  {result.nextPredictions.map((prediction, idx) => (
-                    <div key={idx} className="flex justify-between items-center p-2 bg-gray-50 rounded">
-                      <div className="flex items-center">
-                        <Bus className="h-4 w-4 text-gray-400 mr-2" />
-                        <span className="text-sm font-medium">
-                          {prediction.busId.busNumber} ({prediction.busId.busType})
-                        </span>
-                      </div>
-                      <span className="text-sm text-gray-600">
-                        {new Date(prediction.predictedArrivalTime).toLocaleTimeString()}
-                      </span>
-                    </div>
-                  ))}
-                </div>
-              </div>
-
-              <div className="mt-4 flex space-x-2">
-                <button className="flex-1 bg-primary-600 text-white py-2 px-4 rounded-md hover:bg-primary-700">Track Bus</button>
-                <button className="flex-1 border border-primary-600 text-primary-600 py-2 px-4 rounded-md hover:bg-primary-50">View Route Details</button>
+              <div className="border-t pt-4 space-y-3">
+                {itinerary.legs.map((leg, idx) => (
+                  <JourneyLeg key={idx} leg={leg} currency={itinerary.currency} onTrack={(busId) => navigate(`/tracking/${busId}`)} />
+                ))}
               </div>
             </div>
           ))}
@@ -193,12 +376,16 @@ const BusSearch = () => {
       )}
 
       {/* No Results */}
-      {searchResults.length === 0 && !loading && (
+      {itineraries.length === 0 && !loading && (
         <div className="bg-white rounded-lg shadow p-6 text-center py-12">
           <Search className="h-12 w-12 text-gray-400 mx-auto mb-4" />
-          <h3 className="text-lg font-medium text-gray-900 mb-2">No buses found</h3>
+          <h3 className="text-lg font-medium text-gray-900 mb-2">
+            {searched ? 'No journeys found' : 'Where are you going?'}
+          </h3>
           <p className="text-gray-600">
-            Try adjusting your search criteria or check back later.
+            {searched
+              ? 'Try other stops, allow more changes or leave at another time.'
+              : 'Enter where you are starting from and where you want to go.'}
           </p>
         </div>
       )}
@@ -206,4 +393,4 @@ const BusSearch = () => {
   )
 }
 
-export default BusSearch 
\ No newline at end of file
+export default BusSearch
@@ -1,81 +1,175 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import { useParams } from 'react-router-dom'
-import { MapPin, Clock, Gauge, Navigation } from 'lucide-react'
+import { useQuery, useMutation } from 'react-query'
+import { Marker, Tooltip, useMap } from 'react-leaflet'
+import L from 'leaflet'
+import { MapPin, Clock, Gauge, Navigation, Crosshair, Bell, BellRing } from 'lucide-react'
+import toast from 'react-hot-toast'
+import { useAuth } from '../contexts/AuthContext'
+import { getBusLocation, trackBus } from '../services/api'
+import { connectSocket } from '../services/socket'
+import RouteMap from '../components/RouteMap'
+import TrackReplay from '../components/TrackReplay'
+import CrowdingBadge from '../components/CrowdingBadge'
+
+const STALE_AFTER_MS = 2 * 60 * 1000 // no update for this long and the position is shown as stale
+const NOTIFY_LEAD_MINUTES = 5
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW']
+
+const toCompass = (degrees) => COMPASS_POINTS[Math.round(((degrees % 360) + 360) % 360 / 45) % 8]
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+// Arrow pointing the way the bus is heading
+const busIcon = (direction, stale) => L.divIcon({
+  className: '',
+  iconSize: [32, 32],
+  iconAnchor: [16, 16],
+  html: `<div style="transform: rotate(${direction || 0}deg); width: 32px; height: 32px;">
+    <svg viewBox="0 0 32 32" width="32" height="32">
+      <circle cx="16" cy="16" r="11" fill="${stale ? '#9ca3af' : '#2563eb'}" stroke="#ffffff" stroke-width="3" />
+      <path d="M16 6 L21 17 L16 14 L11 17 Z" fill="#ffffff" />
+    </svg>
+  </div>`
+})
+
+const FollowBus = ({ position }) => {
+  const map = useMap()
+
+  useEffect(() => {
+    map.panTo(position)
+  }, [map, position])
+
+  return null
+}
 
 const BusTracking = () => {
   const { busId } = useParams()
-  const [busData, setBusData] = useState(null)
-  const [loading, setLoading] = useState(true)
+  const { user } = useAuth()
+  const [live, setLive] = useState(null)
+  const [etas, setEtas] = useState([])
+  const [servedStops, setServedStops] = useState([])
+  const [connected, setConnected] = useState(false)
+  const [follow, setFollow] = useState(true)
+  const [now, setNow] = useState(Date.now())
+
+  const { data, isLoading, error } = useQuery(
+    ['busLocation', busId],
+    () => getBusLocation(busId),
+    { retry: false, refetchOnWindowFocus: false }
+  )
 
+  const bus = data?.data?.bus
+
+  // Live updates for this bus over the socket. Rooms don't survive a
+  // reconnect, so the room is joined again on every connect.
   useEffect(() => {
-    // Mock bus data for demonstration
-    const mockBusData = {
-      _id: busId,
-      busNumber: busId.startsWith('bus-') ? `B${busId.replace('bus-', '')}` : busId,
-      busType: 'AC',
-      capacity: 50,
-      currentCapacity: 25,
-      availableSeats: 25,
-      status: 'on_trip',
-      currentLocation: {
-        coordinates: [77.2090, 28.6139], // Delhi coordinates
-        address: 'Connaught Place, New Delhi'
-      },
-      speed: 35,
-      direction: 180,
-      lastLocationUpdate: new Date(),
-      currentRoute: {
-        routeNumber: busId.startsWith('bus-') ? `R${busId.replace('bus-', '')}` : 'R101',
-        routeName: getRouteName(busId),
-        stops: getRouteStops(busId)
-      },
-      currentDriver: {
-        firstName: 'John',
-        lastName: 'Doe',
-        phone: '+91 98765 43210'
-      }
+    if (!user) return undefined
+    const socket = connectSocket(user.role)
+
+    const joinRoom = () => {
+      socket.emit('join-bus-track', busId, (response) => {
+        setConnected(response.ok)
+        if (!response.ok) toast.error(response.message)
+      })
     }
+    const handleDisconnect = () => setConnected(false)
 
-    setTimeout(() => {
-      setBusData(mockBusData)
-      setLoading(false)
-    }, 1000)
-  }, [busId])
-
-  // Helper functions to get route data based on bus ID
-  const getRouteName = (busId) => {
-    const routeMap = {
-      'bus-1': 'Central to Airport',
-      'bus-2': 'Downtown Loop',
-      'bus-3': 'University Express'
+    const handleLocation = (update) => {
+      if (String(update.busId) !== busId) return
+      setLive({
+        location: update.location,
+        speed: update.speed,
+        direction: update.direction,
+        lastUpdate: update.lastUpdate,
+        occupancy: update.occupancy
+      })
     }
-    return routeMap[busId] || 'Unknown Route'
-  }
 
-  const getRouteStops = (busId) => {
-    const stopsMap = {
-      'bus-1': [
-        { name: 'Central Station', stopNumber: 1 },
-        { name: 'Connaught Place', stopNumber: 2 },
-        { name: 'Airport Terminal', stopNumber: 3 }
-      ],
-      'bus-2': [
-        { name: 'City Center', stopNumber: 1 },
-        { name: 'Shopping District', stopNumber: 2 },
-        { name: 'Business Park', stopNumber: 3 },
-        { name: 'Residential Area', stopNumber: 4 }
-      ],
-      'bus-3': [
-        { name: 'Student Center', stopNumber: 1 },
-        { name: 'Campus Main', stopNumber: 2 }
-      ]
+    const handleEtas = (update) => {
+      if (String(update.busId) === busId) setEtas(update.etas)
     }
-    return stopsMap[busId] || [
-      { name: 'Unknown Stop', stopNumber: 1 }
-    ]
-  }
 
-  if (loading) {
+    const handleArrival = (update) => {
+      if (String(update.busId) !== busId) return
+      setServedStops(current => [...current, update.stopNumber])
+      toast(`Arrived at ${update.stopName}`)
+    }
+
+    if (socket.connected) joinRoom()
+    socket.on('connect', joinRoom)
+    socket.on('disconnect', handleDisconnect)
+    socket.on('bus-location-update', handleLocation)
+    socket.on('bus-eta-update', handleEtas)
+    socket.on('bus-arrived-at-stop', handleArrival)
+
+    return () => {
+      socket.emit('leave-bus-track', busId)
+      socket.off('connect', joinRoom)
+      socket.off('disconnect', handleDisconnect)
+      socket.off('bus-location-update', handleLocation)
+      socket.off('bus-eta-update', handleEtas)
+      socket.off('bus-arrived-at-stop', handleArrival)
+    }
+  }, [busId, user])
+
+  // New service alerts for this bus's route, or for the whole network
+  const routeId = bus?.currentRoute?._id
+  useEffect(() => {
+    if (!user) return undefined
+    const socket = connectSocket(user.role)
+
+    const handleAlert = ({ action, alert }) => {
+      if (action !== 'created') return
+      const entities = alert.informedEntities || []
+      if (entities.length === 0 || entities.some(entity => String(entity.route) === routeId)) {
+        toast(alert.headerText)
+      }
+    }
+
+    socket.on('service-alert', handleAlert)
+    return () => socket.off('service-alert', handleAlert)
+  }, [routeId, user])
+
+  // Re-evaluate staleness even when no updates arrive
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 15000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const location = live?.location || bus?.currentLocation
+  const speed = live?.speed ?? bus?.speed
+  const direction = live?.direction ?? bus?.direction
+  const lastUpdate = live?.lastUpdate || bus?.lastLocationUpdate
+  const occupancy = live?.occupancy || bus?.occupancy
+  const stale = !lastUpdate || now - new Date(lastUpdate).getTime() > STALE_AFTER_MS
+
+  // Leaflet expects [lat, lng] while the API returns [lng, lat]
+  const position = useMemo(
+    () => location?.coordinates ? [location.coordinates[1], location.coordinates[0]] : null,
+    [location]
+  )
+
+  // Riders can ask to be told when the bus is a few minutes from a stop
+  const [alertStops, setAlertStops] = useState([])
+  const notifyMutation = useMutation(
+    (stopNumber) => trackBus(busId, { stopNumber, leadMinutes: NOTIFY_LEAD_MINUTES }),
+    {
+      onSuccess: (response, stopNumber) => {
+        setAlertStops(current => [...current, stopNumber])
+        toast.success(response.data.message)
+      },
+      onError: (error) => toast.error(error.response?.data?.message || 'Could not set up the alert')
+    }
+  )
+
+  const etaByStop = useMemo(
+    () => new Map(etas.map(eta => [eta.stopNumber, eta])),
+    [etas]
+  )
+
+  if (isLoading) {
     return (
       <div className="flex items-center justify-center h-64">
         <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
@@ -83,15 +177,20 @@ const BusTracking = () => {
     )
   }
 
-  if (!busData) {
+  if (error || !bus) {
     return (
       <div className="card text-center py-12">
-        <h3 className="text-lg font-medium text-gray-900 mb-2">Bus not found</h3>
-        <p className="text-gray-600">The requested bus could not be found or is offline.</p>
+        <h3 className="text-lg font-medium text-gray-900 mb-2">Bus unavailable</h3>
+        <p className="text-gray-600">
+          {error?.response?.data?.message || 'The requested bus could not be found or is offline.'}
+        </p>
       </div>
     )
   }
 
+  const route = bus.currentRoute
+  const stops = [...(route?.stops || [])].sort((a, b) => a.stopNumber - b.stopNumber)
+
   return (
     <div className="p-6 space-y-6">
       {/* Bus Header */}
@@ -99,17 +198,22 @@ const BusTracking = () => {
         <div className="flex justify-between items-start">
           <div>
             <h1 className="text-2xl font-bold text-gray-900">
-              Bus {busData.busNumber} Tracking
+              Bus {bus.busNumber} Tracking
             </h1>
-            <p className="text-gray-600">{busData.currentRoute.routeName}</p>
+            <p className="text-gray-600">
+              {route ? `${route.routeNumber} - ${route.routeName}` : 'Not assigned to a route'}
+            </p>
           </div>
-          <div className="text-right">
+          <div className="text-right space-y-2">
             <div className={`px-3 py-1 rounded-full text-sm font-medium ${
-              busData.status === 'on_trip' 
-                ? 'bg-green-100 text-green-800' 
+              bus.status === 'on_trip'
+                ? 'bg-green-100 text-green-800'
                 : 'bg-gray-100 text-gray-800'
             }`}>
-              {busData.status === 'on_trip' ? 'On Trip' : 'Offline'}
+              {bus.status === 'on_trip' ? 'On Trip' : bus.status}
+            </div>
+            <div className={`text-xs ${connected ? 'text-green-600' : 'text-gray-500'}`}>
+              {connected ? 'Live' : 'Not receiving live updates'}
             </div>
           </div>
         </div>
@@ -122,7 +226,9 @@ const BusTracking = () => {
             <MapPin className="h-8 w-8 text-primary-600 mr-3" />
             <div>
               <h3 className="text-lg font-semibold text-gray-900">Current Location</h3>
-              <p className="text-sm text-gray-600">{busData.currentLocation.address}</p>
+              <p className="text-sm text-gray-600">
+                {location?.address || (position ? `${position[0].toFixed(5)}, ${position[1].toFixed(5)}` : 'Unknown')}
+              </p>
             </div>
           </div>
         </div>
@@ -132,7 +238,7 @@ const BusTracking = () => {
             <Gauge className="h-8 w-8 text-green-600 mr-3" />
             <div>
               <h3 className="text-lg font-semibold text-gray-900">Speed</h3>
-              <p className="text-sm text-gray-600">{busData.speed} km/h</p>
+              <p className="text-sm text-gray-600">{Math.round(speed || 0)} km/h</p>
             </div>
           </div>
         </div>
@@ -142,36 +248,54 @@ const BusTracking = () => {
             <Navigation className="h-8 w-8 text-blue-600 mr-3" />
             <div>
               <h3 className="text-lg font-semibold text-gray-900">Direction</h3>
-              <p className="text-sm text-gray-600">{busData.direction}°</p>
+              <p className="text-sm text-gray-600">{Math.round(direction || 0)}° {toCompass(direction || 0)}</p>
             </div>
           </div>
         </div>
 
         <div className="bg-white rounded-lg shadow p-6">
           <div className="flex items-center">
-            <Clock className="h-8 w-8 text-yellow-600 mr-3" />
+            <Clock className={`h-8 w-8 mr-3 ${stale ? 'text-red-500' : 'text-yellow-600'}`} />
             <div>
               <h3 className="text-lg font-semibold text-gray-900">Last Update</h3>
               <p className="text-sm text-gray-600">
-                {new Date(busData.lastLocationUpdate).toLocaleTimeString()}
+                {lastUpdate ? new Date(lastUpdate).toLocaleTimeString() : 'Never'}
+                {stale && lastUpdate && ' (stale)'}
               </p>
             </div>
           </div>
         </div>
       </div>
 
-      {/* Map Placeholder */}
+      {/* Live Map */}
       <div className="bg-white rounded-lg shadow p-6">
-        <h2 className="text-xl font-semibold text-gray-900 mb-4">Live Location</h2>
-        <div className="bg-gray-100 rounded-lg h-96 flex items-center justify-center">
-          <div className="text-center">
-            <MapPin className="h-16 w-16 text-gray-400 mx-auto mb-4" />
-            <p className="text-gray-600">Map integration coming soon</p>
-            <p className="text-sm text-gray-500">
-              Coordinates: {busData.currentLocation.coordinates[0]}, {busData.currentLocation.coordinates[1]}
-            </p>
-          </div>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Live Location</h2>
+          <button
+            onClick={() => setFollow(!follow)}
+            className={`btn btn-secondary flex items-center space-x-2 ${follow ? 'ring-2 ring-primary-500' : ''}`}
+          >
+            <Crosshair className="h-4 w-4" />
+            <span>{follow ? 'Following bus' : 'Follow bus'}</span>
+          </button>
         </div>
+        {position ? (
+          <RouteMap
+            route={route}
+            center={position}
+            className="h-96"
+            stopColor={(stop) => servedStops.includes(stop.stopNumber) ? '#9ca3af' : '#1e3a8a'}
+          >
+            <Marker position={position} icon={busIcon(direction, stale)}>
+              <Tooltip>Bus {bus.busNumber}</Tooltip>
+            </Marker>
+            {follow && <FollowBus position={position} />}
+          </RouteMap>
+        ) : (
+          <div className="bg-gray-100 rounded-lg h-96 flex items-center justify-center">
+            <p className="text-gray-600">No position reported yet</p>
+          </div>
+        )}
       </div>
 
       {/* Route Information */}
@@ -181,56 +305,96 @@ const BusTracking = () => {
           <div className="space-y-3">
             <div className="flex justify-between">
               <span className="text-gray-600">Route Number:</span>
-              <span className="font-medium">{busData.currentRoute.routeNumber}</span>
+              <span className="font-medium">{route?.routeNumber || '-'}</span>
             </div>
             <div className="flex justify-between">
               <span className="text-gray-600">Route Name:</span>
-              <span className="font-medium">{busData.currentRoute.routeName}</span>
+              <span className="font-medium">{route?.routeName || '-'}</span>
             </div>
             <div className="flex justify-between">
               <span className="text-gray-600">Current Capacity:</span>
-              <span className="font-medium">{busData.currentCapacity}/{busData.capacity}</span>
+              <span className="font-medium">{occupancy?.onBoard ?? bus.currentCapacity}/{bus.capacity}</span>
             </div>
             <div className="flex justify-between">
               <span className="text-gray-600">Available Seats:</span>
-              <span className="font-medium">{busData.availableSeats}</span>
+              <span className="font-medium">{occupancy ? occupancy.capacity - occupancy.onBoard : bus.availableSeats}</span>
             </div>
+            {occupancy && (
+              <div className="flex justify-between">
+                <span className="text-gray-600">Crowding:</span>
+                <CrowdingBadge level={occupancy.level} title={`${occupancy.loadPercent}% full`} />
+              </div>
+            )}
           </div>
         </div>
 
         <div className="bg-white rounded-lg shadow p-6">
           <h2 className="text-xl font-semibold text-gray-900 mb-4">Driver Information</h2>
-          <div className="space-y-3">
-            <div className="flex justify-between">
-              <span className="text-gray-600">Driver Name:</span>
-              <span className="font-medium">
-                {busData.currentDriver.firstName} {busData.currentDriver.lastName}
-              </span>
-            </div>
-            <div className="flex justify-between">
-              <span className="text-gray-600">Contact:</span>
-              <span className="font-medium">{busData.currentDriver.phone}</span>
+          {bus.currentDriver ? (
+            <div className="space-y-3">
+              <div className="flex justify-between">
+                <span className="text-gray-600">Driver Name:</span>
+                <span className="font-medium">
+                  {bus.currentDriver.firstName} {bus.currentDriver.lastName}
+                </span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Contact:</span>
+                <span className="font-medium">{bus.currentDriver.phone}</span>
+              </div>
             </div>
-          </div>
+          ) : (
+            <p className="text-sm text-gray-500">No driver assigned</p>
+          )}
         </div>
       </div>
 
       {/* Route Stops */}
-      <div className="bg-white rounded-lg shadow p-6">
-        <h2 className="text-xl font-semibold text-gray-900 mb-4">Route Stops</h2>
-        <div className="space-y-2">
-          {busData.currentRoute.stops.map((stop, index) => (
-            <div key={index} className="flex items-center p-3 bg-gray-50 rounded-lg">
-              <div className="w-8 h-8 bg-primary-100 rounded-full flex items-center justify-center mr-3">
-                <span className="text-sm font-medium text-primary-600">{stop.stopNumber}</span>
-              </div>
-              <span className="text-sm font-medium text-gray-900">{stop.name}</span>
-            </div>
-          ))}
+      {stops.length > 0 && (
+        <div className="bg-white rounded-lg shadow p-6">
+          <h2 className="text-xl font-semibold text-gray-900 mb-4">Route Stops</h2>
+          <div className="space-y-2">
+            {stops.map(stop => {
+              const eta = etaByStop.get(stop.stopNumber)
+              const served = servedStops.includes(stop.stopNumber)
+              return (
+                <div key={stop.stopNumber} className="flex items-center p-3 bg-gray-50 rounded-lg">
+                  <div className="w-8 h-8 bg-primary-100 rounded-full flex items-center justify-center mr-3">
+                    <span className="text-sm font-medium text-primary-600">{stop.stopNumber}</span>
+                  </div>
+                  <span className={`flex-1 text-sm font-medium ${served ? 'text-gray-400' : 'text-gray-900'}`}>
+                    {stop.name}
+                  </span>
+                  {eta && !served && (
+                    <span className="text-sm text-gray-600">ETA {formatTime(eta.predictedArrivalTime)}</span>
+                  )}
+                  {user?.role === 'user' && bus.status === 'on_trip' && !served && (
+                    alertStops.includes(stop.stopNumber) ? (
+                      <span className="ml-3 p-1 text-primary-600" title="You'll be alerted">
+                        <BellRing className="h-4 w-4" />
+                      </span>
+                    ) : (
+                      <button
+                        onClick={() => notifyMutation.mutate(stop.stopNumber)}
+                        disabled={notifyMutation.isLoading}
+                        className="ml-3 p-1 text-gray-400 hover:text-primary-600 disabled:opacity-50"
+                        title={`Notify me ${NOTIFY_LEAD_MINUTES} min before the bus gets here`}
+                      >
+                        <Bell className="h-4 w-4" />
+                      </button>
+                    )
+                  )}
+                </div>
+              )
+            })}
+          </div>
         </div>
-      </div>
+      )}
+
+      {/* Replay of the recorded track, for operations staff */}
+      {user?.role === 'admin' && <TrackReplay busId={busId} />}
     </div>
   )
 }
 
-export default BusTracking 
\ No newline at end of file
+export default BusTracking
@@ -0,0 +1,177 @@
+import { useState, useEffect, useRef } from 'react'
+import { useParams } from 'react-router-dom'
+import { useQuery } from 'react-query'
+import { AlertTriangle, Accessibility, Wifi, WifiOff } from 'lucide-react'
+import { getStopDepartures } from '../services/api'
+import { connectSocket } from '../services/socket'
+
+const MIN_REFRESH_INTERVAL_MS = 10000 // at most one refresh this often from socket events
+const POLL_INTERVAL_MS = 60000
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+const formatDue = (expectedTime, now) => {
+  const minutes = Math.max(0, Math.round((new Date(expectedTime).getTime() - now) / 60000))
+  if (minutes === 0) return 'Due'
+  if (minutes > 60) return formatTime(expectedTime)
+  return `${minutes} min`
+}
+
+const formatStatus = (departure) => {
+  if (departure.status === 'scheduled') return 'Scheduled'
+  if (departure.delayMinutes === null) return 'Live'
+  if (departure.delayMinutes > 1) return `${departure.delayMinutes} min late`
+  if (departure.delayMinutes < -1) return `${-departure.delayMinutes} min early`
+  return 'On time'
+}
+
+// Full-screen board of the next departures from one stop, for kiosks and
+// station screens. Needs no login; refreshes when a bus serving the stop
+// reports new times and once a minute regardless.
+const DepartureBoard = () => {
+  const { stopCode } = useParams()
+  const [now, setNow] = useState(Date.now())
+  const [connected, setConnected] = useState(false)
+  const lastRefresh = useRef(0)
+  const refreshTimer = useRef(null)
+
+  const { data, isLoading, error, refetch } = useQuery(
+    ['stopDepartures', stopCode],
+    () => getStopDepartures(stopCode, { limit: 12 }),
+    {
+      refetchInterval: POLL_INTERVAL_MS,
+      retry: false,
+      onSuccess: () => {
+        lastRefresh.current = Date.now()
+      }
+    }
+  )
+
+  const board = data?.data
+
+  useEffect(() => {
+    const socket = connectSocket('board')
+
+    const watchStop = () => {
+      socket.emit('watch-stop', stopCode, (response) => setConnected(response.ok))
+    }
+    const handleDisconnect = () => setConnected(false)
+
+    // Every bus update for the stop triggers this, so refreshes are spaced out
+    const scheduleRefresh = () => {
+      if (refreshTimer.current) return
+      const wait = Math.max(0, lastRefresh.current + MIN_REFRESH_INTERVAL_MS - Date.now())
+      refreshTimer.current = setTimeout(() => {
+        refreshTimer.current = null
+        refetch()
+      }, wait)
+    }
+
+    if (socket.connected) watchStop()
+    socket.on('connect', watchStop)
+    socket.on('disconnect', handleDisconnect)
+    socket.on('stop-departures-changed', scheduleRefresh)
+    socket.on('service-alert', scheduleRefresh)
+
+    return () => {
+      socket.emit('unwatch-stop', stopCode)
+      socket.off('connect', watchStop)
+      socket.off('disconnect', handleDisconnect)
+      socket.off('stop-departures-changed', scheduleRefresh)
+      socket.off('service-alert', scheduleRefresh)
+      clearTimeout(refreshTimer.current)
+      refreshTimer.current = null
+    }
+  }, [stopCode, refetch])
+
+  // Count down between refreshes
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 15000)
+    return () => clearInterval(timer)
+  }, [])
+
+  if (isLoading) {
+    return (
+      <div className="min-h-screen bg-gray-900 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-yellow-400"></div>
+      </div>
+    )
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-900 flex items-center justify-center text-gray-300 text-2xl">
+        {error.response?.status === 404 ? `Stop ${stopCode} not found` : 'Departures are unavailable'}
+      </div>
+    )
+  }
+
+  const departures = board.departures.filter(departure => new Date(departure.expectedTime).getTime() >= now - 60000)
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white p-8">
+      <div className="flex items-start justify-between mb-8">
+        <div>
+          <h1 className="text-4xl font-bold flex items-center">
+            {board.stop.name}
+            {board.stop.accessibility?.wheelchairBoarding === 'accessible' && (
+              <Accessibility className="h-8 w-8 ml-3 text-blue-400" aria-label="Wheelchair accessible" />
+            )}
+          </h1>
+          <p className="text-gray-400 text-lg mt-1">
+            Stop {board.stop.stopCode} · {board.routes.map(route => route.routeNumber).join(', ')}
+          </p>
+        </div>
+        <div className="text-right">
+          <p className="text-4xl font-mono text-yellow-400">{formatTime(now)}</p>
+          <p className="flex items-center justify-end text-sm text-gray-400 mt-1">
+            {connected ? <Wifi className="h-4 w-4 mr-1" /> : <WifiOff className="h-4 w-4 mr-1" />}
+            {connected ? 'Live' : 'Reconnecting'}
+          </p>
+        </div>
+      </div>
+
+      {board.alerts.map(alert => (
+        <div key={alert._id} className="flex items-start bg-yellow-500 text-gray-900 rounded-lg p-4 mb-4">
+          <AlertTriangle className="h-6 w-6 mr-3 flex-shrink-0" />
+          <div>
+            <p className="text-xl font-semibold">{alert.headerText}</p>
+            {alert.descriptionText && <p>{alert.descriptionText}</p>}
+          </div>
+        </div>
+      ))}
+
+      {departures.length === 0 ? (
+        <p className="text-2xl text-gray-400 text-center py-16">No departures in the next two hours</p>
+      ) : (
+        <table className="w-full text-2xl">
+          <thead>
+            <tr className="text-left text-gray-400 text-base uppercase border-b border-gray-700">
+              <th className="py-3 w-32">Route</th>
+              <th className="py-3">Destination</th>
+              <th className="py-3 w-48">Status</th>
+              <th className="py-3 w-32 text-right">Due</th>
+            </tr>
+          </thead>
+          <tbody>
+            {departures.map(departure => (
+              <tr
+                key={`${departure.route._id}-${departure.stopNumber}-${departure.tripId || departure.plannedTime}`}
+                className="border-b border-gray-800"
+              >
+                <td className="py-4 font-bold text-yellow-400">{departure.route.routeNumber}</td>
+                <td className="py-4">{departure.headsign}</td>
+                <td className={`py-4 text-lg ${departure.status === 'live' ? 'text-green-400' : 'text-gray-400'}`}>
+                  {formatStatus(departure)}
+                </td>
+                <td className="py-4 text-right font-mono">{formatDue(departure.expectedTime, now)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+export default DepartureBoard
@@ -18,6 +18,10 @@ import {
   startTrip, 
   endTrip 
 } from '../services/api'
+import { connectSocket } from '../services/socket'
+import RouteTimetable from '../components/RouteTimetable'
+import TicketValidator from '../components/TicketValidator'
+import PassengerCounter from '../components/PassengerCounter'
 
 const DriverDashboard = () => {
   const [location, setLocation] = useState({ latitude: 0, longitude: 0 })
@@ -87,6 +91,35 @@ const DriverDashboard = () => {
     }
   }
 
+  // Share every GPS fix over the driver socket while tracking is on
+  useEffect(() => {
+    if (!isTracking || !navigator.geolocation) return undefined
+
+    const socket = connectSocket('driver')
+    const watchId = navigator.geolocation.watchPosition(
+      (position) => {
+        const { latitude, longitude, speed, heading } = position.coords
+        setLocation({ latitude, longitude })
+
+        const fix = { latitude, longitude }
+        // The browser reports m/s and no heading while standing still
+        if (speed !== null) fix.speed = Math.min(speed * 3.6, 120)
+        if (heading !== null && !Number.isNaN(heading)) fix.direction = heading
+
+        socket.emit('location', fix, (response) => {
+          if (!response.ok) console.error('Location update rejected:', response.errors || response.message)
+        })
+      },
+      (error) => {
+        console.error('Error watching location:', error)
+        setIsTracking(false)
+      },
+      { enableHighAccuracy: true }
+    )
+
+    return () => navigator.geolocation.clearWatch(watchId)
+  }, [isTracking])
+
   const handleUpdateLocation = () => {
     updateLocationMutation.mutate({
       latitude: location.latitude,
@@ -164,6 +197,16 @@ const DriverDashboard = () => {
               >
                 {updateLocationMutation.isLoading ? 'Updating...' : 'Update Location'}
               </button>
+              <button
+                onClick={() => setIsTracking(!isTracking)}
+                className={`w-full py-2 px-4 rounded-md border ${
+                  isTracking
+                    ? 'border-red-600 text-red-600 hover:bg-red-50'
+                    : 'border-primary-600 text-primary-600 hover:bg-primary-50'
+                }`}
+              >
+                {isTracking ? 'Stop Sharing Live Location' : 'Share Live Location'}
+              </button>
             </div>
           </div>
         </div>
@@ -250,6 +293,21 @@ const DriverDashboard = () => {
                   </div>
                 </div>
 
+                {/* Planned Trips */}
+                {currentTrip.route?._id && (
+                  <RouteTimetable routeId={currentTrip.route._id} />
+                )}
+
+                {/* Ticket Validation */}
+                {currentTrip.data?.trip?.status === 'in_progress' && (
+                  <TicketValidator trip={currentTrip.data.trip} />
+                )}
+
+                {/* Passenger Counts */}
+                {currentTrip.data?.trip?.status === 'in_progress' && (
+                  <PassengerCounter />
+                )}
+
                 {/* Trip Actions */}
                 <div className="flex space-x-4">
                   {currentTrip.status === 'pending' && (
@@ -0,0 +1,373 @@
+import { useState, useEffect } from 'react'
+import { useQuery, useMutation, useQueryClient } from 'react-query'
+import { Armchair, Calendar, Clock, CheckCircle, X } from 'lucide-react'
+import toast from 'react-hot-toast'
+import {
+  getReservableRoutes,
+  getReservableTrips,
+  getTripSeats,
+  holdSeat,
+  confirmReservation,
+  cancelReservation,
+  getMyReservations
+} from '../services/api'
+import SeatMap from '../components/SeatMap'
+
+const STATE_STYLES = {
+  held: 'bg-yellow-100 text-yellow-800',
+  confirmed: 'bg-green-100 text-green-800',
+  cancelled: 'bg-gray-100 text-gray-700',
+  expired: 'bg-gray-100 text-gray-700'
+}
+
+const formatTime = (value) => new Date(value).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+const formatDateTime = (value) => new Date(value).toLocaleString([], {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+})
+
+const toDateKey = (date) => {
+  const pad = (value) => String(value).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+// Minutes and seconds left on a seat hold, ticking down
+const HoldTimer = ({ expiresAt }) => {
+  const [now, setNow] = useState(Date.now())
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const seconds = Math.max(0, Math.round((new Date(expiresAt).getTime() - now) / 1000))
+  return (
+    <span className="flex items-center">
+      <Clock className="h-3 w-3 mr-1" />
+      {seconds > 0
+        ? `Held for ${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+        : 'Hold expired'}
+    </span>
+  )
+}
+
+const ReservationRow = ({ reservation, onConfirm, onCancel, busy }) => {
+  const upcoming = new Date(reservation.boardAt) > new Date()
+
+  return (
+    <div className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+      <div className="flex items-center">
+        <Armchair className="h-6 w-6 text-primary-600 mr-3" />
+        <div>
+          <p className="font-medium text-gray-900">
+            Seat {reservation.seatLabel} · Route {reservation.route?.routeNumber}
+          </p>
+          <p className="text-sm text-gray-500 flex items-center">
+            <Calendar className="h-3 w-3 mr-1" />
+            Stop {reservation.fromStopNumber} at {formatDateTime(reservation.boardAt)} to stop {reservation.toStopNumber} at {formatTime(reservation.arriveAt)}
+          </p>
+          {reservation.state === 'held' && (
+            <p className="text-sm text-yellow-700">
+              <HoldTimer expiresAt={reservation.holdExpiresAt} />
+            </p>
+          )}
+        </div>
+      </div>
+      <div className="flex items-center space-x-3">
+        <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATE_STYLES[reservation.state]}`}>
+          {reservation.state}
+        </span>
+        {reservation.state === 'held' && (
+          <button
+            onClick={() => onConfirm(reservation)}
+            disabled={busy}
+            className="btn btn-primary flex items-center text-sm"
+          >
+            <CheckCircle className="h-4 w-4 mr-1" />
+            Confirm
+          </button>
+        )}
+        {['held', 'confirmed'].includes(reservation.state) && upcoming && (
+          <button
+            onClick={() => onCancel(reservation)}
+            disabled={busy}
+            className="btn btn-secondary flex items-center text-sm"
+          >
+            <X className="h-4 w-4 mr-1" />
+            Cancel
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+const Reservations = () => {
+  const queryClient = useQueryClient()
+  const [routeId, setRouteId] = useState('')
+  const [fromStopNumber, setFromStopNumber] = useState('')
+  const [toStopNumber, setToStopNumber] = useState('')
+  const [date, setDate] = useState(toDateKey(new Date()))
+  const [departureTime, setDepartureTime] = useState('')
+  const [seatLabel, setSeatLabel] = useState('')
+
+  const stretch = { routeId, fromStopNumber: Number(fromStopNumber), toStopNumber: Number(toStopNumber) }
+  const stretchChosen = Boolean(routeId && fromStopNumber && toStopNumber)
+
+  const { data: routesData } = useQuery('reservableRoutes', getReservableRoutes, { staleTime: 10 * 60 * 1000 })
+  const { data: tripsData, isLoading: tripsLoading } = useQuery(
+    ['reservableTrips', stretch, date],
+    () => getReservableTrips({ ...stretch, date }),
+    { enabled: stretchChosen, refetchInterval: 60000 }
+  )
+  const { data: seatsData } = useQuery(
+    ['tripSeats', stretch, departureTime],
+    () => getTripSeats({ ...stretch, departureTime }),
+    { enabled: stretchChosen && Boolean(departureTime), refetchInterval: 15000 }
+  )
+  const { data: reservationsData, isLoading: reservationsLoading } = useQuery('reservations', getMyReservations, {
+    refetchInterval: 30000 // holds expire while the page is open
+  })
+
+  const routes = routesData?.data.routes || []
+  const route = routes.find(candidate => candidate._id === routeId)
+  const stops = route ? [...route.stops].sort((a, b) => a.stopNumber - b.stopNumber) : []
+  const trips = stretchChosen ? tripsData?.data.trips || [] : []
+  const seating = departureTime ? seatsData?.data : null
+
+  const reservations = reservationsData?.data.reservations || []
+  const currentReservations = reservations.filter(reservation =>
+    ['held', 'confirmed'].includes(reservation.state) && new Date(reservation.arriveAt) > new Date())
+  const pastReservations = reservations.filter(reservation => !currentReservations.includes(reservation))
+
+  const refresh = () => {
+    queryClient.invalidateQueries('reservations')
+    queryClient.invalidateQueries('reservableTrips')
+    queryClient.invalidateQueries('tripSeats')
+  }
+
+  const showError = (fallback) => (error) => {
+    toast.error(error.response?.data?.message || fallback)
+    refresh()
+  }
+
+  const holdMutation = useMutation(holdSeat, {
+    onSuccess: (response) => {
+      toast.success(`Seat ${response.data.reservation.seatLabel} is held, confirm it to keep it`)
+      setSeatLabel('')
+      refresh()
+    },
+    onError: showError('Could not hold the seat')
+  })
+
+  const confirmMutation = useMutation((reservation) => confirmReservation(reservation._id), {
+    onSuccess: (response) => {
+      toast.success(response.data.message)
+      refresh()
+    },
+    onError: showError('Could not confirm the seat')
+  })
+
+  const cancelMutation = useMutation((reservation) => cancelReservation(reservation._id), {
+    onSuccess: () => {
+      toast.success('Reservation cancelled')
+      refresh()
+    },
+    onError: showError('Could not cancel the reservation')
+  })
+
+  const busy = holdMutation.isLoading || confirmMutation.isLoading || cancelMutation.isLoading
+
+  const handleHold = (anySeat) => {
+    holdMutation.mutate({
+      ...stretch,
+      departureTime,
+      seatLabel: anySeat ? undefined : seatLabel
+    })
+  }
+
+  const selectClass = 'mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-transparent'
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="bg-white rounded-lg shadow p-6">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Seat Reservations</h1>
+        <p className="text-gray-600">
+          Reserve a seat on premium, airport and intercity trips. A seat is held for a few minutes; confirm it to keep it.
+        </p>
+      </div>
+
+      {/* My Reservations */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">My Reservations</h2>
+        {reservationsLoading ? (
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+        ) : currentReservations.length === 0 ? (
+          <p className="text-gray-600">You have no upcoming reservations.</p>
+        ) : (
+          <div className="space-y-3">
+            {currentReservations.map(reservation => (
+              <ReservationRow
+                key={reservation._id}
+                reservation={reservation}
+                onConfirm={confirmMutation.mutate}
+                onCancel={cancelMutation.mutate}
+                busy={busy}
+              />
+            ))}
+          </div>
+        )}
+
+        {pastReservations.length > 0 && (
+          <details className="mt-4">
+            <summary className="text-sm text-gray-600 cursor-pointer">Past reservations ({pastReservations.length})</summary>
+            <div className="space-y-3 mt-3">
+              {pastReservations.map(reservation => (
+                <ReservationRow key={reservation._id} reservation={reservation} busy={busy} />
+              ))}
+            </div>
+          </details>
+        )}
+      </div>
+
+      {/* Reserve a Seat */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Reserve a Seat</h2>
+        {routes.length === 0 ? (
+          <p className="text-gray-600">No routes take seat reservations right now.</p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 text-sm text-gray-700">
+            <label className="block">
+              Route
+              <select
+                value={routeId}
+                onChange={(event) => {
+                  setRouteId(event.target.value)
+                  setFromStopNumber('')
+                  setToStopNumber('')
+                  setDepartureTime('')
+                }}
+                className={selectClass}
+              >
+                <option value="">Choose a route</option>
+                {routes.map(candidate => (
+                  <option key={candidate._id} value={candidate._id}>{candidate.routeNumber} · {candidate.routeName}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              From
+              <select
+                value={fromStopNumber}
+                onChange={(event) => {
+                  setFromStopNumber(event.target.value)
+                  setToStopNumber('')
+                  setDepartureTime('')
+                }}
+                disabled={!route}
+                className={selectClass}
+              >
+                <option value="">Stop</option>
+                {stops.slice(0, -1).map(stop => (
+                  <option key={stop.stopNumber} value={stop.stopNumber}>{stop.name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              To
+              <select
+                value={toStopNumber}
+                onChange={(event) => {
+                  setToStopNumber(event.target.value)
+                  setDepartureTime('')
+                }}
+                disabled={!fromStopNumber}
+                className={selectClass}
+              >
+                <option value="">Stop</option>
+                {stops.filter(stop => stop.stopNumber > Number(fromStopNumber)).map(stop => (
+                  <option key={stop.stopNumber} value={stop.stopNumber}>{stop.name}</option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              Date
+              <input
+                type="date"
+                value={date}
+                min={toDateKey(new Date())}
+                onChange={(event) => {
+                  setDate(event.target.value)
+                  setDepartureTime('')
+                }}
+                className={selectClass}
+              />
+            </label>
+          </div>
+        )}
+
+        {stretchChosen && (
+          <div className="mt-6">
+            <h3 className="font-medium text-gray-900 mb-2">Trips</h3>
+            {tripsLoading ? (
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+            ) : trips.length === 0 ? (
+              <p className="text-gray-600 text-sm">No trips left to reserve on this day.</p>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {trips.map(trip => (
+                  <button
+                    key={trip.departureTime}
+                    onClick={() => {
+                      setDepartureTime(trip.departureTime)
+                      setSeatLabel('')
+                    }}
+                    disabled={trip.seatsLeft === 0}
+                    className={`px-3 py-2 rounded-md border text-sm disabled:opacity-50 ${
+                      trip.departureTime === departureTime
+                        ? 'border-primary-600 bg-primary-50 text-primary-700'
+                        : 'border-gray-300 text-gray-700 hover:border-primary-500'
+                    }`}
+                  >
+                    <span className="font-medium">{formatTime(trip.boardAt)}</span>
+                    <span className="block text-xs">{trip.seatsLeft === 0 ? 'Full' : `${trip.seatsLeft} of ${trip.totalSeats} seats`}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {seating && (
+          <div className="mt-6 flex flex-col md:flex-row md:space-x-6 space-y-4 md:space-y-0">
+            <SeatMap seats={seating.seats} selected={seatLabel} onSelect={setSeatLabel} />
+            <div className="text-sm text-gray-700 space-y-2">
+              <p className="font-medium text-gray-900">Bus {seating.bus.busNumber} · {seating.bus.busType}</p>
+              <p>{seating.trip.from.name} {formatTime(seating.trip.from.plannedTime)} → {seating.trip.to.name} {formatTime(seating.trip.to.plannedTime)}</p>
+              <p>{seating.seatsLeft} seats free on this stretch</p>
+              <p className="text-gray-500">Seats are held for {seating.holdMinutes} minutes before you confirm them.</p>
+              <div className="flex space-x-2 pt-2">
+                <button
+                  onClick={() => handleHold(false)}
+                  disabled={busy || !seatLabel}
+                  className="btn btn-primary"
+                >
+                  {seatLabel ? `Hold seat ${seatLabel}` : 'Pick a seat'}
+                </button>
+                <button
+                  onClick={() => handleHold(true)}
+                  disabled={busy || seating.seatsLeft === 0}
+                  className="btn btn-secondary"
+                >
+                  Any seat
+                </button>
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Reservations
@@ -10,7 +10,10 @@ import {
   Star,
   Navigation
 } from 'lucide-react'
+import toast from 'react-hot-toast'
 import { getRoutes, getFavoriteRoutes, addToFavorites, removeFromFavorites } from '../services/api'
+import RouteTimetable from '../components/RouteTimetable'
+import RouteMap from '../components/RouteMap'
 
 const RoutesList = () => {
   const [searchTerm, setSearchTerm] = useState('')
@@ -152,11 +155,15 @@ const RoutesList = () => {
     }
   }
 
-  const handleTrackBus = (routeId) => {
-    // For now, we'll use a mock bus ID since we don't have real bus data
-    // In a real implementation, you would get the bus ID associated with this route
-    const mockBusId = `bus-${routeId}`
-    navigate(`/tracking/${mockBusId}`)
+  // Track a bus running on the route, or any bus assigned to it
+  const handleTrackBus = (route) => {
+    const buses = route.assignedBuses || []
+    const bus = buses.find(b => b.status === 'on_trip') || buses[0]
+    if (!bus) {
+      toast.error('No bus is assigned to this route')
+      return
+    }
+    navigate(`/tracking/${bus._id}`)
   }
 
   const handleViewDetails = (route) => {
@@ -336,7 +343,7 @@ const RoutesList = () => {
                   View Details
                 </button>
                 <button 
-                  onClick={() => handleTrackBus(route._id)}
+                  onClick={() => handleTrackBus(route)}
                   className="flex-1 border border-primary-600 text-primary-600 py-2 px-4 rounded-md hover:bg-primary-50 transition-colors"
                 >
                   Track Bus
@@ -411,6 +418,11 @@ const RoutesList = () => {
                 </div>
               </div>
 
+              {/* Route Map */}
+              <div className="mb-6">
+                <RouteMap route={selectedRoute} />
+              </div>
+
               {/* Route Schedule */}
               {selectedRoute.schedule && (
                 <div className="mb-6">
@@ -458,18 +470,33 @@ const RoutesList = () => {
                             <p className="text-sm text-gray-600">{stop.address}</p>
                           )}
                         </div>
+                        {stop.stopCode && (
+                          <a
+                            href={`/board/${encodeURIComponent(stop.stopCode)}`}
+                            target="_blank"
+                            rel="noreferrer"
+                            className="text-sm text-primary-600 hover:text-primary-700"
+                          >
+                            Departures
+                          </a>
+                        )}
                       </div>
                     ))}
                   </div>
                 </div>
               )}
 
+              {/* Planned Trips */}
+              <div className="mb-6">
+                <RouteTimetable routeId={selectedRoute._id} />
+              </div>
+
               {/* Modal Actions */}
               <div className="flex space-x-3 pt-4 border-t">
                 <button
                   onClick={() => {
                     handleCloseModal()
-                    handleTrackBus(selectedRoute._id)
+                    handleTrackBus(selectedRoute)
                   }}
                   className="flex-1 bg-primary-600 text-white py-2 px-4 rounded-md hover:bg-primary-700 transition-colors"
                 >
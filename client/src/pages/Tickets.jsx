@@ -0,0 +1,349 @@
+import { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from 'react-query'
+import { Ticket, QrCode, Wallet, CreditCard, Calendar, X } from 'lucide-react'
+import { QRCodeSVG } from 'qrcode.react'
+import toast from 'react-hot-toast'
+import { getFareProducts, getMyTickets, purchaseTicket, getFareQuote, getRoutePage } from '../services/api'
+
+// In production the payment provider's client SDK supplies this token; the
+// fake provider used in development accepts any value
+const PAYMENT_METHOD = 'card'
+
+const TYPE_LABELS = {
+  single: 'Single ride',
+  day_pass: 'Day pass',
+  monthly_pass: 'Monthly pass'
+}
+
+const STATE_STYLES = {
+  valid: 'bg-green-100 text-green-800',
+  upcoming: 'bg-blue-100 text-blue-800',
+  used: 'bg-gray-100 text-gray-700',
+  expired: 'bg-gray-100 text-gray-700',
+  refunded: 'bg-red-100 text-red-800'
+}
+
+const formatPrice = (price, currency) => new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(price)
+
+const formatDateTime = (value) => new Date(value).toLocaleString([], {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+})
+
+const formatValidity = (minutes) => {
+  if (minutes % (24 * 60) === 0) {
+    const days = minutes / (24 * 60)
+    return `${days} day${days === 1 ? '' : 's'}`
+  }
+  if (minutes % 60 === 0) return `${minutes / 60} h`
+  return `${minutes} min`
+}
+
+// The journey a quote-priced ticket is for, and what the fare rules charge
+// for it
+const JourneyPicker = ({ product, journey, onChange }) => {
+  const { data: routesData } = useQuery('ticketRoutes', () => getRoutePage({ limit: 100 }), { staleTime: 10 * 60 * 1000 })
+
+  const allowed = product.routes.map(route => route._id)
+  const routes = (routesData?.data.routes || []).filter(route => allowed.length === 0 || allowed.includes(route._id))
+  const route = routes.find(candidate => candidate._id === journey.routeId)
+  const stops = route ? [...route.stops].sort((a, b) => a.stopNumber - b.stopNumber) : []
+
+  const selectClass = 'mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-transparent'
+
+  return (
+    <div className="space-y-2 mb-3 text-sm text-gray-700">
+      <label className="block">
+        Route
+        <select
+          value={journey.routeId}
+          onChange={(event) => onChange({ routeId: event.target.value, fromStopNumber: '', toStopNumber: '' })}
+          className={selectClass}
+        >
+          <option value="">Choose a route</option>
+          {routes.map(candidate => (
+            <option key={candidate._id} value={candidate._id}>{candidate.routeNumber} · {candidate.routeName}</option>
+          ))}
+        </select>
+      </label>
+      <div className="grid grid-cols-2 gap-2">
+        <label className="block">
+          From
+          <select
+            value={journey.fromStopNumber}
+            onChange={(event) => onChange({ ...journey, fromStopNumber: event.target.value, toStopNumber: '' })}
+            disabled={!route}
+            className={selectClass}
+          >
+            <option value="">Stop</option>
+            {stops.slice(0, -1).map(stop => (
+              <option key={stop.stopNumber} value={stop.stopNumber}>{stop.name}</option>
+            ))}
+          </select>
+        </label>
+        <label className="block">
+          To
+          <select
+            value={journey.toStopNumber}
+            onChange={(event) => onChange({ ...journey, toStopNumber: event.target.value })}
+            disabled={!journey.fromStopNumber}
+            className={selectClass}
+          >
+            <option value="">Stop</option>
+            {stops.filter(stop => stop.stopNumber > Number(journey.fromStopNumber)).map(stop => (
+              <option key={stop.stopNumber} value={stop.stopNumber}>{stop.name}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+    </div>
+  )
+}
+
+const ProductCard = ({ product, onBuy, buying }) => {
+  const [startDate, setStartDate] = useState('')
+  const [journey, setJourney] = useState({ routeId: '', fromStopNumber: '', toStopNumber: '' })
+  const isPass = product.type !== 'single'
+  const isQuoted = product.pricing === 'quote'
+  const journeyChosen = Boolean(journey.routeId && journey.fromStopNumber && journey.toStopNumber)
+
+  const legs = [{
+    routeId: journey.routeId,
+    fromStopNumber: Number(journey.fromStopNumber),
+    toStopNumber: Number(journey.toStopNumber)
+  }]
+
+  const { data: quoteData, isFetching: quoting } = useQuery(
+    ['fareQuote', product._id, journey],
+    () => getFareQuote({ legs, riderCategory: product.riderCategory }),
+    { enabled: isQuoted && journeyChosen }
+  )
+  const quote = journeyChosen ? quoteData?.data : null
+
+  const price = isQuoted ? quote?.total : product.price
+  const currency = isQuoted ? quote?.currency : product.currency
+
+  return (
+    <div className="bg-white rounded-lg shadow p-5 flex flex-col">
+      <div className="flex justify-between items-start mb-2">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">{product.name}</h3>
+          <p className="text-sm text-gray-500">
+            {TYPE_LABELS[product.type]}
+            {product.riderCategory === 'concession' && ' · Concession'}
+          </p>
+        </div>
+        <p className="text-xl font-bold text-primary-600">
+          {price !== undefined ? formatPrice(price, currency) : 'By journey'}
+        </p>
+      </div>
+
+      {product.description && <p className="text-sm text-gray-600 mb-2">{product.description}</p>}
+
+      <ul className="text-sm text-gray-600 space-y-1 mb-4 flex-1">
+        <li>Valid for {formatValidity(product.validityMinutes)}</li>
+        <li>{product.maxRides ? `${product.maxRides} ride${product.maxRides === 1 ? '' : 's'}` : 'Unlimited rides'}</li>
+        <li>
+          {product.routes.length > 0
+            ? `Routes ${product.routes.map(route => route.routeNumber).join(', ')}`
+            : 'All routes'}
+        </li>
+        {product.zones?.length > 0 && <li>Zones {product.zones.join(', ')}</li>}
+        {quote?.zones.length > 0 && <li>Zones {quote.zones.join(', ')}</li>}
+        {product.riderCategory === 'concession' && (
+          <li className="text-amber-700">Carry proof of your concession entitlement</li>
+        )}
+      </ul>
+
+      {isQuoted && <JourneyPicker product={product} journey={journey} onChange={setJourney} />}
+
+      {isPass && (
+        <label className="text-sm text-gray-700 mb-3">
+          Starts
+          <input
+            type="date"
+            value={startDate}
+            onChange={(event) => setStartDate(event.target.value)}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          />
+          <span className="text-xs text-gray-500">Leave empty to start now</span>
+        </label>
+      )}
+
+      <button
+        onClick={() => onBuy(product, startDate, isQuoted ? legs : undefined)}
+        disabled={buying || (isQuoted && !quote)}
+        className="w-full bg-primary-600 text-white py-2 px-4 rounded-md hover:bg-primary-700 disabled:opacity-50 flex items-center justify-center"
+      >
+        <CreditCard className="h-4 w-4 mr-2" />
+        {buying
+          ? 'Paying...'
+          : price !== undefined
+            ? `Pay ${formatPrice(price, currency)}`
+            : quoting ? 'Pricing...' : 'Choose your journey'}
+      </button>
+    </div>
+  )
+}
+
+const TicketRow = ({ ticket, onShow }) => (
+  <div className="flex items-center justify-between p-4 border border-gray-200 rounded-lg">
+    <div className="flex items-center">
+      <Ticket className="h-6 w-6 text-primary-600 mr-3" />
+      <div>
+        <p className="font-medium text-gray-900">{ticket.productName}</p>
+        <p className="text-sm text-gray-500 flex items-center">
+          <Calendar className="h-3 w-3 mr-1" />
+          {formatDateTime(ticket.validFrom)} – {formatDateTime(ticket.validUntil)}
+          {ticket.maxRides ? ` · ${Math.max(0, ticket.maxRides - ticket.ridesTaken)} of ${ticket.maxRides} rides left` : ''}
+        </p>
+      </div>
+    </div>
+    <div className="flex items-center space-x-3">
+      <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${STATE_STYLES[ticket.state]}`}>
+        {ticket.state}
+      </span>
+      {['valid', 'upcoming'].includes(ticket.state) && (
+        <button
+          onClick={() => onShow(ticket)}
+          className="btn btn-secondary flex items-center text-sm"
+        >
+          <QrCode className="h-4 w-4 mr-1" />
+          Show
+        </button>
+      )}
+    </div>
+  </div>
+)
+
+const Tickets = () => {
+  const queryClient = useQueryClient()
+  const [buyingId, setBuyingId] = useState(null)
+  const [shownTicket, setShownTicket] = useState(null)
+
+  const { data: productsData, isLoading: productsLoading } = useQuery('fareProducts', getFareProducts)
+  const { data: ticketsData, isLoading: ticketsLoading } = useQuery('tickets', getMyTickets, {
+    refetchInterval: 60000 // tickets expire and start while the page is open
+  })
+
+  const products = productsData?.data.products || []
+  const tickets = ticketsData?.data.tickets || []
+  const currentTickets = tickets.filter(ticket => ['valid', 'upcoming'].includes(ticket.state))
+  const pastTickets = tickets.filter(ticket => !['valid', 'upcoming'].includes(ticket.state))
+
+  const purchaseMutation = useMutation(purchaseTicket, {
+    onSuccess: (response) => {
+      queryClient.invalidateQueries('tickets')
+      toast.success('Ticket purchased')
+      setShownTicket(response.data.ticket)
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.message || 'Ticket purchase failed')
+    },
+    onSettled: () => setBuyingId(null)
+  })
+
+  const handleBuy = (product, startDate, journey) => {
+    setBuyingId(product._id)
+    purchaseMutation.mutate({
+      productId: product._id,
+      journey,
+      paymentMethod: PAYMENT_METHOD,
+      startAt: startDate ? new Date(`${startDate}T00:00`).toISOString() : undefined,
+      idempotencyKey: crypto.randomUUID()
+    })
+  }
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="bg-white rounded-lg shadow p-6">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Tickets</h1>
+        <p className="text-gray-600">
+          Buy tickets and passes here and show the QR code to the driver when you board.
+        </p>
+      </div>
+
+      {/* Wallet */}
+      <div className="bg-white rounded-lg shadow p-6">
+        <h2 className="text-xl font-semibold text-gray-900 mb-4 flex items-center">
+          <Wallet className="h-5 w-5 mr-2" />
+          My Tickets
+        </h2>
+        {ticketsLoading ? (
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+        ) : currentTickets.length === 0 ? (
+          <p className="text-gray-600">You have no tickets to use. Buy one below.</p>
+        ) : (
+          <div className="space-y-3">
+            {currentTickets.map(ticket => <TicketRow key={ticket._id} ticket={ticket} onShow={setShownTicket} />)}
+          </div>
+        )}
+
+        {pastTickets.length > 0 && (
+          <details className="mt-4">
+            <summary className="text-sm text-gray-600 cursor-pointer">Past tickets ({pastTickets.length})</summary>
+            <div className="space-y-3 mt-3">
+              {pastTickets.map(ticket => <TicketRow key={ticket._id} ticket={ticket} onShow={setShownTicket} />)}
+            </div>
+          </details>
+        )}
+      </div>
+
+      {/* Fare Products */}
+      <div>
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Buy a Ticket</h2>
+        {productsLoading ? (
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+        ) : products.length === 0 ? (
+          <div className="bg-white rounded-lg shadow p-6 text-gray-600">No tickets are on sale right now.</div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {products.map(product => (
+              <ProductCard
+                key={product._id}
+                product={product}
+                onBuy={handleBuy}
+                buying={buyingId === product._id}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Ticket QR Modal */}
+      {shownTicket && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg max-w-sm w-full p-6 text-center">
+            <div className="flex justify-between items-start mb-4">
+              <div className="text-left">
+                <h2 className="text-xl font-bold text-gray-900">{shownTicket.productName}</h2>
+                <p className="text-sm text-gray-500">
+                  {TYPE_LABELS[shownTicket.type]}
+                  {shownTicket.riderCategory === 'concession' && ' · Concession'}
+                </p>
+              </div>
+              <button onClick={() => setShownTicket(null)} className="text-gray-400 hover:text-gray-600">
+                <X className="h-6 w-6" />
+              </button>
+            </div>
+
+            <div className="flex justify-center p-4 bg-white">
+              <QRCodeSVG value={shownTicket.qrCode} size={240} level="M" includeMargin />
+            </div>
+
+            <p className="text-sm text-gray-600 mt-2">
+              Valid {formatDateTime(shownTicket.validFrom)} – {formatDateTime(shownTicket.validUntil)}
+            </p>
+            {shownTicket.maxRides && (
+              <p className="text-sm text-gray-600">
+                {Math.max(0, shownTicket.maxRides - shownTicket.ridesTaken)} of {shownTicket.maxRides} rides left
+              </p>
+            )}
+            <p className="text-xs text-gray-400 mt-2">Ticket {shownTicket._id}</p>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Tickets
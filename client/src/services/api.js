@@ -41,12 +41,17 @@ export const updateProfile = (data) => api.put('/auth/update-profile', data)
 
 // User API
 export const searchBus = (params) => api.get('/user/search-bus', { params })
+export const planJourney = (params) => api.get('/user/plan-journey', { params })
 export const getBusLocation = (busId) => api.get(`/user/bus-location/${busId}`)
-export const trackBus = (busId) => api.post(`/user/track-bus/${busId}`)
+export const trackBus = (busId, alert) => api.post(`/user/track-bus/${busId}`, alert)
 export const getRoutes = () => api.get('/user/routes')
+export const getRoutePage = (params) => api.get('/user/routes', { params })
 export const getFavoriteRoutes = () => api.get('/user/favorite-routes')
 export const addToFavorites = (routeId) => api.post(`/user/favorite-routes/${routeId}`)
 export const removeFromFavorites = (routeId) => api.delete(`/user/favorite-routes/${routeId}`)
+export const getRouteTimetable = (routeId, params) => api.get(`/route/${routeId}/timetable`, { params })
+export const updateRouteShape = (routeId, shape) => api.put(`/route/${routeId}/shape`, { shape })
+export const removeRouteShape = (routeId) => api.delete(`/route/${routeId}/shape`)
 
 // Driver API
 export const getDriverProfile = () => api.get('/driver/profile')
@@ -56,12 +61,22 @@ export const startTrip = (data) => api.post('/driver/start-trip', data)
 export const endTrip = (data) => api.post('/driver/end-trip', data)
 export const reportIssue = (issue) => api.post('/driver/report-issue', issue)
 export const updatePassengerCount = (count) => api.put('/driver/passenger-count', { count })
+export const getTripHistory = (params) => api.get('/driver/trip-history', { params })
+export const validateTicket = (code) => api.post('/driver/validate-ticket', { code })
+export const uploadBoardingScans = (scans) => api.post('/driver/boarding-scans', { scans })
+export const recordPassengerFlow = (counts) => api.post('/driver/passenger-flow', counts)
 
 // Admin API
 export const getAdminDashboard = () => api.get('/admin/dashboard')
 export const getDrivers = () => api.get('/admin/drivers')
 export const getBuses = () => api.get('/admin/buses')
 export const getRoutesAdmin = () => api.get('/admin/routes')
+export const getTrips = (params) => api.get('/admin/trips', { params })
+export const getTrip = (tripId) => api.get(`/admin/trips/${tripId}`)
+
+// Bus API
+export const getBusTrack = (busId, params) => api.get(`/bus/${busId}/track`, { params })
+export const setBusSeatMap = (busId, seatMap) => api.put(`/bus/${busId}/seat-map`, seatMap)
 export const createDriver = (driverData) => api.post('/admin/drivers', driverData)
 export const updateDriver = (driverId, driverData) => api.put(`/admin/drivers/${driverId}`, driverData)
 export const deleteDriver = (driverId) => api.delete(`/admin/drivers/${driverId}`)
@@ -75,6 +90,73 @@ export const deleteRoute = (routeId) => api.delete(`/admin/routes/${routeId}`)
 // Prediction API
 export const generatePrediction = (data) => api.post('/prediction/generate', data)
 export const getStopPredictions = (stopId) => api.get(`/prediction/stop/${stopId}`)
-export const getPredictionAnalytics = () => api.get('/prediction/analytics')
+export const getPredictionAnalytics = (params) => api.get('/prediction/analytics', { params })
+
+// GTFS API
+export const importGtfsFeed = (file, params) => {
+  const formData = new FormData()
+  formData.append('feed', file)
+  return api.post('/gtfs/import', formData, {
+    params,
+    headers: { 'Content-Type': 'multipart/form-data' }
+  })
+}
+export const exportGtfsFeed = () => api.get('/gtfs/export', { responseType: 'blob' })
+
+// Service Alerts API
+export const getServiceAlerts = (params) => api.get('/service-alerts', { params })
+export const createServiceAlert = (alertData) => api.post('/service-alerts', alertData)
+export const updateServiceAlert = (alertId, alertData) => api.put(`/service-alerts/${alertId}`, alertData)
+export const deleteServiceAlert = (alertId) => api.delete(`/service-alerts/${alertId}`)
+
+// Service Calendars API
+export const getServiceCalendars = () => api.get('/calendars')
+export const getServiceCalendar = (calendarId) => api.get(`/calendars/${calendarId}`)
+export const createServiceCalendar = (calendarData) => api.post('/calendars', calendarData)
+export const updateServiceCalendar = (calendarId, calendarData) => api.put(`/calendars/${calendarId}`, calendarData)
+export const deleteServiceCalendar = (calendarId) => api.delete(`/calendars/${calendarId}`)
+export const setCalendarException = (calendarId, date, exceptionData) => api.put(`/calendars/${calendarId}/exceptions/${date}`, exceptionData)
+export const removeCalendarException = (calendarId, date) => api.delete(`/calendars/${calendarId}/exceptions/${date}`)
+export const applyHoliday = (holidayData) => api.post('/calendars/holidays', holidayData)
+
+// Stops API
+export const getStops = () => api.get('/stops')
+export const searchStops = (params) => api.get('/stops/search', { params })
+export const getNearbyStops = (params) => api.get('/stops/nearby', { params })
+export const getStop = (stopCode) => api.get(`/stops/${encodeURIComponent(stopCode)}`)
+export const createStop = (stopData) => api.post('/stops', stopData)
+export const updateStop = (stopCode, stopData) => api.put(`/stops/${encodeURIComponent(stopCode)}`, stopData)
+export const deleteStop = (stopCode) => api.delete(`/stops/${encodeURIComponent(stopCode)}`)
+export const mergeStops = (stopCode, codes) => api.post(`/stops/${encodeURIComponent(stopCode)}/merge`, { codes })
+export const getStopDepartures = (stopCode, params) => api.get(`/stops/${encodeURIComponent(stopCode)}/departures`, { params })
+
+// Fares API
+export const getFareQuote = (quote) => api.post('/fares/quote', quote)
+export const getCurrentFares = () => api.get('/fares/current')
+
+// Tickets API
+export const getFareProducts = () => api.get('/fare-products')
+export const purchaseTicket = (purchase) => api.post('/tickets/purchase', purchase)
+export const getTicketSigningKey = () => api.get('/tickets/signing-key')
+export const getMyTickets = () => api.get('/tickets')
+
+// Seat Reservations API
+export const getReservableRoutes = () => api.get('/reservations/routes')
+export const getReservableTrips = (params) => api.get('/reservations/trips', { params })
+export const getTripSeats = (params) => api.get('/reservations/seats', { params })
+export const holdSeat = (reservation) => api.post('/reservations', reservation)
+export const confirmReservation = (reservationId) => api.post(`/reservations/${reservationId}/confirm`)
+export const cancelReservation = (reservationId) => api.post(`/reservations/${reservationId}/cancel`)
+export const getMyReservations = () => api.get('/reservations')
+
+// Rider Alerts API
+export const getAlertChannels = () => api.get('/rider-alerts/channels')
+export const getRiderAlerts = () => api.get('/rider-alerts')
+export const createRiderAlert = (alert) => api.post('/rider-alerts', alert)
+export const updateRiderAlert = (alertId, changes) => api.put(`/rider-alerts/${alertId}`, changes)
+export const deleteRiderAlert = (alertId) => api.delete(`/rider-alerts/${alertId}`)
+export const testRiderAlert = (alertId) => api.post(`/rider-alerts/${alertId}/test`)
+export const addPushSubscription = (subscription) => api.post('/rider-alerts/push-subscriptions', subscription)
+export const removePushSubscription = (endpoint) => api.delete('/rider-alerts/push-subscriptions', { data: { endpoint } })
 
 export default api 
\ No newline at end of file
@@ -0,0 +1,109 @@
+// Checking tickets without a connection. The server publishes the public
+// key ticket QR codes are signed with; the device keeps the last one it saw
+// and makes the same checks as the server's checkTicketCode. Scans made
+// offline are queued and uploaded once the connection is back.
+const KEY_STORAGE = 'ticketSigningKey'
+const QUEUE_STORAGE = 'pendingBoardingScans'
+const CODE_PREFIX = 'EBT1'
+const SYNC_BATCH_SIZE = 200
+const MAX_CODE_LENGTH = 2000
+
+export const OFFLINE_MESSAGES = {
+  no_key: 'No signing key on this device yet, connect once to fetch it',
+  unsupported: 'This browser cannot check tickets offline',
+  malformed: 'Not a ticket',
+  unknown_key: 'Ticket was signed with an unknown key',
+  bad_signature: 'Ticket signature is invalid',
+  not_yet_valid: 'Ticket is not valid yet',
+  expired: 'Ticket has expired',
+  wrong_route: 'Ticket is not valid on this route',
+  already_boarded: 'Ticket was already used on this trip'
+}
+
+const fromBase64Url = (text) => Uint8Array.from(
+  atob(text.replace(/-/g, '+').replace(/_/g, '/')),
+  char => char.charCodeAt(0)
+)
+
+const pemToDer = (pem) => fromBase64Url(pem.replace(/-----[^-]+-----/g, '').replace(/\s/g, ''))
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || fallback
+  } catch (error) {
+    return fallback
+  }
+}
+
+export const saveSigningKey = (keyInfo) => localStorage.setItem(KEY_STORAGE, JSON.stringify(keyInfo))
+
+export const getQueuedScans = () => readJson(QUEUE_STORAGE, [])
+
+const saveQueue = (scans) => localStorage.setItem(QUEUE_STORAGE, JSON.stringify(scans))
+
+// Check a scanned code against the stored key. Resolves to { payload } when
+// the rider may board, or { payload, reason } when not.
+export const checkTicketOffline = async (code, { tripId, routeId, at = new Date() }) => {
+  const keyInfo = readJson(KEY_STORAGE, null)
+  if (!keyInfo) return { reason: 'no_key' }
+
+  const parts = code.trim().split('.')
+  if (parts.length !== 3 || parts[0] !== CODE_PREFIX) return { reason: 'malformed' }
+
+  let payload
+  try {
+    payload = JSON.parse(new TextDecoder().decode(fromBase64Url(parts[1])))
+  } catch (error) {
+    return { reason: 'malformed' }
+  }
+
+  if (payload.keyId !== keyInfo.keyId) return { reason: 'unknown_key' }
+
+  let valid
+  try {
+    const key = await crypto.subtle.importKey('spki', pemToDer(keyInfo.publicKey), { name: 'Ed25519' }, false, ['verify'])
+    valid = await crypto.subtle.verify('Ed25519', key, fromBase64Url(parts[2]), new TextEncoder().encode(`${parts[0]}.${parts[1]}`))
+  } catch (error) {
+    return { reason: 'unsupported' }
+  }
+  if (!valid) return { reason: 'bad_signature' }
+
+  const seconds = at.getTime() / 1000
+  if (seconds < payload.validFrom) return { payload, reason: 'not_yet_valid' }
+  if (seconds >= payload.validUntil) return { payload, reason: 'expired' }
+  if (payload.routes.length > 0 && !payload.routes.includes(String(routeId))) return { payload, reason: 'wrong_route' }
+
+  // The server turns away a second boarding of the same trip; offline, the
+  // queue is all this device knows about
+  const boarded = getQueuedScans().some(scan => scan.accepted && scan.tripId === tripId && scan.ticketId === payload.ticketId)
+  if (boarded) return { payload, reason: 'already_boarded' }
+
+  return { payload }
+}
+
+// Keep a scan to upload later. Rejected scans are uploaded too, for the
+// fraud reports.
+export const queueScan = ({ tripId, code, ticketId, accepted, scannedAt = new Date() }) => {
+  saveQueue([
+    ...getQueuedScans(),
+    { clientEventId: crypto.randomUUID(), tripId, code: code.slice(0, MAX_CODE_LENGTH), ticketId, accepted, scannedAt: scannedAt.toISOString() }
+  ])
+}
+
+// Upload queued scans with upload(scans), dropping them once the server has
+// them, in batches the server accepts. Resolves to the server's results.
+export const syncQueuedScans = async (upload) => {
+  const results = []
+
+  let batch = getQueuedScans().slice(0, SYNC_BATCH_SIZE)
+  while (batch.length > 0) {
+    const response = await upload(batch.map(({ clientEventId, tripId, code, scannedAt }) => ({ clientEventId, tripId, code, scannedAt })))
+    results.push(...response.data.results)
+
+    const uploaded = new Set(batch.map(scan => scan.clientEventId))
+    saveQueue(getQueuedScans().filter(scan => !uploaded.has(scan.clientEventId)))
+    batch = getQueuedScans().slice(0, SYNC_BATCH_SIZE)
+  }
+
+  return results
+}
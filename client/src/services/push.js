@@ -0,0 +1,42 @@
+import { addPushSubscription, removePushSubscription } from './api'
+
+// Web Push needs a service worker, which browsers only allow over HTTPS or
+// on localhost
+export const pushSupported = () => 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window
+
+// The server's VAPID key arrives base64url encoded; the browser wants bytes
+const toKeyBytes = (base64url) => {
+  const base64 = (base64url + '='.repeat((4 - (base64url.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/')
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0))
+}
+
+const getRegistration = () => navigator.serviceWorker.register('/sw.js')
+
+// This browser's push subscription, or null
+export const getPushSubscription = async () => {
+  if (!pushSupported()) return null
+  const registration = await getRegistration()
+  return registration.pushManager.getSubscription()
+}
+
+// Ask to show notifications, subscribe this browser with the server's key
+// and register the subscription for alerts
+export const enablePush = async (vapidPublicKey) => {
+  const permission = await Notification.requestPermission()
+  if (permission !== 'granted') throw new Error('Notifications are blocked for this site')
+
+  const registration = await getRegistration()
+  const subscription = await registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: toKeyBytes(vapidPublicKey)
+  })
+  await addPushSubscription(subscription.toJSON())
+  return subscription
+}
+
+export const disablePush = async () => {
+  const subscription = await getPushSubscription()
+  if (!subscription) return
+  await removePushSubscription(subscription.endpoint)
+  await subscription.unsubscribe()
+}
@@ -0,0 +1,35 @@
+import { io } from 'socket.io-client'
+
+// Namespaces by role: riders track buses, drivers report their position and
+// admins watch the whole fleet. Departure boards need no account.
+export const NAMESPACES = {
+  user: '/riders',
+  driver: '/drivers',
+  admin: '/ops',
+  board: '/boards'
+}
+
+const sockets = {}
+
+// One shared connection per namespace. It goes through the dev server proxy
+// unless VITE_SOCKET_URL points at the API server, and authenticates with
+// the same token as the API on every (re)connect.
+export const connectSocket = (role) => {
+  const namespace = NAMESPACES[role] || NAMESPACES.user
+
+  if (!sockets[namespace]) {
+    sockets[namespace] = io(`${import.meta.env.VITE_SOCKET_URL || ''}${namespace}`, {
+      autoConnect: false,
+      auth: (cb) => cb({ token: localStorage.getItem('token') })
+    })
+  }
+
+  const socket = sockets[namespace]
+  if (!socket.connected) socket.connect()
+  return socket
+}
+
+// Close every connection, e.g. on logout
+export const disconnectSockets = () => {
+  Object.values(sockets).forEach(socket => socket.disconnect())
+}
@@ -11,6 +11,12 @@ export default defineConfig({
         changeOrigin: true,
         secure: false,
       },
+      '/socket.io': {
+        target: 'https://ebus-tracking-system.onrender.com',
+        changeOrigin: true,
+        secure: false,
+        ws: true,
+      },
     },
   },
 }) 
\ No newline at end of file
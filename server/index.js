@@ -17,6 +17,26 @@ const driverRoutes = require('./routes/driver');
 const busRoutes = require('./routes/bus');
 const routeRoutes = require('./routes/route');
 const predictionRoutes = require('./routes/prediction');
+const gtfsRoutes = require('./routes/gtfs');
+const serviceAlertRoutes = require('./routes/serviceAlert');
+const serviceCalendarRoutes = require('./routes/serviceCalendar');
+const stopRoutes = require('./routes/stop');
+const fareProductRoutes = require('./routes/fareProduct');
+const ticketRoutes = require('./routes/ticket');
+const fareRoutes = require('./routes/fare');
+const reservationRoutes = require('./routes/reservation');
+const riderAlertRoutes = require('./routes/riderAlert');
+const { initSocket } = require('./socket');
+const { startRealtimeRelay } = require('./socket/broadcast');
+const { createPubSub } = require('./pubsub');
+const { createPaymentProvider } = require('./payments');
+const { createNotifiers } = require('./notifiers');
+const { setNotifiers } = require('./services/alertService');
+const { startSegmentStatsJob } = require('./jobs/segmentStatsJob');
+const { startPredictorTrainingJob } = require('./jobs/predictorTrainingJob');
+const { startReservationExpiryJob } = require('./jobs/reservationExpiryJob');
+const { startLoadProfileJob } = require('./jobs/loadProfileJob');
+const { startRiderAlertJob } = require('./jobs/riderAlertJob');
 
 const app = express();
 const server = http.createServer(app);
@@ -39,12 +59,24 @@ app.use(cors({
 }));
 
 // Rate limiting
+const DEPARTURE_BOARD_PATH = /^\/api\/stops\/[^/]+\/departures$/;
+
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  // GTFS-Realtime consumers and departure board kiosks poll all day; they
+  // have their own limiter
+  skip: (req) => req.path.startsWith('/api/gtfs/realtime') || DEPARTURE_BOARD_PATH.test(req.path)
 });
 app.use(limiter);
 
+const realtimeFeedLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 1000
+});
+app.use('/api/gtfs/realtime', realtimeFeedLimiter);
+app.use(DEPARTURE_BOARD_PATH, realtimeFeedLimiter);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -63,7 +95,18 @@ const connectDB = async () => {
   }
 };
 
-connectDB();
+connectDB().then(() => {
+  // Background jobs that depend on the database. When running several
+  // instances, leave them on for one and set RUN_BACKGROUND_JOBS=false on
+  // the rest.
+  if (process.env.RUN_BACKGROUND_JOBS !== 'false') {
+    startSegmentStatsJob();
+    startPredictorTrainingJob();
+    startReservationExpiryJob();
+    startLoadProfileJob();
+    startRiderAlertJob();
+  }
+});
 
 // Routes
 app.use('/api/auth', authRoutes);
@@ -73,29 +116,48 @@ app.use('/api/driver', driverRoutes);
 app.use('/api/bus', busRoutes);
 app.use('/api/route', routeRoutes);
 app.use('/api/prediction', predictionRoutes);
-
-// Socket.IO for real-time updates
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-
-  socket.on('join-bus-track', (busId) => {
-    socket.join(`bus-${busId}`);
-    console.log(`User joined bus tracking: ${busId}`);
-  });
-
-  socket.on('leave-bus-track', (busId) => {
-    socket.leave(`bus-${busId}`);
-    console.log(`User left bus tracking: ${busId}`);
-  });
-
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+app.use('/api/gtfs', gtfsRoutes);
+app.use('/api/service-alerts', serviceAlertRoutes);
+app.use('/api/calendars', serviceCalendarRoutes);
+app.use('/api/stops', stopRoutes);
+app.use('/api/fare-products', fareProductRoutes);
+app.use('/api/tickets', ticketRoutes);
+app.use('/api/fares', fareRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/rider-alerts', riderAlertRoutes);
+
+// Socket.IO for real-time updates, authenticated per namespace
+initSocket(io);
+
+// Share broadcasts with the other server instances
+const pubsub = createPubSub();
+startRealtimeRelay(io, pubsub)
+  .then(() => console.log(`Realtime relay using ${pubsub.name} pub/sub`))
+  .catch(error => console.error('Realtime relay error:', error.message));
 
 // Make io available to routes
 app.set('io', io);
 
+// Ticket sales stay closed, rather than the server failing to start, when
+// no payment provider is configured
+try {
+  const payments = createPaymentProvider();
+  app.set('payments', payments);
+  console.log(`Ticket payments using ${payments.name} provider`);
+} catch (error) {
+  console.error('Payment provider error:', error.message);
+}
+
+// Rider alerts go out on whichever channels are set up; push and email
+// fall back to logging outside production
+try {
+  const notifiers = createNotifiers(io);
+  setNotifiers(notifiers);
+  console.log(`Rider alerts using ${Object.values(notifiers).map(notifier => `${notifier.channel} (${notifier.name})`).join(', ')}`);
+} catch (error) {
+  console.error('Rider alert notifier error:', error.message);
+}
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'E-Bus Management System is running' });
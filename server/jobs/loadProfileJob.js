@@ -0,0 +1,76 @@
+const Bus = require('../models/Bus');
+const LoadProfile = require('../models/LoadProfile');
+const Trip = require('../models/Trip');
+const { getOccupancyLevel, getTripStopLoads } = require('../services/occupancyService');
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+const BATCH_SIZE = 100;
+
+let running = false;
+
+// Fold every completed trip not yet profiled into the load profiles: one
+// sample per stop the bus left, with its load at the time
+const runLoadProfileJob = async () => {
+  if (running) return { tripsProcessed: 0, samplesRecorded: 0 };
+  running = true;
+
+  let tripsProcessed = 0;
+  let samplesRecorded = 0;
+  const busCache = {};
+
+  try {
+    let trips;
+    do {
+      trips = await Trip.find({ status: 'completed', loadProfiledAt: null })
+        .select('bus route stopsServed passengerCounts')
+        .limit(BATCH_SIZE);
+
+      for (const trip of trips) {
+        const busKey = trip.bus.toString();
+        if (!(busKey in busCache)) {
+          busCache[busKey] = await Bus.findById(trip.bus).select('capacity seatMap.label');
+        }
+
+        const bus = busCache[busKey];
+        if (bus) {
+          const loads = getTripStopLoads(trip);
+          for (const { stopNumber, departedAt, onBoard } of loads) {
+            await LoadProfile.recordSample(trip.route, stopNumber, departedAt, onBoard / bus.capacity, getOccupancyLevel(onBoard, bus));
+          }
+          samplesRecorded += loads.length;
+        }
+
+        await Trip.updateOne({ _id: trip._id }, { loadProfiledAt: new Date() });
+        tripsProcessed += 1;
+      }
+    } while (trips.length === BATCH_SIZE);
+  } finally {
+    running = false;
+  }
+
+  return { tripsProcessed, samplesRecorded };
+};
+
+// Run the job on a fixed interval for the lifetime of the process
+const startLoadProfileJob = (intervalMinutes = parseInt(process.env.LOAD_PROFILE_INTERVAL_MINUTES || DEFAULT_INTERVAL_MINUTES)) => {
+  const run = () => {
+    runLoadProfileJob()
+      .then(({ tripsProcessed, samplesRecorded }) => {
+        if (tripsProcessed > 0) {
+          console.log(`Load profiles: processed ${tripsProcessed} trips, ${samplesRecorded} samples`);
+        }
+      })
+      .catch(error => console.error('Load profile job error:', error));
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  run();
+
+  return timer;
+};
+
+module.exports = {
+  runLoadProfileJob,
+  startLoadProfileJob
+};
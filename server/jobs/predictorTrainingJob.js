@@ -0,0 +1,96 @@
+const Prediction = require('../models/Prediction');
+const { listPredictors, trainPredictor } = require('../predictors');
+const { toFeatureVector } = require('../predictors/features');
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+const MIN_TRAINING_SAMPLES = 50;
+const MAX_TRAINING_SAMPLES = 2000;
+const MAX_TARGET_MINUTES = 180;
+
+let running = false;
+
+// Lead-time snapshots of scored predictions become training samples: the
+// factors when the snapshot was taken, and the minutes it then took the bus
+// to arrive. The live row is refreshed until moments before arrival, so its
+// factors would only teach the models to predict the last minute.
+const loadTrainingSamples = async () => {
+  const snapshots = await Prediction.aggregate([
+    {
+      $match: {
+        status: 'arrived',
+        actualArrivalTime: { $ne: null },
+        'snapshots.0': { $exists: true }
+      }
+    },
+    { $sort: { actualArrivalTime: -1 } },
+    { $unwind: '$snapshots' },
+    { $limit: MAX_TRAINING_SAMPLES },
+    {
+      $project: {
+        _id: 0,
+        factors: '$snapshots.factors',
+        issuedAt: '$snapshots.issuedAt',
+        actualArrivalTime: 1
+      }
+    }
+  ]);
+
+  return snapshots
+    .map(snapshot => ({
+      features: toFeatureVector(snapshot.factors),
+      target: (snapshot.actualArrivalTime - snapshot.issuedAt) / (1000 * 60)
+    }))
+    .filter(sample => sample.target >= 0 && sample.target <= MAX_TARGET_MINUTES);
+};
+
+// Retrain every registered predictor on the latest samples
+const runPredictorTrainingJob = async () => {
+  if (running) return { trained: [], sampleCount: 0, skipped: true };
+  running = true;
+
+  try {
+    const samples = await loadTrainingSamples();
+    if (samples.length < MIN_TRAINING_SAMPLES) {
+      return { trained: [], sampleCount: samples.length };
+    }
+
+    const trained = [];
+    for (const { name } of listPredictors()) {
+      const model = await trainPredictor(name, samples);
+      trained.push({
+        algorithm: model.algorithm,
+        revision: model.revision,
+        metrics: model.metrics
+      });
+    }
+
+    return { trained, sampleCount: samples.length };
+  } finally {
+    running = false;
+  }
+};
+
+// Run the job on a fixed interval for the lifetime of the process
+const startPredictorTrainingJob = (intervalMinutes = parseInt(process.env.PREDICTOR_TRAINING_INTERVAL_MINUTES || DEFAULT_INTERVAL_MINUTES)) => {
+  const run = () => {
+    runPredictorTrainingJob()
+      .then(({ trained, sampleCount }) => {
+        if (trained.length > 0) {
+          console.log(`Predictor training: retrained ${trained.length} models on ${sampleCount} samples`);
+        }
+      })
+      .catch(error => console.error('Predictor training job error:', error));
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  run();
+
+  return timer;
+};
+
+module.exports = {
+  MIN_TRAINING_SAMPLES,
+  runPredictorTrainingJob,
+  startPredictorTrainingJob
+};
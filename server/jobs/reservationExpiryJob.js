@@ -0,0 +1,43 @@
+const { expireHolds } = require('../services/reservationService');
+
+const DEFAULT_INTERVAL_MINUTES = 1;
+
+let running = false;
+
+// Expire seat holds that were never confirmed. Seat claims already ignore
+// expired holds, so this only tidies up: riders see the hold as expired
+// and the trip's seating stops carrying it.
+const runReservationExpiryJob = async () => {
+  if (running) return { expired: 0 };
+  running = true;
+
+  try {
+    return await expireHolds();
+  } finally {
+    running = false;
+  }
+};
+
+// Run the job on a fixed interval for the lifetime of the process
+const startReservationExpiryJob = (intervalMinutes = parseInt(process.env.RESERVATION_EXPIRY_INTERVAL_MINUTES || DEFAULT_INTERVAL_MINUTES)) => {
+  const run = () => {
+    runReservationExpiryJob()
+      .then(({ expired }) => {
+        if (expired > 0) {
+          console.log(`Reservation expiry: expired ${expired} seat holds`);
+        }
+      })
+      .catch(error => console.error('Reservation expiry job error:', error));
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  run();
+
+  return timer;
+};
+
+module.exports = {
+  runReservationExpiryJob,
+  startReservationExpiryJob
+};
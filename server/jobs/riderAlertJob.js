@@ -0,0 +1,42 @@
+const { sendCommuteAlerts } = require('../services/alertService');
+
+const DEFAULT_INTERVAL_MINUTES = 1;
+
+let running = false;
+
+// Send the commute alerts that have come due. Approaching alerts fire from
+// the ETA refresh on each location update instead.
+const runRiderAlertJob = async () => {
+  if (running) return { sent: 0 };
+  running = true;
+
+  try {
+    return { sent: await sendCommuteAlerts() };
+  } finally {
+    running = false;
+  }
+};
+
+// Run the job on a fixed interval for the lifetime of the process
+const startRiderAlertJob = (intervalMinutes = parseInt(process.env.RIDER_ALERT_INTERVAL_MINUTES || DEFAULT_INTERVAL_MINUTES)) => {
+  const run = () => {
+    runRiderAlertJob()
+      .then(({ sent }) => {
+        if (sent > 0) {
+          console.log(`Rider alerts: sent ${sent} commute alerts`);
+        }
+      })
+      .catch(error => console.error('Rider alert job error:', error));
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  run();
+
+  return timer;
+};
+
+module.exports = {
+  runRiderAlertJob,
+  startRiderAlertJob
+};
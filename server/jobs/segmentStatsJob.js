@@ -0,0 +1,111 @@
+const Route = require('../models/Route');
+const Trip = require('../models/Trip');
+const SegmentStat = require('../models/SegmentStat');
+const { getOrderedStops } = require('../services/etaService');
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+const BATCH_SIZE = 100;
+
+// Longest stop-to-stop run time accepted as a real sample; anything above
+// this is a layover or a GPS gap rather than travel
+const MAX_SEGMENT_MINUTES = 120;
+
+let running = false;
+
+// Turn a completed trip's stop visits into segment travel-time samples.
+// Only consecutive stops in route order count, measured from departure at
+// one stop to arrival at the next so dwell time is excluded.
+const collectTripSamples = (trip, route) => {
+  const order = getOrderedStops(route).map(stop => stop.stopNumber);
+  const visits = trip.stopsServed
+    .filter(visit => visit.arrivalTime)
+    .sort((a, b) => order.indexOf(a.stopNumber) - order.indexOf(b.stopNumber));
+
+  const samples = [];
+  for (let i = 1; i < visits.length; i++) {
+    const from = visits[i - 1];
+    const to = visits[i];
+
+    if (order.indexOf(to.stopNumber) !== order.indexOf(from.stopNumber) + 1) continue;
+
+    const departedAt = from.departureTime || from.arrivalTime;
+    const minutes = (to.arrivalTime - departedAt) / (1000 * 60);
+    if (minutes <= 0 || minutes > MAX_SEGMENT_MINUTES) continue;
+
+    samples.push({
+      fromStop: from.stopNumber,
+      toStop: to.stopNumber,
+      departedAt,
+      minutes
+    });
+  }
+
+  return samples;
+};
+
+// Aggregate every completed trip not yet folded into the statistics
+const runSegmentStatsJob = async () => {
+  if (running) return { tripsProcessed: 0, samplesRecorded: 0 };
+  running = true;
+
+  let tripsProcessed = 0;
+  let samplesRecorded = 0;
+  const routeCache = {};
+
+  try {
+    let trips;
+    do {
+      trips = await Trip.find({ status: 'completed', statsProcessedAt: null })
+        .select('route stopsServed')
+        .limit(BATCH_SIZE);
+
+      for (const trip of trips) {
+        const routeKey = trip.route.toString();
+        if (!(routeKey in routeCache)) {
+          routeCache[routeKey] = await Route.findById(trip.route).select('stops');
+        }
+
+        const route = routeCache[routeKey];
+        if (route) {
+          const samples = collectTripSamples(trip, route);
+          for (const sample of samples) {
+            await SegmentStat.recordSample(trip.route, sample.fromStop, sample.toStop, sample.departedAt, sample.minutes);
+          }
+          samplesRecorded += samples.length;
+        }
+
+        await Trip.updateOne({ _id: trip._id }, { statsProcessedAt: new Date() });
+        tripsProcessed += 1;
+      }
+    } while (trips.length === BATCH_SIZE);
+  } finally {
+    running = false;
+  }
+
+  return { tripsProcessed, samplesRecorded };
+};
+
+// Run the job on a fixed interval for the lifetime of the process
+const startSegmentStatsJob = (intervalMinutes = parseInt(process.env.SEGMENT_STATS_INTERVAL_MINUTES || DEFAULT_INTERVAL_MINUTES)) => {
+  const run = () => {
+    runSegmentStatsJob()
+      .then(({ tripsProcessed, samplesRecorded }) => {
+        if (tripsProcessed > 0) {
+          console.log(`Segment stats: processed ${tripsProcessed} trips, ${samplesRecorded} samples`);
+        }
+      })
+      .catch(error => console.error('Segment stats job error:', error));
+  };
+
+  const timer = setInterval(run, intervalMinutes * 60 * 1000);
+  timer.unref();
+  run();
+
+  return timer;
+};
+
+module.exports = {
+  collectTripSamples,
+  runSegmentStatsJob,
+  startSegmentStatsJob
+};
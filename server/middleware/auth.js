@@ -3,6 +3,38 @@ const User = require('../models/User');
 const Admin = require('../models/Admin');
 const Driver = require('../models/Driver');
 
+// Find the active account a JWT belongs to. Returns { user }, or { message }
+// saying why the token was rejected. Throws if the token fails verification.
+const findUserByToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Find user based on role
+  let user;
+  switch (decoded.role) {
+    case 'user':
+      user = await User.findById(decoded.id).select('-password');
+      break;
+    case 'admin':
+      user = await Admin.findById(decoded.id).select('-password');
+      break;
+    case 'driver':
+      user = await Driver.findById(decoded.id).select('-password');
+      break;
+    default:
+      return { message: 'Invalid token' };
+  }
+
+  if (!user) {
+    return { message: 'User not found' };
+  }
+
+  if (!user.isActive) {
+    return { message: 'Account is deactivated' };
+  }
+
+  return { user };
+};
+
 // Middleware to protect routes
 const protect = async (req, res, next) => {
   try {
@@ -17,31 +49,9 @@ const protect = async (req, res, next) => {
       return res.status(401).json({ message: 'Not authorized, no token' });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Find user based on role
-    let user;
-    switch (decoded.role) {
-      case 'user':
-        user = await User.findById(decoded.id).select('-password');
-        break;
-      case 'admin':
-        user = await Admin.findById(decoded.id).select('-password');
-        break;
-      case 'driver':
-        user = await Driver.findById(decoded.id).select('-password');
-        break;
-      default:
-        return res.status(401).json({ message: 'Invalid token' });
-    }
-
+    const { user, message } = await findUserByToken(token);
     if (!user) {
-      return res.status(401).json({ message: 'User not found' });
-    }
-
-    if (!user.isActive) {
-      return res.status(401).json({ message: 'Account is deactivated' });
+      return res.status(401).json({ message });
     }
 
     req.user = user;
@@ -95,6 +105,7 @@ const isUser = (req, res, next) => {
 
 module.exports = {
   protect,
+  findUserByToken,
   authorize,
   isAdmin,
   isDriver,
@@ -0,0 +1,37 @@
+const { body, validationResult } = require('express-validator');
+
+// A GPS fix reported by a driver, over HTTP or the driver socket
+const locationValidation = [
+  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  body('address').optional().isString().withMessage('Address must be a string'),
+  body('speed').optional().isFloat({ min: 0, max: 120 }).withMessage('Speed must be between 0 and 120 km/h'),
+  body('direction').optional().isFloat({ min: 0, max: 360 }).withMessage('Direction must be between 0 and 360 degrees')
+];
+
+// Rides to price, as { routeId, fromStopNumber, toStopNumber, boardAt },
+// in the array at field
+const MAX_FARE_LEGS = 4;
+
+const fareLegValidation = (field, { optional = false } = {}) => [
+  (optional ? body(field).optional() : body(field)).isArray({ min: 1, max: MAX_FARE_LEGS }).withMessage(`Between 1 and ${MAX_FARE_LEGS} legs required`),
+  body(`${field}.*.routeId`).isMongoId().withMessage('Valid route ID required'),
+  body(`${field}.*.fromStopNumber`).isInt({ min: 1 }).withMessage('Valid boarding stop number required').toInt(),
+  body(`${field}.*.toStopNumber`).isInt({ min: 1 }).withMessage('Valid alighting stop number required').toInt(),
+  body(`${field}.*.boardAt`).optional().isISO8601().withMessage('Valid boarding time required')
+];
+
+// Run validation chains against a payload that didn't come through Express,
+// such as a socket event. Returns the errors in the same form as
+// validationResult(req).array().
+const validatePayload = async (chains, payload) => {
+  const req = { body: payload && typeof payload === 'object' ? payload : {} };
+  await Promise.all(chains.map(chain => chain.run(req)));
+  return validationResult(req).array();
+};
+
+module.exports = {
+  fareLegValidation,
+  locationValidation,
+  validatePayload
+};
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Transit agency operating our routes, as described by GTFS agency.txt
+const agencySchema = new mongoose.Schema({
+  agencyId: {
+    type: String,
+    required: [true, 'Agency ID is required'],
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Agency name is required'],
+    trim: true
+  },
+  url: {
+    type: String,
+    required: [true, 'Agency URL is required'],
+    trim: true
+  },
+  timezone: {
+    type: String, // IANA timezone, e.g. Asia/Kolkata
+    required: [true, 'Agency timezone is required'],
+    trim: true
+  },
+  lang: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true
+  },
+  fareUrl: {
+    type: String,
+    trim: true
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Agency', agencySchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+const RESULTS = ['accepted', 'rejected'];
+
+const SOURCES = ['online', 'offline'];
+
+// A ticket scanned by a driver as a rider boarded. Rejected scans are kept
+// too, for fraud reporting. Offline scans are checked on the driver's device
+// and uploaded when it reconnects, stamped with the time of the scan.
+const boardingEventSchema = new mongoose.Schema({
+  // Unset when the code could not be read or its signature was bad
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ticket'
+  },
+  productCode: String,
+  riderCategory: String,
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: [true, 'Bus is required']
+  },
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: [true, 'Trip is required']
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: [true, 'Route is required']
+  },
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: [true, 'Driver is required']
+  },
+  stopNumber: Number, // the stop the bus was at or last left
+  result: {
+    type: String,
+    enum: RESULTS,
+    required: true
+  },
+  reason: String, // why a scan was rejected
+  source: {
+    type: String,
+    enum: SOURCES,
+    default: 'online'
+  },
+  scannedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set by the driver's device so uploading the same offline scan twice
+  // records it once
+  clientEventId: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  }
+}, {
+  timestamps: true
+});
+
+// A ticket boards a trip once; a second accepted scan is a pass-back
+boardingEventSchema.index({ ticket: 1, trip: 1 }, { unique: true, partialFilterExpression: { result: 'accepted' } });
+boardingEventSchema.index({ ticket: 1, scannedAt: -1 });
+boardingEventSchema.index({ route: 1, scannedAt: -1 });
+boardingEventSchema.index({ driver: 1, clientEventId: 1 }, { unique: true, partialFilterExpression: { clientEventId: { $type: 'string' } } });
+
+boardingEventSchema.statics.RESULTS = RESULTS;
+boardingEventSchema.statics.SOURCES = SOURCES;
+
+module.exports = mongoose.model('BoardingEvent', boardingEventSchema);
@@ -1,5 +1,40 @@
 const mongoose = require('mongoose');
 
+const SEAT_TYPES = ['standard', 'window', 'aisle', 'accessible', 'premium'];
+const SEAT_LETTERS = 'ABCDEFGHIJ';
+
+// A seat on the bus floor plan. Rows run front to back and columns left to
+// right; a column with no seats in it is the aisle.
+const seatSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Seat label is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [8, 'Seat label cannot exceed 8 characters']
+  },
+  row: {
+    type: Number,
+    required: [true, 'Seat row is required'],
+    min: 1
+  },
+  column: {
+    type: Number,
+    required: [true, 'Seat column is required'],
+    min: 1
+  },
+  type: {
+    type: String,
+    enum: SEAT_TYPES,
+    default: 'standard'
+  },
+  // Crew and standing-room seats are left out of reservations
+  reservable: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
 const busSchema = new mongoose.Schema({
   busNumber: {
     type: String,
@@ -29,6 +64,7 @@ const busSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  seatMap: [seatSchema],
   model: {
     type: String,
     required: [true, 'Bus model is required']
@@ -77,6 +113,10 @@ const busSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Driver'
   },
+  currentTrip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
   speed: {
     type: Number,
     default: 0,
@@ -147,25 +187,54 @@ busSchema.index({ currentLocation: '2dsphere' });
 // busSchema.index({ registrationNumber: 1 }); // Removed - unique constraint already creates index
 busSchema.index({ status: 1 });
 
+// Seat labels and positions must be unique, and there can't be more seats
+// than the bus carries
+busSchema.pre('validate', function(next) {
+  const labels = new Set();
+  const positions = new Set();
+
+  for (const seat of this.seatMap) {
+    if (labels.has(seat.label)) {
+      this.invalidate('seatMap', `Seat ${seat.label} is listed twice`);
+    }
+    labels.add(seat.label);
+
+    const position = `${seat.row}:${seat.column}`;
+    if (positions.has(position)) {
+      this.invalidate('seatMap', `Two seats are at row ${seat.row}, column ${seat.column}`);
+    }
+    positions.add(position);
+  }
+
+  if (this.seatMap.length > this.capacity) {
+    this.invalidate('seatMap', `Seat map has ${this.seatMap.length} seats but the bus carries ${this.capacity}`);
+  }
+
+  next();
+});
+
 // Virtual for available seats
 busSchema.virtual('availableSeats').get(function() {
   return this.capacity - this.currentCapacity;
 });
 
 // Method to update location
-busSchema.methods.updateLocation = function(lat, lng, address) {
+busSchema.methods.updateLocation = function(lat, lng, address, speed, direction) {
   this.currentLocation.coordinates = [lng, lat]; // MongoDB uses [longitude, latitude]
   this.currentLocation.address = address;
+  if (speed !== undefined) this.speed = speed;
+  if (direction !== undefined) this.direction = direction;
   this.currentLocation.lastUpdated = new Date();
   this.lastLocationUpdate = new Date();
   return this.save();
 };
 
 // Method to start trip
-busSchema.methods.startTrip = function(routeId, driverId) {
+busSchema.methods.startTrip = function(routeId, driverId, tripId) {
   this.status = 'on_trip';
   this.currentRoute = routeId;
   this.currentDriver = driverId;
+  this.currentTrip = tripId;
   this.isOnline = true;
   return this.save();
 };
@@ -175,9 +244,36 @@ busSchema.methods.endTrip = function() {
   this.status = 'active';
   this.currentRoute = null;
   this.currentDriver = null;
+  this.currentTrip = null;
   this.isOnline = false;
   this.currentCapacity = 0;
   return this.save();
 };
 
+// A regular seat map: rows of seats labelled 1A, 1B and so on, with the
+// aisle after seat aisleAfter of each row. Seats by the windows and the
+// aisle are typed as such.
+busSchema.statics.buildSeatMap = function({ rows, seatsPerRow, aisleAfter = Math.floor(seatsPerRow / 2) }) {
+  const seats = [];
+
+  for (let row = 1; row <= rows; row++) {
+    for (let seat = 0; seat < seatsPerRow; seat++) {
+      let type = 'standard';
+      if (seat === 0 || seat === seatsPerRow - 1) type = 'window';
+      else if (seat === aisleAfter - 1 || seat === aisleAfter) type = 'aisle';
+
+      seats.push({
+        label: `${row}${SEAT_LETTERS[seat]}`,
+        row,
+        column: seat < aisleAfter ? seat + 1 : seat + 2, // skip the aisle column
+        type
+      });
+    }
+  }
+
+  return seats;
+};
+
+busSchema.statics.SEAT_TYPES = SEAT_TYPES;
+
 module.exports = mongoose.model('Bus', busSchema); 
\ No newline at end of file
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const TYPES = ['single', 'day_pass', 'monthly_pass'];
+
+// Concession tickets are for riders entitled to reduced fares; they show
+// proof of entitlement when asked
+const RIDER_CATEGORIES = ['adult', 'concession'];
+
+// A fixed price, or priced per journey from the fare rules when bought
+const PRICING = ['fixed', 'quote'];
+
+// How long each type of ticket lasts unless the product says otherwise
+const DEFAULT_VALIDITY_MINUTES = {
+  single: 90,
+  day_pass: 24 * 60,
+  monthly_pass: 30 * 24 * 60
+};
+
+// Something riders can buy: a single journey or a pass. Passes have a fixed
+// price; a single can instead cost what the fare rules charge for the
+// journey the rider enters.
+const fareProductSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Product code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [32, 'Product code cannot exceed 32 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Product name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    required: [true, 'Product type is required']
+  },
+  riderCategory: {
+    type: String,
+    enum: RIDER_CATEGORIES,
+    default: 'adult'
+  },
+  pricing: {
+    type: String,
+    enum: PRICING,
+    default: 'fixed'
+  },
+  price: {
+    type: Number,
+    required: [function() { return this.pricing !== 'quote'; }, 'Price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: 'USD',
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter code']
+  },
+  // From the ticket's start
+  validityMinutes: {
+    type: Number,
+    min: [1, 'Validity must be at least a minute']
+  },
+  // Boardings allowed while valid; none means unlimited
+  maxRides: {
+    type: Number,
+    min: [1, 'Max rides must be at least 1']
+  },
+  // Routes the ticket is valid on; none means every route
+  routes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  }],
+  // Fare zones the ticket is valid in; none means every zone. Quote-priced
+  // tickets are valid in the zones of the journey they were bought for.
+  zones: [{
+    type: String,
+    trim: true,
+    uppercase: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+fareProductSchema.pre('validate', function(next) {
+  if (!this.validityMinutes && this.type) {
+    this.validityMinutes = DEFAULT_VALIDITY_MINUTES[this.type];
+  }
+  if (this.isNew && this.type === 'single' && this.maxRides === undefined) {
+    this.maxRides = 1;
+  }
+  if (this.pricing === 'quote' && this.type !== 'single') {
+    this.invalidate('pricing', 'Only single tickets can be priced per journey');
+  }
+  next();
+});
+
+fareProductSchema.statics.TYPES = TYPES;
+fareProductSchema.statics.RIDER_CATEGORIES = RIDER_CATEGORIES;
+fareProductSchema.statics.PRICING = PRICING;
+
+module.exports = mongoose.model('FareProduct', fareProductSchema);
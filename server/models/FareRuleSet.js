@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+const { DAYS_OF_WEEK } = require('../utils/time');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A fare zone: the shared stops in it
+const zoneSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Zone code is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [16, 'Zone code cannot exceed 16 characters']
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  stops: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stop'
+  }]
+}, { _id: false });
+
+// The price of a ride between two zones, in either direction
+const zoneFareSchema = new mongoose.Schema({
+  fromZone: {
+    type: String,
+    required: [true, 'From zone is required'],
+    trim: true,
+    uppercase: true
+  },
+  toZone: {
+    type: String,
+    required: [true, 'To zone is required'],
+    trim: true,
+    uppercase: true
+  },
+  price: {
+    type: Number,
+    required: [true, 'Price is required'],
+    min: 0
+  }
+}, { _id: false });
+
+// A price change at certain times, such as a peak surcharge or an off-peak
+// discount. Times are local, HH:MM, with the end time excluded.
+const timeRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Time rule name is required'],
+    trim: true
+  },
+  days: [{
+    type: String,
+    enum: DAYS_OF_WEEK
+  }],
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_OF_DAY, 'Please enter time in HH:MM format']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_OF_DAY, 'Please enter time in HH:MM format']
+  },
+  multiplier: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+  surcharge: {
+    type: Number, // added after the multiplier; negative for a flat discount
+    default: 0
+  }
+}, { _id: false });
+
+// A kind of rider who pays less, such as students or seniors
+const riderCategorySchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Category code is required'],
+    trim: true,
+    lowercase: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  discountPercent: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+// Everything that decides what a ride costs, editable by finance without a
+// deploy. A ride between two zoned stops costs the fare table's price for
+// those zones; any other ride is priced by distance, with the route's own
+// fare when the rule set has no distance fare. Time rules, transfer
+// discounts and rider category discounts then apply in that order.
+//
+// Several rule sets can be active; the one with the latest effectiveFrom
+// that has started is in effect, so fare changes can be scheduled.
+const fareRuleSetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule set name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true,
+    trim: true
+  },
+  effectiveFrom: {
+    type: Date,
+    default: Date.now
+  },
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  zones: [zoneSchema],
+  fareTable: [zoneFareSchema],
+  distanceFare: {
+    base: {
+      type: Number,
+      min: 0
+    },
+    perKm: {
+      type: Number,
+      min: 0
+    },
+    minimum: {
+      type: Number,
+      min: 0
+    },
+    maximum: {
+      type: Number,
+      min: 0
+    }
+  },
+  timeRules: [timeRuleSchema],
+  riderCategories: [riderCategorySchema],
+  // Later rides within the window of the first boarding cost less
+  transfer: {
+    windowMinutes: {
+      type: Number,
+      default: 0, // no transfer discount
+      min: 0
+    },
+    discountPercent: {
+      type: Number,
+      default: 100, // transfers are free
+      min: 0,
+      max: 100
+    },
+    maxTransfers: {
+      type: Number,
+      default: 1,
+      min: 0
+    }
+  },
+  roundTo: {
+    type: Number, // fares are rounded to a multiple of this
+    default: 0.01,
+    min: 0.01
+  }
+}, {
+  timestamps: true
+});
+
+fareRuleSetSchema.index({ isActive: 1, effectiveFrom: -1 });
+
+// Zones and categories must be unambiguous, and the fare table may only
+// name zones that exist
+fareRuleSetSchema.pre('validate', function(next) {
+  const zoneCodes = new Set();
+  const zonedStops = new Set();
+
+  for (const zone of this.zones) {
+    if (zoneCodes.has(zone.code)) {
+      this.invalidate('zones', `Zone ${zone.code} is listed twice`);
+    }
+    zoneCodes.add(zone.code);
+
+    for (const stop of zone.stops) {
+      if (zonedStops.has(String(stop))) {
+        this.invalidate('zones', `Stop ${stop} is in more than one zone`);
+      }
+      zonedStops.add(String(stop));
+    }
+  }
+
+  for (const entry of this.fareTable) {
+    if (!zoneCodes.has(entry.fromZone) || !zoneCodes.has(entry.toZone)) {
+      this.invalidate('fareTable', `Fare table names unknown zone ${zoneCodes.has(entry.fromZone) ? entry.toZone : entry.fromZone}`);
+    }
+  }
+
+  const categories = this.riderCategories.map(category => category.code);
+  if (new Set(categories).size !== categories.length) {
+    this.invalidate('riderCategories', 'Rider category is listed twice');
+  }
+
+  next();
+});
+
+// The zone a shared stop is in, if any
+fareRuleSetSchema.methods.getStopZone = function(stopId) {
+  if (!stopId) return null;
+  const zone = this.zones.find(candidate => candidate.stops.some(stop => String(stop) === String(stopId)));
+  return zone ? zone.code : null;
+};
+
+// The rule set in effect at a time, or null when fares come from routes
+fareRuleSetSchema.statics.findInEffect = function(at = new Date()) {
+  return this.findOne({ isActive: true, effectiveFrom: { $lte: at } }).sort({ effectiveFrom: -1 });
+};
+
+module.exports = mongoose.model('FareRuleSet', fareRuleSetSchema);
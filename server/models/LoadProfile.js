@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { getDayOfWeek } = require('../utils/time');
+
+const LEVELS = ['empty', 'many_seats', 'standing', 'full'];
+
+// How full a route's buses have been on leaving a stop, bucketed by day of
+// week and hour of day. Like segment statistics, sums and counts are kept
+// so samples can be added atomically with $inc.
+const loadProfileSchema = new mongoose.Schema({
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: [true, 'Route is required']
+  },
+  stopNumber: {
+    type: Number,
+    required: [true, 'Stop number is required'],
+    min: 1
+  },
+  dayOfWeek: {
+    type: String,
+    enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+    required: true
+  },
+  hourOfDay: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 23
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sumLoad: {
+    type: Number, // riders on board as a share of capacity
+    default: 0
+  },
+  // Trips that left at each occupancy level
+  levels: {
+    empty: { type: Number, default: 0 },
+    many_seats: { type: Number, default: 0 },
+    standing: { type: Number, default: 0 },
+    full: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+loadProfileSchema.index(
+  { route: 1, stopNumber: 1, dayOfWeek: 1, hourOfDay: 1 },
+  { unique: true }
+);
+
+// Combine rows into the expected crowding: the mean load, the most common
+// level and how often riders had to stand
+const summarize = (rows) => {
+  const totals = rows.reduce((acc, row) => {
+    acc.count += row.count;
+    acc.sumLoad += row.sumLoad;
+    LEVELS.forEach(level => { acc.levels[level] += row.levels[level] || 0; });
+    return acc;
+  }, { count: 0, sumLoad: 0, levels: { empty: 0, many_seats: 0, standing: 0, full: 0 } });
+
+  if (totals.count === 0) return null;
+
+  return {
+    samples: totals.count,
+    loadPercent: Math.round((totals.sumLoad / totals.count) * 100),
+    level: LEVELS.reduce((best, level) => (totals.levels[level] > totals.levels[best] ? level : best), LEVELS[0]),
+    standingPercent: Math.round(((totals.levels.standing + totals.levels.full) / totals.count) * 100)
+  };
+};
+
+// Static method to record a bus leaving a stop with a load (share of
+// capacity) at an occupancy level
+loadProfileSchema.statics.recordSample = function(routeId, stopNumber, departedAt, load, level) {
+  return this.updateOne({
+    route: routeId,
+    stopNumber,
+    dayOfWeek: getDayOfWeek(departedAt),
+    hourOfDay: departedAt.getHours()
+  }, {
+    $inc: {
+      count: 1,
+      sumLoad: load,
+      [`levels.${level}`]: 1
+    }
+  }, {
+    upsert: true
+  });
+};
+
+// Static method to get the expected crowding of a route's buses leaving a
+// stop at a time, from the same day and hour, falling back to the same hour
+// on any day when that has fewer than minSamples samples. Null when there
+// is too little history.
+loadProfileSchema.statics.getExpected = async function(routeId, stopNumber, at = new Date(), minSamples = 5) {
+  const dayOfWeek = getDayOfWeek(at);
+  const hourOfDay = at.getHours();
+
+  const rows = await this.find({ route: routeId, stopNumber, hourOfDay }).lean();
+  const candidates = [
+    rows.filter(row => row.dayOfWeek === dayOfWeek),
+    rows
+  ];
+
+  for (const candidate of candidates) {
+    const expected = summarize(candidate);
+    if (expected && expected.samples >= minSamples) return expected;
+  }
+  return null;
+};
+
+// Static method to get a route's crowding for each hour of the day, over
+// the whole route or at one stop, on one day of the week or on any day
+loadProfileSchema.statics.getHourlyProfile = async function(routeId, { stopNumber, dayOfWeek } = {}) {
+  const filter = { route: routeId };
+  if (stopNumber !== undefined) filter.stopNumber = stopNumber;
+  if (dayOfWeek) filter.dayOfWeek = dayOfWeek;
+
+  const rows = await this.find(filter).lean();
+
+  return Array.from({ length: 24 }, (_, hourOfDay) => summarize(rows.filter(row => row.hourOfDay === hourOfDay)))
+    .map((hour, hourOfDay) => (hour ? { hourOfDay, ...hour } : null))
+    .filter(Boolean);
+};
+
+loadProfileSchema.statics.LEVELS = LEVELS;
+
+module.exports = mongoose.model('LoadProfile', loadProfileSchema);
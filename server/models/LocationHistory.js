@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// One document per GPS fix reported by a bus. Stored as a MongoDB
+// time-series collection keyed on the bus so track queries stay cheap.
+const locationHistorySchema = new mongoose.Schema({
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: [true, 'Bus is required']
+  },
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  },
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver'
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: [true, 'Coordinates are required']
+    }
+  },
+  speed: {
+    type: Number,
+    min: 0,
+    max: 120
+  },
+  heading: {
+    type: Number,
+    min: 0,
+    max: 360
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now,
+    required: true
+  }
+}, {
+  timeseries: {
+    timeField: 'recordedAt',
+    metaField: 'bus',
+    granularity: 'seconds'
+  },
+  expireAfterSeconds: parseInt(process.env.LOCATION_HISTORY_TTL_DAYS || '90') * 24 * 60 * 60,
+  versionKey: false
+});
+
+locationHistorySchema.index({ bus: 1, recordedAt: 1 });
+locationHistorySchema.index({ trip: 1, recordedAt: 1 });
+
+// Static method to get the track a bus drove within a time window
+locationHistorySchema.statics.getTrack = function(busId, from, to, tripId) {
+  const query = {
+    bus: busId,
+    recordedAt: { $gte: from, $lte: to }
+  };
+  if (tripId) query.trip = tripId;
+
+  return this.find(query)
+    .select('location speed heading recordedAt trip')
+    .sort({ recordedAt: 1 })
+    .lean();
+};
+
+module.exports = mongoose.model('LocationHistory', locationHistorySchema);
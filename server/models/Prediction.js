@@ -1,4 +1,116 @@
 const mongoose = require('mongoose');
+const { predictTravelTime } = require('../predictors');
+
+// Lead times, in minutes before arrival, a prediction is kept at. The live
+// predictedArrivalTime is overwritten on every fix, so it is these snapshots
+// and the initial prediction that accuracy, analytics and training measure.
+const SNAPSHOT_LEAD_MINUTES = [5, 10, 20, 30, 45, 60];
+
+// The conditions a prediction was made under, as fed to the predictors
+const factorFields = () => ({
+  trafficConditions: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  weatherConditions: {
+    type: String,
+    enum: ['clear', 'rainy', 'snowy', 'foggy'],
+    default: 'clear'
+  },
+  timeOfDay: {
+    type: String,
+    enum: ['morning', 'afternoon', 'evening', 'night'],
+    default: 'morning'
+  },
+  dayOfWeek: {
+    type: String,
+    enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+    default: 'monday'
+  },
+  currentSpeed: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 120
+  },
+  distanceToStop: {
+    type: Number,
+    required: [true, 'Distance to stop is required'],
+    min: 0
+  },
+  baselineMinutes: {
+    type: Number, // geometric ETA the predictor refines
+    min: 0
+  },
+  numberOfStops: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  passengerLoad: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  fuelLevel: {
+    type: Number,
+    default: 100,
+    min: 0,
+    max: 100
+  },
+  temperature: {
+    type: Number,
+    default: 25
+  }
+});
+
+const snapshotSchema = new mongoose.Schema({
+  leadMinutes: {
+    type: Number, // the SNAPSHOT_LEAD_MINUTES entry this was taken for
+    required: true
+  },
+  horizonMinutes: {
+    type: Number, // how far ahead the prediction actually was
+    required: true,
+    min: 0
+  },
+  predictedArrivalTime: {
+    type: Date,
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    required: true
+  },
+  algorithm: String,
+  modelVersion: String,
+  factors: factorFields(),
+  errorMinutes: Number // actual minus predicted, once the bus arrives
+}, { _id: false });
+
+// The lead time a prediction this many minutes ahead is filed under: the
+// shortest one it is within, or null beyond the longest
+const getSnapshotLead = (minutes) => SNAPSHOT_LEAD_MINUTES.find(lead => minutes <= lead) || null;
+
+// A snapshot of a freshly issued prediction, or null when it is further
+// ahead than any lead time
+const buildSnapshot = ({ predictedArrivalTime, issuedAt, algorithm, modelVersion, factors }) => {
+  const horizonMinutes = Math.max(0, (predictedArrivalTime - issuedAt) / (1000 * 60));
+  const leadMinutes = getSnapshotLead(horizonMinutes);
+  if (!leadMinutes) return null;
+
+  return {
+    leadMinutes,
+    horizonMinutes: Math.round(horizonMinutes * 100) / 100,
+    predictedArrivalTime,
+    issuedAt,
+    algorithm,
+    modelVersion,
+    factors
+  };
+};
 
 const predictionSchema = new mongoose.Schema({
   busId: {
@@ -16,6 +128,10 @@ const predictionSchema = new mongoose.Schema({
     ref: 'Driver',
     required: [true, 'Driver ID is required']
   },
+  tripId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
   stopId: {
     type: Number,
     required: [true, 'Stop ID is required']
@@ -35,6 +151,15 @@ const predictionSchema = new mongoose.Schema({
     type: Date,
     required: [true, 'Predicted arrival time is required']
   },
+  issuedAt: {
+    type: Date, // when predictedArrivalTime was last computed
+    default: Date.now
+  },
+  // The first prediction for the stop, never overwritten
+  initialPredictedArrivalTime: Date,
+  initialIssuedAt: Date,
+  // The prediction as it stood at each lead time, at most one per lead time
+  snapshots: [snapshotSchema],
   actualArrivalTime: {
     type: Date
   },
@@ -43,60 +168,7 @@ const predictionSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
-  factors: {
-    trafficConditions: {
-      type: String,
-      enum: ['low', 'medium', 'high'],
-      default: 'medium'
-    },
-    weatherConditions: {
-      type: String,
-      enum: ['clear', 'rainy', 'snowy', 'foggy'],
-      default: 'clear'
-    },
-    timeOfDay: {
-      type: String,
-      enum: ['morning', 'afternoon', 'evening', 'night'],
-      default: 'morning'
-    },
-    dayOfWeek: {
-      type: String,
-      enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
-      default: 'monday'
-    },
-    currentSpeed: {
-      type: Number,
-      default: 0,
-      min: 0,
-      max: 120
-    },
-    distanceToStop: {
-      type: Number,
-      required: [true, 'Distance to stop is required'],
-      min: 0
-    },
-    numberOfStops: {
-      type: Number,
-      default: 0,
-      min: 0
-    },
-    passengerLoad: {
-      type: Number,
-      default: 0,
-      min: 0,
-      max: 100
-    },
-    fuelLevel: {
-      type: Number,
-      default: 100,
-      min: 0,
-      max: 100
-    },
-    temperature: {
-      type: Number,
-      default: 25
-    }
-  },
+  factors: factorFields(),
   historicalData: {
     averageTravelTime: {
       type: Number,
@@ -145,18 +217,57 @@ const predictionSchema = new mongoose.Schema({
 
 // Index for efficient queries
 predictionSchema.index({ busId: 1, routeId: 1, stopId: 1 });
+predictionSchema.index({ tripId: 1, stopId: 1, status: 1 });
 predictionSchema.index({ predictedArrivalTime: 1 });
 predictionSchema.index({ status: 1 });
 predictionSchema.index({ createdAt: 1 });
+predictionSchema.index({ algorithm: 1, modelVersion: 1 });
+
+// A new prediction is its own initial prediction and first snapshot
+predictionSchema.pre('validate', function(next) {
+  if (this.isNew && this.predictedArrivalTime) {
+    if (!this.initialPredictedArrivalTime) {
+      this.initialPredictedArrivalTime = this.predictedArrivalTime;
+      this.initialIssuedAt = this.issuedAt;
+    }
+    this.recordSnapshot();
+  }
+  next();
+});
 
-// Method to calculate prediction accuracy
+// Method to keep the current prediction as a snapshot, unless its lead time
+// already has one
+predictionSchema.methods.recordSnapshot = function() {
+  const snapshot = buildSnapshot({
+    predictedArrivalTime: this.predictedArrivalTime,
+    issuedAt: this.issuedAt,
+    algorithm: this.algorithm,
+    modelVersion: this.modelVersion,
+    factors: this.factors.toObject()
+  });
+  if (snapshot && !this.snapshots.some(entry => entry.leadMinutes === snapshot.leadMinutes)) {
+    this.snapshots.push(snapshot);
+  }
+  return snapshot;
+};
+
+// Method to score the prediction once the bus has arrived. Each snapshot
+// gets its error and predictionAccuracy comes from the initial prediction;
+// the live predictedArrivalTime was refreshed moments before the arrival, so
+// it says nothing about how good the prediction was.
 predictionSchema.methods.calculateAccuracy = function() {
   if (!this.actualArrivalTime) return null;
-  
-  const predicted = new Date(this.predictedArrivalTime);
+
   const actual = new Date(this.actualArrivalTime);
+  this.snapshots.forEach(snapshot => {
+    snapshot.errorMinutes = Math.round(((actual - snapshot.predictedArrivalTime) / (1000 * 60)) * 100) / 100;
+  });
+
+  if (!this.initialPredictedArrivalTime) return null;
+
+  const predicted = new Date(this.initialPredictedArrivalTime);
   const difference = Math.abs(predicted - actual) / (1000 * 60); // difference in minutes
-  
+
   // Calculate accuracy percentage (100% if exact, decreasing with difference)
   const accuracy = Math.max(0, 100 - (difference * 2)); // 2% penalty per minute
   this.predictionAccuracy = Math.round(accuracy);
@@ -164,39 +275,26 @@ predictionSchema.methods.calculateAccuracy = function() {
   return this.predictionAccuracy;
 };
 
-// Method to update prediction based on new factors
-predictionSchema.methods.updatePrediction = function(newFactors) {
-  this.factors = { ...this.factors, ...newFactors };
-  this.updatedAt = new Date();
-  
-  // Simple prediction algorithm (can be enhanced with ML models)
-  let baseTime = this.historicalData.averageTravelTime || 30; // default 30 minutes
-  
-  // Adjust based on traffic conditions
-  if (this.factors.trafficConditions === 'high') baseTime *= 1.5;
-  else if (this.factors.trafficConditions === 'low') baseTime *= 0.8;
-  
-  // Adjust based on weather
-  if (this.factors.weatherConditions === 'rainy' || this.factors.weatherConditions === 'snowy') {
-    baseTime *= 1.3;
-  }
-  
-  // Adjust based on time of day
-  if (this.factors.timeOfDay === 'morning' || this.factors.timeOfDay === 'evening') {
-    baseTime *= 1.2; // peak hours
-  }
-  
-  // Adjust based on current speed
-  if (this.factors.currentSpeed > 0) {
-    const speedFactor = 30 / this.factors.currentSpeed; // 30 km/h is baseline
-    baseTime *= speedFactor;
-  }
-  
-  // Calculate new predicted arrival time
+// Method to update prediction based on new factors, using the predictor
+// registered for this prediction's algorithm
+predictionSchema.methods.updatePrediction = async function(newFactors) {
+  this.factors = { ...this.factors.toObject(), ...newFactors };
+
+  // Start from the learned travel time, or distance at the current speed
+  const speed = this.factors.currentSpeed > 0 ? this.factors.currentSpeed : 30; // 30 km/h is baseline
+  const baselineMinutes = this.historicalData.averageTravelTime ||
+    (this.factors.distanceToStop / speed) * 60;
+  this.factors.baselineMinutes = baselineMinutes;
+
+  const { minutes, algorithm, modelVersion } = await predictTravelTime(this.algorithm, this.factors.toObject());
+
   const now = new Date();
-  const newArrivalTime = new Date(now.getTime() + (baseTime * 60 * 1000));
-  this.predictedArrivalTime = newArrivalTime;
-  
+  this.issuedAt = now;
+  this.predictedArrivalTime = new Date(now.getTime() + (minutes * 60 * 1000));
+  this.algorithm = algorithm;
+  this.modelVersion = modelVersion;
+  this.recordSnapshot();
+
   return this.save();
 };
 
@@ -208,7 +306,7 @@ predictionSchema.statics.getPredictionsForStop = function(stopId, routeId) {
     status: { $in: ['pending', 'in_transit'] },
     predictedArrivalTime: { $gte: new Date() }
   })
-  .populate('busId', 'busNumber busType capacity currentCapacity')
+  .populate('busId', 'busNumber busType capacity currentCapacity seatMap.label')
   .populate('driverId', 'firstName lastName')
   .sort({ predictedArrivalTime: 1 })
   .limit(10);
@@ -243,4 +341,7 @@ predictionSchema.statics.getHistoricalAccuracy = function(busId, routeId, days =
   ]);
 };
 
+predictionSchema.statics.SNAPSHOT_LEAD_MINUTES = SNAPSHOT_LEAD_MINUTES;
+predictionSchema.statics.buildSnapshot = buildSnapshot;
+
 module.exports = mongoose.model('Prediction', predictionSchema); 
\ No newline at end of file
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Trained parameters for a prediction algorithm. One document per
+// algorithm; each retrain bumps the revision, which is stamped on every
+// prediction as part of its modelVersion.
+const predictorModelSchema = new mongoose.Schema({
+  algorithm: {
+    type: String,
+    enum: ['linear_regression', 'random_forest', 'neural_network', 'ensemble'],
+    required: [true, 'Algorithm is required'],
+    unique: true
+  },
+  revision: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    required: [true, 'Model parameters are required']
+  },
+  sampleCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  metrics: {
+    meanAbsoluteError: Number, // minutes, on held-out samples
+    rootMeanSquaredError: Number
+  },
+  trainedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+module.exports = mongoose.model('PredictorModel', predictorModelSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['held', 'confirmed', 'cancelled', 'expired'];
+
+// A seat a rider reserved on a planned trip, between two stops. The seat is
+// held until holdExpiresAt and is the rider's for good once confirmed. The
+// TripSeating document of the trip is what stops two riders getting the
+// same seat; this is the rider's record of it.
+const reservationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: [true, 'Route is required']
+  },
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: [true, 'Bus is required']
+  },
+  // The planned trip: its departure from the route's first stop
+  departureTime: {
+    type: Date,
+    required: [true, 'Departure time is required']
+  },
+  seatLabel: {
+    type: String,
+    required: [true, 'Seat is required']
+  },
+  fromStopNumber: {
+    type: Number,
+    required: [true, 'From stop is required']
+  },
+  toStopNumber: {
+    type: Number,
+    required: [true, 'To stop is required']
+  },
+  // Planned times at the two stops
+  boardAt: Date,
+  arriveAt: Date,
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'held'
+  },
+  holdExpiresAt: Date,
+  confirmedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+reservationSchema.index({ user: 1, departureTime: -1 });
+reservationSchema.index({ route: 1, departureTime: 1 });
+reservationSchema.index({ status: 1, holdExpiresAt: 1 });
+
+// A hold past its expiry is expired even before the expiry job gets to it
+reservationSchema.methods.getState = function(at = new Date()) {
+  if (this.status === 'held' && at >= this.holdExpiresAt) return 'expired';
+  return this.status;
+};
+
+reservationSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Reservation', reservationSchema);
@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+const { DAYS_OF_WEEK, getDayOfWeek, toTimeOfDay } = require('../utils/time');
+
+const TYPES = ['approaching', 'commute'];
+const CHANNELS = ['socket', 'push', 'email'];
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_RECENT_KEYS = 20;
+
+// An alert a rider set up to hear about their buses:
+//   approaching - when a bus on the route is leadMinutes or less from the
+//                 stop, by its live ETA; limited to one bus when bus is set
+//   commute     - every chosen day at time, with the next buses at the stop
+// Alerts fire on the days listed (every day when none are) and approaching
+// alerts only between startTime and endTime when those are set. A oneOff
+// alert switches itself off after firing once.
+const riderAlertSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  type: {
+    type: String,
+    enum: TYPES,
+    required: [true, 'Alert type is required']
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: [true, 'Route is required']
+  },
+  stopNumber: {
+    type: Number,
+    required: [true, 'Stop number is required'],
+    min: 1
+  },
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    default: null
+  },
+  leadMinutes: {
+    type: Number,
+    default: 5,
+    min: [1, 'Lead time must be at least 1 minute'],
+    max: [60, 'Lead time cannot exceed 60 minutes']
+  },
+  // Local HH:MM
+  time: {
+    type: String,
+    match: [TIME_OF_DAY, 'Please enter time in HH:MM format']
+  },
+  startTime: {
+    type: String,
+    match: [TIME_OF_DAY, 'Please enter time in HH:MM format']
+  },
+  endTime: {
+    type: String,
+    match: [TIME_OF_DAY, 'Please enter time in HH:MM format']
+  },
+  days: [{
+    type: String,
+    enum: DAYS_OF_WEEK
+  }],
+  channels: {
+    type: [{
+      type: String,
+      enum: CHANNELS
+    }],
+    default: ['socket']
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  oneOff: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // What the alert last fired for (a trip, or a day for commute alerts), so
+  // it fires once for each
+  recentKeys: {
+    type: [String],
+    select: false
+  },
+  lastTriggeredAt: Date,
+  lastDeliveries: [{
+    _id: false,
+    channel: String,
+    status: {
+      type: String,
+      enum: ['sent', 'skipped', 'failed']
+    },
+    reason: String,
+    at: Date
+  }]
+}, {
+  timestamps: true
+});
+
+riderAlertSchema.index({ user: 1, createdAt: -1 });
+riderAlertSchema.index({ type: 1, active: 1, route: 1 });
+riderAlertSchema.index({ type: 1, active: 1, time: 1 });
+// One-off alerts lapse by themselves
+riderAlertSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+riderAlertSchema.pre('validate', function(next) {
+  if (this.type === 'commute' && !this.time) {
+    this.invalidate('time', 'Commute alerts need a time');
+  }
+  if (Boolean(this.startTime) !== Boolean(this.endTime)) {
+    this.invalidate('endTime', 'Start and end times go together');
+  }
+  if (this.channels.length === 0) {
+    this.invalidate('channels', 'At least one channel is required');
+  }
+  next();
+});
+
+// Method to check whether the alert may fire at a time: switched on, not
+// expired, on one of its days and, for approaching alerts, inside its
+// window. A window ending before it starts runs past midnight.
+riderAlertSchema.methods.appliesAt = function(at = new Date()) {
+  if (!this.active || (this.expiresAt && this.expiresAt <= at)) return false;
+  if (this.days.length > 0 && !this.days.includes(getDayOfWeek(at))) return false;
+
+  if (this.type === 'approaching' && this.startTime && this.endTime) {
+    const now = toTimeOfDay(at);
+    return this.startTime <= this.endTime
+      ? now >= this.startTime && now < this.endTime
+      : now >= this.startTime || now < this.endTime;
+  }
+  return true;
+};
+
+// Static method to claim firing an alert for a trip or day. Only one claim
+// per key succeeds, however many instances evaluate the alert; one-off
+// alerts are switched off by it. Returns the alert, or null when it already
+// fired for the key or is off.
+riderAlertSchema.statics.claimTrigger = function(alertId, key, at = new Date()) {
+  return this.findOneAndUpdate({
+    _id: alertId,
+    active: true,
+    recentKeys: { $ne: key }
+  }, [{
+    $set: {
+      recentKeys: {
+        $slice: [{ $concatArrays: [{ $ifNull: ['$recentKeys', []] }, [key]] }, -MAX_RECENT_KEYS]
+      },
+      lastTriggeredAt: at,
+      active: { $not: ['$oneOff'] }
+    }
+  }], { new: true });
+};
+
+riderAlertSchema.statics.TYPES = TYPES;
+riderAlertSchema.statics.CHANNELS = CHANNELS;
+
+module.exports = mongoose.model('RiderAlert', riderAlertSchema);
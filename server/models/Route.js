@@ -1,6 +1,19 @@
 const mongoose = require('mongoose');
+const Stop = require('./Stop');
+const { getNextDepartures, isInService } = require('../services/timetableService');
+const { haversineDistance, lineLength, snapToLine } = require('../utils/geo');
 
+const MAX_STOP_SNAP_METRES = 100; // stops further than this from the shape are rejected
+
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+// A route's visit to a stop. The name, location, code and facilities are
+// copies of the shared Stop's, kept in step by the stop service.
 const stopSchema = new mongoose.Schema({
+  stop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stop'
+  },
   name: {
     type: String,
     required: [true, 'Stop name is required'],
@@ -23,6 +36,11 @@ const stopSchema = new mongoose.Schema({
     required: [true, 'Stop number is required'],
     min: 1
   },
+  stopCode: {
+    type: String, // code of the shared stop
+    trim: true,
+    maxlength: [64, 'Stop code cannot exceed 64 characters']
+  },
   estimatedTime: {
     type: Number, // in minutes from route start
     required: [true, 'Estimated time is required'],
@@ -32,12 +50,42 @@ const stopSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  geofenceRadius: {
+    type: Number, // metres around the stop that count as being at the stop
+    default: 50,
+    min: [10, 'Geofence radius must be at least 10 metres'],
+    max: [500, 'Geofence radius cannot exceed 500 metres']
+  },
   facilities: [{
     type: String,
-    enum: ['Shelter', 'Seating', 'Lighting', 'Display_Board', 'Ticket_Counter', 'Restroom']
-  }]
+    enum: Stop.FACILITIES
+  }],
+  gtfsStopId: {
+    type: String, // stop_id in the GTFS feed this stop was imported from
+    trim: true
+  },
+  distanceAlongShape: {
+    type: Number, // km from the start of the route shape, when the route has one
+    min: 0
+  }
 });
 
+// The path buses drive, as a GeoJSON LineString of [longitude, latitude]
+const shapeSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['LineString'],
+    default: 'LineString'
+  },
+  coordinates: {
+    type: [[Number]],
+    validate: {
+      validator: (coordinates) => coordinates.length >= 2 && coordinates.every(point => point.length === 2),
+      message: 'Shape needs at least 2 [longitude, latitude] points'
+    }
+  }
+}, { _id: false });
+
 const routeSchema = new mongoose.Schema({
   routeNumber: {
     type: String,
@@ -54,7 +102,16 @@ const routeSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  agency: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Agency'
+  },
+  gtfsRouteId: {
+    type: String, // route_id in the GTFS feed this route was imported from
+    trim: true
+  },
   stops: [stopSchema],
+  shape: shapeSchema,
   totalDistance: {
     type: Number,
     required: [true, 'Total distance is required'],
@@ -104,6 +161,21 @@ const routeSchema = new mongoose.Schema({
     enum: ['local', 'express', 'premium', 'airport', 'intercity'],
     default: 'local'
   },
+  // Seat reservations, for premium, airport and intercity routes. Planned
+  // trips are sold against the seat map of the bus set here.
+  reservations: {
+    bus: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bus',
+      default: null
+    },
+    holdMinutes: {
+      type: Number, // how long a seat is held before it must be confirmed
+      default: 10,
+      min: 1,
+      max: 60
+    }
+  },
   assignedBuses: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Bus'
@@ -113,10 +185,16 @@ const routeSchema = new mongoose.Schema({
     ref: 'Driver'
   }],
   schedule: [{
+    // An entry runs either every week on its day, or on the dates its
+    // service calendar runs
     day: {
       type: String,
       enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
-      required: true
+      required: function() { return !this.service; }
+    },
+    service: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ServiceCalendar'
     },
     startTime: {
       type: String,
@@ -145,6 +223,11 @@ const routeSchema = new mongoose.Schema({
     enum: ['low', 'medium', 'high'],
     default: 'medium'
   },
+  predictionAlgorithm: {
+    type: String,
+    enum: ['linear_regression', 'random_forest', 'neural_network', 'ensemble'],
+    default: 'linear_regression'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -159,49 +242,97 @@ const routeSchema = new mongoose.Schema({
 
 // Index for geospatial queries
 routeSchema.index({ 'stops.location': '2dsphere' });
+routeSchema.index({ shape: '2dsphere' });
 routeSchema.index({ status: 1 });
+routeSchema.index({ gtfsRouteId: 1 }, { sparse: true });
+routeSchema.index({ 'stops.stopCode': 1 });
+routeSchema.index({ 'stops.stop': 1 });
 
-// Method to calculate fare between two stops
-routeSchema.methods.calculateFare = function(fromStopNumber, toStopNumber) {
+// Method to get the distance in km travelled between two stops: along the
+// shape when there is one, otherwise stop to stop in a straight line
+routeSchema.methods.distanceBetween = function(fromStopNumber, toStopNumber) {
   const fromStop = this.stops.find(stop => stop.stopNumber === fromStopNumber);
   const toStop = this.stops.find(stop => stop.stopNumber === toStopNumber);
-  
+
   if (!fromStop || !toStop) {
     throw new Error('Invalid stop numbers');
   }
-  
-  const distance = Math.abs(toStop.estimatedTime - fromStop.estimatedTime) * (this.averageSpeed / 60);
-  return this.fare.base + (distance * this.fare.perKm);
+
+  if (fromStop.distanceAlongShape !== undefined && toStop.distanceAlongShape !== undefined) {
+    return Math.abs(toStop.distanceAlongShape - fromStop.distanceAlongShape);
+  }
+
+  const [low, high] = [fromStopNumber, toStopNumber].sort((a, b) => a - b);
+  const between = this.stops
+    .filter(stop => stop.stopNumber >= low && stop.stopNumber <= high)
+    .sort((a, b) => a.stopNumber - b.stopNumber);
+
+  return between.slice(1).reduce(
+    (total, stop, index) => total + haversineDistance(between[index].location.coordinates, stop.location.coordinates),
+    0
+  );
 };
 
-// Method to get next bus arrival time
-routeSchema.methods.getNextBusTime = function(currentTime, frequency) {
-  const now = new Date();
-  const currentMinutes = now.getHours() * 60 + now.getMinutes();
-  
-  // Find the next bus time based on frequency
-  const nextBusMinutes = Math.ceil(currentMinutes / frequency) * frequency;
-  const nextBusTime = new Date();
-  nextBusTime.setHours(Math.floor(nextBusMinutes / 60), nextBusMinutes % 60, 0, 0);
-  
-  return nextBusTime;
+// Method to calculate the route's own fare between two stops, used when no
+// fare rules are in effect
+routeSchema.methods.calculateFare = function(fromStopNumber, toStopNumber) {
+  return this.fare.base + (this.distanceBetween(fromStopNumber, toStopNumber) * this.fare.perKm);
+};
+
+// Method to get the next planned departure from the first stop, or from
+// the given stop number, at or after currentTime. Schedule services must be
+// populated.
+routeSchema.methods.getNextBusTime = function(currentTime = new Date(), stopNumber) {
+  const [next] = getNextDepartures(this, { from: currentTime, stopNumber });
+  return next ? next.plannedTime : null;
+};
+
+// Method to check if route is operating now, including in windows that run
+// past midnight. Schedule services must be populated.
+routeSchema.methods.isOperatingNow = function(now = new Date()) {
+  return isInService(this, now);
+};
+
+// Method to set the route shape. Stops are snapped onto it in order, each
+// gets its distance along it, and totalDistance becomes the shape's length.
+// Nothing changes if any stop is too far from the shape; those stops are
+// returned.
+routeSchema.methods.setShape = function(coordinates, { maxSnapMetres = MAX_STOP_SNAP_METRES } = {}) {
+  const stops = [...this.stops].sort((a, b) => a.stopNumber - b.stopNumber);
+  const snapped = [];
+  let fromDistance = 0;
+
+  stops.forEach(stop => {
+    const snap = snapToLine(stop.location.coordinates, coordinates, fromDistance);
+    snapped.push({ stop, snap });
+    fromDistance = snap.distanceAlong;
+  });
+
+  const unsnapped = snapped
+    .filter(({ snap }) => snap.offset * 1000 > maxSnapMetres)
+    .map(({ stop, snap }) => ({
+      stopNumber: stop.stopNumber,
+      name: stop.name,
+      distance: Math.round(snap.offset * 1000) // metres
+    }));
+  if (unsnapped.length > 0) return { unsnapped };
+
+  snapped.forEach(({ stop, snap }) => {
+    stop.location.coordinates = snap.coordinates.map(value => round(value, 6));
+    stop.distanceAlongShape = round(snap.distanceAlong);
+  });
+  this.shape = { type: 'LineString', coordinates };
+  this.totalDistance = round(lineLength(coordinates), 2);
+
+  return { unsnapped };
 };
 
-// Method to check if route is operating now
-routeSchema.methods.isOperatingNow = function() {
-  const now = new Date();
-  const currentTime = now.getHours() * 60 + now.getMinutes();
-  const dayOfWeek = now.toLocaleDateString('en-US', { weekday: 'lowercase' });
-  
-  const todaySchedule = this.schedule.find(s => s.day === dayOfWeek);
-  if (!todaySchedule) return false;
-  
-  const startMinutes = parseInt(todaySchedule.startTime.split(':')[0]) * 60 + 
-                      parseInt(todaySchedule.startTime.split(':')[1]);
-  const endMinutes = parseInt(todaySchedule.endTime.split(':')[0]) * 60 + 
-                    parseInt(todaySchedule.endTime.split(':')[1]);
-  
-  return currentTime >= startMinutes && currentTime <= endMinutes;
+// Method to remove the route shape and the stop distances along it
+routeSchema.methods.clearShape = function() {
+  this.shape = undefined;
+  this.stops.forEach(stop => {
+    stop.distanceAlongShape = undefined;
+  });
 };
 
 module.exports = mongoose.model('Route', routeSchema); 
\ No newline at end of file
@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const { getDayOfWeek } = require('../utils/time');
+
+// Running travel-time statistics between two consecutive stops of a route,
+// bucketed by day of week and hour of day. Sums are kept rather than
+// means so updates can be applied atomically with $inc.
+const segmentStatSchema = new mongoose.Schema({
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: [true, 'Route is required']
+  },
+  fromStop: {
+    type: Number,
+    required: [true, 'From stop is required'],
+    min: 1
+  },
+  toStop: {
+    type: Number,
+    required: [true, 'To stop is required'],
+    min: 1
+  },
+  dayOfWeek: {
+    type: String,
+    enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+    required: true
+  },
+  hourOfDay: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 23
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sum: {
+    type: Number, // minutes
+    default: 0
+  },
+  sumOfSquares: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+segmentStatSchema.index(
+  { route: 1, fromStop: 1, toStop: 1, dayOfWeek: 1, hourOfDay: 1 },
+  { unique: true }
+);
+
+// Combine rows into a single mean/variance
+const summarize = (rows) => {
+  const totals = rows.reduce((acc, row) => ({
+    count: acc.count + row.count,
+    sum: acc.sum + row.sum,
+    sumOfSquares: acc.sumOfSquares + row.sumOfSquares
+  }), { count: 0, sum: 0, sumOfSquares: 0 });
+
+  if (totals.count === 0) return null;
+
+  const mean = totals.sum / totals.count;
+  const variance = Math.max(0, totals.sumOfSquares / totals.count - mean * mean);
+
+  return { count: totals.count, mean, variance };
+};
+
+// Static method to record an observed travel time for a segment
+segmentStatSchema.statics.recordSample = function(routeId, fromStop, toStop, departedAt, minutes) {
+  return this.updateOne({
+    route: routeId,
+    fromStop,
+    toStop,
+    dayOfWeek: getDayOfWeek(departedAt),
+    hourOfDay: departedAt.getHours()
+  }, {
+    $inc: {
+      count: 1,
+      sum: minutes,
+      sumOfSquares: minutes * minutes
+    }
+  }, {
+    upsert: true
+  });
+};
+
+// Static method to get the best available statistics for every segment of a
+// route at a given time. Falls back from the exact day/hour bucket to the
+// same hour on any day, then to all samples for the segment, whenever the
+// narrower bucket has fewer than minSamples observations. Only the rows for
+// the hour are loaded; the all-samples fallback is summed by the database.
+segmentStatSchema.statics.getRouteProfile = async function(routeId, at = new Date(), minSamples = 5) {
+  const dayOfWeek = getDayOfWeek(at);
+  const hourOfDay = at.getHours();
+
+  const [hourRows, segmentTotals] = await Promise.all([
+    this.find({ route: routeId, hourOfDay }).select('fromStop toStop dayOfWeek count sum sumOfSquares').lean(),
+    this.aggregate([
+      { $match: { route: new mongoose.Types.ObjectId(String(routeId)) } },
+      {
+        $group: {
+          _id: { fromStop: '$fromStop', toStop: '$toStop' },
+          count: { $sum: '$count' },
+          sum: { $sum: '$sum' },
+          sumOfSquares: { $sum: '$sumOfSquares' }
+        }
+      }
+    ])
+  ]);
+
+  const bySegment = {};
+  segmentTotals.forEach(total => {
+    bySegment[`${total._id.fromStop}-${total._id.toStop}`] = { total, hourRows: [] };
+  });
+  hourRows.forEach(row => {
+    const segment = bySegment[`${row.fromStop}-${row.toStop}`];
+    if (segment) segment.hourRows.push(row);
+  });
+
+  const profile = {};
+  Object.entries(bySegment).forEach(([key, { total, hourRows: segmentRows }]) => {
+    const candidates = [
+      segmentRows.filter(row => row.dayOfWeek === dayOfWeek),
+      segmentRows,
+      [total]
+    ];
+
+    for (const candidate of candidates) {
+      const stats = summarize(candidate);
+      if (stats && stats.count >= minSamples) {
+        profile[key] = stats;
+        break;
+      }
+    }
+  });
+
+  return profile;
+};
+
+module.exports = mongoose.model('SegmentStat', segmentStatSchema);
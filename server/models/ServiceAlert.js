@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+// Causes, effects and severities follow the GTFS-Realtime Alert enums, in
+// lower case
+const CAUSES = [
+  'unknown_cause', 'other_cause', 'technical_problem', 'strike', 'demonstration', 'accident',
+  'holiday', 'weather', 'maintenance', 'construction', 'police_activity', 'medical_emergency',
+  'special_event'
+];
+const EFFECTS = [
+  'no_service', 'reduced_service', 'significant_delays', 'detour', 'additional_service',
+  'modified_service', 'other_effect', 'unknown_effect', 'stop_moved', 'no_effect',
+  'accessibility_issue'
+];
+const SEVERITIES = ['unknown_severity', 'info', 'warning', 'severe'];
+
+// Disruption notice published to riders and in the GTFS-Realtime alerts feed
+const serviceAlertSchema = new mongoose.Schema({
+  headerText: {
+    type: String,
+    required: [true, 'Alert header is required'],
+    trim: true,
+    maxlength: [200, 'Alert header cannot exceed 200 characters']
+  },
+  descriptionText: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Alert description cannot exceed 2000 characters']
+  },
+  url: {
+    type: String,
+    trim: true
+  },
+  cause: {
+    type: String,
+    enum: CAUSES,
+    default: 'unknown_cause'
+  },
+  effect: {
+    type: String,
+    enum: EFFECTS,
+    default: 'unknown_effect'
+  },
+  severity: {
+    type: String,
+    enum: SEVERITIES,
+    default: 'unknown_severity'
+  },
+  // No periods means the alert is active until it is removed
+  activePeriods: [{
+    start: Date,
+    end: Date
+  }],
+  // Routes and stops the alert applies to; an entry with a route and a
+  // stop number means that stop on that route only
+  informedEntities: [{
+    route: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Route'
+    },
+    stopNumber: {
+      type: Number,
+      min: 1
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+serviceAlertSchema.index({ 'activePeriods.end': 1 });
+
+// Whether the alert is in effect at the given time
+serviceAlertSchema.methods.isActive = function(at = new Date()) {
+  if (this.activePeriods.length === 0) return true;
+  return this.activePeriods.some(period =>
+    (!period.start || period.start <= at) && (!period.end || period.end > at)
+  );
+};
+
+// Alerts in effect now or later; expired ones are left out
+serviceAlertSchema.statics.findCurrent = function(at = new Date()) {
+  return this.find({
+    $or: [
+      { activePeriods: { $size: 0 } },
+      { activePeriods: { $elemMatch: { $or: [{ end: null }, { end: { $gt: at } }] } } }
+    ]
+  });
+};
+
+serviceAlertSchema.statics.CAUSES = CAUSES;
+serviceAlertSchema.statics.EFFECTS = EFFECTS;
+serviceAlertSchema.statics.SEVERITIES = SEVERITIES;
+
+module.exports = mongoose.model('ServiceAlert', serviceAlertSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const { calendarRunsOn, toDateKey } = require('../utils/serviceCalendar');
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+// A named service pattern such as "weekday" or "sunday" that route schedule
+// entries run on. Dates are calendar days (YYYY-MM-DD) in the agency's local
+// time, so a holiday is the same day wherever the server runs.
+const serviceCalendarSchema = new mongoose.Schema({
+  serviceId: {
+    type: String,
+    required: [true, 'Service ID is required'],
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Service name is required'],
+    trim: true
+  },
+  days: [{
+    type: String,
+    enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+  }],
+  startDate: {
+    type: String, // first day the pattern applies, open-ended if unset
+    match: [DATE_KEY, 'Please enter date in YYYY-MM-DD format']
+  },
+  endDate: {
+    type: String, // last day the pattern applies, open-ended if unset
+    match: [DATE_KEY, 'Please enter date in YYYY-MM-DD format']
+  },
+  // One-off changes that override the weekly pattern
+  exceptions: [{
+    date: {
+      type: String,
+      required: [true, 'Exception date is required'],
+      match: [DATE_KEY, 'Please enter date in YYYY-MM-DD format']
+    },
+    type: {
+      type: String,
+      enum: ['added', 'removed'],
+      required: [true, 'Exception type is required']
+    },
+    description: {
+      type: String,
+      trim: true
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Whether service runs on the given date
+serviceCalendarSchema.methods.runsOn = function(date = new Date()) {
+  return calendarRunsOn(this, date);
+};
+
+// Add or replace the exception for a date
+serviceCalendarSchema.methods.setException = function(date, type, description) {
+  const key = toDateKey(date);
+  this.exceptions = this.exceptions.filter(exception => exception.date !== key);
+  this.exceptions.push({ date: key, type, description });
+};
+
+// Run the service of another weekday on a date (e.g. a Sunday service on a
+// public holiday): calendars that run on that weekday gain the date, every
+// other calendar that would otherwise run loses it
+serviceCalendarSchema.statics.applyHoliday = async function(date, runAsDay, description) {
+  const calendars = await this.find();
+  const updated = [];
+
+  for (const calendar of calendars) {
+    // Judge each calendar on its weekly pattern, not an earlier exception
+    const hadException = calendar.exceptions.some(exception => exception.date === date);
+    calendar.exceptions = calendar.exceptions.filter(exception => exception.date !== date);
+
+    const inRange = (!calendar.startDate || date >= calendar.startDate) && (!calendar.endDate || date <= calendar.endDate);
+
+    if (inRange && calendar.days.includes(runAsDay)) {
+      calendar.setException(date, 'added', description);
+    } else if (calendar.runsOn(date)) {
+      calendar.setException(date, 'removed', description);
+    } else if (!hadException) {
+      continue;
+    }
+
+    await calendar.save();
+    updated.push(calendar);
+  }
+
+  return updated;
+};
+
+module.exports = mongoose.model('ServiceCalendar', serviceCalendarSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { toWords } = require('../utils/text');
+
+const FACILITIES = ['Shelter', 'Seating', 'Lighting', 'Display_Board', 'Ticket_Counter', 'Restroom'];
+
+// Wheelchair boarding follows the GTFS wheelchair_boarding values
+const WHEELCHAIR_BOARDING = ['unknown', 'accessible', 'not_accessible'];
+
+// A physical stop, shared by every route that serves it. Routes keep their
+// own ordered stop sequence with a reference to the stop, plus copies of its
+// name, location and facilities kept in step with it.
+const stopSchema = new mongoose.Schema({
+  code: {
+    type: String, // rider-facing stop code, also used in departure board URLs
+    required: [true, 'Stop code is required'],
+    unique: true,
+    immutable: true,
+    trim: true,
+    maxlength: [64, 'Stop code cannot exceed 64 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Stop name is required'],
+    trim: true
+  },
+  // Other names riders and older route records use for this stop
+  aliases: [{
+    type: String,
+    trim: true
+  }],
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: [true, 'Stop coordinates are required'],
+      validate: {
+        validator: (coordinates) => coordinates.length === 2 &&
+          Math.abs(coordinates[0]) <= 180 && Math.abs(coordinates[1]) <= 90,
+        message: 'Stop coordinates must be [longitude, latitude]'
+      }
+    },
+    address: String
+  },
+  facilities: [{
+    type: String,
+    enum: FACILITIES
+  }],
+  accessibility: {
+    wheelchairBoarding: {
+      type: String,
+      enum: WHEELCHAIR_BOARDING,
+      default: 'unknown'
+    },
+    stepFreeAccess: Boolean,
+    tactilePaving: Boolean,
+    audioAnnouncements: Boolean,
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Accessibility notes cannot exceed 500 characters']
+    }
+  },
+  gtfsStopId: {
+    type: String, // stop_id in the GTFS feed this stop was imported from
+    trim: true
+  },
+  // Lower-case code and words of the name and aliases, kept up to date on
+  // save so stop search can narrow candidates by prefix with an index
+  searchTerms: {
+    type: [String],
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+stopSchema.index({ location: '2dsphere' });
+stopSchema.index({ gtfsStopId: 1 }, { sparse: true });
+stopSchema.index({ name: 1 });
+stopSchema.index({ searchTerms: 1 });
+
+stopSchema.pre('validate', function(next) {
+  const words = [this.name, ...this.aliases].flatMap(name => toWords(name));
+  this.searchTerms = [...new Set([(this.code || '').toLowerCase(), ...words].filter(Boolean))];
+  next();
+});
+
+// Record another name for the stop, unless it already goes by it
+stopSchema.methods.addAlias = function(name) {
+  const normalized = (name || '').trim();
+  if (!normalized) return;
+
+  const known = [this.name, ...this.aliases].map(existing => existing.toLowerCase());
+  if (!known.includes(normalized.toLowerCase())) this.aliases.push(normalized);
+};
+
+// Search terms are for the index only
+stopSchema.methods.toJSON = function() {
+  const stop = this.toObject();
+  delete stop.searchTerms;
+  return stop;
+};
+
+stopSchema.statics.FACILITIES = FACILITIES;
+stopSchema.statics.WHEELCHAIR_BOARDING = WHEELCHAIR_BOARDING;
+
+module.exports = mongoose.model('Stop', stopSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending_payment', 'payment_failed', 'active', 'refunded'];
+
+// A fare product a rider bought. The product's terms are copied onto the
+// ticket, so changing a product never changes tickets already sold.
+const ticketSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FareProduct',
+    required: [true, 'Fare product is required']
+  },
+  productCode: String,
+  productName: String,
+  type: String,
+  riderCategory: String,
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    required: true
+  },
+  routes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  }],
+  zones: [String],
+  // The rules a quote-priced ticket's fare came from
+  fareRuleSet: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FareRuleSet'
+  },
+  maxRides: Number,
+  ridesTaken: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending_payment'
+  },
+  validFrom: Date,
+  validUntil: Date,
+  payment: {
+    provider: String,
+    reference: String, // the provider's ID for the charge
+    paidAt: Date,
+    failureReason: String,
+    refundReference: String,
+    refundedAt: Date
+  },
+  // Signed payload shown as the ticket's QR code
+  qrCode: String,
+  // Sent by the client so retrying a purchase never charges twice
+  idempotencyKey: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  }
+}, {
+  timestamps: true
+});
+
+ticketSchema.index({ user: 1, createdAt: -1 });
+ticketSchema.index({ user: 1, idempotencyKey: 1 }, { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } });
+
+// What the rider sees: a paid ticket is upcoming, valid, used up or expired
+// depending on the time and rides taken
+ticketSchema.methods.getState = function(at = new Date()) {
+  if (this.status !== 'active') return this.status;
+  if (at < this.validFrom) return 'upcoming';
+  if (at >= this.validUntil) return 'expired';
+  if (this.maxRides && this.ridesTaken >= this.maxRides) return 'used';
+  return 'valid';
+};
+
+ticketSchema.statics.STATUSES = STATUSES;
+
+module.exports = mongoose.model('Ticket', ticketSchema);
@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+
+const stopServedSchema = new mongoose.Schema({
+  stopNumber: {
+    type: Number,
+    required: [true, 'Stop number is required'],
+    min: 1
+  },
+  name: String,
+  arrivalTime: Date,
+  departureTime: Date,
+  dwellTime: {
+    type: Number, // seconds spent inside the stop geofence
+    min: 0
+  },
+  passengersBoarded: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  passengersAlighted: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const passengerCountSchema = new mongoose.Schema({
+  count: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const tripSchema = new mongoose.Schema({
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: [true, 'Bus is required']
+  },
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Driver',
+    required: [true, 'Driver is required']
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: [true, 'Route is required']
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed', 'cancelled'],
+    default: 'in_progress'
+  },
+  startTime: {
+    type: Date,
+    default: Date.now
+  },
+  endTime: {
+    type: Date
+  },
+  startOdometer: {
+    type: Number,
+    min: 0
+  },
+  endOdometer: {
+    type: Number,
+    min: 0
+  },
+  stopsServed: [stopServedSchema],
+  passengerCounts: [passengerCountSchema],
+  peakPassengerCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  statsProcessedAt: {
+    type: Date, // set once the segment statistics job has aggregated this trip
+    default: null
+  },
+  loadProfiledAt: {
+    type: Date, // set once the load profile job has aggregated this trip
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+tripSchema.index({ driver: 1, startTime: -1 });
+tripSchema.index({ bus: 1, startTime: -1 });
+tripSchema.index({ route: 1, startTime: -1 });
+tripSchema.index({ status: 1, statsProcessedAt: 1 });
+tripSchema.index({ status: 1, loadProfiledAt: 1 });
+
+// Virtual for distance driven, based on odometer readings (km)
+tripSchema.virtual('distanceTravelled').get(function() {
+  if (this.startOdometer == null || this.endOdometer == null) return null;
+  return Math.max(0, this.endOdometer - this.startOdometer);
+});
+
+// Virtual for trip duration in minutes
+tripSchema.virtual('duration').get(function() {
+  const end = this.endTime || new Date();
+  return Math.round((end - this.startTime) / (1000 * 60));
+});
+
+tripSchema.set('toJSON', { virtuals: true });
+tripSchema.set('toObject', { virtuals: true });
+
+// Method to record a passenger count reading
+tripSchema.methods.recordPassengerCount = function(count) {
+  this.passengerCounts.push({ count, recordedAt: new Date() });
+  if (count > this.peakPassengerCount) {
+    this.peakPassengerCount = count;
+  }
+  return this.save();
+};
+
+// Index of the stop visit the bus was at, or had last left, at a time
+tripSchema.methods.getVisitIndexAt = function(at = new Date()) {
+  let index = -1;
+  this.stopsServed.forEach((visit, i) => {
+    if (visit.arrivalTime && visit.arrivalTime <= at) index = i;
+  });
+  return index;
+};
+
+// Method to complete the trip
+tripSchema.methods.complete = function(endOdometer) {
+  if (endOdometer !== undefined && this.startOdometer != null && endOdometer < this.startOdometer) {
+    throw new Error('End odometer cannot be less than start odometer');
+  }
+
+  this.status = 'completed';
+  this.endTime = new Date();
+
+  // Close the visit to the stop the bus was still dwelling at
+  this.stopsServed.forEach(visit => {
+    if (visit.arrivalTime && !visit.departureTime) {
+      visit.departureTime = this.endTime;
+      visit.dwellTime = Math.round((this.endTime - visit.arrivalTime) / 1000);
+    }
+  });
+  if (endOdometer !== undefined) this.endOdometer = endOdometer;
+  return this.save();
+};
+
+// Static method to build a filter for trip history queries
+tripSchema.statics.buildHistoryQuery = function({ driver, bus, route, status, from, to } = {}) {
+  const query = {};
+  if (driver) query.driver = driver;
+  if (bus) query.bus = bus;
+  if (route) query.route = route;
+  if (status) query.status = status;
+
+  if (from || to) {
+    query.startTime = {};
+    if (from) query.startTime.$gte = new Date(from);
+    if (to) query.startTime.$lte = new Date(to);
+  }
+
+  return query;
+};
+
+module.exports = mongoose.model('Trip', tripSchema);
@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Holds keep their seat this long after expiring, so a confirmation sent
+// just before a hold expires can't land after someone else took the seat
+const HOLD_GRACE_MS = 30 * 1000;
+
+// A seat taken between two stops. Holds carry their expiry; confirmed
+// bookings have none.
+const seatBookingSchema = new mongoose.Schema({
+  reservation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reservation',
+    required: true
+  },
+  // The rider, for the per-rider seat limit (bookings made before it was
+  // kept have none)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  seatLabel: {
+    type: String,
+    required: true
+  },
+  fromStopNumber: {
+    type: Number,
+    required: true
+  },
+  toStopNumber: {
+    type: Number,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Who sits where on one planned trip of a route. Every seat booking of the
+// trip lives in this one document, so a booking can be added with a single
+// update that only matches when no live booking overlaps it, and two
+// riders can never get the same seat for the same stretch.
+const tripSeatingSchema = new mongoose.Schema({
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route',
+    required: [true, 'Route is required']
+  },
+  departureTime: {
+    type: Date,
+    required: [true, 'Departure time is required']
+  },
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: [true, 'Bus is required']
+  },
+  bookings: [seatBookingSchema]
+}, {
+  timestamps: true
+});
+
+tripSeatingSchema.index({ route: 1, departureTime: 1 }, { unique: true });
+tripSeatingSchema.index({ 'bookings.expiresAt': 1 });
+
+// Query matching a live booking of a seat that overlaps a stretch. Buses
+// run one way, so stretches overlap when each starts before the other ends.
+tripSeatingSchema.statics.overlapping = function(seatLabel, fromStopNumber, toStopNumber, at = new Date()) {
+  return {
+    seatLabel,
+    fromStopNumber: { $lt: toStopNumber },
+    toStopNumber: { $gt: fromStopNumber },
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date(at.getTime() - HOLD_GRACE_MS) } }]
+  };
+};
+
+// Query expression matching a trip seating where a rider holds fewer than
+// limit live bookings, so a seat claim can check the limit in the same update
+tripSeatingSchema.statics.riderBelowLimit = function(userId, limit, at = new Date()) {
+  const cutoff = new Date(at.getTime() - HOLD_GRACE_MS);
+  return {
+    $lt: [
+      {
+        $size: {
+          $filter: {
+            input: '$bookings',
+            cond: {
+              $and: [
+                { $eq: ['$$this.user', userId] },
+                { $or: [{ $eq: [{ $ifNull: ['$$this.expiresAt', null] }, null] }, { $gt: ['$$this.expiresAt', cutoff] }] }
+              ]
+            }
+          }
+        }
+      },
+      limit
+    ]
+  };
+};
+
+// Bookings still holding their seat at a time
+tripSeatingSchema.methods.getLiveBookings = function(at = new Date()) {
+  const cutoff = at.getTime() - HOLD_GRACE_MS;
+  return this.bookings.filter(booking => !booking.expiresAt || booking.expiresAt.getTime() > cutoff);
+};
+
+tripSeatingSchema.statics.HOLD_GRACE_MS = HOLD_GRACE_MS;
+
+module.exports = mongoose.model('TripSeating', tripSeatingSchema);
@@ -47,6 +47,19 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Route'
   }],
+  // Browsers the rider allowed to show Web Push notifications for alerts
+  pushSubscriptions: {
+    type: [{
+      _id: false,
+      endpoint: { type: String, required: true },
+      keys: {
+        p256dh: { type: String, required: true },
+        auth: { type: String, required: true }
+      },
+      createdAt: { type: Date, default: Date.now }
+    }],
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,58 @@
+const { createOutboxNotifier } = require('./outboxNotifier');
+const { createSmtpNotifier } = require('./smtpNotifier');
+const { createSocketNotifier } = require('./socketNotifier');
+const { createWebPushNotifier, generateVapidKeys } = require('./webPushNotifier');
+
+// Every notifier exposes the same interface:
+//   channel                   - the alert channel it delivers: socket, push
+//                               or email
+//   name                      - which transport carries the notifications
+//   send(user, notification)  -> Promise of { status: 'sent' },
+//                                { status: 'skipped', reason } when the user
+//                                can't be reached this way,
+//                                or { status: 'failed', reason }
+// notification is { title, body, url, tag, data }, url being a path in the
+// rider app. send never rejects. The Web Push notifier also has the VAPID
+// publicKey browsers subscribe with, and reports goneEndpoints: push
+// subscriptions the push service has dropped for good.
+
+// A notifier for each channel that can deliver, by channel. In-app
+// notifications go over the rider sockets. Push needs VAPID_PUBLIC_KEY,
+// VAPID_PRIVATE_KEY and VAPID_SUBJECT (a mailto: or https: contact), email
+// SMTP_URL and MAIL_FROM. Outside production a channel that isn't set up
+// gets an outbox stand-in; in production it is left out.
+const createNotifiers = (io, env = process.env) => {
+  const production = env.NODE_ENV === 'production';
+  const notifiers = { socket: createSocketNotifier(io) };
+
+  if (env.VAPID_PUBLIC_KEY && env.VAPID_PRIVATE_KEY && env.VAPID_SUBJECT) {
+    notifiers.push = createWebPushNotifier({
+      publicKey: env.VAPID_PUBLIC_KEY,
+      privateKey: env.VAPID_PRIVATE_KEY,
+      subject: env.VAPID_SUBJECT
+    });
+  } else if (!production) {
+    notifiers.push = createOutboxNotifier('push');
+  }
+
+  if (env.SMTP_URL && env.MAIL_FROM) {
+    notifiers.email = createSmtpNotifier({
+      url: env.SMTP_URL,
+      from: env.MAIL_FROM,
+      appUrl: env.FRONTEND_URL || (production ? 'https://ebus-tracking-system.vercel.app' : 'http://localhost:5173')
+    });
+  } else if (!production) {
+    notifiers.email = createOutboxNotifier('email');
+  }
+
+  return notifiers;
+};
+
+module.exports = {
+  createNotifiers,
+  createOutboxNotifier,
+  createSmtpNotifier,
+  createSocketNotifier,
+  createWebPushNotifier,
+  generateVapidKeys
+};
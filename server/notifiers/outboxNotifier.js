@@ -0,0 +1,24 @@
+const MAX_OUTBOX = 100;
+
+// Notifier that delivers nothing. Notifications are logged and the last
+// MAX_OUTBOX kept in memory, standing in for push or email in development
+// and tests so alerts can be tried without a push service or mail server.
+const createOutboxNotifier = (channel, { log = true } = {}) => {
+  const outbox = [];
+
+  const send = async (user, notification) => {
+    outbox.push({ user: String(user._id), email: user.email, notification, sentAt: new Date() });
+    if (outbox.length > MAX_OUTBOX) outbox.shift();
+
+    if (log) {
+      console.log(`[${channel} outbox] ${user.email}: ${notification.title} - ${notification.body}`);
+    }
+    return { status: 'sent' };
+  };
+
+  return { channel, name: 'outbox', outbox, send };
+};
+
+module.exports = {
+  createOutboxNotifier
+};
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const { once } = require('events');
+
+// Email through an SMTP relay, such as a mail provider's submission server.
+// smtps:// connects over TLS; smtp:// upgrades with STARTTLS when the server
+// offers it. Credentials in the URL are sent with AUTH PLAIN, and only over
+// TLS. Each message gets its own connection, which is plenty for alerts.
+
+const DEFAULT_PORTS = { 'smtp:': 587, 'smtps:': 465 };
+const COMMAND_TIMEOUT_MS = 15000;
+
+// Reads SMTP replies off a connection, which STARTTLS may swap for a TLS
+// one. Lines like "250-..." continue a reply and "250 ..." ends it.
+const openSession = (initialSocket) => {
+  let socket = null;
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const settle = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) resolve(replies.shift());
+      else reject(failure);
+    }
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      lines.push(line.slice(4));
+      if (line[3] !== '-') {
+        replies.push({ code: Number(line.slice(0, 3)), lines });
+        lines = [];
+      }
+    }
+    settle();
+  };
+  const onError = (error) => {
+    failure = failure || error;
+    settle();
+  };
+  const onClose = () => onError(new Error('SMTP server closed the connection'));
+  const onTimeout = () => {
+    onError(new Error('SMTP server timed out'));
+    socket.destroy();
+  };
+
+  const attach = (next) => {
+    socket = next;
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+    socket.setTimeout(COMMAND_TIMEOUT_MS, onTimeout);
+  };
+  const detach = () => {
+    socket.off('data', onData);
+    socket.off('error', onError);
+    socket.off('close', onClose);
+    socket.setTimeout(0);
+  };
+  attach(initialSocket);
+
+  // Send a command (or nothing, for the greeting) and wait for a reply with
+  // one of the expected codes
+  const command = async (line, expected) => {
+    if (line !== null) socket.write(`${line}\r\n`);
+    const reply = await new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject });
+      settle();
+    });
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP server answered ${reply.code} ${reply.lines.join(' ')}`);
+    }
+    return reply;
+  };
+
+  const startTls = async (servername) => {
+    detach();
+    const secure = tls.connect({ socket, servername });
+    await once(secure, 'secureConnect');
+    attach(secure);
+  };
+
+  return { command, startTls, close: () => socket.end() };
+};
+
+// Header values are ASCII; anything else is sent as an encoded word
+const encodeHeader = (value) => {
+  const clean = value.replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(clean) ? clean : `=?UTF-8?B?${Buffer.from(clean).toString('base64')}?=`;
+};
+
+const buildMessage = ({ from, to, subject, text, domain }) => [
+  `From: ${from}`,
+  `To: ${to}`,
+  `Subject: ${encodeHeader(subject)}`,
+  `Date: ${new Date().toUTCString()}`,
+  `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+  'MIME-Version: 1.0',
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: base64',
+  '',
+  ...Buffer.from(text).toString('base64').match(/.{1,76}/g)
+].join('\r\n');
+
+const createSmtpNotifier = ({ url, from, appUrl }) => {
+  const server = new URL(url);
+  if (!DEFAULT_PORTS[server.protocol]) {
+    throw new Error('SMTP_URL must start with smtp:// or smtps://');
+  }
+
+  const host = server.hostname;
+  const port = Number(server.port) || DEFAULT_PORTS[server.protocol];
+  const username = decodeURIComponent(server.username);
+  const password = decodeURIComponent(server.password);
+  const sender = (from.match(/<([^>]+)>/) || [null, from])[1].trim();
+  const domain = sender.split('@')[1] || os.hostname();
+
+  const connect = async () => {
+    const secure = server.protocol === 'smtps:';
+    const socket = secure
+      ? tls.connect({ host, port, servername: host, timeout: COMMAND_TIMEOUT_MS })
+      : net.connect({ host, port, timeout: COMMAND_TIMEOUT_MS });
+    socket.once('timeout', () => socket.destroy(new Error('SMTP server timed out')));
+
+    await once(socket, secure ? 'secureConnect' : 'connect');
+    return { socket, secure };
+  };
+
+  const deliver = async (to, message) => {
+    const connection = await connect();
+    const session = openSession(connection.socket);
+    let { secure } = connection;
+
+    try {
+      await session.command(null, [220]);
+      const hello = await session.command(`EHLO ${os.hostname()}`, [250]);
+
+      if (!secure && hello.lines.some(line => /^STARTTLS\b/i.test(line))) {
+        await session.command('STARTTLS', [220]);
+        await session.startTls(host);
+        secure = true;
+        await session.command(`EHLO ${os.hostname()}`, [250]);
+      }
+
+      if (username) {
+        if (!secure) throw new Error('SMTP server offers no TLS to log in over');
+        await session.command(`AUTH PLAIN ${Buffer.from(`\0${username}\0${password}`).toString('base64')}`, [235]);
+      }
+
+      await session.command(`MAIL FROM:<${sender}>`, [250]);
+      await session.command(`RCPT TO:<${to}>`, [250, 251]);
+      await session.command('DATA', [354]);
+      // Lines starting with a dot are escaped so they don't end the message
+      await session.command(`${message.replace(/^\./gm, '..')}\r\n.`, [250]);
+      await session.command('QUIT', [221]).catch(() => {});
+    } finally {
+      session.close();
+    }
+  };
+
+  const send = async (user, notification) => {
+    if (!user.email) return { status: 'skipped', reason: 'No email address' };
+
+    const text = notification.url
+      ? `${notification.body}\n\n${appUrl}${notification.url}\n`
+      : `${notification.body}\n`;
+
+    try {
+      await deliver(user.email, buildMessage({ from, to: user.email, subject: notification.title, text, domain }));
+      return { status: 'sent' };
+    } catch (error) {
+      return { status: 'failed', reason: error.message };
+    }
+  };
+
+  return { channel: 'email', name: 'smtp', send };
+};
+
+module.exports = {
+  createSmtpNotifier
+};
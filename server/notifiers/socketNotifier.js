@@ -0,0 +1,16 @@
+const { emitToUser } = require('../socket/broadcast');
+
+// In-app notifications, sent as rider-alert to every rider socket the user
+// has open. Riders who aren't connected miss them.
+const createSocketNotifier = (io) => {
+  const send = async (user, notification) => {
+    emitToUser(io, user._id, 'rider-alert', notification);
+    return { status: 'sent' };
+  };
+
+  return { channel: 'socket', name: 'socket.io', send };
+};
+
+module.exports = {
+  createSocketNotifier
+};
@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+
+// Web Push (RFC 8030) straight to each browser's push service: the
+// payload is encrypted for the subscription (RFC 8291, aes128gcm) and the
+// request signed with the server's VAPID key (RFC 8292). Keys are base64url:
+// the public key is an uncompressed P-256 point, the private key its
+// 32-byte scalar.
+
+const TTL_SECONDS = 60 * 60; // a bus alert is no use to anyone hours later
+const JWT_LIFETIME_SECONDS = 12 * 60 * 60;
+const RECORD_SIZE = 4096;
+const REQUEST_TIMEOUT_MS = 10000;
+
+const fromBase64Url = (value) => Buffer.from(value, 'base64url');
+
+const createVapidKey = (publicKey, privateKey) => {
+  const point = fromBase64Url(publicKey);
+  if (point.length !== 65 || point[0] !== 0x04) {
+    throw new Error('VAPID public key must be an uncompressed P-256 point');
+  }
+
+  return crypto.createPrivateKey({
+    format: 'jwk',
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: point.subarray(1, 33).toString('base64url'),
+      y: point.subarray(33, 65).toString('base64url'),
+      d: privateKey
+    }
+  });
+};
+
+// A JWT for the push service at the endpoint's origin, signed ES256
+const signVapidToken = (endpoint, subject, key) => {
+  const header = Buffer.from(JSON.stringify({ typ: 'JWT', alg: 'ES256' })).toString('base64url');
+  const claims = Buffer.from(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: Math.floor(Date.now() / 1000) + JWT_LIFETIME_SECONDS,
+    sub: subject
+  })).toString('base64url');
+
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' });
+  return `${header}.${claims}.${signature.toString('base64url')}`;
+};
+
+// Encrypt a payload for a subscription's keys as a single aes128gcm record
+const encryptPayload = (payload, { p256dh, auth }) => {
+  const receiverKey = fromBase64Url(p256dh);
+  const authSecret = fromBase64Url(auth);
+
+  const ecdh = crypto.createECDH('prime256v1');
+  const senderKey = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(receiverKey);
+  const salt = crypto.randomBytes(16);
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), receiverKey, senderKey]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+  const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  // The 0x02 delimiter marks the last (and only) record
+  const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+  const ciphertext = Buffer.concat([cipher.update(Buffer.concat([payload, Buffer.from([0x02])])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(senderKey.length, 20);
+
+  return Buffer.concat([header, senderKey, ciphertext]);
+};
+
+const createWebPushNotifier = ({ publicKey, privateKey, subject }) => {
+  const key = createVapidKey(publicKey, privateKey);
+
+  // Push one payload to one browser. Push services answer 404 or 410 for
+  // subscriptions that are gone for good.
+  const pushTo = async (subscription, payload) => {
+    try {
+      const response = await fetch(subscription.endpoint, {
+        method: 'POST',
+        headers: {
+          Authorization: `vapid t=${signVapidToken(subscription.endpoint, subject, key)}, k=${publicKey}`,
+          'Content-Encoding': 'aes128gcm',
+          'Content-Type': 'application/octet-stream',
+          TTL: String(TTL_SECONDS),
+          Urgency: 'high'
+        },
+        body: encryptPayload(payload, subscription.keys),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+
+      if (response.ok) return { ok: true };
+      return { ok: false, gone: response.status === 404 || response.status === 410, reason: `Push service answered ${response.status}` };
+    } catch (error) {
+      return { ok: false, gone: false, reason: error.message };
+    }
+  };
+
+  const send = async (user, notification) => {
+    const subscriptions = user.pushSubscriptions || [];
+    if (subscriptions.length === 0) return { status: 'skipped', reason: 'No browser subscribed to push' };
+
+    const payload = Buffer.from(JSON.stringify(notification));
+    const results = await Promise.all(subscriptions.map(subscription => pushTo(subscription, payload)));
+
+    const goneEndpoints = subscriptions.filter((subscription, i) => results[i].gone).map(subscription => subscription.endpoint);
+    const failed = results.find(result => !result.ok);
+    return results.some(result => result.ok)
+      ? { status: 'sent', goneEndpoints }
+      : { status: 'failed', reason: failed.reason, goneEndpoints };
+  };
+
+  return { channel: 'push', name: 'web-push', publicKey, send };
+};
+
+// A fresh VAPID key pair, base64url encoded
+const generateVapidKeys = () => {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return {
+    publicKey: ecdh.getPublicKey().toString('base64url'),
+    privateKey: Buffer.from(ecdh.getPrivateKey('hex').padStart(64, '0'), 'hex').toString('base64url')
+  };
+};
+
+module.exports = {
+  createWebPushNotifier,
+  encryptPayload,
+  generateVapidKeys,
+  signVapidToken
+};
@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+
+// Payment methods the fake provider declines, and why, for trying out
+// failed purchases
+const DECLINED_METHODS = {
+  fake_declined: 'Card declined',
+  fake_insufficient_funds: 'Insufficient funds'
+};
+
+// Payment provider that moves no money. Charges succeed unless the payment
+// method is one of DECLINED_METHODS, and are remembered in memory so they
+// can be refunded once. For development and tests only.
+const createFakeProvider = () => {
+  const charges = new Map();
+
+  const charge = async ({ amount, currency, paymentMethod, idempotencyKey }) => {
+    if (DECLINED_METHODS[paymentMethod]) {
+      return { status: 'failed', failureReason: DECLINED_METHODS[paymentMethod] };
+    }
+
+    // A retried charge returns the original one, like real providers do
+    const existing = idempotencyKey && [...charges.values()].find(entry => entry.idempotencyKey === idempotencyKey);
+    if (existing) return { status: 'succeeded', reference: existing.reference };
+
+    const reference = `fake_ch_${crypto.randomUUID()}`;
+    charges.set(reference, { reference, amount, currency, idempotencyKey, refunded: false });
+    return { status: 'succeeded', reference };
+  };
+
+  const refund = async ({ reference }) => {
+    const existing = charges.get(reference);
+    if (!existing) return { status: 'failed', failureReason: 'Charge not found' };
+    if (existing.refunded) return { status: 'failed', failureReason: 'Charge already refunded' };
+
+    existing.refunded = true;
+    return { status: 'succeeded', reference: `fake_re_${crypto.randomUUID()}` };
+  };
+
+  return { name: 'fake', charge, refund };
+};
+
+module.exports = {
+  DECLINED_METHODS,
+  createFakeProvider
+};
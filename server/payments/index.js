@@ -0,0 +1,37 @@
+const { createFakeProvider } = require('./fakeProvider');
+
+// Every payment provider exposes the same interface:
+//   name                - stored on each ticket it takes payment for
+//   charge({ amount, currency, description, customer, paymentMethod,
+//            idempotencyKey })
+//                       -> Promise of { status: 'succeeded', reference }
+//                          or { status: 'failed', failureReason }
+//   refund({ reference, amount })
+//                       -> Promise of { status: 'succeeded', reference }
+//                          or { status: 'failed', failureReason }
+// paymentMethod is whatever the provider's client-side SDK handed the rider's
+// app, such as a card token. Both calls reject only when the provider could
+// not be reached, so the outcome is unknown.
+
+const providers = {
+  fake: createFakeProvider
+};
+
+// The provider named by PAYMENT_PROVIDER. Outside production it defaults to
+// the fake provider; in production it must be set, so tickets are never
+// handed out without taking payment.
+const createPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  const selected = name || (process.env.NODE_ENV === 'production' ? null : 'fake');
+  if (!selected) {
+    throw new Error('PAYMENT_PROVIDER must be set in production');
+  }
+  if (!providers[selected]) {
+    throw new Error(`Unknown payment provider: ${selected}`);
+  }
+  return providers[selected]();
+};
+
+module.exports = {
+  createPaymentProvider,
+  createFakeProvider
+};
@@ -0,0 +1,42 @@
+const linearRegression = require('./linearRegression');
+const randomForest = require('./randomForest');
+const neuralNetwork = require('./neuralNetwork');
+
+const MEMBERS = [linearRegression, randomForest, neuralNetwork];
+const HOLDOUT_EVERY = 5; // every fifth sample is held out to weight members
+
+const meanAbsoluteError = (member, model, samples) =>
+  samples.reduce((sum, sample) => sum + Math.abs(member.predict(model, sample.features) - sample.target), 0) /
+  samples.length;
+
+// Weighted average of the other predictors, weighted by inverse holdout error
+const train = (samples) => {
+  const training = samples.filter((_, i) => i % HOLDOUT_EVERY !== 0);
+  const holdout = samples.filter((_, i) => i % HOLDOUT_EVERY === 0);
+
+  const errors = MEMBERS.map(member =>
+    meanAbsoluteError(member, member.train(training), holdout)
+  );
+  const inverse = errors.map(error => 1 / Math.max(error, 1e-6));
+  const total = inverse.reduce((sum, value) => sum + value, 0);
+
+  return {
+    members: MEMBERS.map((member, i) => ({
+      name: member.name,
+      weight: inverse[i] / total,
+      model: member.train(samples)
+    }))
+  };
+};
+
+const predict = (model, features) => model.members.reduce((sum, entry) => {
+  const member = MEMBERS.find(m => m.name === entry.name);
+  return sum + entry.weight * member.predict(entry.model, features);
+}, 0);
+
+module.exports = {
+  name: 'ensemble',
+  version: '1.0',
+  train,
+  predict
+};
@@ -0,0 +1,66 @@
+// Shared feature encoding for every predictor. Each predictor sees the same
+// numeric vector so models can be compared like for like.
+
+const TRAFFIC_LEVELS = { low: 0, medium: 1, high: 2 };
+const WEATHER_PENALTY = { clear: 0, foggy: 1, rainy: 1, snowy: 2 };
+const PEAK_TIMES = ['morning', 'evening'];
+
+const FEATURE_NAMES = [
+  'baselineMinutes',
+  'distanceToStop',
+  'numberOfStops',
+  'currentSpeed',
+  'traffic',
+  'weather',
+  'peakHour',
+  'passengerLoad'
+];
+
+// Encode prediction factors as a numeric vector in FEATURE_NAMES order
+const toFeatureVector = (factors = {}) => [
+  factors.baselineMinutes || 0,
+  factors.distanceToStop || 0,
+  factors.numberOfStops || 0,
+  factors.currentSpeed || 0,
+  TRAFFIC_LEVELS[factors.trafficConditions] ?? 1,
+  WEATHER_PENALTY[factors.weatherConditions] ?? 0,
+  PEAK_TIMES.includes(factors.timeOfDay) ? 1 : 0,
+  (factors.passengerLoad || 0) / 100
+];
+
+// Per-feature mean and standard deviation, for models that need scaled inputs
+const fitScaler = (rows) => {
+  const width = rows[0].length;
+  const means = new Array(width).fill(0);
+  const stds = new Array(width).fill(0);
+
+  rows.forEach(row => row.forEach((value, i) => { means[i] += value / rows.length; }));
+  rows.forEach(row => row.forEach((value, i) => { stds[i] += (value - means[i]) ** 2 / rows.length; }));
+
+  return {
+    means,
+    stds: stds.map(variance => Math.sqrt(variance) || 1)
+  };
+};
+
+const scale = (scaler, row) => row.map((value, i) => (value - scaler.means[i]) / scaler.stds[i]);
+
+// Deterministic PRNG (mulberry32) so training is reproducible
+const createRandom = (seed = 42) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+module.exports = {
+  FEATURE_NAMES,
+  toFeatureVector,
+  fitScaler,
+  scale,
+  createRandom
+};
@@ -0,0 +1,106 @@
+const PredictorModel = require('../models/PredictorModel');
+const { toFeatureVector } = require('./features');
+const linearRegression = require('./linearRegression');
+const randomForest = require('./randomForest');
+const neuralNetwork = require('./neuralNetwork');
+const ensemble = require('./ensemble');
+
+// Every predictor exposes the same interface:
+//   name     - matches a value of Prediction.algorithm
+//   version  - bumped when the algorithm's code changes
+//   train(samples) -> params, where samples are { features, target } with
+//                     features from toFeatureVector and target in minutes
+//   predict(params, features) -> minutes until arrival
+
+const DEFAULT_ALGORITHM = 'linear_regression';
+const MODEL_CACHE_TTL_MS = 5 * 60 * 1000;
+const HOLDOUT_EVERY = 5;
+
+const predictors = {};
+const modelCache = {};
+
+const registerPredictor = (predictor) => {
+  predictors[predictor.name] = predictor;
+};
+
+[linearRegression, randomForest, neuralNetwork, ensemble].forEach(registerPredictor);
+
+const getPredictor = (name) => predictors[name] || predictors[DEFAULT_ALGORITHM];
+
+const listPredictors = () => Object.values(predictors).map(({ name, version }) => ({ name, version }));
+
+const loadModel = async (algorithm) => {
+  const cached = modelCache[algorithm];
+  if (cached && Date.now() - cached.loadedAt < MODEL_CACHE_TTL_MS) return cached.model;
+
+  const model = await PredictorModel.findOne({ algorithm }).lean();
+  modelCache[algorithm] = { model, loadedAt: Date.now() };
+  return model;
+};
+
+// Predict minutes until arrival with the named algorithm. Until an algorithm
+// has been trained it returns the geometric baseline from the ETA engine
+// unchanged, so a new route or a fresh install still gets sensible ETAs.
+const predictTravelTime = async (algorithm, factors) => {
+  const predictor = getPredictor(algorithm);
+  const stored = await loadModel(predictor.name);
+  const baseline = factors.baselineMinutes || 0;
+
+  if (!stored) {
+    return {
+      minutes: baseline,
+      algorithm: predictor.name,
+      modelVersion: `${predictor.version}.0`
+    };
+  }
+
+  const minutes = predictor.predict(stored.params, toFeatureVector(factors));
+
+  return {
+    minutes: Number.isFinite(minutes) ? Math.max(0, minutes) : baseline,
+    algorithm: predictor.name,
+    modelVersion: `${predictor.version}.${stored.revision}`
+  };
+};
+
+// Train an algorithm on the given samples, score it on a holdout split and
+// store the parameters as the next revision
+const trainPredictor = async (algorithm, samples) => {
+  const predictor = getPredictor(algorithm);
+
+  const training = samples.filter((_, i) => i % HOLDOUT_EVERY !== 0);
+  const holdout = samples.filter((_, i) => i % HOLDOUT_EVERY === 0);
+  const trial = predictor.train(training);
+  const errors = holdout.map(sample => predictor.predict(trial, sample.features) - sample.target);
+
+  const metrics = {
+    meanAbsoluteError: errors.reduce((sum, error) => sum + Math.abs(error), 0) / errors.length,
+    rootMeanSquaredError: Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / errors.length)
+  };
+
+  const model = await PredictorModel.findOneAndUpdate(
+    { algorithm: predictor.name },
+    {
+      $set: {
+        params: predictor.train(samples),
+        sampleCount: samples.length,
+        metrics,
+        trainedAt: new Date()
+      },
+      $inc: { revision: 1 }
+    },
+    { new: true, upsert: true }
+  );
+
+  delete modelCache[predictor.name];
+  return model;
+};
+
+module.exports = {
+  DEFAULT_ALGORITHM,
+  registerPredictor,
+  getPredictor,
+  listPredictors,
+  predictTravelTime,
+  trainPredictor
+};
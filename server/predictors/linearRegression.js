@@ -0,0 +1,64 @@
+const { fitScaler, scale } = require('./features');
+
+const RIDGE_LAMBDA = 1;
+
+// Solve A x = b by Gaussian elimination with partial pivoting
+const solve = (A, b) => {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+
+    if (Math.abs(m[col][col]) < 1e-12) continue;
+
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+
+  return m.map((row, i) => (Math.abs(row[i]) < 1e-12 ? 0 : row[n] / row[i]));
+};
+
+// Ridge regression on standardized features
+const train = (samples) => {
+  const rows = samples.map(sample => sample.features);
+  const scaler = fitScaler(rows);
+  const X = rows.map(row => scale(scaler, row));
+  const y = samples.map(sample => sample.target);
+  const intercept = y.reduce((sum, value) => sum + value, 0) / y.length;
+  const width = X[0].length;
+
+  const XtX = Array.from({ length: width }, (_, i) =>
+    Array.from({ length: width }, (__, j) =>
+      X.reduce((sum, row) => sum + row[i] * row[j], 0) + (i === j ? RIDGE_LAMBDA : 0)
+    )
+  );
+  const Xty = Array.from({ length: width }, (_, i) =>
+    X.reduce((sum, row, r) => sum + row[i] * (y[r] - intercept), 0)
+  );
+
+  return {
+    scaler,
+    intercept,
+    weights: solve(XtX, Xty)
+  };
+};
+
+const predict = (model, features) => {
+  const x = scale(model.scaler, features);
+  return model.intercept + x.reduce((sum, value, i) => sum + value * model.weights[i], 0);
+};
+
+module.exports = {
+  name: 'linear_regression',
+  version: '1.0',
+  train,
+  predict
+};
@@ -0,0 +1,83 @@
+const { fitScaler, scale, createRandom } = require('./features');
+
+const HIDDEN_UNITS = 8;
+const EPOCHS = 200;
+const LEARNING_RATE = 0.01;
+
+// Single hidden layer perceptron with tanh activation, trained by plain SGD
+// on standardized inputs and target
+const train = (samples) => {
+  const random = createRandom(samples.length + 7);
+  const rows = samples.map(sample => sample.features);
+  const scaler = fitScaler(rows);
+  const X = rows.map(row => scale(scaler, row));
+
+  const targets = samples.map(sample => sample.target);
+  const targetMean = targets.reduce((sum, value) => sum + value, 0) / targets.length;
+  const targetStd = Math.sqrt(
+    targets.reduce((sum, value) => sum + (value - targetMean) ** 2, 0) / targets.length
+  ) || 1;
+  const y = targets.map(value => (value - targetMean) / targetStd);
+
+  const width = X[0].length;
+  const init = () => (random() - 0.5) * 2 / Math.sqrt(width);
+  const hiddenWeights = Array.from({ length: HIDDEN_UNITS }, () => Array.from({ length: width }, init));
+  const hiddenBias = new Array(HIDDEN_UNITS).fill(0);
+  const outputWeights = Array.from({ length: HIDDEN_UNITS }, init);
+  let outputBias = 0;
+
+  const order = X.map((_, i) => i);
+
+  for (let epoch = 0; epoch < EPOCHS; epoch++) {
+    // Shuffle each epoch
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    order.forEach(r => {
+      const x = X[r];
+      const hidden = hiddenWeights.map((weights, h) =>
+        Math.tanh(weights.reduce((sum, w, i) => sum + w * x[i], hiddenBias[h]))
+      );
+      const output = hidden.reduce((sum, value, h) => sum + value * outputWeights[h], outputBias);
+      const error = output - y[r];
+
+      for (let h = 0; h < HIDDEN_UNITS; h++) {
+        const hiddenGradient = error * outputWeights[h] * (1 - hidden[h] ** 2);
+        outputWeights[h] -= LEARNING_RATE * error * hidden[h];
+        hiddenBias[h] -= LEARNING_RATE * hiddenGradient;
+        for (let i = 0; i < width; i++) {
+          hiddenWeights[h][i] -= LEARNING_RATE * hiddenGradient * x[i];
+        }
+      }
+      outputBias -= LEARNING_RATE * error;
+    });
+  }
+
+  return {
+    scaler,
+    targetMean,
+    targetStd,
+    hiddenWeights,
+    hiddenBias,
+    outputWeights,
+    outputBias
+  };
+};
+
+const predict = (model, features) => {
+  const x = scale(model.scaler, features);
+  const hidden = model.hiddenWeights.map((weights, h) =>
+    Math.tanh(weights.reduce((sum, w, i) => sum + w * x[i], model.hiddenBias[h]))
+  );
+  const output = hidden.reduce((sum, value, h) => sum + value * model.outputWeights[h], model.outputBias);
+  return output * model.targetStd + model.targetMean;
+};
+
+module.exports = {
+  name: 'neural_network',
+  version: '1.0',
+  train,
+  predict
+};
@@ -0,0 +1,92 @@
+const { createRandom } = require('./features');
+
+const TREE_COUNT = 25;
+const MAX_DEPTH = 6;
+const MIN_LEAF_SIZE = 5;
+const MAX_THRESHOLDS = 16;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const sumSquaredError = (values) => {
+  const m = mean(values);
+  return values.reduce((sum, value) => sum + (value - m) ** 2, 0);
+};
+
+// Grow a regression tree on the given sample indices. Each split considers
+// a random subset of features and a handful of candidate thresholds.
+const growTree = (samples, indices, depth, random) => {
+  const targets = indices.map(i => samples[i].target);
+  const leaf = { value: mean(targets) };
+
+  if (depth >= MAX_DEPTH || indices.length < MIN_LEAF_SIZE * 2) return leaf;
+
+  const width = samples[0].features.length;
+  const featureCount = Math.max(1, Math.round(width / 3));
+  const features = [];
+  while (features.length < featureCount) {
+    const feature = Math.floor(random() * width);
+    if (!features.includes(feature)) features.push(feature);
+  }
+
+  let best = null;
+  const parentError = sumSquaredError(targets);
+
+  features.forEach(feature => {
+    const values = [...new Set(indices.map(i => samples[i].features[feature]))].sort((a, b) => a - b);
+    const step = Math.max(1, Math.floor(values.length / MAX_THRESHOLDS));
+
+    for (let v = step; v < values.length; v += step) {
+      const threshold = (values[v - 1] + values[v]) / 2;
+      const left = indices.filter(i => samples[i].features[feature] <= threshold);
+      const right = indices.filter(i => samples[i].features[feature] > threshold);
+      if (left.length < MIN_LEAF_SIZE || right.length < MIN_LEAF_SIZE) continue;
+
+      const error = sumSquaredError(left.map(i => samples[i].target)) +
+        sumSquaredError(right.map(i => samples[i].target));
+
+      if (error < parentError && (!best || error < best.error)) {
+        best = { feature, threshold, left, right, error };
+      }
+    }
+  });
+
+  if (!best) return leaf;
+
+  return {
+    feature: best.feature,
+    threshold: best.threshold,
+    left: growTree(samples, best.left, depth + 1, random),
+    right: growTree(samples, best.right, depth + 1, random)
+  };
+};
+
+const predictTree = (node, features) => {
+  let current = node;
+  while (current.value === undefined) {
+    current = features[current.feature] <= current.threshold ? current.left : current.right;
+  }
+  return current.value;
+};
+
+// Bagged ensemble of regression trees
+const train = (samples) => {
+  const random = createRandom(samples.length);
+  const trees = [];
+
+  for (let t = 0; t < TREE_COUNT; t++) {
+    const bootstrap = samples.map(() => Math.floor(random() * samples.length));
+    trees.push(growTree(samples, bootstrap, 0, random));
+  }
+
+  return { trees };
+};
+
+const predict = (model, features) =>
+  mean(model.trees.map(tree => predictTree(tree, features)));
+
+module.exports = {
+  name: 'random_forest',
+  version: '1.0',
+  train,
+  predict
+};
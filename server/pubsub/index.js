@@ -0,0 +1,22 @@
+const { createMemoryPubSub } = require('./memoryPubSub');
+const { createRespPubSub } = require('./respPubSub');
+
+// Every pub/sub client exposes the same interface:
+//   name                          - which transport carries the messages
+//   publish(channel, message)     -> Promise, message is any JSON value
+//   subscribe(channel, handler)   -> Promise, handler(message) per message,
+//                                    including ones this client published
+//   close()                       -> Promise
+
+// Uses a Redis-compatible server when PUBSUB_URL (or REDIS_URL) is set and
+// keeps messages in this process otherwise, which is all a single instance
+// needs.
+const createPubSub = (url = process.env.PUBSUB_URL || process.env.REDIS_URL) => (
+  url ? createRespPubSub(url) : createMemoryPubSub()
+);
+
+module.exports = {
+  createPubSub,
+  createMemoryPubSub,
+  createRespPubSub
+};
@@ -0,0 +1,45 @@
+// Pub/sub within one process. Every client created here shares the same
+// channels, so several relays in one process (or in a test) see each
+// other's messages. Messages go through JSON like they would over the wire.
+const sharedChannels = new Map();
+
+const createMemoryPubSub = ({ channels = sharedChannels } = {}) => {
+  const subscriptions = [];
+  let closed = false;
+
+  const publish = async (channel, message) => {
+    if (closed) throw new Error('Pub/sub client is closed');
+
+    const data = JSON.stringify(message);
+    const handlers = channels.get(channel) || new Set();
+
+    // Deliver after the publisher carries on, as a network round trip would
+    setImmediate(() => {
+      handlers.forEach(handler => handler(JSON.parse(data)));
+    });
+  };
+
+  const subscribe = async (channel, handler) => {
+    if (closed) throw new Error('Pub/sub client is closed');
+
+    if (!channels.has(channel)) channels.set(channel, new Set());
+    channels.get(channel).add(handler);
+    subscriptions.push({ channel, handler });
+  };
+
+  const close = async () => {
+    closed = true;
+    subscriptions.forEach(({ channel, handler }) => channels.get(channel)?.delete(handler));
+  };
+
+  return {
+    name: 'memory',
+    publish,
+    subscribe,
+    close
+  };
+};
+
+module.exports = {
+  createMemoryPubSub
+};
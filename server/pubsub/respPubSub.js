@@ -0,0 +1,242 @@
+const net = require('net');
+const tls = require('tls');
+
+// Pub/sub over the Redis wire protocol (RESP), so any Redis-compatible
+// server can carry messages between instances. A subscribed connection
+// can't publish, so each client keeps one connection for each job. Both
+// reconnect on their own; the subscriber resubscribes when it does.
+
+const MAX_RECONNECT_DELAY_MS = 5000;
+
+const encodeCommand = (args) => {
+  const parts = [`*${args.length}\r\n`];
+  args.forEach(arg => {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  });
+  return parts.join('');
+};
+
+// Reads one reply starting at offset. Returns { value, offset } or null if
+// the buffer doesn't hold the whole reply yet.
+const parseReply = (buffer, offset) => {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*':
+    case '>': {
+      const count = Number(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type "${type}"`);
+  }
+};
+
+const parseUrl = (url) => {
+  const parsed = new URL(url);
+  if (!['redis:', 'rediss:'].includes(parsed.protocol)) {
+    throw new Error(`Unsupported pub/sub URL protocol "${parsed.protocol}"`);
+  }
+
+  return {
+    host: parsed.hostname || 'localhost',
+    port: Number(parsed.port) || 6379,
+    secure: parsed.protocol === 'rediss:',
+    username: decodeURIComponent(parsed.username),
+    password: decodeURIComponent(parsed.password)
+  };
+};
+
+// A connection that reconnects with backoff. onConnect sends whatever the
+// connection needs before use; onReply gets every reply in order.
+const createConnection = (options, { label, onConnect, onReply, onDisconnect }) => {
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  let ready = false;
+  let awaitingAuth = false;
+  let closed = false;
+  let attempts = 0;
+  let reconnectTimer = null;
+
+  const write = (args) => socket.write(encodeCommand(args));
+
+  const handleData = (chunk) => {
+    buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+
+    let reply;
+    while (buffer.length && (reply = parseReply(buffer, 0))) {
+      buffer = buffer.subarray(reply.offset);
+      if (awaitingAuth) {
+        awaitingAuth = false;
+        if (reply.value instanceof Error) console.error(`Pub/sub ${label} auth error:`, reply.value.message);
+        continue;
+      }
+      onReply(reply.value);
+    }
+  };
+
+  const scheduleReconnect = () => {
+    if (closed || reconnectTimer) return;
+    const delay = Math.min(100 * 2 ** attempts, MAX_RECONNECT_DELAY_MS);
+    attempts += 1;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delay);
+  };
+
+  const connect = () => {
+    buffer = Buffer.alloc(0);
+    socket = options.secure
+      ? tls.connect({ host: options.host, port: options.port, servername: options.host })
+      : net.connect({ host: options.host, port: options.port });
+
+    socket.setNoDelay(true);
+    socket.on(options.secure ? 'secureConnect' : 'connect', () => {
+      attempts = 0;
+      ready = true;
+      if (options.password) {
+        awaitingAuth = true;
+        write(options.username ? ['AUTH', options.username, options.password] : ['AUTH', options.password]);
+      }
+      onConnect();
+    });
+    socket.on('data', (chunk) => {
+      try {
+        handleData(chunk);
+      } catch (error) {
+        console.error(`Pub/sub ${label} protocol error:`, error.message);
+        socket.destroy();
+      }
+    });
+    socket.on('error', (error) => {
+      if (attempts === 0) console.error(`Pub/sub ${label} connection error:`, error.message);
+    });
+    socket.on('close', () => {
+      ready = false;
+      onDisconnect();
+      scheduleReconnect();
+    });
+  };
+
+  connect();
+
+  return {
+    isReady: () => ready,
+    write,
+    close: () => new Promise(resolve => {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      if (!socket || socket.destroyed) return resolve();
+      socket.once('close', resolve);
+      socket.end(encodeCommand(['QUIT']));
+    })
+  };
+};
+
+const createRespPubSub = (url) => {
+  const options = parseUrl(url);
+  const handlers = new Map();
+  const pending = [];
+
+  const publisher = createConnection(options, {
+    label: 'publisher',
+    onConnect: () => {},
+    onReply: (reply) => {
+      const request = pending.shift();
+      if (!request) return;
+      if (reply instanceof Error) request.reject(reply);
+      else request.resolve(reply);
+    },
+    onDisconnect: () => {
+      pending.splice(0).forEach(request => request.reject(new Error('Pub/sub connection lost')));
+    }
+  });
+
+  const subscriber = createConnection(options, {
+    label: 'subscriber',
+    onConnect: () => {
+      if (handlers.size > 0) subscriber.write(['SUBSCRIBE', ...handlers.keys()]);
+    },
+    onReply: (reply) => {
+      if (reply instanceof Error) {
+        console.error('Pub/sub subscriber error:', reply.message);
+        return;
+      }
+      if (!Array.isArray(reply) || reply[0] !== 'message') return;
+
+      const [, channel, data] = reply;
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        console.error(`Pub/sub ignored malformed message on ${channel}`);
+        return;
+      }
+      (handlers.get(channel) || []).forEach(handler => handler(message));
+    },
+    onDisconnect: () => {}
+  });
+
+  const publish = (channel, message) => new Promise((resolve, reject) => {
+    if (!publisher.isReady()) {
+      return reject(new Error('Pub/sub connection is not ready'));
+    }
+    pending.push({ resolve, reject });
+    publisher.write(['PUBLISH', channel, JSON.stringify(message)]);
+  });
+
+  // Resolves straight away; the subscription starts once the connection is
+  // up and is renewed after every reconnect
+  const subscribe = async (channel, handler) => {
+    if (!handlers.has(channel)) {
+      handlers.set(channel, []);
+      if (subscriber.isReady()) subscriber.write(['SUBSCRIBE', channel]);
+    }
+    handlers.get(channel).push(handler);
+  };
+
+  const close = async () => {
+    await Promise.all([publisher.close(), subscriber.close()]);
+  };
+
+  return {
+    name: 'resp',
+    publish,
+    subscribe,
+    close
+  };
+};
+
+module.exports = {
+  encodeCommand,
+  parseReply,
+  createRespPubSub
+};
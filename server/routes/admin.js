@@ -1,11 +1,13 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { protect, isAdmin } = require('../middleware/auth');
 const Bus = require('../models/Bus');
 const Route = require('../models/Route');
 const Driver = require('../models/Driver');
 const User = require('../models/User');
 const Prediction = require('../models/Prediction');
+const Trip = require('../models/Trip');
+const LocationHistory = require('../models/LocationHistory');
 
 const router = express.Router();
 
@@ -113,4 +115,82 @@ router.get('/routes', protect, isAdmin, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/trips
+// @desc    Get trip history across the fleet
+// @access  Private (Admin)
+router.get('/trips', protect, isAdmin, [
+  query('status').optional().isIn(['in_progress', 'completed', 'cancelled']).withMessage('Valid trip status required'),
+  query('driverId').optional().isMongoId().withMessage('Valid driver ID required'),
+  query('busId').optional().isMongoId().withMessage('Valid bus ID required'),
+  query('routeId').optional().isMongoId().withMessage('Valid route ID required'),
+  query('from').optional().isISO8601().withMessage('Valid start date required'),
+  query('to').optional().isISO8601().withMessage('Valid end date required'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, status, driverId, busId, routeId, from, to } = req.query;
+
+    const tripQuery = Trip.buildHistoryQuery({
+      driver: driverId,
+      bus: busId,
+      route: routeId,
+      status,
+      from,
+      to
+    });
+
+    const trips = await Trip.find(tripQuery)
+      .populate('bus', 'busNumber busType')
+      .populate('driver', 'firstName lastName')
+      .populate('route', 'routeNumber routeName')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ startTime: -1 });
+
+    const total = await Trip.countDocuments(tripQuery);
+
+    res.json({
+      trips,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get trips error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/admin/trips/:tripId
+// @desc    Get full trip record with the track the bus drove
+// @access  Private (Admin)
+router.get('/trips/:tripId', protect, isAdmin, async (req, res) => {
+  try {
+    const trip = await Trip.findById(req.params.tripId)
+      .populate('bus', 'busNumber busType registrationNumber')
+      .populate('driver', 'firstName lastName phone')
+      .populate('route', 'routeNumber routeName stops');
+
+    if (!trip) {
+      return res.status(404).json({ message: 'Trip not found' });
+    }
+
+    const track = await LocationHistory.find({ trip: trip._id })
+      .select('location speed heading recordedAt')
+      .sort({ recordedAt: 1 })
+      .lean();
+
+    res.json({ trip, track });
+  } catch (error) {
+    console.error('Get trip error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
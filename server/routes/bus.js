@@ -1,10 +1,14 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { protect, authorize } = require('../middleware/auth');
 const Bus = require('../models/Bus');
+const LocationHistory = require('../models/LocationHistory');
+const { findSeatMapConflicts } = require('../services/reservationService');
 
 const router = express.Router();
 
+const MAX_TRACK_WINDOW_MS = 24 * 60 * 60 * 1000;
+
 // @route   GET /api/bus
 // @desc    Get all buses
 // @access  Private
@@ -57,6 +61,59 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/bus/:id/track
+// @desc    Get the recorded GPS track of a bus for a time window (Admin only)
+// @access  Private (Admin)
+router.get('/:id/track', protect, authorize('admin'), [
+  query('from').optional().isISO8601().withMessage('Valid start time required'),
+  query('to').optional().isISO8601().withMessage('Valid end time required'),
+  query('tripId').optional().isMongoId().withMessage('Valid trip ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { tripId } = req.query;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 60 * 60 * 1000); // Default last hour
+
+    if (from >= to) {
+      return res.status(400).json({ message: 'Start time must be before end time' });
+    }
+
+    if (to - from > MAX_TRACK_WINDOW_MS) {
+      return res.status(400).json({ message: 'Time window cannot exceed 24 hours' });
+    }
+
+    const bus = await Bus.findById(req.params.id).select('busNumber');
+    if (!bus) {
+      return res.status(404).json({ message: 'Bus not found' });
+    }
+
+    const points = await LocationHistory.getTrack(bus._id, from, to, tripId);
+
+    res.json({
+      busId: bus._id,
+      busNumber: bus.busNumber,
+      from,
+      to,
+      count: points.length,
+      points: points.map(point => ({
+        coordinates: point.location.coordinates,
+        speed: point.speed,
+        heading: point.heading,
+        recordedAt: point.recordedAt,
+        tripId: point.trip
+      }))
+    });
+  } catch (error) {
+    console.error('Get bus track error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/bus
 // @desc    Create new bus (Admin only)
 // @access  Private (Admin)
@@ -106,6 +163,62 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// @route   PUT /api/bus/:id/seat-map
+// @desc    Set the seat map seat reservations are sold from, as seats or a regular layout (Admin only)
+// @access  Private (Admin)
+router.put('/:id/seat-map', protect, authorize('admin'), [
+  body('seats').optional().isArray().withMessage('Seats must be an array'),
+  body('seats.*.label').trim().notEmpty().isLength({ max: 8 }).withMessage('Seat label is required'),
+  body('seats.*.row').isInt({ min: 1 }).withMessage('Valid seat row required'),
+  body('seats.*.column').isInt({ min: 1 }).withMessage('Valid seat column required'),
+  body('seats.*.type').optional().isIn(Bus.SEAT_TYPES).withMessage('Valid seat type required'),
+  body('seats.*.reservable').optional().isBoolean().withMessage('Reservable must be true or false'),
+  body('layout.rows').if(body('seats').not().exists()).isInt({ min: 1, max: 30 }).withMessage('Rows must be between 1 and 30'),
+  body('layout.seatsPerRow').if(body('seats').not().exists()).isInt({ min: 1, max: 10 }).withMessage('Seats per row must be between 1 and 10'),
+  body('layout.aisleAfter').optional().isInt({ min: 0 }).withMessage('Aisle position must be a whole number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const bus = await Bus.findById(req.params.id);
+    if (!bus) {
+      return res.status(404).json({ message: 'Bus not found' });
+    }
+
+    const seatMap = req.body.seats || Bus.buildSeatMap({
+      rows: parseInt(req.body.layout.rows),
+      seatsPerRow: parseInt(req.body.layout.seatsPerRow),
+      aisleAfter: req.body.layout.aisleAfter !== undefined ? parseInt(req.body.layout.aisleAfter) : undefined
+    });
+
+    // Seats already reserved on upcoming trips must stay
+    const conflicts = await findSeatMapConflicts(bus._id, seatMap);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        message: 'Seats reserved on upcoming trips are missing from the new seat map',
+        conflicts
+      });
+    }
+
+    bus.seatMap = seatMap;
+    await bus.save();
+
+    res.json({
+      message: 'Seat map updated successfully',
+      bus
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update seat map error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/bus/:id
 // @desc    Delete bus (Admin only)
 // @access  Private (Admin)
@@ -1,61 +1,48 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { protect, isDriver } = require('../middleware/auth');
+const { locationValidation } = require('../middleware/validation');
 const Bus = require('../models/Bus');
 const Route = require('../models/Route');
 const Driver = require('../models/Driver');
 const Prediction = require('../models/Prediction');
+const Trip = require('../models/Trip');
+const BoardingEvent = require('../models/BoardingEvent');
+const { emitBusLocation, processLocationUpdate } = require('../services/locationService');
+const { describeOccupancy, recordPassengerFlow } = require('../services/occupancyService');
+const { cancelTripPredictions } = require('../services/etaService');
+const { getRouteStopCodes } = require('../services/departureService');
+const { validateBoarding } = require('../services/ticketValidation');
+const { closeBusRoom, emitToStops } = require('../socket/broadcast');
 
 const router = express.Router();
 
+const MAX_SYNC_SCANS = 200;
+
+// Offline devices' clocks drift; scans this far outside a trip still count
+const CLOCK_SKEW_MINUTES = 5;
+
+// What the driver needs to see about a ticket that was just accepted
+const describeTicket = (ticket) => ({
+  _id: ticket._id,
+  productName: ticket.productName,
+  type: ticket.type,
+  riderCategory: ticket.riderCategory,
+  validUntil: ticket.validUntil,
+  ridesLeft: ticket.maxRides ? ticket.maxRides - ticket.ridesTaken : null
+});
+
 // @route   PUT /api/driver/update-location
 // @desc    Update driver's current location
 // @access  Private (Driver)
-router.put('/update-location', protect, isDriver, [
-  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
-  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
-  body('address').optional().isString().withMessage('Address must be a string'),
-  body('speed').optional().isFloat({ min: 0, max: 120 }).withMessage('Speed must be between 0 and 120 km/h'),
-  body('direction').optional().isFloat({ min: 0, max: 360 }).withMessage('Direction must be between 0 and 360 degrees')
-], async (req, res) => {
+router.put('/update-location', protect, isDriver, locationValidation, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { latitude, longitude, address, speed, direction } = req.body;
-
-    // Update driver location
-    const driver = await Driver.findById(req.user._id);
-    driver.currentLocation = {
-      type: 'Point',
-      coordinates: [parseFloat(longitude), parseFloat(latitude)]
-    };
-    
-    if (address) driver.currentLocation.address = address;
-    if (speed !== undefined) driver.currentLocation.speed = speed;
-    if (direction !== undefined) driver.currentLocation.direction = direction;
-
-    await driver.save();
-
-    // Update bus location if driver is assigned to a bus
-    if (driver.currentBus) {
-      const bus = await Bus.findById(driver.currentBus);
-      if (bus) {
-        await bus.updateLocation(latitude, longitude, address);
-        
-        // Emit real-time update
-        const io = req.app.get('io');
-        io.to(`bus-${bus._id}`).emit('bus-location-update', {
-          busId: bus._id,
-          location: bus.currentLocation,
-          speed: bus.speed,
-          direction: bus.direction,
-          lastUpdate: bus.lastLocationUpdate
-        });
-      }
-    }
+    const { driver } = await processLocationUpdate(req.user._id, req.body, req.app.get('io'));
 
     res.json({
       message: 'Location updated successfully',
@@ -72,7 +59,8 @@ router.put('/update-location', protect, isDriver, [
 // @access  Private (Driver)
 router.post('/start-trip', protect, isDriver, [
   body('busId').isMongoId().withMessage('Valid bus ID required'),
-  body('routeId').isMongoId().withMessage('Valid route ID required')
+  body('routeId').isMongoId().withMessage('Valid route ID required'),
+  body('startOdometer').optional().isFloat({ min: 0 }).withMessage('Start odometer must be a non-negative number')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -80,7 +68,7 @@ router.post('/start-trip', protect, isDriver, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { busId, routeId } = req.body;
+    const { busId, routeId, startOdometer } = req.body;
 
     // Check if driver is assigned to this bus
     const driver = await Driver.findById(req.user._id);
@@ -108,8 +96,23 @@ router.post('/start-trip', protect, isDriver, [
       return res.status(400).json({ message: 'Route is not active' });
     }
 
+    // Make sure the bus has no trip left open
+    const openTrip = await Trip.findOne({ bus: busId, status: 'in_progress' });
+    if (openTrip) {
+      return res.status(400).json({ message: 'Bus already has a trip in progress' });
+    }
+
+    // Create trip record
+    const trip = await Trip.create({
+      bus: busId,
+      driver: req.user._id,
+      route: routeId,
+      startTime: new Date(),
+      startOdometer: startOdometer !== undefined ? parseFloat(startOdometer) : undefined
+    });
+
     // Start trip
-    await bus.startTrip(routeId, req.user._id);
+    await bus.startTrip(routeId, req.user._id, trip._id);
     
     // Update driver status
     driver.isOnDuty = true;
@@ -118,6 +121,12 @@ router.post('/start-trip', protect, isDriver, [
 
     res.json({
       message: 'Trip started successfully',
+      trip: {
+        _id: trip._id,
+        status: trip.status,
+        startTime: trip.startTime,
+        startOdometer: trip.startOdometer
+      },
       bus: {
         _id: bus._id,
         busNumber: bus.busNumber,
@@ -139,8 +148,18 @@ router.post('/start-trip', protect, isDriver, [
 // @route   POST /api/driver/end-trip
 // @desc    End a bus trip
 // @access  Private (Driver)
-router.post('/end-trip', protect, isDriver, async (req, res) => {
+router.post('/end-trip', protect, isDriver, [
+  body('endOdometer').optional().isFloat({ min: 0 }).withMessage('End odometer must be a non-negative number'),
+  body('notes').optional().isLength({ max: 500 }).withMessage('Notes cannot exceed 500 characters')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { endOdometer, notes } = req.body;
+
     const driver = await Driver.findById(req.user._id);
     
     if (!driver.currentBus) {
@@ -152,8 +171,39 @@ router.post('/end-trip', protect, isDriver, async (req, res) => {
       return res.status(404).json({ message: 'Bus not found' });
     }
 
+    // Complete the trip record
+    const trip = await Trip.findOne({
+      _id: bus.currentTrip,
+      status: 'in_progress'
+    });
+
+    if (trip) {
+      if (endOdometer !== undefined && trip.startOdometer != null &&
+          parseFloat(endOdometer) < trip.startOdometer) {
+        return res.status(400).json({ message: 'End odometer cannot be less than start odometer' });
+      }
+
+      if (notes) trip.notes = notes;
+      await trip.complete(endOdometer !== undefined ? parseFloat(endOdometer) : undefined);
+      await cancelTripPredictions(trip._id);
+
+      // Its remaining stops' departure boards drop the bus
+      const route = await Route.findById(trip.route).select('stops.stopCode');
+      if (route) {
+        emitToStops(req.app.get('io'), getRouteStopCodes(route), 'stop-departures-changed', {
+          routeId: route._id,
+          busId: bus._id
+        });
+      }
+
+      if (trip.distanceTravelled) {
+        bus.totalMileage += trip.distanceTravelled;
+      }
+    }
+
     // End trip
     await bus.endTrip();
+    closeBusRoom(req.app.get('io'), bus._id);
     
     // Update driver status
     driver.isOnDuty = false;
@@ -163,7 +213,15 @@ router.post('/end-trip', protect, isDriver, async (req, res) => {
 
     res.json({
       message: 'Trip ended successfully',
-      totalTrips: driver.totalTrips
+      totalTrips: driver.totalTrips,
+      trip: trip ? {
+        _id: trip._id,
+        status: trip.status,
+        startTime: trip.startTime,
+        endTime: trip.endTime,
+        duration: trip.duration,
+        distanceTravelled: trip.distanceTravelled
+      } : null
     });
   } catch (error) {
     console.error('End trip error:', error);
@@ -202,10 +260,20 @@ router.put('/update-passenger-count', protect, isDriver, [
     bus.currentCapacity = passengerCount;
     await bus.save();
 
+    if (bus.currentTrip) {
+      const trip = await Trip.findById(bus.currentTrip);
+      if (trip && trip.status === 'in_progress') {
+        await trip.recordPassengerCount(passengerCount);
+      }
+    }
+
+    emitBusLocation(req.app.get('io'), bus);
+
     res.json({
       message: 'Passenger count updated successfully',
       currentCapacity: bus.currentCapacity,
-      availableSeats: bus.availableSeats
+      availableSeats: bus.availableSeats,
+      occupancy: describeOccupancy(bus)
     });
   } catch (error) {
     console.error('Update passenger count error:', error);
@@ -213,6 +281,168 @@ router.put('/update-passenger-count', protect, isDriver, [
   }
 });
 
+// @route   POST /api/driver/passenger-flow
+// @desc    Record riders boarding and alighting at the current stop
+// @access  Private (Driver)
+router.post('/passenger-flow', protect, isDriver, [
+  body('boarded').optional().isInt({ min: 0, max: 500 }).withMessage('Boarded must be a non-negative integer').toInt(),
+  body('alighted').optional().isInt({ min: 0, max: 500 }).withMessage('Alighted must be a non-negative integer').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { boarded = 0, alighted = 0 } = req.body;
+    if (boarded === 0 && alighted === 0) {
+      return res.status(400).json({ message: 'Nobody boarded or alighted' });
+    }
+
+    const driver = await Driver.findById(req.user._id);
+    const bus = driver.currentBus ? await Bus.findById(driver.currentBus).select('currentTrip') : null;
+    const trip = bus && bus.currentTrip
+      ? await Trip.findOne({ _id: bus.currentTrip, status: 'in_progress' })
+      : null;
+
+    if (!trip) {
+      return res.status(400).json({ message: 'No active trip found' });
+    }
+
+    const updated = await recordPassengerFlow({ trip, boarded, alighted });
+    if (!updated) {
+      return res.status(404).json({ message: 'Bus not found' });
+    }
+
+    emitBusLocation(req.app.get('io'), updated);
+
+    res.json({
+      message: 'Passenger flow recorded',
+      currentCapacity: updated.currentCapacity,
+      availableSeats: updated.availableSeats,
+      occupancy: describeOccupancy(updated)
+    });
+  } catch (error) {
+    console.error('Passenger flow error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/driver/validate-ticket
+// @desc    Validate a rider's ticket QR code as they board the current trip
+// @access  Private (Driver)
+router.post('/validate-ticket', protect, isDriver, [
+  body('code').isString().trim().isLength({ min: 1, max: 2000 }).withMessage('Ticket code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const driver = await Driver.findById(req.user._id);
+    const bus = driver.currentBus ? await Bus.findById(driver.currentBus) : null;
+    const trip = bus && bus.currentTrip
+      ? await Trip.findOne({ _id: bus.currentTrip, status: 'in_progress' })
+      : null;
+
+    if (!trip) {
+      return res.status(400).json({ message: 'No active trip found' });
+    }
+
+    const result = await validateBoarding({ code: req.body.code, trip, driver: driver._id });
+
+    if (!result.accepted) {
+      return res.status(400).json({
+        accepted: false,
+        reason: result.reason,
+        message: result.message
+      });
+    }
+
+    emitBusLocation(req.app.get('io'), result.bus);
+
+    res.status(201).json({
+      accepted: true,
+      message: 'Ticket accepted',
+      ticket: describeTicket(result.ticket),
+      currentCapacity: result.bus.currentCapacity,
+      availableSeats: result.bus.availableSeats,
+      occupancy: describeOccupancy(result.bus)
+    });
+  } catch (error) {
+    console.error('Validate ticket error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/driver/boarding-scans
+// @desc    Upload ticket scans made while the driver's device was offline
+// @access  Private (Driver)
+router.post('/boarding-scans', protect, isDriver, [
+  body('scans').isArray({ min: 1, max: MAX_SYNC_SCANS }).withMessage(`Between 1 and ${MAX_SYNC_SCANS} scans required`),
+  body('scans.*.tripId').isMongoId().withMessage('Valid trip ID required'),
+  body('scans.*.code').isString().trim().isLength({ min: 1, max: 2000 }).withMessage('Ticket code is required'),
+  body('scans.*.scannedAt').isISO8601().withMessage('Valid scan time required'),
+  body('scans.*.clientEventId').isString().trim().isLength({ min: 8, max: 100 }).withMessage('Scan ID must be 8 to 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const skew = CLOCK_SKEW_MINUTES * 60 * 1000;
+    const trips = new Map();
+    const results = [];
+
+    // In scan order, so pass-back and ride limits see earlier scans
+    const scans = [...req.body.scans].sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt));
+
+    for (const scan of scans) {
+      const { clientEventId } = scan;
+
+      // Uploaded before, and the response was lost
+      const existing = await BoardingEvent.findOne({ driver: req.user._id, clientEventId });
+      if (existing) {
+        results.push({ clientEventId, accepted: existing.result === 'accepted', reason: existing.reason, duplicate: true });
+        continue;
+      }
+
+      if (!trips.has(scan.tripId)) {
+        trips.set(scan.tripId, await Trip.findOne({ _id: scan.tripId, driver: req.user._id }));
+      }
+      const trip = trips.get(scan.tripId);
+      const at = new Date(scan.scannedAt);
+
+      if (!trip || at < trip.startTime.getTime() - skew || at > (trip.endTime || new Date()).getTime() + skew) {
+        results.push({ clientEventId, accepted: false, reason: 'outside_trip', message: 'Scan was not made during one of your trips' });
+        continue;
+      }
+
+      const result = await validateBoarding({
+        code: scan.code,
+        trip,
+        driver: req.user._id,
+        at,
+        source: 'offline',
+        clientEventId
+      });
+      results.push({ clientEventId, accepted: result.accepted, reason: result.reason, message: result.message });
+    }
+
+    const accepted = results.filter(result => result.accepted).length;
+
+    res.json({
+      message: `${accepted} of ${results.length} scans accepted`,
+      results
+    });
+  } catch (error) {
+    console.error('Upload boarding scans error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/driver/current-trip
 // @desc    Get current trip information
 // @access  Private (Driver)
@@ -230,6 +460,10 @@ router.get('/current-trip', protect, isDriver, async (req, res) => {
       .populate('currentRoute', 'routeNumber routeName stops')
       .populate('currentDriver', 'firstName lastName');
 
+    const trip = bus.currentTrip
+      ? await Trip.findById(bus.currentTrip)
+      : null;
+
     res.json({
       driver: {
         _id: driver._id,
@@ -251,7 +485,8 @@ router.get('/current-trip', protect, isDriver, async (req, res) => {
         direction: bus.direction,
         currentRoute: bus.currentRoute,
         lastLocationUpdate: bus.lastLocationUpdate
-      }
+      },
+      trip
     });
   } catch (error) {
     console.error('Get current trip error:', error);
@@ -335,15 +570,47 @@ router.post('/report-issue', protect, isDriver, [
 // @route   GET /api/driver/trip-history
 // @desc    Get driver's trip history
 // @access  Private (Driver)
-router.get('/trip-history', protect, isDriver, async (req, res) => {
+router.get('/trip-history', protect, isDriver, [
+  query('status').optional().isIn(['in_progress', 'completed', 'cancelled']).withMessage('Valid trip status required'),
+  query('routeId').optional().isMongoId().withMessage('Valid route ID required'),
+  query('busId').optional().isMongoId().withMessage('Valid bus ID required'),
+  query('from').optional().isISO8601().withMessage('Valid start date required'),
+  query('to').optional().isISO8601().withMessage('Valid end date required'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 10, status, routeId, busId, from, to } = req.query;
+
+    const tripQuery = Trip.buildHistoryQuery({
+      driver: req.user._id,
+      bus: busId,
+      route: routeId,
+      status,
+      from,
+      to
+    });
+
+    const trips = await Trip.find(tripQuery)
+      .populate('bus', 'busNumber busType')
+      .populate('route', 'routeNumber routeName')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ startTime: -1 });
 
-    // This would typically come from a Trip model
-    // For now, we'll return basic driver stats
+    const total = await Trip.countDocuments(tripQuery);
     const driver = await Driver.findById(req.user._id);
 
     res.json({
+      trips,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total,
       totalTrips: driver.totalTrips,
       experience: driver.experience,
       rating: driver.rating,
@@ -0,0 +1,219 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const { fareLegValidation } = require('../middleware/validation');
+const FareRuleSet = require('../models/FareRuleSet');
+const { DAYS_OF_WEEK } = require('../utils/time');
+const { getRiderCategories, quoteFare, resolveFareLegs } = require('../services/fareEngine');
+
+const router = express.Router();
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const ruleSetValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Rule set name is required'),
+  body('currency').optional().isISO4217().withMessage('Valid currency code required'),
+  body('effectiveFrom').optional().isISO8601().withMessage('Valid effective date required'),
+  body('isActive').optional().isBoolean().withMessage('Active must be true or false'),
+  body('zones').optional().isArray().withMessage('Zones must be an array'),
+  body('zones.*.code').trim().notEmpty().isLength({ max: 16 }).withMessage('Zone code is required'),
+  body('zones.*.stops').optional().isArray().withMessage('Zone stops must be an array'),
+  body('zones.*.stops.*').isMongoId().withMessage('Valid stop ID required'),
+  body('fareTable').optional().isArray().withMessage('Fare table must be an array'),
+  body('fareTable.*.fromZone').trim().notEmpty().withMessage('From zone is required'),
+  body('fareTable.*.toZone').trim().notEmpty().withMessage('To zone is required'),
+  body('fareTable.*.price').isFloat({ min: 0 }).withMessage('Zone fare must be a positive number'),
+  body('distanceFare.base').optional().isFloat({ min: 0 }).withMessage('Valid base fare required'),
+  body('distanceFare.perKm').optional().isFloat({ min: 0 }).withMessage('Valid fare per km required'),
+  body('distanceFare.minimum').optional().isFloat({ min: 0 }).withMessage('Valid minimum fare required'),
+  body('distanceFare.maximum').optional().isFloat({ min: 0 }).withMessage('Valid maximum fare required'),
+  body('timeRules').optional().isArray().withMessage('Time rules must be an array'),
+  body('timeRules.*.name').trim().notEmpty().withMessage('Time rule name is required'),
+  body('timeRules.*.days.*').isIn(DAYS_OF_WEEK).withMessage('Valid day required'),
+  body('timeRules.*.startTime').matches(TIME_OF_DAY).withMessage('Start time must be HH:MM'),
+  body('timeRules.*.endTime').matches(TIME_OF_DAY).withMessage('End time must be HH:MM'),
+  body('timeRules.*.multiplier').optional().isFloat({ min: 0 }).withMessage('Multiplier must be a positive number'),
+  body('timeRules.*.surcharge').optional().isFloat().withMessage('Surcharge must be a number'),
+  body('riderCategories').optional().isArray().withMessage('Rider categories must be an array'),
+  body('riderCategories.*.code').trim().notEmpty().withMessage('Category code is required'),
+  body('riderCategories.*.discountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100 percent'),
+  body('transfer.windowMinutes').optional().isInt({ min: 0 }).withMessage('Transfer window must be a whole number of minutes'),
+  body('transfer.discountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Transfer discount must be between 0 and 100 percent'),
+  body('transfer.maxTransfers').optional().isInt({ min: 0 }).withMessage('Max transfers must be a whole number'),
+  body('roundTo').optional().isFloat({ min: 0.01 }).withMessage('Rounding step must be at least 0.01')
+];
+
+const RULE_SET_FIELDS = ['name', 'description', 'currency', 'effectiveFrom', 'isActive', 'zones', 'fareTable', 'distanceFare', 'timeRules', 'riderCategories', 'transfer', 'roundTo'];
+
+const pickRuleSetFields = (source) => RULE_SET_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+// @route   POST /api/fares/quote
+// @desc    Price a journey of one or more rides under the fare rules in effect
+// @access  Public
+router.post('/quote', [
+  ...fareLegValidation('legs'),
+  body('riderCategory').optional().trim().toLowerCase().notEmpty().withMessage('Valid rider category required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { legs, status, message } = await resolveFareLegs(req.body.legs);
+    if (!legs) {
+      return res.status(status).json({ message });
+    }
+
+    const rules = await FareRuleSet.findInEffect(legs[0].boardAt);
+    const riderCategory = req.body.riderCategory || undefined;
+    if (riderCategory && !getRiderCategories(rules).includes(riderCategory)) {
+      return res.status(400).json({ message: `Unknown rider category ${riderCategory}` });
+    }
+
+    res.json(quoteFare(rules, { legs, riderCategory }));
+  } catch (error) {
+    console.error('Fare quote error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/fares/current
+// @desc    Get the fare rules in effect now, or null when routes set their own fares
+// @access  Public
+router.get('/current', async (req, res) => {
+  try {
+    const rules = await FareRuleSet.findInEffect(new Date())
+      .populate('zones.stops', 'code name');
+
+    res.json({
+      ruleSet: rules,
+      riderCategories: getRiderCategories(rules)
+    });
+  } catch (error) {
+    console.error('Get current fares error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/fares/rule-sets
+// @desc    Get every fare rule set, latest first (Admin only)
+// @access  Private (Admin)
+router.get('/rule-sets', protect, authorize('admin'), async (req, res) => {
+  try {
+    const ruleSets = await FareRuleSet.find().sort({ effectiveFrom: -1 });
+    const inEffect = await FareRuleSet.findInEffect(new Date()).select('_id');
+
+    res.json({
+      ruleSets,
+      inEffect: inEffect ? inEffect._id : null
+    });
+  } catch (error) {
+    console.error('Get fare rule sets error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/fares/rule-sets/:id
+// @desc    Get a fare rule set (Admin only)
+// @access  Private (Admin)
+router.get('/rule-sets/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const ruleSet = await FareRuleSet.findById(req.params.id).populate('zones.stops', 'code name');
+    if (!ruleSet) {
+      return res.status(404).json({ message: 'Fare rule set not found' });
+    }
+
+    res.json({ ruleSet });
+  } catch (error) {
+    console.error('Get fare rule set error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/fares/rule-sets
+// @desc    Create fare rule set (Admin only)
+// @access  Private (Admin)
+router.post('/rule-sets', protect, authorize('admin'), [
+  body('name').trim().notEmpty().withMessage('Rule set name is required'),
+  ...ruleSetValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ruleSet = await FareRuleSet.create(pickRuleSetFields(req.body));
+
+    res.status(201).json({
+      message: 'Fare rule set created successfully',
+      ruleSet
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create fare rule set error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/fares/rule-sets/:id
+// @desc    Update fare rule set; quotes and sales use the change at once (Admin only)
+// @access  Private (Admin)
+router.put('/rule-sets/:id', protect, authorize('admin'), ruleSetValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const ruleSet = await FareRuleSet.findById(req.params.id);
+    if (!ruleSet) {
+      return res.status(404).json({ message: 'Fare rule set not found' });
+    }
+
+    ruleSet.set(pickRuleSetFields(req.body));
+    await ruleSet.save();
+
+    res.json({
+      message: 'Fare rule set updated successfully',
+      ruleSet
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update fare rule set error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/fares/rule-sets/:id
+// @desc    Delete an inactive fare rule set (Admin only)
+// @access  Private (Admin)
+router.delete('/rule-sets/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const ruleSet = await FareRuleSet.findById(req.params.id);
+    if (!ruleSet) {
+      return res.status(404).json({ message: 'Fare rule set not found' });
+    }
+
+    if (ruleSet.isActive) {
+      return res.status(400).json({ message: 'Deactivate the rule set before deleting it' });
+    }
+
+    await ruleSet.deleteOne();
+
+    res.json({ message: 'Fare rule set deleted successfully' });
+  } catch (error) {
+    console.error('Delete fare rule set error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
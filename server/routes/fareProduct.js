@@ -0,0 +1,139 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const FareProduct = require('../models/FareProduct');
+const Ticket = require('../models/Ticket');
+
+const router = express.Router();
+
+const productValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Product name is required'),
+  body('type').optional().isIn(FareProduct.TYPES).withMessage('Valid product type required'),
+  body('riderCategory').optional().isIn(FareProduct.RIDER_CATEGORIES).withMessage('Valid rider category required'),
+  body('pricing').optional().isIn(FareProduct.PRICING).withMessage('Valid pricing required'),
+  body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  body('currency').optional().isISO4217().withMessage('Valid currency code required'),
+  body('validityMinutes').optional().isInt({ min: 1 }).withMessage('Validity must be a whole number of minutes'),
+  body('maxRides').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Max rides must be at least 1'),
+  body('routes').optional().isArray().withMessage('Routes must be an array'),
+  body('routes.*').isMongoId().withMessage('Valid route ID required'),
+  body('zones').optional().isArray().withMessage('Zones must be an array'),
+  body('zones.*').isString().trim().notEmpty().withMessage('Valid zone code required'),
+  body('isActive').optional().isBoolean().withMessage('Active must be true or false')
+];
+
+const PRODUCT_FIELDS = ['name', 'description', 'type', 'riderCategory', 'pricing', 'price', 'currency', 'validityMinutes', 'maxRides', 'routes', 'zones', 'isActive'];
+
+const pickProductFields = (source) => PRODUCT_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+// @route   GET /api/fare-products
+// @desc    Get fare products on sale, or every product for admins
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const filter = req.user.role === 'admin' ? {} : { isActive: true };
+    const products = await FareProduct.find(filter)
+      .populate('routes', 'routeNumber routeName')
+      .sort({ type: 1, price: 1 });
+
+    res.json({ products });
+  } catch (error) {
+    console.error('Get fare products error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/fare-products
+// @desc    Create fare product (Admin only)
+// @access  Private (Admin)
+router.post('/', protect, authorize('admin'), [
+  body('code').trim().notEmpty().isLength({ max: 32 }).withMessage('Product code is required'),
+  body('name').trim().notEmpty().withMessage('Product name is required'),
+  body('type').isIn(FareProduct.TYPES).withMessage('Valid product type required'),
+  body('price').if(body('pricing').not().equals('quote')).isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+  ...productValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await FareProduct.findOne({ code: req.body.code.toUpperCase() });
+    if (existing) {
+      return res.status(400).json({ message: 'Product code already exists' });
+    }
+
+    const product = await FareProduct.create({
+      code: req.body.code,
+      ...pickProductFields(req.body)
+    });
+
+    res.status(201).json({
+      message: 'Fare product created successfully',
+      product
+    });
+  } catch (error) {
+    console.error('Create fare product error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/fare-products/:id
+// @desc    Update fare product; tickets already sold keep their terms (Admin only)
+// @access  Private (Admin)
+router.put('/:id', protect, authorize('admin'), productValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const product = await FareProduct.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Fare product not found' });
+    }
+
+    product.set(pickProductFields(req.body));
+    await product.save();
+
+    res.json({
+      message: 'Fare product updated successfully',
+      product
+    });
+  } catch (error) {
+    console.error('Update fare product error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/fare-products/:id
+// @desc    Delete fare product, or take it off sale once tickets were sold (Admin only)
+// @access  Private (Admin)
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const product = await FareProduct.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Fare product not found' });
+    }
+
+    const sold = await Ticket.countDocuments({ product: product._id });
+    if (sold > 0) {
+      product.isActive = false;
+      await product.save();
+      return res.json({ message: `Fare product taken off sale; ${sold} ticket(s) were sold`, product });
+    }
+
+    await product.deleteOne();
+
+    res.json({ message: 'Fare product deleted successfully' });
+  } catch (error) {
+    console.error('Delete fare product error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const multer = require('multer');
+const { protect, authorize } = require('../middleware/auth');
+const { importFeed, REQUIRED_FILES } = require('../services/gtfsImportService');
+const { exportFeed } = require('../services/gtfsExportService');
+const { FEED_NAMES, FEED_CACHE_SECONDS, getFeed, encodeFeed, feedToJson } = require('../services/gtfsRealtimeService');
+
+const router = express.Router();
+
+const MAX_FEED_SIZE = 50 * 1024 * 1024; // 50MB
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FEED_SIZE },
+  fileFilter: (req, file, cb) => {
+    cb(null, /\.zip$/i.test(file.originalname) || file.mimetype === 'application/zip');
+  }
+});
+
+// Turn multer errors (e.g. an oversized upload) into 400 responses
+const uploadFeed = (req, res, next) => {
+  upload.single('feed')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    next();
+  });
+};
+
+// @route   POST /api/gtfs/import
+// @desc    Import routes, stops and schedules from a GTFS zip (Admin only)
+// @access  Private (Admin)
+router.post('/import', protect, authorize('admin'), uploadFeed, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'A GTFS zip file is required in the "feed" field' });
+    }
+
+    const dryRun = req.query.dryRun === 'true';
+
+    const result = await importFeed(req.file.buffer, { dryRun });
+
+    if (result.invalid) {
+      return res.status(400).json({ message: `Invalid GTFS feed: ${result.invalid}` });
+    }
+
+    if (result.missing) {
+      return res.status(400).json({
+        message: `GTFS feed is missing required files: ${result.missing.map(name => `${name}.txt`).join(', ')}`,
+        required: REQUIRED_FILES.map(name => `${name}.txt`)
+      });
+    }
+
+    res.json({
+      message: dryRun ? 'GTFS feed validated' : 'GTFS feed imported successfully',
+      dryRun,
+      ...result
+    });
+  } catch (error) {
+    console.error('GTFS import error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/gtfs/export
+// @desc    Export active routes as a GTFS zip (Admin only)
+// @access  Private (Admin)
+router.get('/export', protect, authorize('admin'), async (req, res) => {
+  try {
+    const feed = await exportFeed();
+
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="gtfs-${new Date().toISOString().slice(0, 10)}.zip"`
+    });
+    res.send(feed);
+  } catch (error) {
+    console.error('GTFS export error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/gtfs/realtime/:feed
+// @desc    GTFS-Realtime vehicle-positions, trip-updates or alerts feed as
+//          protobuf, or as JSON with ?format=json
+// @access  Public
+router.get('/realtime/:feed', async (req, res) => {
+  try {
+    const { feed } = req.params;
+
+    if (!FEED_NAMES.includes(feed)) {
+      return res.status(404).json({ message: `Unknown feed, expected one of: ${FEED_NAMES.join(', ')}` });
+    }
+
+    const message = await getFeed(feed);
+    res.set('Cache-Control', `public, max-age=${FEED_CACHE_SECONDS}`);
+
+    if (req.query.format === 'json') {
+      return res.json(feedToJson(message));
+    }
+
+    res.set('Content-Type', 'application/x-protobuf');
+    res.send(encodeFeed(message));
+  } catch (error) {
+    console.error('GTFS-Realtime feed error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
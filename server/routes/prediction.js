@@ -1,12 +1,37 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { protect } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const { protect, isAdmin } = require('../middleware/auth');
 const Prediction = require('../models/Prediction');
 const Bus = require('../models/Bus');
 const Route = require('../models/Route');
+const { estimateStopEta, applyConditionFactors, getSegmentProfile } = require('../services/etaService');
+const { getAccuracyReport } = require('../services/predictionAnalyticsService');
+const { listPredictors, predictTravelTime } = require('../predictors');
+const { runPredictorTrainingJob, MIN_TRAINING_SAMPLES } = require('../jobs/predictorTrainingJob');
+const PredictorModel = require('../models/PredictorModel');
+const { getTimeOfDay, getDayOfWeek } = require('../utils/time');
 
 const router = express.Router();
 
+const PREDICTION_ALGORITHMS = ['linear_regression', 'random_forest', 'neural_network', 'ensemble'];
+
+const ANALYTICS_PERIODS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000
+};
+const MAX_ANALYTICS_WINDOW_MS = 366 * 24 * 60 * 60 * 1000;
+
+const isValidTimezone = (timezone) => {
+  try {
+    Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
 // @route   POST /api/prediction/generate
 // @desc    Generate prediction for bus arrival
 // @access  Private
@@ -17,7 +42,8 @@ router.post('/generate', protect, [
   body('currentLocation.coordinates').isArray({ min: 2, max: 2 }).withMessage('Valid coordinates required'),
   body('factors.trafficConditions').isIn(['low', 'medium', 'high']).withMessage('Valid traffic condition required'),
   body('factors.weatherConditions').isIn(['clear', 'rainy', 'snowy', 'foggy']).withMessage('Valid weather condition required'),
-  body('factors.distanceToStop').isFloat({ min: 0 }).withMessage('Valid distance required')
+  body('factors.distanceToStop').isFloat({ min: 0 }).withMessage('Valid distance required'),
+  body('algorithm').optional().isIn(PREDICTION_ALGORITHMS).withMessage('Valid prediction algorithm required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -25,7 +51,7 @@ router.post('/generate', protect, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { busId, routeId, stopId, currentLocation, factors } = req.body;
+    const { busId, routeId, stopId, currentLocation, factors, algorithm } = req.body;
 
     // Check if bus and route exist
     const bus = await Bus.findById(busId);
@@ -35,38 +61,52 @@ router.post('/generate', protect, [
       return res.status(404).json({ message: 'Bus or route not found' });
     }
 
-    // Calculate predicted arrival time
+    // Project the bus onto the route's stop sequence and estimate the
+    // remaining travel time; fall back to straight-line distance when the
+    // requested stop is no longer ahead of the bus
     const now = new Date();
-    let baseTime = 30; // Default 30 minutes
-
-    // Adjust based on factors
-    if (factors.trafficConditions === 'high') baseTime *= 1.5;
-    else if (factors.trafficConditions === 'low') baseTime *= 0.8;
-
-    if (factors.weatherConditions === 'rainy' || factors.weatherConditions === 'snowy') {
-      baseTime *= 1.3;
-    }
-
-    if (factors.currentSpeed > 0) {
-      const speedFactor = 30 / factors.currentSpeed; // 30 km/h is baseline
-      baseTime *= speedFactor;
-    }
+    const speed = factors.currentSpeed > 0 ? factors.currentSpeed : route.averageSpeed;
+    const stopNumber = parseInt(stopId);
+    const segmentStats = await getSegmentProfile(route._id, now);
+    const eta = route.stops.length >= 2
+      ? estimateStopEta(route, currentLocation.coordinates, stopNumber, speed, { conditions: factors, segmentStats })
+      : null;
+
+    const baselineMinutes = eta
+      ? eta.minutes
+      : applyConditionFactors((factors.distanceToStop / speed) * 60, factors);
+
+    const predictionFactors = {
+      ...factors,
+      distanceToStop: eta ? eta.distance : factors.distanceToStop,
+      numberOfStops: eta ? eta.stopsAway : factors.numberOfStops,
+      baselineMinutes,
+      timeOfDay: getTimeOfDay(now),
+      dayOfWeek: getDayOfWeek(now)
+    };
 
-    const predictedArrivalTime = new Date(now.getTime() + (baseTime * 60 * 1000));
+    // Refine the geometric estimate with the requested or route's predictor
+    const predicted = await predictTravelTime(algorithm || route.predictionAlgorithm, predictionFactors);
+    const predictedArrivalTime = new Date(now.getTime() + (predicted.minutes * 60 * 1000));
 
     // Create prediction
     const prediction = await Prediction.create({
       busId,
       routeId,
       driverId: bus.currentDriver,
+      tripId: bus.currentTrip,
       stopId,
       currentLocation,
       predictedArrivalTime,
-      factors: {
-        ...factors,
-        timeOfDay: getTimeOfDay(),
-        dayOfWeek: getDayOfWeek()
-      }
+      issuedAt: now,
+      algorithm: predicted.algorithm,
+      modelVersion: predicted.modelVersion,
+      factors: predictionFactors,
+      historicalData: eta ? {
+        averageTravelTime: eta.historicalMinutes,
+        standardDeviation: eta.standardDeviation,
+        confidenceInterval: eta.confidenceInterval
+      } : undefined
     });
 
     res.status(201).json({
@@ -76,7 +116,10 @@ router.post('/generate', protect, [
         routeId: prediction.routeId,
         stopId: prediction.stopId,
         predictedArrivalTime: prediction.predictedArrivalTime,
-        factors: prediction.factors
+        algorithm: prediction.algorithm,
+        modelVersion: prediction.modelVersion,
+        factors: prediction.factors,
+        historicalData: prediction.historicalData
       }
     });
   } catch (error) {
@@ -140,8 +183,10 @@ router.put('/:id/update', protect, [
       prediction: {
         _id: prediction._id,
         predictedArrivalTime: prediction.predictedArrivalTime,
+        initialPredictedArrivalTime: prediction.initialPredictedArrivalTime,
         actualArrivalTime: prediction.actualArrivalTime,
-        predictionAccuracy: prediction.predictionAccuracy
+        predictionAccuracy: prediction.predictionAccuracy,
+        snapshots: prediction.snapshots
       }
     });
   } catch (error) {
@@ -151,68 +196,62 @@ router.put('/:id/update', protect, [
 });
 
 // @route   GET /api/prediction/analytics
-// @desc    Get prediction analytics
+// @desc    Get prediction accuracy with breakdowns, error distribution and time series
 // @access  Private
-router.get('/analytics', protect, async (req, res) => {
+router.get('/analytics', protect, [
+  query('period').optional().isIn(Object.keys(ANALYTICS_PERIODS)).withMessage('Valid period required'),
+  query('from').optional().isISO8601().withMessage('Valid start time required'),
+  query('to').optional().isISO8601().withMessage('Valid end time required'),
+  query('busId').optional().isMongoId().withMessage('Valid bus ID required'),
+  query('routeId').optional().isMongoId().withMessage('Valid route ID required'),
+  query('algorithm').optional().isIn(PREDICTION_ALGORITHMS).withMessage('Valid prediction algorithm required'),
+  query('leadMinutes').optional().isIn(Prediction.SNAPSHOT_LEAD_MINUTES.map(String)).withMessage(`Lead time must be one of ${Prediction.SNAPSHOT_LEAD_MINUTES.join(', ')} minutes`).toInt(),
+  query('interval').optional().isIn(['hour', 'day']).withMessage('Interval must be hour or day'),
+  query('timezone').optional().custom(isValidTimezone).withMessage('Valid IANA timezone required')
+], async (req, res) => {
   try {
-    const { period = '7d', busId, routeId } = req.query;
-    
-    let startDate;
-    switch (period) {
-      case '24h':
-        startDate = new Date(Date.now() - 24 * 60 * 60 * 1000);
-        break;
-      case '7d':
-        startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-        break;
-      case '30d':
-        startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-        break;
-      default:
-        startDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const matchQuery = {
-      createdAt: { $gte: startDate },
-      actualArrivalTime: { $exists: true, $ne: null }
-    };
+    const { period = '7d', busId, routeId, algorithm, leadMinutes, timezone = 'UTC' } = req.query;
 
-    if (busId) matchQuery.busId = busId;
-    if (routeId) matchQuery.routeId = routeId;
+    // An explicit from/to window takes precedence over the period shorthand
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - ANALYTICS_PERIODS[period]);
 
-    const analytics = await Prediction.aggregate([
-      {
-        $match: matchQuery
-      },
-      {
-        $group: {
-          _id: null,
-          averageAccuracy: { $avg: '$predictionAccuracy' },
-          totalPredictions: { $sum: 1 },
-          accuratePredictions: {
-            $sum: {
-              $cond: [{ $gte: ['$predictionAccuracy', 80] }, 1, 0]
-            }
-          },
-          averageDelay: {
-            $avg: {
-              $abs: {
-                $subtract: ['$predictedArrivalTime', '$actualArrivalTime']
-              }
-            }
-          }
-        }
-      }
-    ]);
+    if (from >= to) {
+      return res.status(400).json({ message: 'Start time must be before end time' });
+    }
+
+    if (to - from > MAX_ANALYTICS_WINDOW_MS) {
+      return res.status(400).json({ message: 'Time window cannot exceed 366 days' });
+    }
+
+    const interval = req.query.interval || (to - from <= ANALYTICS_PERIODS['24h'] * 2 ? 'hour' : 'day');
+
+    const filters = {};
+    if (busId) filters.busId = new mongoose.Types.ObjectId(busId);
+    if (routeId) filters.routeId = new mongoose.Types.ObjectId(routeId);
+
+    const report = await getAccuracyReport({ from, to, filters, algorithm, leadMinutes, interval, timezone });
+    const overall = report.distribution;
 
     res.json({
-      period,
-      analytics: analytics[0] || {
-        averageAccuracy: 0,
-        totalPredictions: 0,
-        accuratePredictions: 0,
-        averageDelay: 0
-      }
+      period: req.query.from || req.query.to ? 'custom' : period,
+      from,
+      to,
+      interval,
+      timezone,
+      analytics: {
+        averageAccuracy: overall?.averageAccuracy || 0,
+        totalPredictions: overall?.totalPredictions || 0,
+        accuratePredictions: overall?.accuratePredictions || 0,
+        averageDelay: overall ? overall.meanAbsoluteError * 60 * 1000 : 0 // milliseconds
+      },
+      byAlgorithm: report.breakdowns.algorithm,
+      ...report
     });
   } catch (error) {
     console.error('Get analytics error:', error);
@@ -220,6 +259,61 @@ router.get('/analytics', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/prediction/models
+// @desc    List registered predictors and their trained models
+// @access  Private (Admin)
+router.get('/models', protect, isAdmin, async (req, res) => {
+  try {
+    const models = await PredictorModel.find().select('-params').lean();
+
+    res.json({
+      minTrainingSamples: MIN_TRAINING_SAMPLES,
+      predictors: listPredictors().map(predictor => {
+        const model = models.find(m => m.algorithm === predictor.name);
+        return {
+          ...predictor,
+          trained: Boolean(model),
+          modelVersion: `${predictor.version}.${model ? model.revision : 0}`,
+          sampleCount: model?.sampleCount || 0,
+          metrics: model?.metrics,
+          trainedAt: model?.trainedAt
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get predictor models error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/prediction/models/train
+// @desc    Retrain every predictor on the latest scored predictions
+// @access  Private (Admin)
+router.post('/models/train', protect, isAdmin, async (req, res) => {
+  try {
+    const result = await runPredictorTrainingJob();
+
+    if (result.skipped) {
+      return res.status(409).json({ message: 'Training is already in progress' });
+    }
+
+    if (result.trained.length === 0) {
+      return res.status(400).json({
+        message: `At least ${MIN_TRAINING_SAMPLES} scored predictions are required to train`,
+        sampleCount: result.sampleCount
+      });
+    }
+
+    res.json({
+      message: 'Predictors trained successfully',
+      ...result
+    });
+  } catch (error) {
+    console.error('Train predictors error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/prediction/bus/:busId
 // @desc    Get predictions for a specific bus
 // @access  Private
@@ -247,18 +341,4 @@ router.get('/bus/:busId', protect, async (req, res) => {
   }
 });
 
-// Helper functions
-function getTimeOfDay() {
-  const hour = new Date().getHours();
-  if (hour >= 5 && hour < 12) return 'morning';
-  if (hour >= 12 && hour < 17) return 'afternoon';
-  if (hour >= 17 && hour < 21) return 'evening';
-  return 'night';
-}
-
-function getDayOfWeek() {
-  const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-  return days[new Date().getDay()];
-}
-
 module.exports = router; 
\ No newline at end of file
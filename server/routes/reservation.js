@@ -0,0 +1,377 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { protect, authorize, isUser } = require('../middleware/auth');
+const Bus = require('../models/Bus');
+const Reservation = require('../models/Reservation');
+const Route = require('../models/Route');
+const TripSeating = require('../models/TripSeating');
+const { fromDateKey, toDateKey } = require('../utils/serviceCalendar');
+const { findPlannedDeparture } = require('../services/timetableService');
+const {
+  RESERVABLE_ROUTE_TYPES,
+  acceptsReservations,
+  cancelReservation,
+  changeTripBus,
+  confirmReservation,
+  describeSeats,
+  findPlannedTrip,
+  holdSeat,
+  listReservableTrips,
+  liveReservations
+} = require('../services/reservationService');
+
+const router = express.Router();
+
+const tripValidation = [
+  query('routeId').isMongoId().withMessage('Valid route ID required'),
+  query('departureTime').isISO8601().withMessage('Valid departure time required')
+];
+
+const stretchValidation = (location) => [
+  location('fromStopNumber').isInt({ min: 1 }).withMessage('Valid from stop number required').toInt(),
+  location('toStopNumber').isInt({ min: 1 }).withMessage('Valid to stop number required').toInt()
+];
+
+const serializeReservation = (reservation) => ({
+  ...reservation.toObject(),
+  state: reservation.getState()
+});
+
+// A reservable route with its schedule services, ready for the timetable.
+// Sends the error response and returns null when there is none.
+const findReservableRoute = async (routeId, res) => {
+  const route = await Route.findById(routeId).populate('schedule.service');
+  if (!route) {
+    res.status(404).json({ message: 'Route not found' });
+    return null;
+  }
+  if (!acceptsReservations(route)) {
+    res.status(400).json({ message: `Route ${route.routeNumber} does not take seat reservations` });
+    return null;
+  }
+  return route;
+};
+
+// The reservation with the ID in the request, if the user may see it.
+// Sends a 404 and returns null otherwise.
+const findOwnReservation = async (req, res) => {
+  const reservation = await Reservation.findById(req.params.id);
+  if (!reservation || (req.user.role === 'user' && String(reservation.user) !== String(req.user._id))) {
+    res.status(404).json({ message: 'Reservation not found' });
+    return null;
+  }
+  return reservation;
+};
+
+// @route   GET /api/reservations/routes
+// @desc    Get the routes riders can reserve seats on
+// @access  Private
+router.get('/routes', protect, async (req, res) => {
+  try {
+    const routes = await Route.find({
+      status: 'active',
+      routeType: { $in: RESERVABLE_ROUTE_TYPES },
+      'reservations.bus': { $ne: null }
+    })
+      .select('routeNumber routeName routeType stops.stopNumber stops.name reservations.holdMinutes')
+      .sort({ routeNumber: 1 });
+
+    res.json({ routes });
+  } catch (error) {
+    console.error('Get reservable routes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/reservations/trips
+// @desc    Get a reservable route's trips on a date (YYYY-MM-DD, default today) with seats left between two stops
+// @access  Private
+router.get('/trips', protect, [
+  query('routeId').isMongoId().withMessage('Valid route ID required'),
+  query('date').optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format')
+    .isISO8601({ strict: true }).withMessage('Valid date required'),
+  ...stretchValidation(query)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const route = await findReservableRoute(req.query.routeId, res);
+    if (!route) return;
+
+    const { fromStopNumber, toStopNumber } = req.query;
+    const stopNumbers = route.stops.map(stop => stop.stopNumber);
+    if (!stopNumbers.includes(fromStopNumber) || !stopNumbers.includes(toStopNumber)) {
+      return res.status(400).json({ message: `Route ${route.routeNumber} has no such stop` });
+    }
+    if (fromStopNumber >= toStopNumber) {
+      return res.status(400).json({ message: `Route ${route.routeNumber} does not run from stop ${fromStopNumber} to stop ${toStopNumber}` });
+    }
+
+    // Dates are calendar days in server local time
+    const date = req.query.date ? fromDateKey(req.query.date) : new Date();
+    const trips = await listReservableTrips(route, date, fromStopNumber, toStopNumber);
+
+    res.json({
+      date: toDateKey(date),
+      trips
+    });
+  } catch (error) {
+    console.error('Get reservable trips error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/reservations/seats
+// @desc    Get the seat map of a planned trip with the seats free between two stops
+// @access  Private
+router.get('/seats', protect, [
+  ...tripValidation,
+  ...stretchValidation(query)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const route = await findReservableRoute(req.query.routeId, res);
+    if (!route) return;
+
+    const departureTime = new Date(req.query.departureTime);
+    const { fromStopNumber, toStopNumber } = req.query;
+    const { from, to, status, message } = findPlannedTrip(route, departureTime, fromStopNumber, toStopNumber);
+    if (status) {
+      return res.status(status).json({ message });
+    }
+
+    const seating = await TripSeating.findOne({ route: route._id, departureTime });
+    const bus = await Bus.findById(seating ? seating.bus : route.reservations.bus).select('busNumber busType amenities seatMap');
+    if (!bus) {
+      return res.status(409).json({ message: 'No bus is set for this trip' });
+    }
+
+    const seats = describeSeats(bus, seating, fromStopNumber, toStopNumber);
+
+    res.json({
+      trip: {
+        route: { _id: route._id, routeNumber: route.routeNumber, routeName: route.routeName },
+        departureTime,
+        from: { stopNumber: from.stopNumber, name: from.name, plannedTime: from.plannedTime },
+        to: { stopNumber: to.stopNumber, name: to.name, plannedTime: to.plannedTime }
+      },
+      bus: { _id: bus._id, busNumber: bus.busNumber, busType: bus.busType, amenities: bus.amenities },
+      holdMinutes: route.reservations.holdMinutes,
+      seatsLeft: seats.filter(seat => seat.available).length,
+      seats
+    });
+  } catch (error) {
+    console.error('Get trip seats error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/reservations/manifest
+// @desc    Get who has a seat on a planned trip, by seat (Admin, Driver)
+// @access  Private (Admin, Driver)
+router.get('/manifest', protect, authorize('admin', 'driver'), tripValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const reservations = await Reservation.find({
+      route: req.query.routeId,
+      departureTime: new Date(req.query.departureTime),
+      ...liveReservations(new Date())
+    })
+      .populate('user', 'firstName lastName phone')
+      .sort({ seatLabel: 1, fromStopNumber: 1 });
+
+    res.json({
+      totalReservations: reservations.length,
+      reservations: reservations.map(serializeReservation)
+    });
+  } catch (error) {
+    console.error('Get trip manifest error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/reservations/trip-bus
+// @desc    Put a different bus on a planned trip, keeping its reserved seats (Admin only)
+// @access  Private (Admin)
+router.put('/trip-bus', protect, authorize('admin'), [
+  body('routeId').isMongoId().withMessage('Valid route ID required'),
+  body('departureTime').isISO8601().withMessage('Valid departure time required'),
+  body('busId').isMongoId().withMessage('Valid bus ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const route = await findReservableRoute(req.body.routeId, res);
+    if (!route) return;
+
+    const departureTime = new Date(req.body.departureTime);
+    if (!findPlannedDeparture(route, departureTime)) {
+      return res.status(404).json({ message: `No trip of route ${route.routeNumber} leaves at that time` });
+    }
+
+    const bus = await Bus.findById(req.body.busId).select('busNumber seatMap');
+    if (!bus) {
+      return res.status(404).json({ message: 'Bus not found' });
+    }
+
+    const { seating, status, message } = await changeTripBus(route, departureTime, bus);
+    if (!seating) {
+      return res.status(status).json({ message });
+    }
+
+    res.json({
+      message: `Bus ${bus.busNumber} now runs this trip`,
+      seating
+    });
+  } catch (error) {
+    console.error('Change trip bus error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/reservations
+// @desc    Hold a seat on a planned trip between two stops; a free seat is picked when none is given
+// @access  Private (User)
+router.post('/', protect, isUser, [
+  body('routeId').isMongoId().withMessage('Valid route ID required'),
+  body('departureTime').isISO8601().withMessage('Valid departure time required'),
+  ...stretchValidation(body),
+  body('seatLabel').optional().isString().trim().notEmpty().isLength({ max: 8 }).withMessage('Valid seat required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const route = await Route.findById(req.body.routeId).populate('schedule.service');
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    const { reservation, status, message } = await holdSeat({
+      user: req.user,
+      route,
+      departureTime: new Date(req.body.departureTime),
+      fromStopNumber: req.body.fromStopNumber,
+      toStopNumber: req.body.toStopNumber,
+      seatLabel: req.body.seatLabel
+    });
+    if (!reservation) {
+      return res.status(status).json({ message });
+    }
+
+    res.status(201).json({
+      message: `Seat ${reservation.seatLabel} is held until ${reservation.holdExpiresAt.toISOString()}, confirm it to keep it`,
+      reservation: serializeReservation(reservation)
+    });
+  } catch (error) {
+    console.error('Hold seat error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/reservations
+// @desc    Get the rider's reservations, latest trip first
+// @access  Private (User)
+router.get('/', protect, isUser, async (req, res) => {
+  try {
+    const reservations = await Reservation.find({ user: req.user._id })
+      .populate('route', 'routeNumber routeName')
+      .populate('bus', 'busNumber')
+      .sort({ departureTime: -1, seatLabel: 1 })
+      .limit(100);
+
+    res.json({ reservations: reservations.map(serializeReservation) });
+  } catch (error) {
+    console.error('Get reservations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/reservations/:id
+// @desc    Get a reservation (its rider or admins)
+// @access  Private (User, Admin)
+router.get('/:id', protect, authorize('user', 'admin'), async (req, res) => {
+  try {
+    const reservation = await findOwnReservation(req, res);
+    if (!reservation) return;
+
+    await reservation.populate([
+      { path: 'route', select: 'routeNumber routeName' },
+      { path: 'bus', select: 'busNumber' }
+    ]);
+
+    res.json({ reservation: serializeReservation(reservation) });
+  } catch (error) {
+    console.error('Get reservation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/reservations/:id/confirm
+// @desc    Confirm a held seat before the hold expires
+// @access  Private (User)
+router.post('/:id/confirm', protect, isUser, async (req, res) => {
+  try {
+    const held = await findOwnReservation(req, res);
+    if (!held) return;
+
+    const { reservation, status, message } = await confirmReservation(held);
+    if (!reservation) {
+      return res.status(status).json({ message });
+    }
+
+    res.json({
+      message: `Seat ${reservation.seatLabel} is reserved`,
+      reservation: serializeReservation(reservation)
+    });
+  } catch (error) {
+    console.error('Confirm reservation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/reservations/:id/cancel
+// @desc    Cancel a reservation and free the seat; riders can cancel until the bus reaches their stop
+// @access  Private (User, Admin)
+router.post('/:id/cancel', protect, authorize('user', 'admin'), async (req, res) => {
+  try {
+    const current = await findOwnReservation(req, res);
+    if (!current) return;
+
+    if (req.user.role === 'user' && current.boardAt <= new Date()) {
+      return res.status(400).json({ message: 'This trip has already left your stop' });
+    }
+
+    const { reservation, status, message } = await cancelReservation(current);
+    if (!reservation) {
+      return res.status(status).json({ message });
+    }
+
+    res.json({
+      message: 'Reservation cancelled',
+      reservation: serializeReservation(reservation)
+    });
+  } catch (error) {
+    console.error('Cancel reservation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,286 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { protect, isUser } = require('../middleware/auth');
+const RiderAlert = require('../models/RiderAlert');
+const Route = require('../models/Route');
+const User = require('../models/User');
+const { DAYS_OF_WEEK } = require('../utils/time');
+const { MAX_LEAD_MINUTES, getDeliveryOptions, sendTestNotification } = require('../services/alertService');
+
+const router = express.Router();
+
+const MAX_ALERTS_PER_RIDER = 20;
+const MAX_PUSH_SUBSCRIPTIONS = 5; // browsers per rider
+const ROUTE_FIELDS = 'routeNumber routeName stops.stopNumber stops.name';
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const alertValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    body('name').optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+    field('routeId').isMongoId().withMessage('Valid route ID required'),
+    field('stopNumber').isInt({ min: 1 }).withMessage('Valid stop number required').toInt(),
+    body('leadMinutes').optional().isInt({ min: 1, max: MAX_LEAD_MINUTES }).withMessage(`Lead time must be 1 to ${MAX_LEAD_MINUTES} minutes`).toInt(),
+    body('time').optional({ nullable: true }).matches(TIME_OF_DAY).withMessage('Time must be in HH:MM format'),
+    body(['startTime', 'endTime']).optional({ checkFalsy: true }).matches(TIME_OF_DAY).withMessage('Times must be in HH:MM format'),
+    body('days').optional().isArray().withMessage('Days must be a list'),
+    body('days.*').isIn(DAYS_OF_WEEK).withMessage('Valid day of week required'),
+    field('channels').isArray({ min: 1 }).withMessage('At least one channel is required'),
+    body('channels.*').isIn(RiderAlert.CHANNELS).withMessage('Valid channel required'),
+    body('active').optional().isBoolean().withMessage('Active must be true or false').toBoolean()
+  ];
+};
+
+// Why an alert can't be set on a route, stop and channels, or null when it
+// can
+const checkAlertTarget = (route, stopNumber, channels) => {
+  if (!route) return 'Route not found';
+  if (!route.stops.some(stop => stop.stopNumber === stopNumber)) return 'Stop not found on this route';
+
+  const { channels: available } = getDeliveryOptions();
+  const unavailable = (channels || []).find(channel => !available.includes(channel));
+  return unavailable ? `Alerts can't be sent by ${unavailable} at the moment` : null;
+};
+
+// An alert with its route's number and name and the name of its stop
+const serializeAlert = (alert) => {
+  const { route, ...rest } = alert.toObject();
+  const stop = route && route.stops && route.stops.find(routeStop => routeStop.stopNumber === alert.stopNumber);
+  return {
+    ...rest,
+    route: route && route._id ? { _id: route._id, routeNumber: route.routeNumber, routeName: route.routeName } : route,
+    stopName: stop ? stop.name : null
+  };
+};
+
+// The rider's own alert with the ID in the request. Sends a 404 and returns
+// null when there is none.
+const findOwnAlert = async (req, res) => {
+  const alert = await RiderAlert.findOne({ _id: req.params.id, user: req.user._id });
+  if (!alert) {
+    res.status(404).json({ message: 'Alert not found' });
+    return null;
+  }
+  return alert;
+};
+
+// @route   GET /api/rider-alerts/channels
+// @desc    Get the channels alerts can be sent on, and the key for Web Push
+// @access  Private (User)
+router.get('/channels', protect, isUser, (req, res) => {
+  res.json(getDeliveryOptions());
+});
+
+// @route   POST /api/rider-alerts/push-subscriptions
+// @desc    Let a browser receive alerts by Web Push
+// @access  Private (User)
+router.post('/push-subscriptions', protect, isUser, [
+  body('endpoint').isURL({ protocols: ['https'], require_protocol: true, require_tld: false }).withMessage('Valid push endpoint required'),
+  body('keys.p256dh').isBase64({ urlSafe: true }).withMessage('Valid p256dh key required'),
+  body('keys.auth').isBase64({ urlSafe: true }).withMessage('Valid auth secret required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { endpoint, keys } = req.body;
+
+    // A browser subscribing again replaces its old subscription; the oldest
+    // browser makes way past the limit
+    await User.updateOne({ _id: req.user._id }, { $pull: { pushSubscriptions: { endpoint } } });
+    await User.updateOne({ _id: req.user._id }, {
+      $push: {
+        pushSubscriptions: {
+          $each: [{ endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } }],
+          $slice: -MAX_PUSH_SUBSCRIPTIONS
+        }
+      }
+    });
+
+    res.status(201).json({ message: 'Push notifications enabled' });
+  } catch (error) {
+    console.error('Add push subscription error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/rider-alerts/push-subscriptions
+// @desc    Stop a browser receiving alerts by Web Push
+// @access  Private (User)
+router.delete('/push-subscriptions', protect, isUser, [
+  body('endpoint').isString().notEmpty().withMessage('Push endpoint is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $pull: { pushSubscriptions: { endpoint: req.body.endpoint } } });
+
+    res.json({ message: 'Push notifications disabled' });
+  } catch (error) {
+    console.error('Remove push subscription error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/rider-alerts
+// @desc    Get the rider's alerts
+// @access  Private (User)
+router.get('/', protect, isUser, async (req, res) => {
+  try {
+    const alerts = await RiderAlert.find({ user: req.user._id })
+      .populate('route', ROUTE_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.json({ alerts: alerts.map(serializeAlert) });
+  } catch (error) {
+    console.error('Get rider alerts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/rider-alerts
+// @desc    Create an alert for a bus approaching a stop, or a daily commute
+// @access  Private (User)
+router.post('/', protect, isUser, [
+  body('type').isIn(RiderAlert.TYPES).withMessage('Valid alert type required'),
+  ...alertValidation(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { type, name, routeId, stopNumber, leadMinutes, time, startTime, endTime, days, channels } = req.body;
+
+    const route = await Route.findById(routeId).select(ROUTE_FIELDS);
+    const problem = checkAlertTarget(route, stopNumber, channels);
+    if (problem) {
+      return res.status(route ? 400 : 404).json({ message: problem });
+    }
+
+    const count = await RiderAlert.countDocuments({ user: req.user._id });
+    if (count >= MAX_ALERTS_PER_RIDER) {
+      return res.status(400).json({ message: `You can have at most ${MAX_ALERTS_PER_RIDER} alerts` });
+    }
+
+    const alert = await RiderAlert.create({
+      user: req.user._id,
+      type,
+      name,
+      route: route._id,
+      stopNumber,
+      leadMinutes,
+      time: type === 'commute' ? time : undefined,
+      startTime: type === 'approaching' ? startTime || undefined : undefined,
+      endTime: type === 'approaching' ? endTime || undefined : undefined,
+      days,
+      channels: [...new Set(channels)]
+    });
+    await alert.populate('route', ROUTE_FIELDS);
+
+    res.status(201).json({
+      message: 'Alert created',
+      alert: serializeAlert(alert)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create rider alert error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/rider-alerts/:id
+// @desc    Change an alert, or switch it on or off
+// @access  Private (User)
+router.put('/:id', protect, isUser, alertValidation(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const alert = await findOwnAlert(req, res);
+    if (!alert) return;
+
+    const routeId = req.body.routeId || alert.route;
+    const stopNumber = req.body.stopNumber || alert.stopNumber;
+    const route = await Route.findById(routeId).select(ROUTE_FIELDS);
+    const problem = checkAlertTarget(route, stopNumber, req.body.channels);
+    if (problem) {
+      return res.status(route ? 400 : 404).json({ message: problem });
+    }
+
+    alert.route = route._id;
+    alert.stopNumber = stopNumber;
+    ['name', 'leadMinutes', 'days', 'active'].forEach(field => {
+      if (req.body[field] !== undefined) alert[field] = req.body[field];
+    });
+    if (req.body.channels) alert.channels = [...new Set(req.body.channels)];
+    if (alert.type === 'commute' && req.body.time) alert.time = req.body.time;
+    if (alert.type === 'approaching' && req.body.startTime !== undefined) {
+      alert.startTime = req.body.startTime || undefined;
+      alert.endTime = req.body.endTime || undefined;
+    }
+
+    await alert.save();
+    await alert.populate('route', ROUTE_FIELDS);
+
+    res.json({
+      message: 'Alert updated',
+      alert: serializeAlert(alert)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update rider alert error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/rider-alerts/:id/test
+// @desc    Send a sample notification on each of the alert's channels
+// @access  Private (User)
+router.post('/:id/test', protect, isUser, async (req, res) => {
+  try {
+    const alert = await findOwnAlert(req, res);
+    if (!alert) return;
+
+    const deliveries = await sendTestNotification(alert);
+
+    res.json({
+      message: 'Test notification sent',
+      deliveries
+    });
+  } catch (error) {
+    console.error('Test rider alert error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/rider-alerts/:id
+// @desc    Delete an alert
+// @access  Private (User)
+router.delete('/:id', protect, isUser, async (req, res) => {
+  try {
+    const alert = await findOwnAlert(req, res);
+    if (!alert) return;
+
+    await alert.deleteOne();
+
+    res.json({ message: 'Alert deleted' });
+  } catch (error) {
+    console.error('Delete rider alert error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,32 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { protect, authorize } = require('../middleware/auth');
 const Route = require('../models/Route');
+const LoadProfile = require('../models/LoadProfile');
+const { buildTimetable, entryRunsOn } = require('../services/timetableService');
+const { toDateKey } = require('../utils/serviceCalendar');
+const { getDayOfWeek } = require('../utils/time');
+const { toLineCoordinates } = require('../utils/geo');
+const { linkRouteStops } = require('../services/stopService');
 
 const router = express.Router();
 
+// Each stop either references a shared stop or describes one, which is
+// matched to or becomes a shared stop
+const stopsValidation = [
+  body('stops.*.stop').optional().isMongoId().withMessage('Valid stop ID required'),
+  body('stops.*.stopNumber').isInt({ min: 1 }).withMessage('Valid stop number required'),
+  body('stops.*.estimatedTime').isFloat({ min: 0 }).withMessage('Valid estimated time required'),
+  body('stops.*.stopCode').optional({ checkFalsy: true }).trim().isLength({ max: 64 }).withMessage('Stop code cannot exceed 64 characters'),
+  body('stops.*').custom(stop => Boolean(stop.stop || (stop.name && stop.location?.coordinates?.length === 2)))
+    .withMessage('Each stop needs a stop ID, or a name and coordinates')
+];
+
+const missingStopsResponse = (missing) => ({
+  message: 'Some stops reference stops that do not exist',
+  missing
+});
+
 // @route   GET /api/route
 // @desc    Get all routes
 // @access  Private
@@ -57,6 +79,114 @@ router.get('/:id', protect, async (req, res) => {
   }
 });
 
+// @route   GET /api/route/:id/timetable
+// @desc    Get the planned trips of a route on a date (YYYY-MM-DD, default today)
+// @access  Private
+router.get('/:id/timetable', protect, [
+  query('date').optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format')
+    .isISO8601({ strict: true }).withMessage('Valid date required'),
+  query('stopNumber').optional().isInt({ min: 1 }).withMessage('Valid stop number required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const route = await Route.findById(req.params.id).populate('schedule.service');
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    // Dates are calendar days in server local time
+    const date = req.query.date
+      ? new Date(...req.query.date.split('-').map((part, i) => Number(part) - (i === 1 ? 1 : 0)))
+      : new Date();
+
+    const stopNumber = req.query.stopNumber ? parseInt(req.query.stopNumber) : undefined;
+    if (stopNumber && !route.stops.some(stop => stop.stopNumber === stopNumber)) {
+      return res.status(404).json({ message: 'Stop not found on this route' });
+    }
+
+    let trips = buildTimetable(route, date);
+    if (stopNumber) {
+      trips = trips.map(({ stops, ...trip }) => ({
+        ...trip,
+        stops: stops.filter(stop => stop.stopNumber === stopNumber)
+      }));
+    }
+
+    // Service calendars running that day, with the reason for any exception
+    const dateKey = toDateKey(date);
+    const services = [...new Map(route.schedule
+      .filter(entry => entry.service && entryRunsOn(entry, date))
+      .map(({ service }) => {
+        const exception = service.exceptions.find(entry => entry.date === dateKey);
+        return [service.serviceId, { serviceId: service.serviceId, name: service.name, note: exception?.description }];
+      })).values()];
+
+    res.json({
+      route: {
+        _id: route._id,
+        routeNumber: route.routeNumber,
+        routeName: route.routeName,
+        status: route.status
+      },
+      date: dateKey,
+      day: getDayOfWeek(date),
+      services,
+      totalTrips: trips.length,
+      trips
+    });
+  } catch (error) {
+    console.error('Get route timetable error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/route/:id/load-profile
+// @desc    Get how crowded a route's buses usually are for each hour, over the
+//          whole route or leaving one stop, on one day of the week or any day
+// @access  Private
+router.get('/:id/load-profile', protect, [
+  query('stopNumber').optional().isInt({ min: 1 }).withMessage('Valid stop number required'),
+  query('day').optional().isIn(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']).withMessage('Valid day of week required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const route = await Route.findById(req.params.id).select('routeNumber routeName stops.stopNumber');
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    const stopNumber = req.query.stopNumber ? parseInt(req.query.stopNumber) : undefined;
+    if (stopNumber && !route.stops.some(stop => stop.stopNumber === stopNumber)) {
+      return res.status(404).json({ message: 'Stop not found on this route' });
+    }
+
+    const hours = await LoadProfile.getHourlyProfile(route._id, { stopNumber, dayOfWeek: req.query.day });
+
+    res.json({
+      route: {
+        _id: route._id,
+        routeNumber: route.routeNumber,
+        routeName: route.routeName
+      },
+      stopNumber: stopNumber || null,
+      day: req.query.day || null,
+      hours
+    });
+  } catch (error) {
+    console.error('Get route load profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/route
 // @desc    Create new route (Admin only)
 // @access  Private (Admin)
@@ -64,6 +194,7 @@ router.post('/', protect, authorize('admin'), [
   body('routeNumber').notEmpty().withMessage('Route number is required'),
   body('routeName').notEmpty().withMessage('Route name is required'),
   body('stops').isArray({ min: 2 }).withMessage('At least 2 stops required'),
+  ...stopsValidation,
   body('totalDistance').isFloat({ min: 0 }).withMessage('Valid distance required'),
   body('estimatedDuration').isInt({ min: 1 }).withMessage('Valid duration required'),
   body('fare.base').isFloat({ min: 0 }).withMessage('Valid base fare required'),
@@ -77,6 +208,11 @@ router.post('/', protect, authorize('admin'), [
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const { missing } = await linkRouteStops(req.body.stops, req.body.routeNumber);
+    if (missing.length > 0) {
+      return res.status(400).json(missingStopsResponse(missing));
+    }
+
     const route = await Route.create(req.body);
     res.status(201).json({ route });
   } catch (error) {
@@ -88,8 +224,30 @@ router.post('/', protect, authorize('admin'), [
 // @route   PUT /api/route/:id
 // @desc    Update route (Admin only)
 // @access  Private (Admin)
-router.put('/:id', protect, authorize('admin'), async (req, res) => {
+router.put('/:id', protect, authorize('admin'), [
+  body('stops').optional().isArray({ min: 2 }).withMessage('At least 2 stops required'),
+  ...stopsValidation,
+  body('reservations.bus').optional({ values: 'null' }).isMongoId().withMessage('Valid reservation bus ID required'),
+  body('reservations.holdMinutes').optional().isInt({ min: 1, max: 60 }).withMessage('Hold time must be between 1 and 60 minutes')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (req.body.stops) {
+      const current = await Route.findById(req.params.id).select('routeNumber');
+      if (!current) {
+        return res.status(404).json({ message: 'Route not found' });
+      }
+
+      const { missing } = await linkRouteStops(req.body.stops, req.body.routeNumber || current.routeNumber);
+      if (missing.length > 0) {
+        return res.status(400).json(missingStopsResponse(missing));
+      }
+    }
+
     const route = await Route.findByIdAndUpdate(
       req.params.id,
       req.body,
@@ -100,6 +258,21 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
       return res.status(404).json({ message: 'Route not found' });
     }
 
+    // Keep stops snapped to the shape when they change
+    if (route.shape && req.body.stops) {
+      const { unsnapped } = route.setShape(route.shape.coordinates);
+      if (unsnapped.length > 0) {
+        route.clearShape();
+        await route.save();
+        return res.json({
+          route,
+          warnings: ['Stops no longer fit the route shape, so it was removed'],
+          unsnapped
+        });
+      }
+      await route.save();
+    }
+
     res.json({ route });
   } catch (error) {
     console.error('Update route error:', error);
@@ -107,6 +280,64 @@ router.put('/:id', protect, authorize('admin'), async (req, res) => {
   }
 });
 
+// @route   PUT /api/route/:id/shape
+// @desc    Set the route shape from a GeoJSON LineString, snapping stops onto it (Admin only)
+// @access  Private (Admin)
+router.put('/:id/shape', protect, authorize('admin'), async (req, res) => {
+  try {
+    const coordinates = toLineCoordinates(req.body.shape || req.body);
+    if (!coordinates) {
+      return res.status(400).json({ message: 'Shape must be a GeoJSON LineString with at least 2 valid points' });
+    }
+
+    const route = await Route.findById(req.params.id);
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    const { unsnapped } = route.setShape(coordinates);
+    if (unsnapped.length > 0) {
+      return res.status(400).json({
+        message: 'Some stops are too far from the shape',
+        unsnapped
+      });
+    }
+
+    await route.save();
+
+    res.json({
+      message: 'Route shape updated successfully',
+      route
+    });
+  } catch (error) {
+    console.error('Update route shape error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/route/:id/shape
+// @desc    Remove the route shape (Admin only)
+// @access  Private (Admin)
+router.delete('/:id/shape', protect, authorize('admin'), async (req, res) => {
+  try {
+    const route = await Route.findById(req.params.id);
+    if (!route) {
+      return res.status(404).json({ message: 'Route not found' });
+    }
+
+    route.clearShape();
+    await route.save();
+
+    res.json({
+      message: 'Route shape removed successfully',
+      route
+    });
+  } catch (error) {
+    console.error('Remove route shape error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/route/:id
 // @desc    Delete route (Admin only)
 // @access  Private (Admin)
@@ -0,0 +1,156 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const ServiceAlert = require('../models/ServiceAlert');
+const { emitToAll } = require('../socket/broadcast');
+
+const router = express.Router();
+
+const alertValidation = [
+  body('headerText').optional().trim().notEmpty().withMessage('Alert header is required'),
+  body('cause').optional().isIn(ServiceAlert.CAUSES).withMessage('Valid cause required'),
+  body('effect').optional().isIn(ServiceAlert.EFFECTS).withMessage('Valid effect required'),
+  body('severity').optional().isIn(ServiceAlert.SEVERITIES).withMessage('Valid severity required'),
+  body('url').optional({ checkFalsy: true }).isURL().withMessage('Valid URL required'),
+  body('activePeriods').optional().isArray().withMessage('Active periods must be an array'),
+  body('activePeriods.*.start').optional({ nullable: true }).isISO8601().withMessage('Valid period start required'),
+  body('activePeriods.*.end').optional({ nullable: true }).isISO8601().withMessage('Valid period end required'),
+  body('informedEntities').optional().isArray().withMessage('Informed entities must be an array'),
+  body('informedEntities.*.route').isMongoId().withMessage('Valid route ID required'),
+  body('informedEntities.*.stopNumber').optional().isInt({ min: 1 }).withMessage('Valid stop number required')
+];
+
+const ALERT_FIELDS = ['headerText', 'descriptionText', 'url', 'cause', 'effect', 'severity', 'activePeriods', 'informedEntities'];
+
+const pickAlertFields = (source) => ALERT_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+const hasInvertedPeriod = (periods = []) => periods.some(period =>
+  period.start && period.end && new Date(period.start) >= new Date(period.end)
+);
+
+// @route   GET /api/service-alerts
+// @desc    Get current service alerts, optionally for one route
+// @access  Private
+router.get('/', protect, [
+  query('routeId').optional().isMongoId().withMessage('Valid route ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { routeId } = req.query;
+    const now = new Date();
+
+    // Network-wide alerts apply to every route
+    const alertQuery = ServiceAlert.findCurrent(now);
+    if (routeId) alertQuery.and([{ $or: [{ informedEntities: { $size: 0 } }, { 'informedEntities.route': routeId }] }]);
+
+    const alerts = await alertQuery
+      .populate('informedEntities.route', 'routeNumber routeName')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      alerts: alerts.map(alert => ({ ...alert.toObject(), active: alert.isActive(now) }))
+    });
+  } catch (error) {
+    console.error('Get service alerts error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/service-alerts
+// @desc    Create service alert (Admin only)
+// @access  Private (Admin)
+router.post('/', protect, authorize('admin'), [
+  body('headerText').trim().notEmpty().withMessage('Alert header is required'),
+  ...alertValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (hasInvertedPeriod(req.body.activePeriods)) {
+      return res.status(400).json({ message: 'Active period start must be before its end' });
+    }
+
+    const alert = await ServiceAlert.create({
+      ...pickAlertFields(req.body),
+      createdBy: req.user._id
+    });
+
+    emitToAll(req.app.get('io'), 'service-alert', { action: 'created', alert });
+
+    res.status(201).json({
+      message: 'Service alert created successfully',
+      alert
+    });
+  } catch (error) {
+    console.error('Create service alert error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/service-alerts/:id
+// @desc    Update service alert (Admin only)
+// @access  Private (Admin)
+router.put('/:id', protect, authorize('admin'), alertValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (hasInvertedPeriod(req.body.activePeriods)) {
+      return res.status(400).json({ message: 'Active period start must be before its end' });
+    }
+
+    const alert = await ServiceAlert.findByIdAndUpdate(
+      req.params.id,
+      pickAlertFields(req.body),
+      { new: true, runValidators: true }
+    );
+
+    if (!alert) {
+      return res.status(404).json({ message: 'Service alert not found' });
+    }
+
+    emitToAll(req.app.get('io'), 'service-alert', { action: 'updated', alert });
+
+    res.json({
+      message: 'Service alert updated successfully',
+      alert
+    });
+  } catch (error) {
+    console.error('Update service alert error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/service-alerts/:id
+// @desc    Delete service alert (Admin only)
+// @access  Private (Admin)
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const alert = await ServiceAlert.findByIdAndDelete(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({ message: 'Service alert not found' });
+    }
+
+    emitToAll(req.app.get('io'), 'service-alert', { action: 'deleted', alert: { _id: alert._id } });
+
+    res.json({ message: 'Service alert deleted successfully' });
+  } catch (error) {
+    console.error('Delete service alert error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,251 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const ServiceCalendar = require('../models/ServiceCalendar');
+const Route = require('../models/Route');
+
+const router = express.Router();
+
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const dateKey = (field) => body(field)
+  .matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format')
+  .isISO8601({ strict: true }).withMessage('Valid date required');
+
+const calendarValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Service name is required'),
+  body('days').optional().isArray().withMessage('Days must be an array'),
+  body('days.*').isIn(WEEKDAYS).withMessage('Valid day required'),
+  dateKey('startDate').optional({ nullable: true }),
+  dateKey('endDate').optional({ nullable: true }),
+  body('exceptions').optional().isArray().withMessage('Exceptions must be an array'),
+  dateKey('exceptions.*.date'),
+  body('exceptions.*.type').isIn(['added', 'removed']).withMessage('Exception type must be added or removed')
+];
+
+const CALENDAR_FIELDS = ['name', 'days', 'startDate', 'endDate', 'exceptions'];
+
+const pickCalendarFields = (source) => CALENDAR_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+const hasInvertedRange = ({ startDate, endDate }) => Boolean(startDate && endDate && startDate > endDate);
+
+// @route   GET /api/calendars
+// @desc    Get all service calendars
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const calendars = await ServiceCalendar.find().sort({ serviceId: 1 });
+
+    res.json({ calendars });
+  } catch (error) {
+    console.error('Get service calendars error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/calendars/holidays
+// @desc    Run another weekday's service on a date across all calendars (Admin only)
+// @access  Private (Admin)
+router.post('/holidays', protect, authorize('admin'), [
+  dateKey('date'),
+  body('runAs').isIn(WEEKDAYS).withMessage('Valid day to run as required'),
+  body('description').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { date, runAs, description } = req.body;
+    const calendars = await ServiceCalendar.applyHoliday(date, runAs, description);
+
+    res.json({
+      message: `${date} will run the ${runAs} service`,
+      calendars
+    });
+  } catch (error) {
+    console.error('Apply holiday error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/calendars/:id
+// @desc    Get specific service calendar with the routes that run on it
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const calendar = await ServiceCalendar.findById(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({ message: 'Service calendar not found' });
+    }
+
+    const routes = await Route.find({ 'schedule.service': calendar._id }).select('routeNumber routeName');
+
+    res.json({ calendar, routes });
+  } catch (error) {
+    console.error('Get service calendar error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/calendars
+// @desc    Create service calendar (Admin only)
+// @access  Private (Admin)
+router.post('/', protect, authorize('admin'), [
+  body('serviceId').trim().notEmpty().withMessage('Service ID is required'),
+  body('name').trim().notEmpty().withMessage('Service name is required'),
+  ...calendarValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (hasInvertedRange(req.body)) {
+      return res.status(400).json({ message: 'Start date must not be after end date' });
+    }
+
+    const existing = await ServiceCalendar.findOne({ serviceId: req.body.serviceId });
+    if (existing) {
+      return res.status(400).json({ message: 'Service ID already exists' });
+    }
+
+    const calendar = await ServiceCalendar.create({
+      serviceId: req.body.serviceId,
+      ...pickCalendarFields(req.body)
+    });
+
+    res.status(201).json({
+      message: 'Service calendar created successfully',
+      calendar
+    });
+  } catch (error) {
+    console.error('Create service calendar error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/calendars/:id
+// @desc    Update service calendar (Admin only)
+// @access  Private (Admin)
+router.put('/:id', protect, authorize('admin'), calendarValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const calendar = await ServiceCalendar.findById(req.params.id);
+    if (!calendar) {
+      return res.status(404).json({ message: 'Service calendar not found' });
+    }
+
+    calendar.set(pickCalendarFields(req.body));
+    if (hasInvertedRange(calendar)) {
+      return res.status(400).json({ message: 'Start date must not be after end date' });
+    }
+    await calendar.save();
+
+    res.json({
+      message: 'Service calendar updated successfully',
+      calendar
+    });
+  } catch (error) {
+    console.error('Update service calendar error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/calendars/:id
+// @desc    Delete service calendar no route runs on (Admin only)
+// @access  Private (Admin)
+router.delete('/:id', protect, authorize('admin'), async (req, res) => {
+  try {
+    const inUse = await Route.countDocuments({ 'schedule.service': req.params.id });
+    if (inUse > 0) {
+      return res.status(400).json({ message: `Service calendar is used by ${inUse} route(s)` });
+    }
+
+    const calendar = await ServiceCalendar.findByIdAndDelete(req.params.id);
+
+    if (!calendar) {
+      return res.status(404).json({ message: 'Service calendar not found' });
+    }
+
+    res.json({ message: 'Service calendar deleted successfully' });
+  } catch (error) {
+    console.error('Delete service calendar error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/calendars/:id/exceptions/:date
+// @desc    Add or replace the exception for a date (Admin only)
+// @access  Private (Admin)
+router.put('/:id/exceptions/:date', protect, authorize('admin'), [
+  body('type').isIn(['added', 'removed']).withMessage('Exception type must be added or removed'),
+  body('description').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(req.params.date)) {
+      return res.status(400).json({ message: 'Date must be in YYYY-MM-DD format' });
+    }
+
+    const calendar = await ServiceCalendar.findById(req.params.id);
+    if (!calendar) {
+      return res.status(404).json({ message: 'Service calendar not found' });
+    }
+
+    calendar.setException(req.params.date, req.body.type, req.body.description);
+    await calendar.save();
+
+    res.json({
+      message: 'Exception saved successfully',
+      calendar
+    });
+  } catch (error) {
+    console.error('Save calendar exception error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/calendars/:id/exceptions/:date
+// @desc    Remove the exception for a date (Admin only)
+// @access  Private (Admin)
+router.delete('/:id/exceptions/:date', protect, authorize('admin'), async (req, res) => {
+  try {
+    const calendar = await ServiceCalendar.findById(req.params.id);
+    if (!calendar) {
+      return res.status(404).json({ message: 'Service calendar not found' });
+    }
+
+    const remaining = calendar.exceptions.filter(exception => exception.date !== req.params.date);
+    if (remaining.length === calendar.exceptions.length) {
+      return res.status(404).json({ message: 'Exception not found' });
+    }
+
+    calendar.exceptions = remaining;
+    await calendar.save();
+
+    res.json({
+      message: 'Exception removed successfully',
+      calendar
+    });
+  } catch (error) {
+    console.error('Remove calendar exception error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,330 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { protect, authorize } = require('../middleware/auth');
+const Route = require('../models/Route');
+const Stop = require('../models/Stop');
+const { getStopDepartures } = require('../services/departureService');
+const { propagateStop, mergeStops, searchStops, findNearbyStops } = require('../services/stopService');
+
+const router = express.Router();
+
+const stopValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Stop name is required'),
+  body('aliases').optional().isArray().withMessage('Aliases must be an array'),
+  body('aliases.*').isString().trim().notEmpty().withMessage('Aliases must be names'),
+  body('location.coordinates').optional().isArray({ min: 2, max: 2 }).withMessage('Valid coordinates required'),
+  body('location.coordinates.0').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  body('location.coordinates.1').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body('facilities').optional().isArray().withMessage('Facilities must be an array'),
+  body('facilities.*').isIn(Stop.FACILITIES).withMessage('Valid facility required'),
+  body('accessibility.wheelchairBoarding').optional().isIn(Stop.WHEELCHAIR_BOARDING).withMessage('Valid wheelchair boarding value required'),
+  body('accessibility.stepFreeAccess').optional().isBoolean().withMessage('Step-free access must be true or false'),
+  body('accessibility.tactilePaving').optional().isBoolean().withMessage('Tactile paving must be true or false'),
+  body('accessibility.audioAnnouncements').optional().isBoolean().withMessage('Audio announcements must be true or false')
+];
+
+const STOP_FIELDS = ['name', 'aliases', 'location', 'facilities', 'accessibility'];
+
+const pickStopFields = (source) => STOP_FIELDS.reduce((fields, field) => {
+  if (source[field] !== undefined) fields[field] = source[field];
+  return fields;
+}, {});
+
+// Route numbers serving each of the given stops, by stop ID
+const getServingRoutes = async (stopIds) => {
+  const routes = await Route.find({ 'stops.stop': { $in: stopIds } }).select('routeNumber routeName status stops.stop');
+  const byStop = new Map();
+
+  routes.forEach(route => {
+    new Set(route.stops.map(routeStop => String(routeStop.stop))).forEach(stopId => {
+      if (!byStop.has(stopId)) byStop.set(stopId, []);
+      byStop.get(stopId).push({ _id: route._id, routeNumber: route.routeNumber, routeName: route.routeName, status: route.status });
+    });
+  });
+
+  return byStop;
+};
+
+// @route   GET /api/stops
+// @desc    Get all stops with the routes serving each
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const stops = await Stop.find().sort({ name: 1, code: 1 });
+    const routesByStop = await getServingRoutes(stops.map(stop => stop._id));
+
+    res.json({
+      stops: stops.map(stop => ({
+        ...stop.toObject(),
+        routes: routesByStop.get(String(stop._id)) || []
+      }))
+    });
+  } catch (error) {
+    console.error('Get stops error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/stops/search
+// @desc    Find stops by code, name or alias as the rider types, allowing for typos
+// @access  Private
+router.get('/search', protect, [
+  query('q').trim().notEmpty().isLength({ max: 100 }).withMessage('Search text is required'),
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20'),
+  query('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  query('longitude').if(query('latitude').exists()).isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const matches = await searchStops(req.query.q, {
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+      near: req.query.latitude !== undefined
+        ? [parseFloat(req.query.longitude), parseFloat(req.query.latitude)]
+        : undefined
+    });
+
+    res.json({
+      stops: matches.map(({ stop, matchedName, distance }) => ({
+        _id: stop._id,
+        code: stop.code,
+        name: stop.name,
+        matchedAlias: matchedName !== stop.name ? matchedName : undefined,
+        location: stop.location,
+        distance
+      }))
+    });
+  } catch (error) {
+    console.error('Search stops error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/stops/nearby
+// @desc    Get the stops nearest a location with the routes serving each
+// @access  Private
+router.get('/nearby', protect, [
+  query('latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  query('longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  query('radius').optional().isFloat({ min: 0.05, max: 5 }).withMessage('Radius must be between 0.05 and 5 km'),
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { latitude, longitude, radius = 0.5, limit = 5 } = req.query; // Default 500 m radius
+
+    const nearby = await findNearbyStops([parseFloat(longitude), parseFloat(latitude)], {
+      radiusMetres: parseFloat(radius) * 1000,
+      limit: parseInt(limit)
+    });
+    const routesByStop = await getServingRoutes(nearby.map(({ stop }) => stop._id));
+
+    res.json({
+      count: nearby.length,
+      stops: nearby.map(({ stop, distance }) => ({
+        _id: stop._id,
+        code: stop.code,
+        name: stop.name,
+        location: stop.location,
+        facilities: stop.facilities,
+        accessibility: stop.accessibility,
+        distance,
+        routes: routesByStop.get(String(stop._id)) || []
+      }))
+    });
+  } catch (error) {
+    console.error('Get nearby stops error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/stops/:code/departures
+// @desc    Get upcoming departures from a stop across every route serving it
+// @access  Public
+router.get('/:code/departures', [
+  param('code').trim().notEmpty().isLength({ max: 64 }).withMessage('Valid stop code required'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('horizon').optional().isInt({ min: 15, max: 1440 }).withMessage('Horizon must be between 15 and 1440 minutes')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const board = await getStopDepartures(req.params.code, {
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+      horizonMinutes: req.query.horizon ? parseInt(req.query.horizon) : undefined
+    });
+
+    if (!board) {
+      return res.status(404).json({ message: 'Stop not found' });
+    }
+
+    res.json(board);
+  } catch (error) {
+    console.error('Get stop departures error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/stops/:code
+// @desc    Get specific stop with the routes serving it
+// @access  Private
+router.get('/:code', protect, async (req, res) => {
+  try {
+    const stop = await Stop.findOne({ code: req.params.code });
+
+    if (!stop) {
+      return res.status(404).json({ message: 'Stop not found' });
+    }
+
+    const routesByStop = await getServingRoutes([stop._id]);
+
+    res.json({ stop, routes: routesByStop.get(String(stop._id)) || [] });
+  } catch (error) {
+    console.error('Get stop error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/stops
+// @desc    Create stop (Admin only)
+// @access  Private (Admin)
+router.post('/', protect, authorize('admin'), [
+  body('code').trim().notEmpty().isLength({ max: 64 }).withMessage('Stop code is required'),
+  body('name').trim().notEmpty().withMessage('Stop name is required'),
+  body('location.coordinates').isArray({ min: 2, max: 2 }).withMessage('Valid coordinates required'),
+  ...stopValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await Stop.findOne({ code: req.body.code });
+    if (existing) {
+      return res.status(400).json({ message: 'Stop code already exists' });
+    }
+
+    const stop = await Stop.create({
+      code: req.body.code,
+      ...pickStopFields(req.body)
+    });
+
+    res.status(201).json({
+      message: 'Stop created successfully',
+      stop
+    });
+  } catch (error) {
+    console.error('Create stop error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/stops/:code
+// @desc    Update stop and the routes serving it (Admin only)
+// @access  Private (Admin)
+router.put('/:code', protect, authorize('admin'), stopValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const stop = await Stop.findOne({ code: req.params.code });
+    if (!stop) {
+      return res.status(404).json({ message: 'Stop not found' });
+    }
+
+    stop.set(pickStopFields(req.body));
+    await stop.save();
+
+    // Routes keep copies of the stop's name, location and facilities
+    const { routes, warnings } = await propagateStop(stop);
+
+    res.json({
+      message: `Stop updated successfully on ${routes} route(s)`,
+      stop,
+      warnings
+    });
+  } catch (error) {
+    console.error('Update stop error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/stops/:code/merge
+// @desc    Merge duplicate stops into this one (Admin only)
+// @access  Private (Admin)
+router.post('/:code/merge', protect, authorize('admin'), [
+  body('codes').isArray({ min: 1 }).withMessage('Stop codes to merge are required'),
+  body('codes.*').isString().trim().notEmpty().withMessage('Valid stop code required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const target = await Stop.findOne({ code: req.params.code });
+    if (!target) {
+      return res.status(404).json({ message: 'Stop not found' });
+    }
+
+    const codes = [...new Set(req.body.codes)].filter(code => code !== target.code);
+    const duplicates = await Stop.find({ code: { $in: codes } });
+    if (duplicates.length !== codes.length) {
+      const found = duplicates.map(stop => stop.code);
+      return res.status(404).json({
+        message: 'Some stops to merge were not found',
+        missing: codes.filter(code => !found.includes(code))
+      });
+    }
+
+    const { routes, warnings } = await mergeStops(target, duplicates);
+
+    res.json({
+      message: `Merged ${duplicates.length} stop(s) into ${target.code} on ${routes} route(s)`,
+      stop: target,
+      warnings
+    });
+  } catch (error) {
+    console.error('Merge stops error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/stops/:code
+// @desc    Delete stop no route serves (Admin only)
+// @access  Private (Admin)
+router.delete('/:code', protect, authorize('admin'), async (req, res) => {
+  try {
+    const stop = await Stop.findOne({ code: req.params.code });
+    if (!stop) {
+      return res.status(404).json({ message: 'Stop not found' });
+    }
+
+    const inUse = await Route.countDocuments({ 'stops.stop': stop._id });
+    if (inUse > 0) {
+      return res.status(400).json({ message: `Stop is served by ${inUse} route(s)` });
+    }
+
+    await stop.deleteOne();
+
+    res.json({ message: 'Stop deleted successfully' });
+  } catch (error) {
+    console.error('Delete stop error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
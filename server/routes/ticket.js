@@ -0,0 +1,210 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { protect, authorize, isUser } = require('../middleware/auth');
+const { fareLegValidation } = require('../middleware/validation');
+const FareProduct = require('../models/FareProduct');
+const FareRuleSet = require('../models/FareRuleSet');
+const Ticket = require('../models/Ticket');
+const { getRiderCategories, quoteFare, resolveFareLegs } = require('../services/fareEngine');
+const { purchaseTicket, refundTicket } = require('../services/ticketService');
+const { getPublicKeyInfo } = require('../services/ticketSigning');
+
+const router = express.Router();
+
+const MAX_START_DAYS_AHEAD = 30;
+
+const serializeTicket = (ticket) => ({
+  ...ticket.toObject(),
+  state: ticket.getState()
+});
+
+// The payment provider, when one is configured
+const getPayments = (req, res) => {
+  const payments = req.app.get('payments');
+  if (!payments) {
+    res.status(503).json({ message: 'Ticket payments are unavailable' });
+  }
+  return payments;
+};
+
+// @route   GET /api/tickets/signing-key
+// @desc    Get the public key ticket QR codes are signed with, for offline validators
+// @access  Public
+router.get('/signing-key', (req, res) => {
+  try {
+    res.json(getPublicKeyInfo());
+  } catch (error) {
+    console.error('Get signing key error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tickets/purchase
+// @desc    Buy a ticket for a fare product
+// @access  Private (User)
+router.post('/purchase', protect, isUser, [
+  body('productId').isMongoId().withMessage('Valid fare product ID required'),
+  body('paymentMethod').trim().notEmpty().withMessage('Payment method is required'),
+  body('startAt').optional().isISO8601().withMessage('Valid start time required'),
+  body('idempotencyKey').optional().isString().trim().isLength({ min: 8, max: 100 }).withMessage('Idempotency key must be 8 to 100 characters'),
+  ...fareLegValidation('journey', { optional: true })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const payments = getPayments(req, res);
+    if (!payments) return;
+
+    const product = await FareProduct.findById(req.body.productId);
+    if (!product || !product.isActive) {
+      return res.status(404).json({ message: 'Fare product not found' });
+    }
+
+    const startAt = req.body.startAt ? new Date(req.body.startAt) : undefined;
+    if (startAt && startAt > new Date(Date.now() + MAX_START_DAYS_AHEAD * 24 * 60 * 60 * 1000)) {
+      return res.status(400).json({ message: `Tickets can start at most ${MAX_START_DAYS_AHEAD} days ahead` });
+    }
+
+    // Quote-priced tickets cost what the fare rules charge for the journey
+    let fare;
+    if (product.pricing === 'quote') {
+      if (!req.body.journey) {
+        return res.status(400).json({ message: 'Choose the journey this ticket is for' });
+      }
+
+      const { legs, status, message } = await resolveFareLegs(req.body.journey, startAt || new Date());
+      if (!legs) {
+        return res.status(status).json({ message });
+      }
+
+      const productRoutes = product.routes.map(String);
+      if (productRoutes.length > 0 && legs.some(leg => !productRoutes.includes(String(leg.route._id)))) {
+        return res.status(400).json({ message: 'This ticket is not sold for that route' });
+      }
+
+      const rules = await FareRuleSet.findInEffect(legs[0].boardAt);
+      if (!getRiderCategories(rules).includes(product.riderCategory)) {
+        return res.status(400).json({ message: `Fares for ${product.riderCategory} riders are not set` });
+      }
+
+      const quote = quoteFare(rules, { legs, riderCategory: product.riderCategory });
+      fare = {
+        price: quote.total,
+        currency: quote.currency,
+        zones: quote.zones,
+        // Without zones to hold the ticket to, it holds to the journey's routes
+        routes: quote.zones.length > 0 ? product.routes : [...new Set(legs.map(leg => String(leg.route._id)))],
+        fareRuleSet: rules ? rules._id : undefined
+      };
+    }
+
+    let result;
+    try {
+      result = await purchaseTicket({
+        user: req.user,
+        product,
+        fare,
+        paymentMethod: req.body.paymentMethod,
+        startAt,
+        idempotencyKey: req.body.idempotencyKey
+      }, payments);
+    } catch (error) {
+      console.error('Ticket payment error:', error);
+      return res.status(502).json({ message: 'Payment provider could not be reached, please try again' });
+    }
+
+    const { ticket, replayed } = result;
+
+    if (ticket.status === 'payment_failed') {
+      return res.status(402).json({
+        message: `Payment failed: ${ticket.payment.failureReason}`,
+        ticket: serializeTicket(ticket)
+      });
+    }
+
+    res.status(replayed ? 200 : 201).json({
+      message: 'Ticket purchased successfully',
+      ticket: serializeTicket(ticket)
+    });
+  } catch (error) {
+    console.error('Purchase ticket error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tickets
+// @desc    Get the rider's paid and refunded tickets, newest first
+// @access  Private (User)
+router.get('/', protect, isUser, async (req, res) => {
+  try {
+    const tickets = await Ticket.find({
+      user: req.user._id,
+      status: { $in: ['active', 'refunded'] }
+    })
+      .populate('routes', 'routeNumber routeName')
+      .sort({ createdAt: -1 });
+
+    res.json({ tickets: tickets.map(serializeTicket) });
+  } catch (error) {
+    console.error('Get tickets error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/tickets/:id
+// @desc    Get a ticket (its rider or admins)
+// @access  Private (User, Admin)
+router.get('/:id', protect, authorize('user', 'admin'), async (req, res) => {
+  try {
+    const ticket = await Ticket.findById(req.params.id).populate('routes', 'routeNumber routeName');
+
+    if (!ticket || (req.user.role === 'user' && String(ticket.user) !== String(req.user._id))) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    res.json({ ticket: serializeTicket(ticket) });
+  } catch (error) {
+    console.error('Get ticket error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/tickets/:id/refund
+// @desc    Refund a ticket (Admin only)
+// @access  Private (Admin)
+router.post('/:id/refund', protect, authorize('admin'), async (req, res) => {
+  try {
+    const payments = getPayments(req, res);
+    if (!payments) return;
+
+    const ticket = await Ticket.findById(req.params.id);
+    if (!ticket) {
+      return res.status(404).json({ message: 'Ticket not found' });
+    }
+
+    let result;
+    try {
+      result = await refundTicket(ticket, payments);
+    } catch (error) {
+      console.error('Ticket refund error:', error);
+      return res.status(502).json({ message: 'Payment provider could not be reached, please try again' });
+    }
+
+    if (!result.ticket) {
+      return res.status(400).json({ message: result.message });
+    }
+
+    res.json({
+      message: 'Ticket refunded successfully',
+      ticket: serializeTicket(result.ticket)
+    });
+  } catch (error) {
+    console.error('Refund ticket error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
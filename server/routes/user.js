@@ -1,19 +1,35 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { protect, isUser } = require('../middleware/auth');
+const { body, query, validationResult } = require('express-validator');
+const { protect, authorize, isUser } = require('../middleware/auth');
 const Bus = require('../models/Bus');
 const Route = require('../models/Route');
 const Prediction = require('../models/Prediction');
 const User = require('../models/User');
+const FareRuleSet = require('../models/FareRuleSet');
+const LoadProfile = require('../models/LoadProfile');
+const RiderAlert = require('../models/RiderAlert');
+const { emitToOps } = require('../socket/broadcast');
+const { planJourney } = require('../services/journeyPlanner');
+const { getRiderCategories, quoteFare } = require('../services/fareEngine');
+const { findStopsByText, findNearbyStops } = require('../services/stopService');
+const { escapeRegex } = require('../utils/text');
+const { emitBusLocation } = require('../services/locationService');
+const { describeOccupancy } = require('../services/occupancyService');
+const { MAX_LEAD_MINUTES, getDeliveryOptions } = require('../services/alertService');
 
 const router = express.Router();
 
+const TRACKING_ALERT_HOURS = 4; // a tracking alert outlives any trip
+
+const riderCategoryValidation = query('riderCategory').optional().trim().toLowerCase().notEmpty().withMessage('Valid rider category required');
+
 // @route   GET /api/user/search-bus
 // @desc    Search for buses by source and destination
 // @access  Private (User)
 router.get('/search-bus', protect, isUser, [
-  body('source').notEmpty().withMessage('Source location is required'),
-  body('destination').notEmpty().withMessage('Destination location is required')
+  query('source').notEmpty().withMessage('Source location is required'),
+  query('destination').notEmpty().withMessage('Destination location is required'),
+  riderCategoryValidation
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -23,16 +39,23 @@ router.get('/search-bus', protect, isUser, [
 
     const { source, destination } = req.query;
 
+    const now = new Date();
+    const fareRules = await FareRuleSet.findInEffect(now);
+    const riderCategory = req.query.riderCategory || undefined;
+    if (riderCategory && !getRiderCategories(fareRules).includes(riderCategory)) {
+      return res.status(400).json({ message: `Unknown rider category ${riderCategory}` });
+    }
+
     // Find routes that contain both source and destination stops
     const routes = await Route.find({
-      'stops.name': { 
-        $regex: new RegExp(source, 'i') 
-      },
-      'stops.name': { 
-        $regex: new RegExp(destination, 'i') 
-      },
+      $and: [
+        { 'stops.name': { $regex: new RegExp(escapeRegex(source), 'i') } },
+        { 'stops.name': { $regex: new RegExp(escapeRegex(destination), 'i') } }
+      ],
       status: 'active'
-    }).populate('assignedBuses', 'busNumber busType capacity currentCapacity status');
+    })
+      .populate('assignedBuses', 'busNumber busType capacity currentCapacity status')
+      .populate('schedule.service');
 
     if (routes.length === 0) {
       return res.status(404).json({ message: 'No routes found for the specified locations' });
@@ -48,7 +71,8 @@ router.get('/search-bus', protect, isUser, [
           stop.name.toLowerCase().includes(destination.toLowerCase())
         );
 
-        if (!sourceStop || !destStop) return null;
+        // Buses only run one way along the stop sequence
+        if (!sourceStop || !destStop || sourceStop.stopNumber >= destStop.stopNumber) return null;
 
         // Get active buses on this route
         const activeBuses = route.assignedBuses.filter(bus => 
@@ -58,6 +82,23 @@ router.get('/search-bus', protect, isUser, [
         // Get predictions for source stop
         const predictions = await Prediction.getPredictionsForStop(sourceStop.stopNumber, route._id);
 
+        // Planned service follows the route's service calendars, so holidays
+        // and other exception dates are reflected here
+        const nextDeparture = route.getNextBusTime(now, sourceStop.stopNumber);
+
+        const quote = quoteFare(fareRules, {
+          legs: [{ route, fromStopNumber: sourceStop.stopNumber, toStopNumber: destStop.stopNumber, boardAt: nextDeparture || now }],
+          riderCategory
+        });
+
+        // Crowding on the buses already coming, and what the route is
+        // usually like at the stop around the next departure
+        const nextPredictions = predictions.slice(0, 3).map(prediction => ({
+          ...prediction.toObject(),
+          occupancy: prediction.busId ? describeOccupancy(prediction.busId) : null
+        }));
+        const expectedCrowding = await LoadProfile.getExpected(route._id, sourceStop.stopNumber, nextDeparture || now);
+
         return {
           route: {
             _id: route._id,
@@ -65,12 +106,16 @@ router.get('/search-bus', protect, isUser, [
             routeName: route.routeName,
             totalDistance: route.totalDistance,
             estimatedDuration: route.estimatedDuration,
-            fare: route.calculateFare(sourceStop.stopNumber, destStop.stopNumber),
+            fare: quote.total,
+            currency: quote.currency,
             sourceStop: sourceStop.name,
             destinationStop: destStop.name
           },
           activeBuses: activeBuses.length,
-          nextPredictions: predictions.slice(0, 3), // Get next 3 predictions
+          nextPredictions,
+          expectedCrowding,
+          operatingNow: route.isOperatingNow(now),
+          nextDeparture,
           operatingHours: route.operatingHours,
           frequency: route.frequency
         };
@@ -89,15 +134,122 @@ router.get('/search-bus', protect, isUser, [
   }
 });
 
+// Riders starting or ending at a point on the map walk this far at most
+// to or from a stop
+const LOCATION_WALK_METRES = 800;
+
+// Where a journey starts or ends: the stops matching a name or code, or a
+// point with the stops within walking distance of it. The point is planned
+// as a place of its own that is only reached on foot.
+const resolveJourneyEnd = async ({ text, latitude, longitude }, { key, name }) => {
+  if (latitude === undefined) {
+    const stops = await findStopsByText(text);
+    return { places: stops, message: `No stop found matching "${text}"` };
+  }
+
+  const point = [parseFloat(longitude), parseFloat(latitude)];
+  const nearby = await findNearbyStops(point, { radiusMetres: LOCATION_WALK_METRES, limit: 3 });
+  if (nearby.length === 0) {
+    return { places: [], message: `No stops within ${LOCATION_WALK_METRES} m of ${name.toLowerCase()}` };
+  }
+
+  return {
+    places: [{
+      _id: key,
+      name,
+      location: { type: 'Point', coordinates: point },
+      walkRadius: LOCATION_WALK_METRES
+    }],
+    nearestStops: nearby.map(({ stop, distance }) => ({ _id: stop._id, stopCode: stop.code, name: stop.name, distance }))
+  };
+};
+
+// @route   GET /api/user/plan-journey
+// @desc    Plan journeys between two stops or locations, changing buses if needed
+// @access  Private (User)
+router.get('/plan-journey', protect, isUser, [
+  query('from').if(query('fromLat').not().exists()).trim().notEmpty().withMessage('Starting stop or location is required'),
+  query('fromLat').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid starting latitude required'),
+  query('fromLng').if(query('fromLat').exists()).isFloat({ min: -180, max: 180 }).withMessage('Valid starting longitude required'),
+  query('to').if(query('toLat').not().exists()).trim().notEmpty().withMessage('Destination stop or location is required'),
+  query('toLat').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid destination latitude required'),
+  query('toLng').if(query('toLat').exists()).isFloat({ min: -180, max: 180 }).withMessage('Valid destination longitude required'),
+  query('departAt').optional().isISO8601().withMessage('Valid departure time required'),
+  query('maxTransfers').optional().isInt({ min: 0, max: 3 }).withMessage('Max transfers must be between 0 and 3'),
+  query('maxWalk').optional().isInt({ min: 0, max: 1000 }).withMessage('Max walk must be between 0 and 1000 metres'),
+  riderCategoryValidation
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const [start, end] = await Promise.all([
+      resolveJourneyEnd(
+        { text: req.query.from, latitude: req.query.fromLat, longitude: req.query.fromLng },
+        { key: 'start', name: 'Your location' }
+      ),
+      resolveJourneyEnd(
+        { text: req.query.to, latitude: req.query.toLat, longitude: req.query.toLng },
+        { key: 'end', name: 'Your destination' }
+      )
+    ]);
+
+    if (start.places.length === 0) {
+      return res.status(404).json({ message: start.message });
+    }
+    if (end.places.length === 0) {
+      return res.status(404).json({ message: end.message });
+    }
+
+    const destinationIds = end.places.map(place => String(place._id));
+    if (start.places.every(place => destinationIds.includes(String(place._id)))) {
+      return res.status(400).json({ message: 'Starting stop and destination are the same' });
+    }
+
+    const departAt = req.query.departAt ? new Date(req.query.departAt) : new Date();
+    const fareRules = await FareRuleSet.findInEffect(departAt);
+    const riderCategory = req.query.riderCategory || undefined;
+    if (riderCategory && !getRiderCategories(fareRules).includes(riderCategory)) {
+      return res.status(400).json({ message: `Unknown rider category ${riderCategory}` });
+    }
+
+    const itineraries = await planJourney({
+      origins: start.places,
+      destinations: end.places,
+      departAt,
+      fareRules,
+      riderCategory,
+      maxTransfers: req.query.maxTransfers !== undefined ? parseInt(req.query.maxTransfers) : undefined,
+      maxWalkMetres: req.query.maxWalk !== undefined ? parseInt(req.query.maxWalk) : undefined
+    });
+
+    const summarize = (place) => ({ _id: place._id, stopCode: place.code, name: place.name, location: place.location });
+
+    res.json({
+      from: start.places.map(summarize),
+      to: end.places.map(summarize),
+      nearestStops: { from: start.nearestStops, to: end.nearestStops },
+      departAt,
+      count: itineraries.length,
+      itineraries
+    });
+  } catch (error) {
+    console.error('Plan journey error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   GET /api/user/bus-location/:busId
 // @desc    Get real-time location of a specific bus
-// @access  Private (User)
-router.get('/bus-location/:busId', protect, isUser, async (req, res) => {
+// @access  Private (User, Admin)
+router.get('/bus-location/:busId', protect, authorize('user', 'admin'), async (req, res) => {
   try {
     const { busId } = req.params;
 
     const bus = await Bus.findById(busId)
-      .populate('currentRoute', 'routeNumber routeName stops')
+      .populate('currentRoute', 'routeNumber routeName stops shape')
       .populate('currentDriver', 'firstName lastName phone');
 
     if (!bus) {
@@ -108,15 +260,8 @@ router.get('/bus-location/:busId', protect, isUser, async (req, res) => {
       return res.status(400).json({ message: 'Bus is currently offline' });
     }
 
-    // Join the bus tracking room for real-time updates
-    const io = req.app.get('io');
-    req.app.get('io').to(`bus-${busId}`).emit('bus-location-update', {
-      busId: bus._id,
-      location: bus.currentLocation,
-      speed: bus.speed,
-      direction: bus.direction,
-      lastUpdate: bus.lastLocationUpdate
-    });
+    // Share the latest fix with everyone tracking the bus
+    emitBusLocation(req.app.get('io'), bus);
 
     res.json({
       bus: {
@@ -126,6 +271,7 @@ router.get('/bus-location/:busId', protect, isUser, async (req, res) => {
         capacity: bus.capacity,
         currentCapacity: bus.currentCapacity,
         availableSeats: bus.availableSeats,
+        occupancy: describeOccupancy(bus),
         status: bus.status,
         currentLocation: bus.currentLocation,
         speed: bus.speed,
@@ -142,28 +288,68 @@ router.get('/bus-location/:busId', protect, isUser, async (req, res) => {
 });
 
 // @route   POST /api/user/track-bus/:busId
-// @desc    Start tracking a specific bus
+// @desc    Start tracking a specific bus, optionally to be told when it is
+//          leadMinutes from a stop on its route
 // @access  Private (User)
-router.post('/track-bus/:busId', protect, isUser, async (req, res) => {
+router.post('/track-bus/:busId', protect, isUser, [
+  body('stopNumber').optional().isInt({ min: 1 }).withMessage('Valid stop number required').toInt(),
+  body('leadMinutes').optional().isInt({ min: 1, max: MAX_LEAD_MINUTES }).withMessage(`Lead time must be 1 to ${MAX_LEAD_MINUTES} minutes`).toInt(),
+  body('channels').optional().isArray({ min: 1 }).withMessage('At least one channel is required'),
+  body('channels.*').isIn(RiderAlert.CHANNELS).withMessage('Valid channel required')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { busId } = req.params;
 
-    const bus = await Bus.findById(busId);
+    const bus = await Bus.findById(busId).populate('currentRoute', 'stops.stopNumber stops.name');
     if (!bus) {
       return res.status(404).json({ message: 'Bus not found' });
     }
 
-    // Join the bus tracking room
-    const io = req.app.get('io');
-    io.to(`bus-${busId}`).emit('user-joined-tracking', {
+    // A one-off alert for this bus reaching the rider's stop, until the
+    // trip is surely over
+    let alert = null;
+    const { stopNumber, leadMinutes, channels = ['socket'] } = req.body;
+    if (stopNumber) {
+      const stop = bus.currentRoute && bus.currentRoute.stops.find(routeStop => routeStop.stopNumber === stopNumber);
+      if (!bus.currentTrip || !stop) {
+        return res.status(400).json({ message: 'Bus is not on a trip serving this stop' });
+      }
+
+      const unavailable = channels.find(channel => !getDeliveryOptions().channels.includes(channel));
+      if (unavailable) {
+        return res.status(400).json({ message: `Alerts can't be sent by ${unavailable} at the moment` });
+      }
+
+      alert = await RiderAlert.create({
+        user: req.user._id,
+        type: 'approaching',
+        name: `Bus ${bus.busNumber} at ${stop.name}`,
+        route: bus.currentRoute._id,
+        stopNumber,
+        bus: bus._id,
+        leadMinutes,
+        channels: [...new Set(channels)],
+        oneOff: true,
+        expiresAt: new Date(Date.now() + TRACKING_ALERT_HOURS * 60 * 60 * 1000)
+      });
+    }
+
+    // Riders join the bus room over the socket; operations staff are told
+    emitToOps(req.app.get('io'), busId, 'user-joined-tracking', {
       userId: req.user._id,
       busId: busId
     });
 
-    res.json({ 
-      message: 'Started tracking bus',
+    res.status(alert ? 201 : 200).json({
+      message: alert ? `Started tracking bus; you'll be alerted ${alert.leadMinutes} min before it reaches your stop` : 'Started tracking bus',
       busId: busId,
-      busNumber: bus.busNumber
+      busNumber: bus.busNumber,
+      alert
     });
   } catch (error) {
     console.error('Track bus error:', error);
@@ -172,15 +358,16 @@ router.post('/track-bus/:busId', protect, isUser, async (req, res) => {
 });
 
 // @route   POST /api/user/stop-tracking/:busId
-// @desc    Stop tracking a specific bus
+// @desc    Stop tracking a specific bus, dropping its tracking alerts
 // @access  Private (User)
 router.post('/stop-tracking/:busId', protect, isUser, async (req, res) => {
   try {
     const { busId } = req.params;
 
-    // Leave the bus tracking room
-    const io = req.app.get('io');
-    io.to(`bus-${busId}`).emit('user-left-tracking', {
+    // Alerts set up while tracking the bus go with it
+    await RiderAlert.deleteMany({ user: req.user._id, bus: busId, oneOff: true });
+
+    emitToOps(req.app.get('io'), busId, 'user-left-tracking', {
       userId: req.user._id,
       busId: busId
     });
@@ -0,0 +1,33 @@
+// Remove the GPS breadcrumbs older trips carried. Fixes live in the location
+// history collection only, and the copies on trips grew without bound. Safe
+// to run again.
+//
+//   npm run migrate:breadcrumbs
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+require('dotenv').config();
+
+const Trip = require('../models/Trip');
+
+const run = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI environment variable is not defined');
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // breadcrumbs is no longer in the schema, so strict mode must not drop it
+  // from the update
+  const result = await Trip.collection.updateMany(
+    { breadcrumbs: { $exists: true } },
+    { $unset: { breadcrumbs: '' } }
+  );
+
+  console.log(`Removed breadcrumbs from ${result.modifiedCount} trip(s)`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('Breadcrumb migration error:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
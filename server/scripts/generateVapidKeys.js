@@ -0,0 +1,14 @@
+// Print a new VAPID key pair for sending rider alerts by Web Push. Put the
+// keys in the environment with a contact for push services to reach you:
+//
+//   npm run vapid:keys
+//   VAPID_PUBLIC_KEY=... VAPID_PRIVATE_KEY=... VAPID_SUBJECT=mailto:ops@example.com
+//
+// Browsers subscribe with the public key, so changing the keys drops every
+// existing push subscription.
+const { generateVapidKeys } = require('../notifiers');
+
+const { publicKey, privateKey } = generateVapidKeys();
+
+console.log(`VAPID_PUBLIC_KEY=${publicKey}`);
+console.log(`VAPID_PRIVATE_KEY=${privateKey}`);
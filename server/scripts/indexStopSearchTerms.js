@@ -0,0 +1,32 @@
+// Fill in the search terms of stops saved before stop search narrowed its
+// candidates with them. Each stop is saved again, which sets them. Safe to
+// run again.
+//
+//   npm run migrate:stop-search
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+require('dotenv').config();
+
+const Stop = require('../models/Stop');
+
+const run = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI environment variable is not defined');
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+
+  let updated = 0;
+  for await (const stop of Stop.find({ searchTerms: { $exists: false } })) {
+    await stop.save();
+    updated += 1;
+  }
+
+  console.log(`Indexed search terms for ${updated} stop(s)`);
+  await mongoose.disconnect();
+};
+
+run().catch(async (error) => {
+  console.error('Stop search migration error:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+// Move the stops embedded in every route onto the shared Stop collection.
+// Copies of the same stop on different routes become one stop: they share
+// a stop code or GTFS stop_id, or are close together under the same name or
+// within a few metres under any name. Safe to run again.
+//
+//   npm run migrate:stops
+const mongoose = require('mongoose');
+require('dotenv').config({ path: './config.env' });
+require('dotenv').config();
+
+const { migrateEmbeddedStops } = require('../services/stopService');
+
+const run = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI environment variable is not defined');
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const summary = await migrateEmbeddedStops();
+
+  console.log(`Linked stops on ${summary.routes} route(s): ${summary.created} stop(s) created, ${summary.matched} matched to existing stops`);
+  summary.warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+  summary.failed.forEach(({ routeNumber, message }) => console.error(`Route ${routeNumber} failed: ${message}`));
+
+  await mongoose.disconnect();
+  if (summary.failed.length > 0) process.exitCode = 1;
+};
+
+run().catch(async (error) => {
+  console.error('Stop migration error:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
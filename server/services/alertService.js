@@ -0,0 +1,200 @@
+const RiderAlert = require('../models/RiderAlert');
+const Route = require('../models/Route');
+const User = require('../models/User');
+const { getRouteDepartures } = require('./departureService');
+const { toDateKey } = require('../utils/serviceCalendar');
+const { toTimeOfDay } = require('../utils/time');
+
+const MAX_LEAD_MINUTES = 60; // longest lead time an approaching alert can have
+const COMMUTE_GRACE_MINUTES = 15; // a commute alert still goes out this late, e.g. after a restart
+const COMMUTE_HORIZON_MINUTES = 90;
+const COMMUTE_DEPARTURES = 3;
+
+const MINUTE_MS = 60 * 1000;
+
+// Notifiers by channel, set once the server has created them
+let notifiers = {};
+
+const setNotifiers = (next) => {
+  notifiers = next;
+};
+
+// Channels alerts can be delivered on, and the VAPID key browsers subscribe
+// to push with when push goes through a real push service
+const getDeliveryOptions = () => ({
+  channels: Object.keys(notifiers),
+  vapidPublicKey: notifiers.push?.publicKey || null
+});
+
+// Send a notification for an alert on each of its channels and record how
+// each went on the alert. Push subscriptions the push service dropped are
+// removed from the rider. Returns the deliveries.
+const deliverAlert = async (alert, notification, at = new Date()) => {
+  const user = await User.findById(alert.user).select('+pushSubscriptions email isActive');
+  if (!user || !user.isActive) return [];
+
+  const deliveries = await Promise.all(alert.channels.map(async (channel) => {
+    const notifier = notifiers[channel];
+    if (!notifier) return { channel, status: 'skipped', reason: 'Channel not available', at };
+
+    const result = await notifier.send(user, notification);
+    if (result.goneEndpoints && result.goneEndpoints.length > 0) {
+      await User.updateOne({ _id: user._id }, {
+        $pull: { pushSubscriptions: { endpoint: { $in: result.goneEndpoints } } }
+      });
+    }
+    return { channel, status: result.status, reason: result.reason, at };
+  }));
+
+  await RiderAlert.updateOne({ _id: alert._id }, { lastDeliveries: deliveries });
+  return deliveries;
+};
+
+const approachingNotification = (alert, { route, stop, bus, expectedTime, minutes }) => ({
+  title: `Route ${route.routeNumber} is ${Math.max(1, Math.round(minutes))} min from ${stop.name}`,
+  body: `Bus ${bus.busNumber} is due at ${stop.name} at ${toTimeOfDay(expectedTime)}.`,
+  url: `/tracking/${bus._id}`,
+  tag: `alert-${alert._id}`,
+  data: {
+    alertId: alert._id,
+    type: alert.type,
+    routeId: route._id,
+    stopNumber: stop.stopNumber,
+    busId: bus._id,
+    expectedTime
+  }
+});
+
+const describeDeparture = (departure) => {
+  if (departure.status !== 'live') return toTimeOfDay(departure.expectedTime);
+  return departure.delayMinutes > 0
+    ? `${toTimeOfDay(departure.expectedTime)} (live, ${departure.delayMinutes} min late)`
+    : `${toTimeOfDay(departure.expectedTime)} (live)`;
+};
+
+const commuteNotification = (alert, { route, stop, departures }) => ({
+  title: alert.name || `Route ${route.routeNumber} from ${stop.name}`,
+  body: departures.length > 0
+    ? `Next buses at ${stop.name}: ${departures.map(describeDeparture).join(', ')}.`
+    : `No route ${route.routeNumber} buses at ${stop.name} in the next ${COMMUTE_HORIZON_MINUTES} minutes.`,
+  url: stop.stopCode ? `/board/${stop.stopCode}` : '/search',
+  tag: `alert-${alert._id}`,
+  data: {
+    alertId: alert._id,
+    type: alert.type,
+    routeId: route._id,
+    stopNumber: stop.stopNumber,
+    departures: departures.map(departure => ({
+      expectedTime: departure.expectedTime,
+      status: departure.status,
+      busId: departure.bus?._id || null
+    }))
+  }
+});
+
+// Fire the approaching alerts a bus's fresh ETAs bring within their lead
+// time, once per trip. Deliveries go out in the background so the location
+// update isn't held up by a mail server. Returns how many alerts fired.
+const evaluateApproachingAlerts = async ({ bus, trip, route, etas, at = new Date() }) => {
+  const minutesAway = new Map(etas
+    .map(eta => [eta.stopNumber, (eta.predictedArrivalTime - at) / MINUTE_MS])
+    .filter(([, minutes]) => minutes <= MAX_LEAD_MINUTES));
+  if (minutesAway.size === 0) return 0;
+
+  const alerts = await RiderAlert.find({
+    type: 'approaching',
+    active: true,
+    route: route._id,
+    stopNumber: { $in: [...minutesAway.keys()] },
+    bus: { $in: [null, bus._id] }
+  });
+
+  let fired = 0;
+  for (const alert of alerts) {
+    const minutes = minutesAway.get(alert.stopNumber);
+    if (minutes > alert.leadMinutes || !alert.appliesAt(at)) continue;
+
+    const claimed = await RiderAlert.claimTrigger(alert._id, `trip:${trip._id}`, at);
+    if (!claimed) continue;
+    fired += 1;
+
+    const stop = route.stops.find(routeStop => routeStop.stopNumber === alert.stopNumber);
+    const eta = etas.find(entry => entry.stopNumber === alert.stopNumber);
+    const notification = approachingNotification(claimed, { route, stop, bus, expectedTime: eta.predictedArrivalTime, minutes });
+    deliverAlert(claimed, notification, at)
+      .catch(error => console.error('Rider alert delivery error:', error));
+  }
+  return fired;
+};
+
+// Send the commute alerts due today that haven't gone out yet, up to
+// COMMUTE_GRACE_MINUTES late, each with the next buses on its route at its
+// stop. Returns how many were sent.
+const sendCommuteAlerts = async (at = new Date()) => {
+  const earliest = new Date(at.getTime() - COMMUTE_GRACE_MINUTES * MINUTE_MS);
+  const since = earliest.getDate() === at.getDate() ? toTimeOfDay(earliest) : '00:00';
+
+  const alerts = await RiderAlert.find({
+    type: 'commute',
+    active: true,
+    time: { $gte: since, $lte: toTimeOfDay(at) }
+  });
+
+  const routes = new Map();
+  let sent = 0;
+  for (const alert of alerts) {
+    if (!alert.appliesAt(at)) continue;
+
+    // Resolve the stop before claiming the day's trigger, so an alert whose
+    // route or stop is gone doesn't use it up
+    const routeKey = String(alert.route);
+    if (!routes.has(routeKey)) {
+      routes.set(routeKey, await Route.findById(alert.route).populate('schedule.service'));
+    }
+    const route = routes.get(routeKey);
+    const stop = route && route.stops.find(routeStop => routeStop.stopNumber === alert.stopNumber);
+    if (!stop) continue;
+
+    const departures = (await getRouteDepartures(route, stop, {
+      from: at,
+      until: new Date(at.getTime() + COMMUTE_HORIZON_MINUTES * MINUTE_MS),
+      limit: COMMUTE_DEPARTURES
+    }))
+      .sort((a, b) => a.expectedTime - b.expectedTime)
+      .slice(0, COMMUTE_DEPARTURES);
+
+    const claimed = await RiderAlert.claimTrigger(alert._id, `day:${toDateKey(at)}`, at);
+    if (!claimed) continue;
+
+    await deliverAlert(claimed, commuteNotification(claimed, { route, stop, departures }), at);
+    sent += 1;
+  }
+  return sent;
+};
+
+// Send a sample notification for an alert, so riders can check it reaches
+// them on each channel
+const sendTestNotification = async (alert) => {
+  const route = await Route.findById(alert.route).select('routeNumber stops');
+  const stop = route && route.stops.find(routeStop => routeStop.stopNumber === alert.stopNumber);
+
+  return deliverAlert(alert, {
+    title: 'Test alert',
+    body: route && stop
+      ? `Alerts for route ${route.routeNumber} at ${stop.name} will arrive like this.`
+      : 'Your bus alerts will arrive like this.',
+    url: '/alerts',
+    tag: `alert-${alert._id}`,
+    data: { alertId: alert._id, type: 'test' }
+  });
+};
+
+module.exports = {
+  MAX_LEAD_MINUTES,
+  deliverAlert,
+  evaluateApproachingAlerts,
+  getDeliveryOptions,
+  sendCommuteAlerts,
+  sendTestNotification,
+  setNotifiers
+};
@@ -0,0 +1,175 @@
+const Route = require('../models/Route');
+const Stop = require('../models/Stop');
+const Prediction = require('../models/Prediction');
+const ServiceAlert = require('../models/ServiceAlert');
+const { getNextDepartures } = require('./timetableService');
+
+const ACTIVE_STATUSES = ['pending', 'in_transit'];
+const DEFAULT_LIMIT = 10;
+const DEFAULT_HORIZON_MINUTES = 120;
+
+const minutesBetween = (from, to) => Math.round((to.getTime() - from.getTime()) / (60 * 1000));
+
+// A route's visits to a stop. A route looping back through a stop serves it
+// more than once. Its last stop is left out, since buses end there rather
+// than depart.
+const getBoardStops = (route, stopId) => {
+  const stops = [...route.stops].sort((a, b) => a.stopNumber - b.stopNumber);
+  return stops.slice(0, -1).filter(stop => String(stop.stop) === String(stopId));
+};
+
+// Pair each live prediction with the planned departure nearest to it, within
+// one headway, so a bus on the road replaces its timetable slot rather than
+// showing twice
+const matchLiveToPlanned = (live, planned, headwayMinutes) => {
+  const unmatched = [...planned];
+
+  const liveEntries = live.map(prediction => {
+    let bestIndex = -1;
+    let bestGap = headwayMinutes;
+    unmatched.forEach((departure, i) => {
+      const gap = Math.abs(minutesBetween(departure.plannedTime, prediction.predictedArrivalTime));
+      if (gap <= bestGap) {
+        bestGap = gap;
+        bestIndex = i;
+      }
+    });
+
+    const [match] = bestIndex === -1 ? [] : unmatched.splice(bestIndex, 1);
+    return { prediction, plannedTime: match ? match.plannedTime : null };
+  });
+
+  return { liveEntries, scheduled: unmatched };
+};
+
+const routeSummary = (route) => ({
+  _id: route._id,
+  routeNumber: route.routeNumber,
+  routeName: route.routeName,
+  routeType: route.routeType
+});
+
+// Departures from one stop on one route: buses with live predictions first
+// claim their timetable slots, the rest of the timetable fills in
+const getRouteDepartures = async (route, stop, { from, until, limit }) => {
+  const ordered = [...route.stops].sort((a, b) => a.stopNumber - b.stopNumber);
+  const headsign = ordered[ordered.length - 1].name;
+
+  const live = await Prediction.find({
+    routeId: route._id,
+    stopId: stop.stopNumber,
+    status: { $in: ACTIVE_STATUSES },
+    predictedArrivalTime: { $gte: from, $lte: until }
+  })
+    .populate('busId', 'busNumber busType')
+    .sort({ predictedArrivalTime: 1 });
+
+  const planned = getNextDepartures(route, { from, stopNumber: stop.stopNumber, limit })
+    .filter(departure => departure.plannedTime <= until);
+
+  const { liveEntries, scheduled } = matchLiveToPlanned(live, planned, route.frequency);
+  const base = { route: routeSummary(route), stopNumber: stop.stopNumber, headsign };
+
+  return [
+    ...liveEntries.map(({ prediction, plannedTime }) => ({
+      ...base,
+      status: 'live',
+      expectedTime: prediction.predictedArrivalTime,
+      plannedTime,
+      delayMinutes: plannedTime ? minutesBetween(plannedTime, prediction.predictedArrivalTime) : null,
+      bus: prediction.busId ? {
+        _id: prediction.busId._id,
+        busNumber: prediction.busId.busNumber,
+        busType: prediction.busId.busType
+      } : null,
+      tripId: prediction.tripId
+    })),
+    ...scheduled.map(departure => ({
+      ...base,
+      status: 'scheduled',
+      expectedTime: departure.plannedTime,
+      plannedTime: departure.plannedTime,
+      delayMinutes: null,
+      bus: null,
+      tripId: null
+    }))
+  ];
+};
+
+// Alerts for the whole network, for a route serving the stop, or for this
+// stop on one of those routes
+const getStopAlerts = async (boardRoutes, from) => {
+  const stopNumbersByRoute = new Map(boardRoutes.map(({ route, stops }) => [
+    String(route._id),
+    stops.map(stop => stop.stopNumber)
+  ]));
+
+  const alerts = await ServiceAlert.findCurrent(from).sort({ createdAt: -1 });
+
+  return alerts
+    .filter(alert => alert.isActive(from))
+    .filter(alert => alert.informedEntities.length === 0 || alert.informedEntities.some(entity => {
+      const stopNumbers = stopNumbersByRoute.get(String(entity.route));
+      return stopNumbers && (!entity.stopNumber || stopNumbers.includes(entity.stopNumber));
+    }))
+    .map(alert => ({
+      _id: alert._id,
+      headerText: alert.headerText,
+      descriptionText: alert.descriptionText,
+      effect: alert.effect,
+      severity: alert.severity
+    }));
+};
+
+// Upcoming departures from a stop across every active route serving it, in
+// the order buses are expected. Returns null when there is no such stop.
+const getStopDepartures = async (stopCode, {
+  from = new Date(),
+  limit = DEFAULT_LIMIT,
+  horizonMinutes = DEFAULT_HORIZON_MINUTES
+} = {}) => {
+  const stop = await Stop.findOne({ code: stopCode });
+  if (!stop) return null;
+
+  const routes = await Route.find({ status: 'active', 'stops.stop': stop._id })
+    .populate('schedule.service')
+    .sort({ routeNumber: 1 });
+
+  const boardRoutes = routes
+    .map(route => ({ route, stops: getBoardStops(route, stop._id) }))
+    .filter(({ stops }) => stops.length > 0);
+
+  const until = new Date(from.getTime() + horizonMinutes * 60 * 1000);
+  const perStop = await Promise.all(boardRoutes.flatMap(({ route, stops }) =>
+    stops.map(routeStop => getRouteDepartures(route, routeStop, { from, until, limit }))
+  ));
+
+  const departures = perStop.flat()
+    .sort((a, b) => a.expectedTime - b.expectedTime)
+    .slice(0, limit)
+    .map(departure => ({ ...departure, minutesAway: Math.max(0, minutesBetween(from, departure.expectedTime)) }));
+
+  return {
+    stop: {
+      stopCode: stop.code,
+      name: stop.name,
+      location: stop.location,
+      facilities: stop.facilities,
+      accessibility: stop.accessibility
+    },
+    routes: routes.map(routeSummary),
+    departures,
+    alerts: await getStopAlerts(boardRoutes, from),
+    generatedAt: from
+  };
+};
+
+// Codes of the stops a route serves, for telling their departure boards
+// that something changed
+const getRouteStopCodes = (route) => [...new Set(route.stops.map(stop => stop.stopCode).filter(Boolean))];
+
+module.exports = {
+  getRouteDepartures,
+  getStopDepartures,
+  getRouteStopCodes
+};
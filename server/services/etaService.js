@@ -0,0 +1,405 @@
+const Route = require('../models/Route');
+const Prediction = require('../models/Prediction');
+const LocationHistory = require('../models/LocationHistory');
+const SegmentStat = require('../models/SegmentStat');
+const { predictTravelTime } = require('../predictors');
+const { haversineDistance, projectOntoSegment } = require('../utils/geo');
+const { getTimeOfDay, getDayOfWeek } = require('../utils/time');
+const { emitToBus, emitToStops } = require('../socket/broadcast');
+const { evaluateApproachingAlerts } = require('./alertService');
+
+const DWELL_MINUTES_PER_STOP = 0.5;
+const OBSERVED_SPEED_WINDOW_MINUTES = 10;
+const MIN_OBSERVED_SPEED = 5; // km/h, below this the bus is treated as stationary
+const ACTIVE_STATUSES = ['pending', 'in_transit'];
+
+// Spread assumed for segments with no travel-time history, as a fraction of
+// the live estimate, and the z-score for the 95% confidence interval
+const UNKNOWN_SEGMENT_CV = 0.25;
+const CONFIDENCE_Z = 1.96;
+
+// Learned segment times only change when the statistics job runs, so each
+// route's profile for an hour is loaded once rather than on every fix
+const PROFILE_CACHE_MS = 5 * 60 * 1000;
+const profileCache = new Map();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Segment statistics for a route at a time, from the cache while fresh
+const getSegmentProfile = async (routeId, at = new Date()) => {
+  const key = `${routeId}:${getDayOfWeek(at)}:${at.getHours()}`;
+  const cached = profileCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.profile;
+
+  const profile = await SegmentStat.getRouteProfile(routeId, at);
+  profileCache.set(key, { profile, expiresAt: Date.now() + PROFILE_CACHE_MS });
+
+  // Drop expired entries so hours gone by don't pile up
+  profileCache.forEach((entry, entryKey) => {
+    if (entry.expiresAt <= Date.now()) profileCache.delete(entryKey);
+  });
+  return profile;
+};
+
+// Stops sorted into the order the bus serves them
+const getOrderedStops = (route) => [...route.stops].sort((a, b) => a.stopNumber - b.stopNumber);
+
+// Distances in km between consecutive stops, along the route shape when
+// the stops have been snapped to one
+const getSegmentLengths = (stops) => {
+  if (stops.every(stop => stop.distanceAlongShape !== undefined && stop.distanceAlongShape !== null)) {
+    return stops.slice(1).map((stop, i) => stop.distanceAlongShape - stops[i].distanceAlongShape);
+  }
+
+  return stops.slice(1).map((stop, i) =>
+    haversineDistance(stops[i].location.coordinates, stop.location.coordinates)
+  );
+};
+
+// Find the stop-to-stop segment the bus is on. Segment i runs from stops[i]
+// to stops[i + 1]; segments before fromIndex are ignored so a bus can't be
+// snapped backwards onto a part of the route it has already served.
+const locateOnRoute = (stops, coordinates, fromIndex = 0) => {
+  let best = null;
+
+  for (let i = Math.max(0, fromIndex); i < stops.length - 1; i++) {
+    const projection = projectOntoSegment(
+      coordinates,
+      stops[i].location.coordinates,
+      stops[i + 1].location.coordinates
+    );
+
+    if (!best || projection.distance < best.offRouteDistance) {
+      best = {
+        segmentIndex: i,
+        fraction: projection.fraction,
+        offRouteDistance: projection.distance
+      };
+    }
+  }
+
+  return best;
+};
+
+// Multipliers for conditions that live speed readings don't already reflect
+const applyConditionFactors = (minutes, { trafficConditions, weatherConditions } = {}) => {
+  let adjusted = minutes;
+
+  if (trafficConditions === 'high') adjusted *= 1.5;
+  else if (trafficConditions === 'low') adjusted *= 0.8;
+
+  if (weatherConditions === 'rainy' || weatherConditions === 'snowy') {
+    adjusted *= 1.3;
+  }
+
+  return adjusted;
+};
+
+// Average speed (km/h) the bus actually achieved over the recent window,
+// from its recorded location history
+const getObservedSpeed = async (busId, now = new Date()) => {
+  const since = new Date(now.getTime() - OBSERVED_SPEED_WINDOW_MINUTES * 60 * 1000);
+  const points = await LocationHistory.find({ bus: busId, recordedAt: { $gte: since } })
+    .select('location recordedAt')
+    .sort({ recordedAt: 1 })
+    .lean();
+
+  if (points.length < 2) return null;
+
+  let distance = 0;
+  for (let i = 1; i < points.length; i++) {
+    distance += haversineDistance(points[i - 1].location.coordinates, points[i].location.coordinates);
+  }
+
+  const hours = (points[points.length - 1].recordedAt - points[0].recordedAt) / (1000 * 60 * 60);
+  if (hours <= 0) return null;
+
+  const speed = distance / hours;
+  return speed >= MIN_OBSERVED_SPEED ? speed : null;
+};
+
+// Pick the speed to project arrivals with: observed history first, then the
+// bus's reported speed, then the route's scheduled average speed
+const resolveSpeed = async (bus, route, now) => {
+  const observed = await getObservedSpeed(bus._id, now);
+  if (observed) return { speed: observed, source: 'observed' };
+
+  if (bus.speed >= MIN_OBSERVED_SPEED) return { speed: bus.speed, source: 'reported' };
+
+  return { speed: route.averageSpeed, source: 'scheduled' };
+};
+
+// Compute ETAs for every stop still ahead of the bus. servedThrough is the
+// index of the last stop the bus has served on its trip, if any; it and the
+// stops before it are never ahead again. When historical segment statistics
+// are supplied, whole segments ahead use the learned travel time; the
+// segment the bus is currently on always uses live speed.
+const computeStopEtas = (stops, coordinates, speed, options = {}) => {
+  const { fromIndex = 0, servedThrough = -1, now = new Date(), conditions, segmentStats = {} } = options;
+  const position = locateOnRoute(stops, coordinates, Math.max(fromIndex, servedThrough));
+  if (!position) return { position: null, passed: [], etas: [] };
+
+  const segmentLengths = getSegmentLengths(stops);
+  const { segmentIndex, fraction } = position;
+
+  // A bus sitting at the start of its segment hasn't left that stop yet,
+  // unless it has already served it
+  const firstRemaining = fraction === 0 && segmentIndex > servedThrough ? segmentIndex : segmentIndex + 1;
+
+  const liveMinutes = (distance) => {
+    const minutes = (distance / speed) * 60;
+    return conditions ? applyConditionFactors(minutes, conditions) : minutes;
+  };
+
+  const etas = [];
+  let distance = 0;
+  let minutes = 0;
+  let variance = 0;
+  let historicalSegments = 0;
+
+  if (firstRemaining > segmentIndex) {
+    distance = segmentLengths[segmentIndex] * (1 - fraction);
+    minutes = liveMinutes(distance);
+    variance = (minutes * UNKNOWN_SEGMENT_CV) ** 2;
+  }
+
+  for (let i = firstRemaining; i < stops.length; i++) {
+    if (i > firstRemaining) {
+      const segmentDistance = segmentLengths[i - 1];
+      const stats = segmentStats[`${stops[i - 1].stopNumber}-${stops[i].stopNumber}`];
+
+      distance += segmentDistance;
+      minutes += DWELL_MINUTES_PER_STOP;
+
+      if (stats) {
+        minutes += stats.mean;
+        variance += stats.variance;
+        historicalSegments += 1;
+      } else {
+        const segmentMinutes = liveMinutes(segmentDistance);
+        minutes += segmentMinutes;
+        variance += (segmentMinutes * UNKNOWN_SEGMENT_CV) ** 2;
+      }
+    }
+
+    const standardDeviation = Math.sqrt(variance);
+
+    etas.push({
+      stop: stops[i],
+      stopsAway: i - firstRemaining,
+      distance,
+      minutes,
+      standardDeviation,
+      confidenceInterval: {
+        lower: Math.max(0, minutes - CONFIDENCE_Z * standardDeviation),
+        upper: minutes + CONFIDENCE_Z * standardDeviation
+      },
+      historicalMinutes: historicalSegments > 0 ? minutes : 0,
+      arrivalTime: new Date(now.getTime() + minutes * 60 * 1000)
+    });
+  }
+
+  return { position, passed: stops.slice(0, firstRemaining), etas };
+};
+
+// Estimate arrival at a single stop from an arbitrary position on the route
+const estimateStopEta = (route, coordinates, stopNumber, speed, options = {}) => {
+  const stops = getOrderedStops(route);
+  const { etas } = computeStopEtas(stops, coordinates, speed, options);
+  return etas.find(eta => eta.stop.stopNumber === stopNumber) || null;
+};
+
+// Recompute predictions for every remaining stop of the bus's current trip
+// and upsert them into the Prediction collection
+const refreshBusPredictions = async (bus, trip, io) => {
+  if (!trip || trip.status !== 'in_progress' || !bus.currentRoute) return [];
+
+  const route = await Route.findById(bus.currentRoute);
+  if (!route || route.stops.length < 2) return [];
+
+  const now = new Date();
+  const stops = getOrderedStops(route);
+
+  const servedNumbers = trip.stopsServed.map(stop => stop.stopNumber);
+  const lastServedIndex = stops.reduce(
+    (last, stop, i) => (servedNumbers.includes(stop.stopNumber) ? i : last),
+    -1
+  );
+
+  const { speed, source } = await resolveSpeed(bus, route, now);
+  const conditions = source === 'scheduled' ? { trafficConditions: route.trafficConditions } : undefined;
+  const segmentStats = await getSegmentProfile(route._id, now);
+
+  const { passed, etas: ahead } = computeStopEtas(stops, bus.currentLocation.coordinates, speed, {
+    servedThrough: lastServedIndex,
+    now,
+    conditions,
+    segmentStats
+  });
+
+  // Stops the bus has moved past without an arrival being recorded
+  if (passed.length > 0) {
+    await Prediction.updateMany({
+      tripId: trip._id,
+      stopId: { $in: passed.map(stop => stop.stopNumber) },
+      status: { $in: ACTIVE_STATUSES }
+    }, {
+      status: 'cancelled'
+    });
+  }
+
+  // A stop whose arrival is already recorded keeps its arrived prediction,
+  // rather than the upsert below opening a new one for it
+  const arrivedStops = await Prediction.distinct('stopId', { tripId: trip._id, status: 'arrived' });
+  const etas = ahead.filter(eta => !arrivedStops.includes(eta.stop.stopNumber));
+  if (etas.length === 0) return [];
+
+  const baseFactors = {
+    trafficConditions: route.trafficConditions,
+    timeOfDay: getTimeOfDay(now),
+    dayOfWeek: getDayOfWeek(now),
+    currentSpeed: Math.min(120, round(speed)),
+    passengerLoad: bus.capacity ? Math.round((bus.currentCapacity / bus.capacity) * 100) : 0,
+    fuelLevel: bus.fuelLevel,
+    temperature: bus.temperature
+  };
+
+  // Refine each geometric ETA with the route's configured predictor
+  const predicted = await Promise.all(etas.map(async (eta) => {
+    const factors = {
+      ...baseFactors,
+      distanceToStop: Math.round(eta.distance * 1000) / 1000,
+      numberOfStops: eta.stopsAway,
+      baselineMinutes: round(eta.minutes)
+    };
+    const result = await predictTravelTime(route.predictionAlgorithm, factors);
+    const shift = result.minutes - eta.minutes;
+
+    return {
+      eta,
+      factors,
+      ...result,
+      arrivalTime: new Date(now.getTime() + result.minutes * 60 * 1000),
+      confidenceInterval: {
+        lower: Math.max(0, eta.confidenceInterval.lower + shift),
+        upper: eta.confidenceInterval.upper + shift
+      }
+    };
+  }));
+
+  // The live values are overwritten on every fix. The first prediction for a
+  // stop is kept as it was, and so is the prediction at each lead time the
+  // bus comes within, so there is something to score when it arrives.
+  const operations = predicted.flatMap((entry, i) => {
+    const filter = {
+      tripId: trip._id,
+      stopId: entry.eta.stop.stopNumber,
+      status: { $in: ACTIVE_STATUSES }
+    };
+    const snapshot = Prediction.buildSnapshot({
+      predictedArrivalTime: entry.arrivalTime,
+      issuedAt: now,
+      algorithm: entry.algorithm,
+      modelVersion: entry.modelVersion,
+      factors: entry.factors
+    });
+
+    const upsert = {
+      updateOne: {
+        filter,
+        update: {
+          $set: {
+            busId: bus._id,
+            routeId: route._id,
+            driverId: bus.currentDriver,
+            currentLocation: {
+              type: 'Point',
+              coordinates: bus.currentLocation.coordinates
+            },
+            predictedArrivalTime: entry.arrivalTime,
+            issuedAt: now,
+            status: i === 0 ? 'in_transit' : 'pending',
+            algorithm: entry.algorithm,
+            modelVersion: entry.modelVersion,
+            factors: entry.factors,
+            historicalData: {
+              averageTravelTime: round(entry.eta.historicalMinutes),
+              standardDeviation: round(entry.eta.standardDeviation),
+              confidenceInterval: {
+                lower: round(entry.confidenceInterval.lower),
+                upper: round(entry.confidenceInterval.upper)
+              }
+            }
+          },
+          $setOnInsert: {
+            initialPredictedArrivalTime: entry.arrivalTime,
+            initialIssuedAt: now
+          }
+        },
+        upsert: true
+      }
+    };
+    if (!snapshot) return [upsert];
+
+    return [upsert, {
+      updateOne: {
+        filter: { ...filter, 'snapshots.leadMinutes': { $ne: snapshot.leadMinutes } },
+        update: { $push: { snapshots: snapshot } }
+      }
+    }];
+  });
+
+  // Ordered, so a prediction is upserted before its snapshot is pushed
+  await Prediction.bulkWrite(operations);
+
+  const summary = predicted.map(entry => ({
+    stopNumber: entry.eta.stop.stopNumber,
+    name: entry.eta.stop.name,
+    predictedArrivalTime: entry.arrivalTime,
+    distanceToStop: entry.eta.distance,
+    confidenceInterval: entry.confidenceInterval
+  }));
+
+  emitToBus(io, bus._id, 'bus-eta-update', {
+    busId: bus._id,
+    routeId: route._id,
+    tripId: trip._id,
+    speed,
+    speedSource: source,
+    algorithm: route.predictionAlgorithm,
+    etas: summary
+  });
+
+  // Boards for the stops ahead show new times; the stop just passed drops
+  // the bus
+  const stopCodes = [...passed.slice(-1), ...etas.map(eta => eta.stop)].map(stop => stop.stopCode).filter(Boolean);
+  emitToStops(io, [...new Set(stopCodes)], 'stop-departures-changed', {
+    routeId: route._id,
+    busId: bus._id
+  });
+
+  // Riders waiting at the stops ahead may have asked to hear about it
+  await evaluateApproachingAlerts({ bus, trip, route, etas: summary, at: now })
+    .catch(error => console.error('Rider alert evaluation error:', error));
+
+  return summary;
+};
+
+// Close out predictions that are still open when a trip ends
+const cancelTripPredictions = (tripId) => Prediction.updateMany({
+  tripId,
+  status: { $in: ACTIVE_STATUSES }
+}, {
+  status: 'cancelled'
+});
+
+module.exports = {
+  getOrderedStops,
+  locateOnRoute,
+  applyConditionFactors,
+  computeStopEtas,
+  estimateStopEta,
+  getSegmentProfile,
+  refreshBusPredictions,
+  cancelTripPredictions
+};
@@ -0,0 +1,189 @@
+const Route = require('../models/Route');
+const { getDayOfWeek } = require('../utils/time');
+
+const DEFAULT_CURRENCY = 'USD';
+const DEFAULT_RIDER_CATEGORY = 'adult'; // pays the full fare, in every rule set
+
+const MINUTE_MS = 60 * 1000;
+
+const toCents = (amount) => Math.round(amount * 100) / 100;
+
+// Round to a multiple of step, then to whole cents
+const roundToStep = (amount, step) => toCents(Math.round(amount / step) * step);
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Whether a time rule covers a boarding time. A rule that ends before it
+// starts runs past midnight.
+const timeRuleApplies = (rule, at) => {
+  if (rule.days.length > 0 && !rule.days.includes(getDayOfWeek(at))) return false;
+
+  const minutes = at.getHours() * 60 + at.getMinutes();
+  const start = toMinutes(rule.startTime);
+  const end = toMinutes(rule.endTime);
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+const findRouteStop = (route, stopNumber) => {
+  const routeStop = route.stops.find(stop => stop.stopNumber === stopNumber);
+  if (!routeStop) throw new Error('Invalid stop numbers');
+  return routeStop;
+};
+
+// The zone of a route's stop under a rule set, if it has one
+const getRouteStopZone = (rules, route, stopNumber) => (rules
+  ? rules.getStopZone(findRouteStop(route, stopNumber).stop)
+  : null);
+
+// Every zone a ride passes through, first stop to last
+const getZonesBetween = (rules, route, fromStopNumber, toStopNumber) => {
+  if (!rules) return [];
+  const [low, high] = [fromStopNumber, toStopNumber].sort((a, b) => a - b);
+
+  return [...new Set(route.stops
+    .filter(stop => stop.stopNumber >= low && stop.stopNumber <= high)
+    .map(stop => rules.getStopZone(stop.stop))
+    .filter(Boolean))];
+};
+
+// Rider categories a quote can be for
+const getRiderCategories = (rules) => [
+  DEFAULT_RIDER_CATEGORY,
+  ...(rules ? rules.riderCategories.map(category => category.code) : [])
+].filter((code, index, codes) => codes.indexOf(code) === index);
+
+// The price of a ride before adjustments: the fare table's price between
+// the two stops' zones, or else a distance fare
+const getBaseFare = (rules, route, fromStopNumber, toStopNumber) => {
+  const distance = route.distanceBetween(fromStopNumber, toStopNumber);
+  const fromZone = getRouteStopZone(rules, route, fromStopNumber);
+  const toZone = getRouteStopZone(rules, route, toStopNumber);
+
+  if (fromZone && toZone) {
+    const entry = rules.fareTable.find(candidate =>
+      (candidate.fromZone === fromZone && candidate.toZone === toZone) ||
+      (candidate.fromZone === toZone && candidate.toZone === fromZone));
+    if (entry) return { basis: 'zone', amount: entry.price, distance, fromZone, toZone };
+  }
+
+  const distanceFare = rules && rules.distanceFare && rules.distanceFare.base !== undefined
+    ? rules.distanceFare
+    : route.fare;
+  let amount = distanceFare.base + distance * (distanceFare.perKm || 0);
+  if (distanceFare.minimum !== undefined) amount = Math.max(amount, distanceFare.minimum);
+  if (distanceFare.maximum !== undefined) amount = Math.min(amount, distanceFare.maximum);
+
+  return { basis: 'distance', amount, distance, fromZone, toZone };
+};
+
+// Price a journey of one or more rides under a rule set, or under each
+// route's own fare when rules is null. Each leg is
+// { route, fromStopNumber, toStopNumber, boardAt }, in the order ridden.
+// Every adjustment is listed so riders and finance can see how a fare was
+// reached.
+const quoteFare = (rules, { legs, riderCategory = DEFAULT_RIDER_CATEGORY }) => {
+  const category = rules && rules.riderCategories.find(candidate => candidate.code === riderCategory);
+  const step = rules ? rules.roundTo : 0.01;
+  const firstBoarding = legs.length > 0 ? legs[0].boardAt.getTime() : 0;
+  let transfersUsed = 0;
+
+  const quoted = legs.map((leg, index) => {
+    const { route, fromStopNumber, toStopNumber, boardAt } = leg;
+    const base = getBaseFare(rules, route, fromStopNumber, toStopNumber);
+    const adjustments = [];
+    let fare = base.amount;
+
+    const adjust = (type, name, adjusted) => {
+      adjustments.push({ type, name, amount: toCents(adjusted - fare) });
+      fare = adjusted;
+    };
+
+    const timeRule = rules && rules.timeRules.find(rule => timeRuleApplies(rule, boardAt));
+    if (timeRule) {
+      adjust('time', timeRule.name, fare * timeRule.multiplier + timeRule.surcharge);
+    }
+
+    const transfer = rules && rules.transfer;
+    if (index > 0 && transfer && transfer.windowMinutes > 0 && transfersUsed < transfer.maxTransfers &&
+        boardAt.getTime() - firstBoarding <= transfer.windowMinutes * MINUTE_MS) {
+      transfersUsed++;
+      adjust('transfer', 'Transfer', fare * (1 - transfer.discountPercent / 100));
+    }
+
+    if (category && category.discountPercent > 0 && fare > 0) {
+      adjust('category', category.name || category.code, fare * (1 - category.discountPercent / 100));
+    }
+
+    const fromStop = findRouteStop(route, fromStopNumber);
+    const toStop = findRouteStop(route, toStopNumber);
+
+    return {
+      route: {
+        _id: route._id,
+        routeNumber: route.routeNumber,
+        routeName: route.routeName
+      },
+      from: { stopNumber: fromStop.stopNumber, name: fromStop.name, zone: base.fromZone },
+      to: { stopNumber: toStop.stopNumber, name: toStop.name, zone: base.toZone },
+      boardAt,
+      distance: Math.round(base.distance * 100) / 100,
+      basis: base.basis,
+      baseFare: toCents(base.amount),
+      adjustments,
+      fare: Math.max(0, roundToStep(fare, step)),
+      zones: getZonesBetween(rules, route, fromStopNumber, toStopNumber)
+    };
+  });
+
+  return {
+    currency: rules ? rules.currency : DEFAULT_CURRENCY,
+    riderCategory,
+    ruleSet: rules ? { _id: rules._id, name: rules.name } : null,
+    total: toCents(quoted.reduce((total, leg) => total + leg.fare, 0)),
+    zones: [...new Set(quoted.flatMap(leg => leg.zones))],
+    legs: quoted
+  };
+};
+
+// Load the routes for rides given as { routeId, fromStopNumber,
+// toStopNumber, boardAt } and check each runs between its stops. Rides
+// without a boarding time board at defaultBoardAt. Returns { legs } ready
+// for quoteFare, or { status, message } saying what is wrong.
+const resolveFareLegs = async (rides, defaultBoardAt = new Date()) => {
+  const routes = await Route.find({ _id: { $in: [...new Set(rides.map(ride => String(ride.routeId)))] } });
+  const routesById = new Map(routes.map(route => [String(route._id), route]));
+
+  const legs = [];
+  for (const ride of rides) {
+    const route = routesById.get(String(ride.routeId));
+    if (!route) return { status: 404, message: 'Route not found' };
+
+    const { fromStopNumber, toStopNumber } = ride;
+    const stopNumbers = route.stops.map(stop => stop.stopNumber);
+    if (!stopNumbers.includes(fromStopNumber) || !stopNumbers.includes(toStopNumber)) {
+      return { status: 400, message: `Route ${route.routeNumber} has no such stop` };
+    }
+    // Buses only run one way along the stop sequence
+    if (fromStopNumber >= toStopNumber) {
+      return { status: 400, message: `Route ${route.routeNumber} does not run from stop ${fromStopNumber} to stop ${toStopNumber}` };
+    }
+
+    legs.push({ route, fromStopNumber, toStopNumber, boardAt: ride.boardAt ? new Date(ride.boardAt) : defaultBoardAt });
+  }
+
+  return { legs };
+};
+
+module.exports = {
+  DEFAULT_RIDER_CATEGORY,
+  getRiderCategories,
+  getRouteStopZone,
+  getZonesBetween,
+  quoteFare,
+  resolveFareLegs
+};
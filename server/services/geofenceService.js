@@ -0,0 +1,117 @@
+const Route = require('../models/Route');
+const Prediction = require('../models/Prediction');
+const { haversineDistance } = require('../utils/geo');
+const { emitToBus } = require('../socket/broadcast');
+
+// A bus has to move this much further out than the geofence radius before it
+// counts as departed, so GPS jitter at the boundary doesn't flap the state
+const EXIT_HYSTERESIS = 1.5;
+
+const distanceToStopMetres = (coordinates, stop) =>
+  haversineDistance(coordinates, stop.location.coordinates) * 1000;
+
+// Stamp the actual arrival on predictions still waiting for this stop and
+// score their initial prediction and lead-time snapshots
+const stampArrival = async (bus, trip, stopNumber, arrivalTime) => {
+  const predictions = await Prediction.find({
+    stopId: stopNumber,
+    status: { $in: ['pending', 'in_transit'] },
+    $or: [
+      { tripId: trip._id },
+      { busId: bus._id, routeId: trip.route, tripId: { $exists: false } }
+    ]
+  });
+
+  await Promise.all(predictions.map(prediction => {
+    prediction.actualArrivalTime = arrivalTime;
+    prediction.status = 'arrived';
+    prediction.calculateAccuracy();
+    return prediction.save();
+  }));
+
+  return predictions.length;
+};
+
+// Detect stop arrivals and departures from the bus's latest position and
+// record them on the trip. Returns the events that fired.
+const detectStopEvents = async (bus, trip, io) => {
+  if (!trip || trip.status !== 'in_progress') return [];
+
+  const route = await Route.findById(trip.route);
+  if (!route) return [];
+
+  const coordinates = bus.currentLocation.coordinates;
+  const now = bus.lastLocationUpdate || new Date();
+  const events = [];
+
+  // Departure from the stop the bus is currently dwelling at
+  const openVisit = trip.stopsServed.find(visit => visit.arrivalTime && !visit.departureTime);
+  if (openVisit) {
+    const stop = route.stops.find(s => s.stopNumber === openVisit.stopNumber);
+    if (!stop || distanceToStopMetres(coordinates, stop) > stop.geofenceRadius * EXIT_HYSTERESIS) {
+      openVisit.departureTime = now;
+      openVisit.dwellTime = Math.round((now - openVisit.arrivalTime) / 1000);
+
+      events.push({
+        event: 'bus-departed-from-stop',
+        payload: {
+          busId: bus._id,
+          routeId: route._id,
+          tripId: trip._id,
+          stopNumber: openVisit.stopNumber,
+          stopName: openVisit.name,
+          departureTime: openVisit.departureTime,
+          dwellTime: openVisit.dwellTime
+        }
+      });
+    }
+  }
+
+  // Arrival at the nearest stop not yet served on this trip
+  if (!trip.stopsServed.some(visit => visit.arrivalTime && !visit.departureTime)) {
+    const servedNumbers = trip.stopsServed.map(visit => visit.stopNumber);
+    const candidates = route.stops
+      .filter(stop => !servedNumbers.includes(stop.stopNumber))
+      .map(stop => ({ stop, distance: distanceToStopMetres(coordinates, stop) }))
+      .filter(({ stop, distance }) => distance <= stop.geofenceRadius)
+      .sort((a, b) => a.distance - b.distance);
+
+    if (candidates.length > 0) {
+      const { stop } = candidates[0];
+      trip.stopsServed.push({
+        stopNumber: stop.stopNumber,
+        name: stop.name,
+        arrivalTime: now
+      });
+
+      const predictionsStamped = await stampArrival(bus, trip, stop.stopNumber, now);
+
+      events.push({
+        event: 'bus-arrived-at-stop',
+        payload: {
+          busId: bus._id,
+          routeId: route._id,
+          tripId: trip._id,
+          stopNumber: stop.stopNumber,
+          stopName: stop.name,
+          arrivalTime: now,
+          predictionsStamped
+        }
+      });
+    }
+  }
+
+  if (events.length > 0) {
+    await trip.save();
+
+    events.forEach(({ event, payload }) => {
+      emitToBus(io, bus._id, event, payload);
+    });
+  }
+
+  return events;
+};
+
+module.exports = {
+  detectStopEvents
+};
@@ -0,0 +1,254 @@
+const Route = require('../models/Route');
+const Agency = require('../models/Agency');
+const { haversineDistance } = require('../utils/geo');
+const { getWindowMinutes } = require('./timetableService');
+const {
+  GTFS_DAYS,
+  writeFeed,
+  formatGtfsTime,
+  formatGtfsDate,
+  fromRouteType
+} = require('../utils/gtfs');
+
+const FEED_VALIDITY_DAYS = 365;
+const DAILY_SERVICE_ID = 'DAILY';
+
+// Used when no agency has been imported or created yet
+const getDefaultAgency = () => ({
+  agencyId: 'ebus',
+  name: process.env.GTFS_AGENCY_NAME || 'E-Bus',
+  url: process.env.GTFS_AGENCY_URL || process.env.FRONTEND_URL || 'https://ebus-tracking-system.vercel.app',
+  timezone: process.env.GTFS_AGENCY_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+  lang: 'en'
+});
+
+const gtfsRouteId = (route) => route.gtfsRouteId || route.routeNumber;
+const gtfsStopId = (route, stop) => stop.gtfsStopId || stop.stopCode || `${route.routeNumber}-${stop.stopNumber}`;
+const serviceIdForDay = (day) => day.slice(0, 3).toUpperCase();
+
+// Our routes run at a headway rather than to a timetable, so every schedule
+// entry is published as one template trip. Entries on a service calendar
+// run on that calendar's service; weekly entries on one service per weekday.
+// Schedule services must be populated.
+const getTemplateTrips = (route) => {
+  const windows = route.schedule.length
+    ? route.schedule.map(entry => ({
+        ...entry,
+        calendar: entry.service || { serviceId: serviceIdForDay(entry.day), days: [entry.day] }
+      }))
+    : [{
+        startTime: route.operatingHours.start,
+        endTime: route.operatingHours.end,
+        frequency: route.frequency,
+        calendar: { serviceId: DAILY_SERVICE_ID, days: GTFS_DAYS }
+      }];
+
+  return windows.map((window, i) => ({
+    tripId: `${gtfsRouteId(route)}_${window.calendar.serviceId}_${i + 1}`,
+    serviceId: window.calendar.serviceId,
+    calendar: window.calendar,
+    startTime: window.startTime,
+    endTime: window.endTime,
+    frequency: window.frequency
+  }));
+};
+
+// Build the GTFS tables for a set of routes. Each template trip gets a
+// frequencies.txt window for its headway and runs on its service calendar,
+// or on a service per weekday for weekly schedule entries. Distances along
+// shapes are in km.
+const buildFeedTables = (routes, agencies, { now = new Date() } = {}) => {
+  const feedAgencies = agencies.length ? agencies : [getDefaultAgency()];
+  const agencyById = new Map(feedAgencies.map(agency => [String(agency._id), agency]));
+
+  const stops = new Map();
+  const routeRows = [];
+  const tripRows = [];
+  const stopTimeRows = [];
+  const frequencyRows = [];
+  const shapeRows = [];
+  const calendars = new Map();
+
+  routes.forEach(route => {
+    const routeId = gtfsRouteId(route);
+    const orderedStops = [...route.stops].sort((a, b) => a.stopNumber - b.stopNumber);
+    if (orderedStops.length < 2) return;
+
+    const agency = agencyById.get(String(route.agency)) || feedAgencies[0];
+
+    routeRows.push({
+      route_id: routeId,
+      agency_id: agency.agencyId,
+      route_short_name: route.routeNumber,
+      route_long_name: route.routeName,
+      route_desc: route.description || '',
+      route_type: fromRouteType(route.routeType)
+    });
+
+    const hasShape = Boolean(route.shape && route.shape.coordinates.length >= 2);
+    if (hasShape) {
+      let travelled = 0;
+      route.shape.coordinates.forEach((point, i) => {
+        if (i > 0) travelled += haversineDistance(route.shape.coordinates[i - 1], point);
+        shapeRows.push({
+          shape_id: routeId,
+          shape_pt_lat: point[1],
+          shape_pt_lon: point[0],
+          shape_pt_sequence: i + 1,
+          shape_dist_traveled: Math.round(travelled * 1000) / 1000
+        });
+      });
+    }
+
+    orderedStops.forEach(stop => {
+      const stopId = gtfsStopId(route, stop);
+      if (stops.has(stopId)) return;
+      stops.set(stopId, {
+        stop_id: stopId,
+        stop_code: stop.stopCode || '',
+        stop_name: stop.name,
+        stop_lat: stop.location.coordinates[1],
+        stop_lon: stop.location.coordinates[0]
+      });
+    });
+
+    getTemplateTrips(route).forEach(template => {
+      const { tripId, serviceId } = template;
+      const window = getWindowMinutes(template);
+      const start = window.start * 60;
+      const headway = template.frequency * 60;
+      calendars.set(serviceId, template.calendar);
+
+      tripRows.push({
+        route_id: routeId,
+        service_id: serviceId,
+        trip_id: tripId,
+        trip_headsign: orderedStops[orderedStops.length - 1].name,
+        direction_id: 0,
+        shape_id: hasShape ? routeId : ''
+      });
+
+      orderedStops.forEach((stop, sequence) => {
+        const time = formatGtfsTime(start + stop.estimatedTime * 60);
+        stopTimeRows.push({
+          trip_id: tripId,
+          arrival_time: time,
+          departure_time: time,
+          stop_id: gtfsStopId(route, stop),
+          stop_sequence: sequence + 1,
+          shape_dist_traveled: hasShape && stop.distanceAlongShape !== undefined ? stop.distanceAlongShape : ''
+        });
+      });
+
+      // end_time is exclusive, so the window runs one headway past the last
+      // departure to include it. Windows past midnight end after 24:00:00.
+      frequencyRows.push({
+        trip_id: tripId,
+        start_time: formatGtfsTime(start),
+        end_time: formatGtfsTime(window.end * 60 + headway),
+        headway_secs: headway,
+        exact_times: 0
+      });
+    });
+  });
+
+  const startDate = formatGtfsDate(now);
+  const endDate = formatGtfsDate(new Date(now.getTime() + FEED_VALIDITY_DAYS * 24 * 60 * 60 * 1000));
+
+  // Service calendars keep their own date range; weekday services and
+  // open-ended calendars are valid for a year from the export
+  const calendarRows = [...calendars.entries()].map(([serviceId, calendar]) => ({
+    service_id: serviceId,
+    ...Object.fromEntries(GTFS_DAYS.map(day => [day, calendar.days.includes(day) ? 1 : 0])),
+    start_date: calendar.startDate ? calendar.startDate.replace(/-/g, '') : startDate,
+    end_date: calendar.endDate ? calendar.endDate.replace(/-/g, '') : endDate
+  }));
+
+  const calendarDateRows = [...calendars.entries()].flatMap(([serviceId, calendar]) =>
+    (calendar.exceptions || []).map(exception => ({
+      service_id: serviceId,
+      date: exception.date.replace(/-/g, ''),
+      exception_type: exception.type === 'added' ? 1 : 2
+    }))
+  );
+
+  const publisher = feedAgencies[0];
+
+  return {
+    agency: {
+      columns: ['agency_id', 'agency_name', 'agency_url', 'agency_timezone', 'agency_lang', 'agency_phone', 'agency_fare_url', 'agency_email'],
+      rows: feedAgencies.map(agency => ({
+        agency_id: agency.agencyId,
+        agency_name: agency.name,
+        agency_url: agency.url,
+        agency_timezone: agency.timezone,
+        agency_lang: agency.lang || '',
+        agency_phone: agency.phone || '',
+        agency_fare_url: agency.fareUrl || '',
+        agency_email: agency.email || ''
+      }))
+    },
+    stops: {
+      columns: ['stop_id', 'stop_code', 'stop_name', 'stop_lat', 'stop_lon'],
+      rows: [...stops.values()]
+    },
+    routes: {
+      columns: ['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_desc', 'route_type'],
+      rows: routeRows
+    },
+    trips: {
+      columns: ['route_id', 'service_id', 'trip_id', 'trip_headsign', 'direction_id', 'shape_id'],
+      rows: tripRows
+    },
+    stop_times: {
+      columns: ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence', 'shape_dist_traveled'],
+      rows: stopTimeRows
+    },
+    calendar: {
+      columns: ['service_id', ...GTFS_DAYS, 'start_date', 'end_date'],
+      rows: calendarRows
+    },
+    calendar_dates: {
+      columns: ['service_id', 'date', 'exception_type'],
+      rows: calendarDateRows
+    },
+    frequencies: {
+      columns: ['trip_id', 'start_time', 'end_time', 'headway_secs', 'exact_times'],
+      rows: frequencyRows
+    },
+    shapes: {
+      columns: ['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence', 'shape_dist_traveled'],
+      rows: shapeRows
+    },
+    feed_info: {
+      columns: ['feed_publisher_name', 'feed_publisher_url', 'feed_lang', 'feed_start_date', 'feed_end_date', 'feed_version'],
+      rows: [{
+        feed_publisher_name: publisher.name,
+        feed_publisher_url: publisher.url,
+        feed_lang: publisher.lang || 'en',
+        feed_start_date: startDate,
+        feed_end_date: endDate,
+        feed_version: now.toISOString()
+      }]
+    }
+  };
+};
+
+// Export every active route as a GTFS zip
+const exportFeed = async () => {
+  const [routes, agencies] = await Promise.all([
+    Route.find({ status: 'active' }).populate('schedule.service').lean(),
+    Agency.find().lean()
+  ]);
+
+  return writeFeed(buildFeedTables(routes, agencies));
+};
+
+module.exports = {
+  getDefaultAgency,
+  gtfsRouteId,
+  gtfsStopId,
+  getTemplateTrips,
+  buildFeedTables,
+  exportFeed
+};
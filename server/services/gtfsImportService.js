@@ -0,0 +1,447 @@
+const Route = require('../models/Route');
+const Agency = require('../models/Agency');
+const ServiceCalendar = require('../models/ServiceCalendar');
+const Stop = require('../models/Stop');
+const { syncRouteStop, propagateStop } = require('./stopService');
+const { lineLength } = require('../utils/geo');
+const {
+  GTFS_DAYS,
+  readFeed,
+  parseGtfsTime,
+  parseGtfsDate,
+  toClockTime,
+  isBusRouteType,
+  toRouteType
+} = require('../utils/gtfs');
+
+const REQUIRED_FILES = ['agency', 'stops', 'routes', 'trips', 'stop_times'];
+const DEFAULT_AGENCY_ID = 'default';
+const ONCE_A_DAY_MINUTES = 24 * 60; // headway recorded for a single daily trip
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const WHEELCHAIR_BOARDING = { 1: 'accessible', 2: 'not_accessible' };
+
+const groupBy = (rows, key) => rows.reduce((groups, row) => {
+  const value = row[key];
+  if (!groups.has(value)) groups.set(value, []);
+  groups.get(value).push(row);
+  return groups;
+}, new Map());
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const toDateKey = (gtfsDate) => {
+  const date = parseGtfsDate(gtfsDate);
+  return date ? date.toISOString().slice(0, 10) : null;
+};
+
+// Service calendars keyed by GTFS service_id: the weekly pattern and date
+// range from calendar.txt, with calendar_dates.txt as exceptions. Services
+// defined only through calendar_dates.txt run on their added dates.
+const buildServiceCalendars = (tables) => {
+  const calendars = new Map();
+
+  (tables.calendar || []).forEach(row => {
+    calendars.set(row.service_id, {
+      serviceId: row.service_id,
+      name: row.service_id,
+      days: GTFS_DAYS.filter(day => row[day] === '1'),
+      startDate: toDateKey(row.start_date) || undefined,
+      endDate: toDateKey(row.end_date) || undefined,
+      exceptions: []
+    });
+  });
+
+  (tables.calendar_dates || []).forEach(row => {
+    const date = toDateKey(row.date);
+    if (!date || !['1', '2'].includes(row.exception_type)) return;
+    if (!calendars.has(row.service_id)) {
+      calendars.set(row.service_id, { serviceId: row.service_id, name: row.service_id, days: [], exceptions: [] });
+    }
+    calendars.get(row.service_id).exceptions.push({
+      date,
+      type: row.exception_type === '1' ? 'added' : 'removed'
+    });
+  });
+
+  return calendars;
+};
+
+// Stop times of a trip in order, with blank times at non-timepoint stops
+// interpolated between the timed stops around them
+const orderStopTimes = (stopTimes) => {
+  const ordered = [...stopTimes]
+    .sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence))
+    .map(row => ({
+      stopId: row.stop_id,
+      arrival: parseGtfsTime(row.arrival_time) ?? parseGtfsTime(row.departure_time),
+      departure: parseGtfsTime(row.departure_time) ?? parseGtfsTime(row.arrival_time)
+    }));
+
+  let previous = 0;
+  ordered.forEach((stopTime, i) => {
+    if (stopTime.arrival !== null) {
+      previous = i;
+      return;
+    }
+    const next = ordered.findIndex((s, j) => j > i && s.arrival !== null);
+    if (next === -1 || ordered[previous].departure === null) return;
+    const fraction = (i - previous) / (next - previous);
+    stopTime.arrival = ordered[previous].departure + fraction * (ordered[next].arrival - ordered[previous].departure);
+    stopTime.departure = stopTime.arrival;
+  });
+
+  return ordered;
+};
+
+// Departure times of a trip from its first stop: one for a scheduled trip,
+// or every headway across the windows in frequencies.txt
+const tripStartTimes = (stopTimes, frequencies = []) => {
+  if (frequencies.length === 0) {
+    const departure = stopTimes[0].departure;
+    return departure === null ? [] : [departure];
+  }
+
+  const starts = [];
+  frequencies.forEach(row => {
+    const start = parseGtfsTime(row.start_time);
+    const end = parseGtfsTime(row.end_time);
+    const headway = Number(row.headway_secs);
+    if (start === null || end === null || !(headway > 0)) return;
+    for (let time = start; time < end; time += headway) starts.push(time);
+  });
+  return starts;
+};
+
+// First and last departure and the typical headway of a set of trip starts.
+// A window can run past midnight but not for a whole day.
+const summarizeStarts = (starts) => {
+  const sorted = [...starts].sort((a, b) => a - b);
+  const headways = sorted.slice(1).map((start, i) => start - sorted[i]).filter(gap => gap > 0);
+
+  return {
+    startTime: toClockTime(sorted[0]),
+    endTime: toClockTime(Math.min(sorted[sorted.length - 1], sorted[0] + (24 * 60 - 1) * 60)),
+    frequency: headways.length ? Math.max(1, Math.round(median(headways) / 60)) : ONCE_A_DAY_MINUTES
+  };
+};
+
+// One Route schedule entry per service the trips run on
+const buildSchedule = (startsByService) => [...startsByService.entries()]
+  .sort(([a], [b]) => a.localeCompare(b))
+  .map(([serviceId, starts]) => ({ serviceId, ...summarizeStarts(starts) }));
+
+// Convert a parsed feed into Route data, one route per GTFS bus route. The
+// stop sequence comes from the most common stop pattern among trips in the
+// first direction; schedules combine every trip in that direction.
+const buildRoutesFromFeed = (tables) => {
+  const warnings = [];
+  const stopsById = new Map(tables.stops.map(stop => [stop.stop_id, stop]));
+  const tripsByRoute = groupBy(tables.trips, 'route_id');
+  const stopTimesByTrip = groupBy(tables.stop_times, 'trip_id');
+  const frequenciesByTrip = groupBy(tables.frequencies || [], 'trip_id');
+  const serviceCalendars = buildServiceCalendars(tables);
+
+  const shapes = new Map();
+  groupBy(tables.shapes || [], 'shape_id').forEach((points, shapeId) => {
+    shapes.set(shapeId, points
+      .sort((a, b) => Number(a.shape_pt_sequence) - Number(b.shape_pt_sequence))
+      .map(point => [Number(point.shape_pt_lon), Number(point.shape_pt_lat)]));
+  });
+
+  const routes = [];
+
+  tables.routes.forEach(gtfsRoute => {
+    const routeId = gtfsRoute.route_id;
+
+    if (!isBusRouteType(gtfsRoute.route_type)) {
+      warnings.push(`Route ${routeId}: skipped non-bus route_type ${gtfsRoute.route_type}`);
+      return;
+    }
+
+    const allTrips = tripsByRoute.get(routeId) || [];
+    const direction = allTrips.some(trip => (trip.direction_id || '0') === '0') ? '0' : '1';
+    const trips = allTrips
+      .filter(trip => (trip.direction_id || '0') === direction)
+      .map(trip => ({ ...trip, stopTimes: orderStopTimes(stopTimesByTrip.get(trip.trip_id) || []) }))
+      .filter(trip => trip.stopTimes.length >= 2);
+
+    if (trips.length === 0) {
+      warnings.push(`Route ${routeId}: skipped, no trips with at least two stops`);
+      return;
+    }
+
+    // Most common stop pattern, preferring the longer one on a tie
+    const patterns = new Map();
+    trips.forEach(trip => {
+      const key = trip.stopTimes.map(s => s.stopId).join('|');
+      const pattern = patterns.get(key) || { trip, count: 0 };
+      pattern.count += 1;
+      patterns.set(key, pattern);
+    });
+    const { trip: patternTrip } = [...patterns.values()].sort((a, b) =>
+      b.count - a.count || b.trip.stopTimes.length - a.trip.stopTimes.length
+    )[0];
+
+    const missingStop = patternTrip.stopTimes.find(s => !stopsById.has(s.stopId));
+    if (missingStop) {
+      warnings.push(`Route ${routeId}: skipped, stop ${missingStop.stopId} is not in stops.txt`);
+      return;
+    }
+
+    const firstDeparture = patternTrip.stopTimes[0].departure || 0;
+    const stops = patternTrip.stopTimes.map((stopTime, i) => {
+      const stop = stopsById.get(stopTime.stopId);
+      return {
+        name: stop.stop_name || stop.stop_id,
+        location: {
+          type: 'Point',
+          coordinates: [Number(stop.stop_lon), Number(stop.stop_lat)]
+        },
+        stopNumber: i + 1,
+        estimatedTime: Math.max(0, Math.round(((stopTime.arrival ?? firstDeparture) - firstDeparture) / 60)),
+        isTerminal: i === 0 || i === patternTrip.stopTimes.length - 1,
+        stopCode: stop.stop_code || stop.stop_id,
+        gtfsStopId: stop.stop_id
+      };
+    });
+
+    const startsByService = new Map();
+    const allStarts = [];
+    trips.forEach(trip => {
+      const starts = tripStartTimes(trip.stopTimes, frequenciesByTrip.get(trip.trip_id));
+      allStarts.push(...starts);
+
+      if (!serviceCalendars.has(trip.service_id)) return;
+      if (!startsByService.has(trip.service_id)) startsByService.set(trip.service_id, []);
+      startsByService.get(trip.service_id).push(...starts);
+    });
+
+    if (allStarts.length === 0) {
+      warnings.push(`Route ${routeId}: skipped, trips have no departure times`);
+      return;
+    }
+
+    const schedule = buildSchedule(startsByService);
+    if (schedule.length === 0) {
+      warnings.push(`Route ${routeId}: no calendar entries for its services, schedule left empty`);
+    }
+
+    const overall = summarizeStarts(allStarts);
+    const shape = shapes.get(patternTrip.shape_id);
+    const totalDistance = lineLength(stops.map(stop => stop.location.coordinates));
+
+    routes.push({
+      gtfsRouteId: routeId,
+      gtfsAgencyId: gtfsRoute.agency_id || null,
+      routeNumber: gtfsRoute.route_short_name || routeId,
+      routeName: gtfsRoute.route_long_name || gtfsRoute.route_short_name || routeId,
+      description: gtfsRoute.route_desc || undefined,
+      routeType: toRouteType(gtfsRoute.route_type),
+      stops,
+      totalDistance: round(totalDistance),
+      estimatedDuration: Math.max(1, stops[stops.length - 1].estimatedTime),
+      operatingHours: {
+        start: overall.startTime,
+        end: overall.endTime
+      },
+      frequency: schedule.length
+        ? Math.round(median(schedule.map(entry => entry.frequency)))
+        : overall.frequency,
+      schedule,
+      shape: shape && shape.length >= 2 ? shape : null
+    });
+  });
+
+  return { routes, calendars: [...serviceCalendars.values()], warnings };
+};
+
+// Files a feed must contain for an import, missing ones are returned
+const validateFeed = (tables) => {
+  const missing = REQUIRED_FILES.filter(name => !tables[name]);
+  if (!tables.calendar && !tables.calendar_dates) missing.push('calendar');
+  return missing;
+};
+
+const upsertAgencies = async (rows) => {
+  const agencies = new Map();
+
+  for (const row of rows) {
+    const agencyId = row.agency_id || DEFAULT_AGENCY_ID;
+    const agency = await Agency.findOneAndUpdate(
+      { agencyId },
+      {
+        agencyId,
+        name: row.agency_name,
+        url: row.agency_url,
+        timezone: row.agency_timezone,
+        lang: row.agency_lang || undefined,
+        phone: row.agency_phone || undefined,
+        fareUrl: row.agency_fare_url || undefined,
+        email: row.agency_email || undefined
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+    agencies.set(agencyId, agency);
+  }
+
+  return agencies;
+};
+
+// Service calendars by GTFS service_id. A feed replaces the pattern and
+// exceptions of calendars it already imported.
+const upsertServiceCalendars = async (calendars, { dryRun }) => {
+  const saved = new Map();
+
+  for (const data of calendars) {
+    const calendar = await ServiceCalendar.findOne({ serviceId: data.serviceId }) || new ServiceCalendar();
+    calendar.set({ startDate: undefined, endDate: undefined, ...data });
+    if (dryRun) await calendar.validate();
+    else await calendar.save();
+    saved.set(data.serviceId, calendar);
+  }
+
+  return saved;
+};
+
+// Shared stops by GTFS stop_id, for the stops the imported routes use. A
+// feed's stops are matched by stop_id, then by stop code, and the feed's
+// name, position and wheelchair access replace what they had. Returns the
+// stops and which existing ones changed.
+const upsertStops = async (stopRows, { dryRun }) => {
+  const saved = new Map();
+  const changed = [];
+
+  for (const row of stopRows) {
+    const code = row.stop_code || row.stop_id;
+    const stop = await Stop.findOne({ gtfsStopId: row.stop_id }) ||
+      await Stop.findOne({ code }) ||
+      new Stop({ code });
+
+    const name = row.stop_name || row.stop_id;
+    const coordinates = [Number(row.stop_lon), Number(row.stop_lat)];
+    if (!stop.isNew && (stop.name !== name || stop.location.coordinates.some((value, i) => value !== coordinates[i]))) {
+      changed.push(stop);
+    }
+
+    stop.set({
+      name,
+      'location.type': 'Point',
+      'location.coordinates': coordinates,
+      'accessibility.wheelchairBoarding': WHEELCHAIR_BOARDING[row.wheelchair_boarding] || 'unknown',
+      gtfsStopId: row.stop_id
+    });
+
+    if (dryRun) await stop.validate();
+    else await stop.save();
+    saved.set(row.stop_id, stop);
+  }
+
+  return { stops: saved, changed };
+};
+
+// Import a GTFS zip. Routes are matched to existing ones by GTFS route_id,
+// then by route number, so re-importing a feed updates routes in place and
+// keeps their fares, assigned buses and drivers. GTFS services become
+// service calendars that the route schedules run on. With dryRun nothing is
+// written and the summary describes what would change.
+const importFeed = async (buffer, { dryRun = false } = {}) => {
+  let tables;
+  try {
+    tables = await readFeed(buffer);
+  } catch (error) {
+    return { invalid: error.message };
+  }
+
+  const missing = validateFeed(tables);
+  if (missing.length > 0) {
+    return { missing };
+  }
+
+  const { routes, calendars, warnings } = buildRoutesFromFeed(tables);
+  const summary = { created: [], updated: [], failed: [], warnings };
+
+  const agencies = dryRun ? new Map() : await upsertAgencies(tables.agency);
+  const serviceCalendars = await upsertServiceCalendars(calendars, { dryRun });
+  const usedStopIds = new Set(routes.flatMap(route => route.stops.map(stop => stop.gtfsStopId)));
+  const { stops: sharedStops, changed: changedStops } = await upsertStops(
+    tables.stops.filter(row => usedStopIds.has(row.stop_id)),
+    { dryRun }
+  );
+  const defaultAgency = agencies.values().next().value;
+  const usedRouteNumbers = new Set();
+
+  for (const data of routes) {
+    const { gtfsAgencyId, shape, ...fields } = data;
+    fields.schedule = fields.schedule.map(({ serviceId, ...entry }) => ({
+      ...entry,
+      service: serviceCalendars.get(serviceId)._id
+    }));
+
+    let route = await Route.findOne({ gtfsRouteId: fields.gtfsRouteId });
+    if (route) {
+      // Keep the number riders already know, even if it was de-duplicated
+      fields.routeNumber = route.routeNumber;
+    } else {
+      const byNumber = await Route.findOne({ routeNumber: fields.routeNumber });
+      if (byNumber && (!byNumber.gtfsRouteId || byNumber.gtfsRouteId === fields.gtfsRouteId)) {
+        route = byNumber;
+      } else if (byNumber || usedRouteNumbers.has(fields.routeNumber)) {
+        // Route numbers are unique here but short names need not be in GTFS
+        fields.routeNumber = `${fields.routeNumber}-${fields.gtfsRouteId}`;
+      }
+    }
+    usedRouteNumbers.add(fields.routeNumber);
+
+    const agency = agencies.get(gtfsAgencyId || DEFAULT_AGENCY_ID) || defaultAgency;
+    if (agency) fields.agency = agency._id;
+
+    const entry = { gtfsRouteId: fields.gtfsRouteId, routeNumber: fields.routeNumber, stops: fields.stops.length };
+
+    try {
+      const isNew = !route;
+      if (isNew) route = new Route({ ...fields, fare: { base: 0 } });
+      else route.set(fields);
+      route.stops.forEach(routeStop => syncRouteStop(routeStop, sharedStops.get(routeStop.gtfsStopId)));
+
+      // Snap the imported stops to the feed's shape, or else to the shape
+      // the route already has; totalDistance then follows the shape
+      const coordinates = shape || route.shape?.toObject().coordinates;
+      if (coordinates) {
+        const { unsnapped } = route.setShape(coordinates);
+        if (unsnapped.length > 0) {
+          route.clearShape();
+          warnings.push(`Route ${fields.gtfsRouteId}: shape dropped, ${unsnapped.length} stop(s) are too far from it`);
+        }
+      }
+
+      if (dryRun) await route.validate();
+      else await route.save();
+      (isNew ? summary.created : summary.updated).push(entry);
+    } catch (error) {
+      summary.failed.push({ ...entry, message: error.message });
+    }
+  }
+
+  // Other routes serving stops the feed moved or renamed follow them
+  if (!dryRun) {
+    for (const stop of changedStops) {
+      const { warnings: stopWarnings } = await propagateStop(stop);
+      warnings.push(...stopWarnings);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  REQUIRED_FILES,
+  buildRoutesFromFeed,
+  validateFeed,
+  importFeed
+};
@@ -0,0 +1,276 @@
+const GtfsRealtimeBindings = require('gtfs-realtime-bindings');
+const Bus = require('../models/Bus');
+const Trip = require('../models/Trip');
+const Route = require('../models/Route');
+const Agency = require('../models/Agency');
+const Prediction = require('../models/Prediction');
+const ServiceAlert = require('../models/ServiceAlert');
+const { gtfsRouteId, gtfsStopId, getTemplateTrips, getDefaultAgency } = require('./gtfsExportService');
+const { formatGtfsTime } = require('../utils/gtfs');
+const { calendarRunsOn } = require('../utils/serviceCalendar');
+const { getWindowMinutes } = require('./timetableService');
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+
+const STALE_POSITION_MINUTES = 10; // positions older than this are left out
+const FEED_CACHE_SECONDS = 10;
+const ACTIVE_STATUSES = ['pending', 'in_transit'];
+
+const feedCache = {};
+
+const toSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+const pad = (value) => String(value).padStart(2, '0');
+const formatLocalDate = (date) => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+const localSeconds = (date) => date.getHours() * 3600 + date.getMinutes() * 60 + date.getSeconds();
+
+// Identify a trip the way the static feed does. Trips run off the template
+// trip whose frequency window covers the start time on a day its service
+// runs; the start time and date pick out the instance. A trip after
+// midnight can belong to the previous day's window, in which case its start
+// time runs past 24:00:00 on that day.
+const buildTripDescriptor = (trip, route) => {
+  const start = new Date(trip.startTime);
+  const descriptor = {
+    routeId: gtfsRouteId(route),
+    directionId: 0,
+    startTime: formatGtfsTime(localSeconds(start)),
+    startDate: formatLocalDate(start)
+  };
+
+  let template;
+  for (const offset of [0, 1]) {
+    const serviceDay = new Date(start);
+    serviceDay.setDate(serviceDay.getDate() - offset);
+    const seconds = localSeconds(start) + offset * 24 * 3600;
+
+    template = getTemplateTrips(route).find(candidate => {
+      const window = getWindowMinutes(candidate);
+      return calendarRunsOn(candidate.calendar, serviceDay) &&
+        seconds >= window.start * 60 &&
+        seconds < (window.end + candidate.frequency) * 60;
+    });
+
+    if (template) {
+      descriptor.startTime = formatGtfsTime(seconds);
+      descriptor.startDate = formatLocalDate(serviceDay);
+      break;
+    }
+  }
+
+  if (template) {
+    descriptor.tripId = template.tripId;
+    descriptor.scheduleRelationship = 'SCHEDULED';
+  } else {
+    descriptor.scheduleRelationship = 'ADDED';
+  }
+
+  return descriptor;
+};
+
+const buildVehicleDescriptor = (bus) => ({
+  id: String(bus._id),
+  label: bus.busNumber,
+  licensePlate: bus.registrationNumber
+});
+
+const buildHeader = () => ({
+  gtfsRealtimeVersion: '2.0',
+  incrementality: 'FULL_DATASET',
+  timestamp: Math.floor(Date.now() / 1000)
+});
+
+// Load the buses on a trip together with their trips and routes
+const loadActiveTrips = async () => {
+  const trips = await Trip.find({ status: 'in_progress' }).lean();
+  if (trips.length === 0) return [];
+
+  const [buses, routes] = await Promise.all([
+    Bus.find({ _id: { $in: trips.map(trip => trip.bus) } }).lean(),
+    Route.find({ _id: { $in: trips.map(trip => trip.route) } }).populate('schedule.service').lean()
+  ]);
+
+  const busById = new Map(buses.map(bus => [String(bus._id), bus]));
+  const routeById = new Map(routes.map(route => [String(route._id), route]));
+
+  return trips
+    .map(trip => ({ trip, bus: busById.get(String(trip.bus)), route: routeById.get(String(trip.route)) }))
+    .filter(({ bus, route }) => bus && route);
+};
+
+const buildVehiclePositions = async () => {
+  const activeTrips = await loadActiveTrips();
+  const staleBefore = Date.now() - STALE_POSITION_MINUTES * 60 * 1000;
+
+  const nextStops = await Prediction.aggregate([
+    { $match: { tripId: { $in: activeTrips.map(({ trip }) => trip._id) }, status: { $in: ACTIVE_STATUSES } } },
+    { $sort: { predictedArrivalTime: 1 } },
+    { $group: { _id: '$tripId', stopId: { $first: '$stopId' } } }
+  ]);
+  const nextStopByTrip = new Map(nextStops.map(entry => [String(entry._id), entry.stopId]));
+
+  const entity = activeTrips
+    .filter(({ bus }) => new Date(bus.lastLocationUpdate).getTime() >= staleBefore)
+    .map(({ trip, bus, route }) => {
+      const openVisit = trip.stopsServed.find(visit => visit.arrivalTime && !visit.departureTime);
+      const stopNumber = openVisit ? openVisit.stopNumber : nextStopByTrip.get(String(trip._id));
+      const stop = route.stops.find(s => s.stopNumber === stopNumber);
+
+      const vehicle = {
+        trip: buildTripDescriptor(trip, route),
+        vehicle: buildVehicleDescriptor(bus),
+        position: {
+          latitude: bus.currentLocation.coordinates[1],
+          longitude: bus.currentLocation.coordinates[0],
+          bearing: bus.direction,
+          speed: bus.speed / 3.6 // km/h to m/s
+        },
+        timestamp: toSeconds(bus.lastLocationUpdate)
+      };
+
+      if (stop) {
+        vehicle.currentStopSequence = stop.stopNumber;
+        vehicle.stopId = gtfsStopId(route, stop);
+        vehicle.currentStatus = openVisit ? 'STOPPED_AT' : 'IN_TRANSIT_TO';
+      }
+
+      return { id: `vehicle-${bus._id}`, vehicle };
+    });
+
+  return { header: buildHeader(), entity };
+};
+
+const buildTripUpdates = async () => {
+  const activeTrips = await loadActiveTrips();
+
+  const predictions = await Prediction.find({
+    tripId: { $in: activeTrips.map(({ trip }) => trip._id) },
+    status: { $in: ACTIVE_STATUSES }
+  })
+    .sort({ stopId: 1 })
+    .lean();
+
+  const entity = activeTrips
+    .map(({ trip, bus, route }) => {
+      const tripPredictions = predictions.filter(p => String(p.tripId) === String(trip._id));
+
+      const stopTimeUpdate = tripPredictions
+        .map(prediction => {
+          const stop = route.stops.find(s => s.stopNumber === prediction.stopId);
+          if (!stop) return null;
+
+          const interval = prediction.historicalData?.confidenceInterval;
+          const arrival = { time: toSeconds(prediction.predictedArrivalTime) };
+          if (interval && interval.upper > interval.lower) {
+            arrival.uncertainty = Math.round(((interval.upper - interval.lower) / 2) * 60);
+          }
+
+          return {
+            stopSequence: stop.stopNumber,
+            stopId: gtfsStopId(route, stop),
+            arrival,
+            scheduleRelationship: 'SCHEDULED'
+          };
+        })
+        .filter(Boolean);
+
+      if (stopTimeUpdate.length === 0) return null;
+
+      const issued = tripPredictions.map(p => new Date(p.issuedAt || p.updatedAt).getTime());
+
+      return {
+        id: `trip-${trip._id}`,
+        tripUpdate: {
+          trip: buildTripDescriptor(trip, route),
+          vehicle: buildVehicleDescriptor(bus),
+          stopTimeUpdate,
+          timestamp: Math.floor(Math.max(...issued) / 1000)
+        }
+      };
+    })
+    .filter(Boolean);
+
+  return { header: buildHeader(), entity };
+};
+
+const translated = (text) => (text ? { translation: [{ text, language: 'en' }] } : undefined);
+
+const buildServiceAlerts = async () => {
+  const now = new Date();
+  const [alerts, agencies] = await Promise.all([
+    ServiceAlert.findCurrent(now).populate('informedEntities.route'),
+    Agency.find().select('agencyId').lean()
+  ]);
+
+  const entity = alerts
+    .filter(alert => alert.isActive(now))
+    .map(alert => {
+      const informedEntity = alert.informedEntities
+        .filter(target => target.route)
+        .map(target => {
+          const selector = { routeId: gtfsRouteId(target.route) };
+          const stop = target.stopNumber && target.route.stops.find(s => s.stopNumber === target.stopNumber);
+          if (stop) selector.stopId = gtfsStopId(target.route, stop);
+          return selector;
+        });
+
+      // An alert not tied to a route applies to the whole network
+      if (informedEntity.length === 0) {
+        informedEntity.push({ agencyId: (agencies[0] || getDefaultAgency()).agencyId });
+      }
+
+      return {
+        id: `alert-${alert._id}`,
+        alert: {
+          activePeriod: alert.activePeriods.map(period => ({
+            start: period.start ? toSeconds(period.start) : undefined,
+            end: period.end ? toSeconds(period.end) : undefined
+          })),
+          informedEntity,
+          cause: alert.cause.toUpperCase(),
+          effect: alert.effect.toUpperCase(),
+          severityLevel: alert.severity.toUpperCase(),
+          url: translated(alert.url),
+          headerText: translated(alert.headerText),
+          descriptionText: translated(alert.descriptionText)
+        }
+      };
+    });
+
+  return { header: buildHeader(), entity };
+};
+
+const FEEDS = {
+  'vehicle-positions': buildVehiclePositions,
+  'trip-updates': buildTripUpdates,
+  alerts: buildServiceAlerts
+};
+
+// Build a feed as a protobuf FeedMessage. Feeds are cached briefly since
+// consumers poll them and the underlying data only changes on location
+// updates.
+const getFeed = async (name) => {
+  const cached = feedCache[name];
+  if (cached && Date.now() - cached.builtAt < FEED_CACHE_SECONDS * 1000) return cached.message;
+
+  const message = FeedMessage.fromObject(await FEEDS[name]());
+  feedCache[name] = { message, builtAt: Date.now() };
+  return message;
+};
+
+const encodeFeed = (message) => Buffer.from(FeedMessage.encode(message).finish());
+
+// Human-readable form of a feed for debugging
+const feedToJson = (message) => FeedMessage.toObject(message, {
+  enums: String,
+  longs: Number,
+  defaults: false
+});
+
+module.exports = {
+  FEED_NAMES: Object.keys(FEEDS),
+  FEED_CACHE_SECONDS,
+  getFeed,
+  encodeFeed,
+  feedToJson
+};
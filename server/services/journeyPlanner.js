@@ -0,0 +1,457 @@
+const Route = require('../models/Route');
+const Prediction = require('../models/Prediction');
+const LoadProfile = require('../models/LoadProfile');
+const { buildTimetable } = require('./timetableService');
+const { quoteFare } = require('./fareEngine');
+const { describeOccupancy } = require('./occupancyService');
+const { haversineDistance } = require('../utils/geo');
+const { toDateKey } = require('../utils/serviceCalendar');
+
+const ACTIVE_STATUSES = ['pending', 'in_transit'];
+const DEFAULT_MAX_TRANSFERS = 2;
+const DEFAULT_MAX_WALK_METRES = 400;
+const WALK_METRES_PER_MINUTE = 80; // about 5 km/h
+const WALK_DETOUR_FACTOR = 1.3; // streets rarely run in straight lines
+const MIN_TRANSFER_MINUTES = 2; // to get off one bus and onto another
+const SEARCH_HORIZON_HOURS = 24;
+
+// A route's timetable for a day only changes when the route or its service
+// calendars do, so each day's departures are built once and reused by
+// searches for a while
+const TIMETABLE_CACHE_MS = 5 * 60 * 1000;
+const timetableCache = new Map();
+
+const MINUTE_MS = 60 * 1000;
+
+// Planned departure times from a route's first stop on a day, from the cache
+// while fresh. Keyed on the route's last update, so schedule edits show up
+// straight away.
+const getDayDepartures = (route, day) => {
+  const updatedAt = route.updatedAt ? new Date(route.updatedAt).getTime() : 0;
+  const key = `${route._id}:${updatedAt}:${toDateKey(day)}`;
+  const cached = timetableCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.departures;
+
+  const departures = buildTimetable(route, day).map(trip => trip.departureTime.getTime());
+  timetableCache.set(key, { departures, expiresAt: Date.now() + TIMETABLE_CACHE_MS });
+
+  // Drop expired entries so days gone by don't pile up
+  timetableCache.forEach((entry, entryKey) => {
+    if (entry.expiresAt <= Date.now()) timetableCache.delete(entryKey);
+  });
+  return departures;
+};
+
+// Route stops are identified by their shared stop, so routes meet wherever
+// they serve the same one. Stops not linked to a shared stop yet only
+// belong to their own route.
+const stopKey = (route, routeStop) => (routeStop.stop
+  ? String(routeStop.stop)
+  : `${route._id}:${routeStop.stopNumber}`);
+
+// Planned departures from a route's first stop of the trips still running
+// in the search window, built the first time a search rides the route
+const getWindowDepartures = (pattern) => {
+  if (pattern.departures) return pattern.departures;
+
+  const { route, stops, from, until } = pattern;
+  const runningMs = stops[stops.length - 1].estimatedTime * MINUTE_MS;
+
+  // Start from the day before, whose late trips can still be running
+  const departures = [];
+  const day = new Date(from);
+  day.setHours(0, 0, 0, 0);
+  day.setDate(day.getDate() - 1);
+  while (day <= until) {
+    getDayDepartures(route, day).forEach(time => {
+      if (time + runningMs >= from && time <= until) departures.push(time);
+    });
+    day.setDate(day.getDate() + 1);
+  }
+
+  pattern.departures = departures.sort((a, b) => a - b);
+  return pattern.departures;
+};
+
+// Everything the search needs about one route: its stops in order, the
+// search window its planned departures are taken from and live predictions
+// for buses already on the road
+const buildPattern = (route, predictions, from, until) => {
+  const stops = [...route.stops].sort((a, b) => a.stopNumber - b.stopNumber);
+
+  const liveByStop = new Map();
+  const liveByTrip = new Map();
+  predictions.forEach(prediction => {
+    const time = prediction.predictedArrivalTime.getTime();
+    // Predictions made outside a recorded trip are grouped by bus
+    const liveKey = String(prediction.tripId || (prediction.busId && prediction.busId._id));
+    const bus = prediction.busId ? {
+      _id: prediction.busId._id,
+      busNumber: prediction.busId.busNumber,
+      busType: prediction.busId.busType,
+      occupancy: describeOccupancy(prediction.busId)
+    } : null;
+
+    if (!liveByStop.has(prediction.stopId)) liveByStop.set(prediction.stopId, []);
+    liveByStop.get(prediction.stopId).push({ time, liveKey, tripId: prediction.tripId || null, bus });
+
+    if (!liveByTrip.has(liveKey)) liveByTrip.set(liveKey, new Map());
+    liveByTrip.get(liveKey).set(prediction.stopId, time);
+  });
+  liveByStop.forEach(entries => entries.sort((a, b) => a.time - b.time));
+
+  return {
+    route,
+    stops,
+    keys: stops.map(routeStop => stopKey(route, routeStop)),
+    from: from.getTime(),
+    until: until.getTime(),
+    departures: null,
+    liveByStop,
+    liveByTrip
+  };
+};
+
+// When a trip reaches a stop. A bus on the road uses its own predictions,
+// and its running times from the timetable past the last of them.
+const timeAt = (pattern, trip, index) => {
+  const stop = pattern.stops[index];
+  if (trip.departureTime !== undefined) return trip.departureTime + stop.estimatedTime * MINUTE_MS;
+
+  const predicted = pattern.liveByTrip.get(trip.liveKey).get(stop.stopNumber);
+  if (predicted !== undefined) return predicted;
+
+  const anchor = pattern.stops[trip.anchorIndex];
+  return trip.anchorTime + (stop.estimatedTime - anchor.estimatedTime) * MINUTE_MS;
+};
+
+// The first trip reaching a stop at or after a time, live or planned.
+// Planned slots up to half a headway after the last bus with a prediction
+// for the stop are taken to be that bus or ones ahead of it.
+const earliestTrip = (pattern, index, readyAt, until) => {
+  const stop = pattern.stops[index];
+  const live = pattern.liveByStop.get(stop.stopNumber) || [];
+
+  const nextLive = live.find(entry => entry.time >= readyAt);
+  const liveTrip = nextLive && {
+    liveKey: nextLive.liveKey,
+    tripId: nextLive.tripId,
+    bus: nextLive.bus,
+    anchorIndex: index,
+    anchorTime: nextLive.time
+  };
+
+  const plannedFrom = live.length > 0
+    ? Math.max(readyAt, live[live.length - 1].time + (pattern.route.frequency / 2) * MINUTE_MS)
+    : readyAt;
+  const offset = stop.estimatedTime * MINUTE_MS;
+  const departure = getWindowDepartures(pattern).find(time => time + offset >= plannedFrom);
+  const plannedTrip = departure !== undefined && { departureTime: departure };
+
+  const candidates = [liveTrip, plannedTrip]
+    .filter(Boolean)
+    .map(trip => ({ trip, time: timeAt(pattern, trip, index) }))
+    .filter(candidate => candidate.time <= until)
+    .sort((a, b) => a.time - b.time);
+
+  return candidates[0] || null;
+};
+
+const stopSummary = (routeStop) => ({
+  stop: routeStop.stop,
+  stopCode: routeStop.stopCode,
+  name: routeStop.name,
+  stopNumber: routeStop.stopNumber,
+  location: routeStop.location
+});
+
+const rideLeg = (label) => {
+  const { pattern, trip, boardIndex, alightIndex } = label.via;
+  const { route, stops } = pattern;
+  const from = stops[boardIndex];
+  const to = stops[alightIndex];
+
+  return {
+    mode: 'bus',
+    route: {
+      _id: route._id,
+      routeNumber: route.routeNumber,
+      routeName: route.routeName,
+      routeType: route.routeType
+    },
+    headsign: stops[stops.length - 1].name,
+    from: stopSummary(from),
+    to: stopSummary(to),
+    departureTime: new Date(timeAt(pattern, trip, boardIndex)),
+    arrivalTime: new Date(label.time),
+    realtime: trip.liveKey !== undefined,
+    tripId: trip.tripId || null,
+    bus: trip.bus || null,
+    stops: alightIndex - boardIndex
+  };
+};
+
+const walkLeg = (label, places) => ({
+  mode: 'walk',
+  from: places.get(label.previous.key).summary,
+  to: places.get(label.key).summary,
+  departureTime: new Date(label.previous.time),
+  arrivalTime: new Date(label.time),
+  minutes: label.via.minutes,
+  distance: label.via.metres
+});
+
+// How crowded each ride's route has usually been leaving the boarding stop
+// around the time the ride sets off, so riders can skip a packed bus. Null
+// where there is too little history.
+const addExpectedCrowding = async (itineraries) => {
+  const expected = new Map();
+  const lookup = (leg) => {
+    const key = `${leg.route._id}:${leg.from.stopNumber}:${leg.departureTime.getDay()}:${leg.departureTime.getHours()}`;
+    if (!expected.has(key)) {
+      expected.set(key, LoadProfile.getExpected(leg.route._id, leg.from.stopNumber, leg.departureTime));
+    }
+    return expected.get(key);
+  };
+
+  const rides = itineraries.flatMap(itinerary => itinerary.legs.filter(leg => leg.mode === 'bus'));
+  await Promise.all(rides.map(async leg => {
+    leg.expectedCrowding = await lookup(leg);
+  }));
+};
+
+// Turn the chain of labels that reached a destination into legs. A walk to
+// the first bus sets off just in time for it rather than straight away.
+// The rides are priced together, so transfer discounts apply.
+const buildItinerary = (label, places, fares) => {
+  const legs = [];
+  const rideRoutes = [];
+  for (let current = label; current.via.type !== 'origin'; current = current.previous) {
+    if (current.via.type === 'ride') {
+      legs.unshift(rideLeg(current));
+      rideRoutes.unshift(current.via.pattern.route);
+    } else {
+      legs.unshift(walkLeg(current, places));
+    }
+  }
+
+  if (legs.length > 1 && legs[0].mode === 'walk') {
+    legs[0].arrivalTime = legs[1].departureTime;
+    legs[0].departureTime = new Date(legs[1].departureTime.getTime() - legs[0].minutes * MINUTE_MS);
+  }
+
+  const rides = legs.filter(leg => leg.mode === 'bus');
+  const quote = quoteFare(fares.rules, {
+    legs: rides.map((leg, index) => ({
+      route: rideRoutes[index],
+      fromStopNumber: leg.from.stopNumber,
+      toStopNumber: leg.to.stopNumber,
+      boardAt: leg.departureTime
+    })),
+    riderCategory: fares.riderCategory
+  });
+  rides.forEach((leg, index) => {
+    leg.fare = quote.legs[index].fare;
+  });
+
+  const departureTime = legs[0].departureTime;
+  const arrivalTime = legs[legs.length - 1].arrivalTime;
+
+  return {
+    departureTime,
+    arrivalTime,
+    durationMinutes: Math.round((arrivalTime - departureTime) / MINUTE_MS),
+    transfers: Math.max(0, rides.length - 1),
+    walkingMinutes: legs.filter(leg => leg.mode === 'walk').reduce((total, leg) => total + leg.minutes, 0),
+    fare: quote.total,
+    currency: quote.currency,
+    legs
+  };
+};
+
+// Itineraries from any of the origins to any of the destinations, leaving at
+// or after departAt, with at most maxTransfers changes of bus, priced under
+// fareRules (null for the routes' own fares) for a rider category. Origins and
+// destinations are stops, or other places ({ _id, name, location,
+// walkRadius }) reached on foot from stops within walkRadius metres.
+//
+// Works in rounds, one per bus ridden (after RAPTOR): each round rides
+// every route from the stops the previous round reached, boarding the
+// first bus that can still be caught - live where a bus is on its way,
+// otherwise from the timetable - then walks on to nearby stops. A round
+// only keeps a stop when it gets there earlier than any round before, so
+// every itinerary found arrives earlier than those with fewer transfers.
+// They are ranked by arrival time, then transfers, then fare.
+const planJourney = async ({
+  origins,
+  destinations,
+  departAt = new Date(),
+  maxTransfers = DEFAULT_MAX_TRANSFERS,
+  maxWalkMetres = DEFAULT_MAX_WALK_METRES,
+  fareRules = null,
+  riderCategory
+}) => {
+  const from = departAt.getTime();
+  const until = from + SEARCH_HORIZON_HOURS * 60 * MINUTE_MS;
+
+  const [routes, predictions] = await Promise.all([
+    Route.find({ status: 'active' }).populate('schedule.service'),
+    Prediction.find({
+      status: { $in: ACTIVE_STATUSES },
+      predictedArrivalTime: { $gte: departAt, $lte: new Date(until) }
+    }).populate('busId', 'busNumber busType capacity currentCapacity seatMap.label')
+  ]);
+
+  const predictionsByRoute = new Map();
+  predictions.forEach(prediction => {
+    const routeId = String(prediction.routeId);
+    if (!predictionsByRoute.has(routeId)) predictionsByRoute.set(routeId, []);
+    predictionsByRoute.get(routeId).push(prediction);
+  });
+
+  const patterns = routes
+    .filter(route => route.stops.length > 1)
+    .map(route => buildPattern(route, predictionsByRoute.get(String(route._id)) || [], departAt, new Date(until)));
+
+  // Where each stop is and which routes serve it
+  const places = new Map();
+  const servedBy = new Map();
+  patterns.forEach(pattern => pattern.stops.forEach((routeStop, index) => {
+    const key = pattern.keys[index];
+    if (!places.has(key)) {
+      places.set(key, { coordinates: routeStop.location.coordinates, summary: stopSummary(routeStop) });
+    }
+    if (!servedBy.has(key)) servedBy.set(key, []);
+    servedBy.get(key).push({ pattern, index });
+  }));
+  [...origins, ...destinations].forEach(place => {
+    const key = String(place._id);
+    if (!places.has(key)) {
+      places.set(key, {
+        coordinates: place.location.coordinates,
+        walkRadius: place.walkRadius,
+        summary: {
+          stop: place.code ? place._id : null,
+          stopCode: place.code,
+          name: place.name,
+          location: place.location
+        }
+      });
+    }
+  });
+
+  // Places that are not stops may set how far riders walk to and from them
+  const walkCache = new Map();
+  const walksFrom = (key) => {
+    if (!walkCache.has(key)) {
+      const origin = places.get(key);
+      const walks = [];
+      places.forEach((place, otherKey) => {
+        if (otherKey === key) return;
+        const metres = Math.round(haversineDistance(origin.coordinates, place.coordinates) * 1000 * WALK_DETOUR_FACTOR);
+        if (metres <= Math.max(maxWalkMetres, origin.walkRadius || 0, place.walkRadius || 0)) {
+          walks.push({ key: otherKey, metres, minutes: Math.max(1, Math.ceil(metres / WALK_METRES_PER_MINUTE)) });
+        }
+      });
+      walkCache.set(key, walks);
+    }
+    return walkCache.get(key);
+  };
+
+  const destinationKeys = new Set(destinations.map(stop => String(stop._id)));
+  const rounds = [];
+  const earliest = new Map();
+  let bestArrival = Infinity;
+
+  const reach = (round, key, time, via, previous) => {
+    const label = { key, time, round, via, previous };
+    rounds[round].set(key, label);
+    earliest.set(key, time);
+    if (destinationKeys.has(key)) bestArrival = Math.min(bestArrival, time);
+    return label;
+  };
+  const improves = (key, time) => time < Math.min(earliest.has(key) ? earliest.get(key) : Infinity, bestArrival);
+  const latestLabel = (beforeRound, key) => {
+    for (let round = beforeRound; round >= 0; round--) {
+      if (rounds[round].has(key)) return rounds[round].get(key);
+    }
+    return null;
+  };
+
+  // Round 0: the origins, and stops within walking distance of them
+  rounds.push(new Map());
+  origins.forEach(stop => reach(0, String(stop._id), from, { type: 'origin' }, null));
+  [...rounds[0].values()].forEach(label => walksFrom(label.key).forEach(walk => {
+    const time = from + walk.minutes * MINUTE_MS;
+    if (improves(walk.key, time)) reach(0, walk.key, time, { type: 'walk', metres: walk.metres, minutes: walk.minutes }, label);
+  }));
+
+  for (let round = 1; round <= maxTransfers + 1 && rounds[round - 1].size > 0; round++) {
+    rounds.push(new Map());
+
+    // Each route is ridden from the first of its stops reached last round
+    const toScan = new Map();
+    rounds[round - 1].forEach((label, key) => (servedBy.get(key) || []).forEach(({ pattern, index }) => {
+      if (!toScan.has(pattern) || index < toScan.get(pattern)) toScan.set(pattern, index);
+    }));
+
+    toScan.forEach((startIndex, pattern) => {
+      let trip = null;
+      let boardIndex = null;
+      let boardLabel = null;
+
+      for (let index = startIndex; index < pattern.stops.length; index++) {
+        const key = pattern.keys[index];
+
+        if (trip) {
+          const time = timeAt(pattern, trip, index);
+          if (improves(key, time)) {
+            reach(round, key, time, { type: 'ride', pattern, trip, boardIndex, alightIndex: index }, boardLabel);
+          }
+        }
+
+        // Board here if an earlier bus than the one ridden can be caught
+        const label = latestLabel(round - 1, key);
+        if (label && index < pattern.stops.length - 1) {
+          const readyAt = label.time + (label.via.type === 'ride' ? MIN_TRANSFER_MINUTES * MINUTE_MS : 0);
+          const current = trip ? timeAt(pattern, trip, index) : Infinity;
+          if (readyAt <= current) {
+            const candidate = earliestTrip(pattern, index, readyAt, until);
+            if (candidate && candidate.time < current) {
+              trip = candidate.trip;
+              boardIndex = index;
+              boardLabel = label;
+            }
+          }
+        }
+      }
+    });
+
+    // Walk on from where the buses stopped, but only one walk at a time
+    [...rounds[round].values()].forEach(label => walksFrom(label.key).forEach(walk => {
+      const time = label.time + walk.minutes * MINUTE_MS;
+      if (improves(walk.key, time)) {
+        reach(round, walk.key, time, { type: 'walk', metres: walk.metres, minutes: walk.minutes }, label);
+      }
+    }));
+  }
+
+  const itineraries = [];
+  rounds.forEach(labels => {
+    const arrivals = [...destinationKeys]
+      .map(key => labels.get(key))
+      .filter(label => label && label.via.type !== 'origin')
+      .sort((a, b) => a.time - b.time);
+    if (arrivals.length > 0) itineraries.push(buildItinerary(arrivals[0], places, { rules: fareRules, riderCategory }));
+  });
+
+  await addExpectedCrowding(itineraries);
+
+  return itineraries.sort((a, b) =>
+    a.arrivalTime - b.arrivalTime || a.transfers - b.transfers || a.fare - b.fare
+  );
+};
+
+module.exports = {
+  planJourney
+};
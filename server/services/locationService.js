@@ -0,0 +1,88 @@
+const Bus = require('../models/Bus');
+const Driver = require('../models/Driver');
+const Trip = require('../models/Trip');
+const LocationHistory = require('../models/LocationHistory');
+const { refreshBusPredictions } = require('./etaService');
+const { detectStopEvents } = require('./geofenceService');
+const { describeOccupancy } = require('./occupancyService');
+const { emitToBus } = require('../socket/broadcast');
+
+// Broadcast a bus's latest fix and how crowded it is to everyone tracking it
+const emitBusLocation = (io, bus) => {
+  emitToBus(io, bus._id, 'bus-location-update', {
+    busId: bus._id,
+    location: bus.currentLocation,
+    speed: bus.speed,
+    direction: bus.direction,
+    lastUpdate: bus.lastLocationUpdate,
+    occupancy: describeOccupancy(bus)
+  });
+};
+
+// Apply a GPS fix reported by a driver: update the driver and their bus,
+// record the fix in the bus's location history and broadcast it to trackers.
+// The location history is the only record of the path; trips keep stops
+// served and counts, not fixes.
+const processLocationUpdate = async (driverId, fix, io) => {
+  const latitude = parseFloat(fix.latitude);
+  const longitude = parseFloat(fix.longitude);
+  const speed = fix.speed !== undefined ? parseFloat(fix.speed) : undefined;
+  const direction = fix.direction !== undefined ? parseFloat(fix.direction) : undefined;
+  const { address } = fix;
+
+  // Update driver location
+  const driver = await Driver.findById(driverId);
+  driver.currentLocation = {
+    type: 'Point',
+    coordinates: [longitude, latitude]
+  };
+  await driver.save();
+
+  if (!driver.currentBus) {
+    return { driver, bus: null };
+  }
+
+  // Update bus location if driver is assigned to a bus
+  const bus = await Bus.findById(driver.currentBus);
+  if (!bus) {
+    return { driver, bus: null };
+  }
+
+  await bus.updateLocation(latitude, longitude, address, speed, direction);
+
+  const trip = bus.currentTrip ? await Trip.findById(bus.currentTrip) : null;
+
+  // Persist the fix so the path the bus drove can be replayed later
+  await LocationHistory.create({
+    bus: bus._id,
+    trip: trip?._id,
+    route: bus.currentRoute,
+    driver: driver._id,
+    location: {
+      type: 'Point',
+      coordinates: [longitude, latitude]
+    },
+    speed,
+    heading: direction,
+    recordedAt: bus.lastLocationUpdate
+  });
+
+  // Emit real-time update
+  emitBusLocation(io, bus);
+
+  if (trip && trip.status === 'in_progress') {
+    // Stop arrivals and departures come first so the ETA refresh only
+    // covers stops the bus hasn't reached yet
+    await detectStopEvents(bus, trip, io);
+
+    // Refresh arrival predictions for the remaining stops
+    await refreshBusPredictions(bus, trip, io);
+  }
+
+  return { driver, bus, trip };
+};
+
+module.exports = {
+  emitBusLocation,
+  processLocationUpdate
+};
@@ -0,0 +1,89 @@
+const Bus = require('../models/Bus');
+const LoadProfile = require('../models/LoadProfile');
+const Trip = require('../models/Trip');
+
+const OCCUPANCY_LEVELS = LoadProfile.LEVELS;
+
+const EMPTY_SHARE = 0.1; // of the seats taken, at most, for a bus to count as empty
+const SEATED_SHARE = 0.75; // of capacity that is seated, on buses without a seat map
+
+// Seats on a bus: its seat map, or a share of its capacity when it has none
+const getSeatCount = (bus) => Math.min(
+  bus.capacity,
+  bus.seatMap && bus.seatMap.length > 0 ? bus.seatMap.length : Math.round(bus.capacity * SEATED_SHARE)
+);
+
+// How crowded a bus is with a number of riders on board: empty, many seats
+// free, standing room only once every seat is taken, or full at capacity
+const getOccupancyLevel = (onBoard, bus) => {
+  const seats = getSeatCount(bus);
+  if (onBoard >= bus.capacity) return 'full';
+  if (onBoard >= seats) return 'standing';
+  if (onBoard <= seats * EMPTY_SHARE) return 'empty';
+  return 'many_seats';
+};
+
+// A bus's occupancy as riders and trackers see it
+const describeOccupancy = (bus, onBoard = bus.currentCapacity) => ({
+  level: getOccupancyLevel(onBoard, bus),
+  onBoard,
+  seats: getSeatCount(bus),
+  capacity: bus.capacity,
+  loadPercent: Math.round((onBoard / bus.capacity) * 100)
+});
+
+// Count riders getting on and off a trip's bus at the stop it is at, from
+// door counters or the driver's taps. The bus's load moves by the
+// difference in one update, kept between empty and its capacity, and the
+// trip records the counts at the stop and the new load. Returns the bus.
+const recordPassengerFlow = async ({ trip, boarded = 0, alighted = 0, at = new Date() }) => {
+  const bus = await Bus.findOneAndUpdate({ _id: trip.bus }, [{
+    $set: {
+      currentCapacity: {
+        $min: ['$capacity', { $max: [0, { $add: ['$currentCapacity', boarded - alighted] }] }]
+      }
+    }
+  }], { new: true });
+  if (!bus) return null;
+
+  const tripUpdate = {
+    $push: { passengerCounts: { count: bus.currentCapacity, recordedAt: at } },
+    $max: { peakPassengerCount: bus.currentCapacity }
+  };
+  const visitIndex = trip.getVisitIndexAt(at);
+  if (visitIndex >= 0) {
+    tripUpdate.$inc = {
+      [`stopsServed.${visitIndex}.passengersBoarded`]: boarded,
+      [`stopsServed.${visitIndex}.passengersAlighted`]: alighted
+    };
+  }
+  await Trip.updateOne({ _id: trip._id }, tripUpdate);
+
+  return bus;
+};
+
+// The load of a completed trip as it left each stop: the last passenger
+// count recorded before it left. Stops left before the first count are
+// skipped. Returns [{ stopNumber, departedAt, onBoard }].
+const getTripStopLoads = (trip) => {
+  const counts = [...trip.passengerCounts].sort((a, b) => a.recordedAt - b.recordedAt);
+  if (counts.length === 0) return [];
+
+  return trip.stopsServed
+    .filter(visit => visit.departureTime || visit.arrivalTime)
+    .map(visit => {
+      const departedAt = visit.departureTime || visit.arrivalTime;
+      const last = counts.filter(count => count.recordedAt <= departedAt).pop();
+      return last ? { stopNumber: visit.stopNumber, departedAt, onBoard: last.count } : null;
+    })
+    .filter(Boolean);
+};
+
+module.exports = {
+  OCCUPANCY_LEVELS,
+  describeOccupancy,
+  getOccupancyLevel,
+  getSeatCount,
+  getTripStopLoads,
+  recordPassengerFlow
+};
@@ -0,0 +1,228 @@
+const Prediction = require('../models/Prediction');
+const Route = require('../models/Route');
+const Bus = require('../models/Bus');
+
+// Each scored sample is one lead-time snapshot of a prediction: what we said
+// 5, 10, 20... minutes ahead, not the live value refreshed just before the
+// bus arrived. Signed error is actual minus predicted arrival in minutes, so
+// a positive error means the bus turned up later than we said. Errors are
+// counted into one-minute bins and every statistic, percentiles included, is
+// derived from the bin counts; that keeps the aggregation small regardless
+// of volume.
+const BIN_MINUTES = 1;
+const MAX_BIN_MINUTES = 60; // errors beyond an hour are clamped into the end bins
+const ON_TIME_MINUTES = 1;
+const ACCURATE_THRESHOLD = 80; // accuracy counted as accurate
+const ACCURACY_PENALTY_PER_MINUTE = 2; // as in Prediction#calculateAccuracy
+const PERCENTILES = [10, 25, 50, 75, 90, 95];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const binGroup = (key) => ({
+  $group: {
+    _id: { key, bin: '$bin' },
+    count: { $sum: 1 },
+    sumError: { $sum: '$errorMinutes' },
+    sumAbsError: { $sum: { $abs: '$errorMinutes' } },
+    sumAccuracy: { $sum: '$accuracy' },
+    accurate: {
+      $sum: { $cond: [{ $gte: ['$accuracy', ACCURATE_THRESHOLD] }, 1, 0] }
+    }
+  }
+});
+
+// Percentile from a sorted histogram, interpolating within the bin it falls in
+const percentileFromBins = (bins, total, p) => {
+  const target = (p / 100) * total;
+  let seen = 0;
+
+  for (const { bin, count } of bins) {
+    if (seen + count >= target) {
+      return round(bin + BIN_MINUTES * ((target - seen) / count));
+    }
+    seen += count;
+  }
+
+  return bins.length ? bins[bins.length - 1].bin + BIN_MINUTES : 0;
+};
+
+// Fold the per-bin rows of one group into its accuracy summary
+const summarizeBins = (rows) => {
+  const bins = rows
+    .map(row => ({ bin: row._id.bin, count: row.count }))
+    .sort((a, b) => a.bin - b.bin);
+  const total = rows.reduce((sum, row) => sum + row.count, 0);
+  const sum = (field) => rows.reduce((acc, row) => acc + row[field], 0);
+
+  const early = bins.filter(b => b.bin < -ON_TIME_MINUTES).reduce((acc, b) => acc + b.count, 0);
+  const late = bins.filter(b => b.bin >= ON_TIME_MINUTES).reduce((acc, b) => acc + b.count, 0);
+
+  return {
+    totalPredictions: total,
+    accuratePredictions: sum('accurate'),
+    averageAccuracy: round(sum('sumAccuracy') / total),
+    meanError: round(sum('sumError') / total),
+    meanAbsoluteError: round(sum('sumAbsError') / total),
+    early,
+    onTime: total - early - late,
+    late,
+    percentiles: PERCENTILES.reduce((acc, p) => {
+      acc[`p${p}`] = percentileFromBins(bins, total, p);
+      return acc;
+    }, {}),
+    histogram: bins.map(({ bin, count }) => ({ minutes: bin, count }))
+  };
+};
+
+// Group facet rows by their key and summarize each group
+const summarizeGroups = (rows) => {
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const id = JSON.stringify(row._id.key);
+    if (!groups.has(id)) groups.set(id, { key: row._id.key, rows: [] });
+    groups.get(id).rows.push(row);
+  });
+
+  return [...groups.values()].map(({ key, rows: groupRows }) => {
+    const { histogram, ...summary } = summarizeBins(groupRows);
+    return { key, ...summary };
+  });
+};
+
+const byWorstError = (a, b) => b.meanAbsoluteError - a.meanAbsoluteError;
+
+// Attach route numbers, stop names and bus numbers to the grouped keys
+const labelBreakdowns = async (breakdowns) => {
+  const routeIds = new Set([
+    ...breakdowns.route.map(group => String(group.key)),
+    ...breakdowns.stop.map(group => String(group.key.route))
+  ]);
+  const busIds = breakdowns.bus.map(group => group.key);
+
+  const [routes, buses] = await Promise.all([
+    Route.find({ _id: { $in: [...routeIds] } }).select('routeNumber routeName stops.stopNumber stops.name').lean(),
+    Bus.find({ _id: { $in: busIds } }).select('busNumber').lean()
+  ]);
+
+  const routeById = new Map(routes.map(route => [String(route._id), route]));
+  const busById = new Map(buses.map(bus => [String(bus._id), bus]));
+
+  return {
+    route: breakdowns.route.map(({ key, ...stats }) => {
+      const route = routeById.get(String(key));
+      return {
+        routeId: key,
+        routeNumber: route?.routeNumber,
+        routeName: route?.routeName,
+        ...stats
+      };
+    }).sort(byWorstError),
+    stop: breakdowns.stop.map(({ key, ...stats }) => {
+      const route = routeById.get(String(key.route));
+      const stop = route?.stops.find(s => s.stopNumber === key.stop);
+      return {
+        routeId: key.route,
+        routeNumber: route?.routeNumber,
+        stopNumber: key.stop,
+        stopName: stop?.name,
+        ...stats
+      };
+    }).sort(byWorstError),
+    bus: breakdowns.bus.map(({ key, ...stats }) => ({
+      busId: key,
+      busNumber: busById.get(String(key))?.busNumber,
+      ...stats
+    })).sort(byWorstError),
+    hour: breakdowns.hour
+      .map(({ key, ...stats }) => ({ hour: key, ...stats }))
+      .sort((a, b) => a.hour - b.hour),
+    weather: breakdowns.weather
+      .map(({ key, ...stats }) => ({ weatherConditions: key, ...stats }))
+      .sort(byWorstError),
+    traffic: breakdowns.traffic
+      .map(({ key, ...stats }) => ({ trafficConditions: key, ...stats }))
+      .sort(byWorstError),
+    algorithm: breakdowns.algorithm
+      .map(({ key, ...stats }) => ({ algorithm: key.algorithm, modelVersion: key.modelVersion, ...stats }))
+      .sort(byWorstError),
+    leadTime: breakdowns.leadTime
+      .map(({ key, ...stats }) => ({ leadMinutes: key, ...stats }))
+      .sort((a, b) => a.leadMinutes - b.leadMinutes)
+  };
+};
+
+// Accuracy report for the snapshots of predictions arriving within
+// [from, to), broken down by lead time, route, stop, bus, hour of day,
+// conditions and algorithm, with a time series bucketed by `interval`
+// ('hour' or 'day') in `timezone`. Filters apply to the predictions;
+// `algorithm` and `leadMinutes` pick snapshots.
+const getAccuracyReport = async ({ from, to, filters = {}, algorithm, leadMinutes, interval = 'day', timezone = 'UTC' }) => {
+  const errorMinutes = {
+    $divide: [{ $subtract: ['$actualArrivalTime', '$snapshots.predictedArrivalTime'] }, 60 * 1000]
+  };
+
+  const snapshotFilters = {};
+  if (algorithm) snapshotFilters['snapshots.algorithm'] = algorithm;
+  if (leadMinutes) snapshotFilters['snapshots.leadMinutes'] = leadMinutes;
+
+  const [facets] = await Prediction.aggregate([
+    {
+      $match: {
+        ...filters,
+        actualArrivalTime: { $gte: from, $lt: to },
+        'snapshots.0': { $exists: true }
+      }
+    },
+    { $unwind: '$snapshots' },
+    { $match: snapshotFilters },
+    { $addFields: { errorMinutes } },
+    {
+      $addFields: {
+        accuracy: {
+          $max: [0, { $subtract: [100, { $multiply: [{ $abs: '$errorMinutes' }, ACCURACY_PENALTY_PER_MINUTE] }] }]
+        },
+        bin: {
+          $min: [
+            MAX_BIN_MINUTES,
+            { $max: [-MAX_BIN_MINUTES, { $multiply: [{ $floor: { $divide: ['$errorMinutes', BIN_MINUTES] } }, BIN_MINUTES] }] }
+          ]
+        }
+      }
+    },
+    {
+      $facet: {
+        overall: [binGroup(null)],
+        route: [binGroup('$routeId')],
+        stop: [binGroup({ route: '$routeId', stop: '$stopId' })],
+        bus: [binGroup('$busId')],
+        hour: [binGroup({ $hour: { date: '$actualArrivalTime', timezone } })],
+        weather: [binGroup('$snapshots.factors.weatherConditions')],
+        traffic: [binGroup('$snapshots.factors.trafficConditions')],
+        algorithm: [binGroup({ algorithm: '$snapshots.algorithm', modelVersion: '$snapshots.modelVersion' })],
+        leadTime: [binGroup('$snapshots.leadMinutes')],
+        timeSeries: [binGroup({ $dateTrunc: { date: '$actualArrivalTime', unit: interval, timezone } })]
+      }
+    }
+  ]);
+
+  const { overall, timeSeries, ...grouped } = facets;
+
+  const breakdowns = await labelBreakdowns(
+    Object.fromEntries(Object.entries(grouped).map(([name, rows]) => [name, summarizeGroups(rows)]))
+  );
+
+  return {
+    distribution: overall.length ? summarizeBins(overall) : null,
+    breakdowns,
+    timeSeries: summarizeGroups(timeSeries)
+      .map(({ key, ...stats }) => ({ time: key, ...stats }))
+      .sort((a, b) => a.time - b.time)
+  };
+};
+
+module.exports = {
+  ON_TIME_MINUTES,
+  ACCURATE_THRESHOLD,
+  getAccuracyReport
+};
@@ -0,0 +1,368 @@
+const mongoose = require('mongoose');
+const Bus = require('../models/Bus');
+const Reservation = require('../models/Reservation');
+const TripSeating = require('../models/TripSeating');
+const { buildTimetable, findPlannedDeparture } = require('./timetableService');
+
+const RESERVABLE_ROUTE_TYPES = ['premium', 'airport', 'intercity'];
+const MAX_DAYS_AHEAD = 30;
+const MAX_SEATS_PER_RIDER = 6; // on any one trip
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Query matching reservations that hold a seat at a time
+const liveReservations = (at) => ({
+  $or: [
+    { status: 'confirmed' },
+    { status: 'held', holdExpiresAt: { $gt: at } }
+  ]
+});
+
+// Whether riders can reserve seats on a route's trips
+const acceptsReservations = (route) =>
+  RESERVABLE_ROUTE_TYPES.includes(route.routeType) && Boolean(route.reservations && route.reservations.bus);
+
+// The planned trip of a route leaving its first stop at departureTime, and
+// its planned times at the two stops. The route's schedule services must
+// be populated. Returns { trip, from, to }, or { status, message } saying
+// what is wrong.
+const findPlannedTrip = (route, departureTime, fromStopNumber, toStopNumber) => {
+  const trip = findPlannedDeparture(route, departureTime);
+  if (!trip) return { status: 404, message: `No trip of route ${route.routeNumber} leaves at that time` };
+
+  const from = trip.stops.find(stop => stop.stopNumber === fromStopNumber);
+  const to = trip.stops.find(stop => stop.stopNumber === toStopNumber);
+  if (!from || !to) return { status: 400, message: `Route ${route.routeNumber} has no such stop` };
+  // Buses only run one way along the stop sequence
+  if (fromStopNumber >= toStopNumber) {
+    return { status: 400, message: `Route ${route.routeNumber} does not run from stop ${fromStopNumber} to stop ${toStopNumber}` };
+  }
+
+  return { trip, from, to };
+};
+
+// The seating of a planned trip, created on the first booking with the
+// route's reservation bus
+const getTripSeating = async (route, departureTime) => {
+  try {
+    return await TripSeating.findOneAndUpdate(
+      { route: route._id, departureTime },
+      { $setOnInsert: { bus: route.reservations.bus } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Two first bookings raced to create it and the other one won
+    if (error.code !== 11000) throw error;
+    return TripSeating.findOne({ route: route._id, departureTime });
+  }
+};
+
+// Whether a seat is free between two stops given a trip's live bookings
+const seatIsFree = (liveBookings, seatLabel, fromStopNumber, toStopNumber) => !liveBookings.some(booking =>
+  booking.seatLabel === seatLabel &&
+  booking.fromStopNumber < toStopNumber &&
+  booking.toStopNumber > fromStopNumber);
+
+// A bus's seat map with whether each seat can be reserved between two stops
+const describeSeats = (bus, seating, fromStopNumber, toStopNumber, at = new Date()) => {
+  const liveBookings = seating ? seating.getLiveBookings(at) : [];
+
+  return bus.seatMap.map(seat => ({
+    label: seat.label,
+    row: seat.row,
+    column: seat.column,
+    type: seat.type,
+    reservable: seat.reservable,
+    available: seat.reservable && seatIsFree(liveBookings, seat.label, fromStopNumber, toStopNumber)
+  }));
+};
+
+// The planned trips of a reservable route on a date that riders can still
+// board at fromStopNumber, with the seats left between the two stops
+const listReservableTrips = async (route, date, fromStopNumber, toStopNumber, at = new Date()) => {
+  const trips = buildTimetable(route, date)
+    .map(trip => ({
+      trip,
+      from: trip.stops.find(stop => stop.stopNumber === fromStopNumber),
+      to: trip.stops.find(stop => stop.stopNumber === toStopNumber)
+    }))
+    .filter(({ from }) => from.plannedTime > at);
+
+  const seatings = await TripSeating.find({
+    route: route._id,
+    departureTime: { $in: trips.map(({ trip }) => trip.departureTime) }
+  });
+  const seatingsByTime = new Map(seatings.map(seating => [seating.departureTime.getTime(), seating]));
+
+  const busIds = [...new Set([route.reservations.bus, ...seatings.map(seating => seating.bus)].map(String))];
+  const buses = await Bus.find({ _id: { $in: busIds } }).select('seatMap');
+  const busesById = new Map(buses.map(bus => [String(bus._id), bus]));
+
+  return trips.map(({ trip, from, to }) => {
+    const seating = seatingsByTime.get(trip.departureTime.getTime());
+    const bus = busesById.get(String(seating ? seating.bus : route.reservations.bus));
+    const seats = bus ? describeSeats(bus, seating, fromStopNumber, toStopNumber, at) : [];
+
+    return {
+      tripNumber: trip.tripNumber,
+      departureTime: trip.departureTime,
+      boardAt: from.plannedTime,
+      arriveAt: to.plannedTime,
+      totalSeats: seats.filter(seat => seat.reservable).length,
+      seatsLeft: seats.filter(seat => seat.available).length
+    };
+  });
+};
+
+// Hold a seat on a planned trip between two stops for the route's hold
+// time. Without a seat label, the first free seat on the seat map is taken.
+// The seat is claimed with one update of the trip's seating that only
+// matches when no live booking of the seat overlaps the stretch, so a seat
+// is never sold twice however many riders try for it at once. The same
+// update checks the rider's seat limit, so concurrent requests of one rider
+// can't go over it either. Returns
+// { reservation }, or { status, message } saying why there is no seat.
+const holdSeat = async ({ user, route, departureTime, fromStopNumber, toStopNumber, seatLabel, at = new Date() }) => {
+  if (!acceptsReservations(route)) {
+    return { status: 400, message: `Route ${route.routeNumber} does not take seat reservations` };
+  }
+
+  const { from, to, status, message } = findPlannedTrip(route, departureTime, fromStopNumber, toStopNumber);
+  if (status) return { status, message };
+
+  if (from.plannedTime <= at) {
+    return { status: 400, message: `This trip has already left ${from.name}` };
+  }
+  if (departureTime.getTime() - at.getTime() > MAX_DAYS_AHEAD * DAY_MS) {
+    return { status: 400, message: `Seats can be reserved at most ${MAX_DAYS_AHEAD} days ahead` };
+  }
+
+  const seatsHeld = await Reservation.countDocuments({ user: user._id, route: route._id, departureTime, ...liveReservations(at) });
+  if (seatsHeld >= MAX_SEATS_PER_RIDER) {
+    return { status: 400, message: `You can reserve at most ${MAX_SEATS_PER_RIDER} seats on a trip` };
+  }
+
+  const seating = await getTripSeating(route, departureTime);
+  const bus = await Bus.findById(seating.bus).select('busNumber seatMap');
+  if (!bus) return { status: 409, message: 'No bus is set for this trip' };
+
+  const seats = describeSeats(bus, seating, fromStopNumber, toStopNumber, at);
+  let candidates;
+  if (seatLabel) {
+    const seat = seats.find(candidate => candidate.label === seatLabel.toUpperCase());
+    if (!seat) return { status: 400, message: `Bus ${bus.busNumber} has no seat ${seatLabel}` };
+    if (!seat.reservable) return { status: 400, message: `Seat ${seat.label} cannot be reserved` };
+    candidates = [seat.label];
+  } else {
+    candidates = seats.filter(seat => seat.available).map(seat => seat.label);
+  }
+
+  const reservationId = new mongoose.Types.ObjectId();
+  const holdExpiresAt = new Date(at.getTime() + route.reservations.holdMinutes * MINUTE_MS);
+
+  // Seats another rider took since the seating was read are skipped
+  let claimed = null;
+  for (const label of candidates) {
+    const updated = await TripSeating.findOneAndUpdate(
+      {
+        _id: seating._id,
+        bus: bus._id, // not if the trip's bus was changed meanwhile
+        bookings: { $not: { $elemMatch: TripSeating.overlapping(label, fromStopNumber, toStopNumber, at) } },
+        $expr: TripSeating.riderBelowLimit(user._id, MAX_SEATS_PER_RIDER, at)
+      },
+      {
+        $push: {
+          bookings: {
+            reservation: reservationId,
+            user: user._id,
+            seatLabel: label,
+            fromStopNumber,
+            toStopNumber,
+            expiresAt: holdExpiresAt
+          }
+        }
+      }
+    );
+    if (updated) {
+      claimed = label;
+      break;
+    }
+  }
+
+  if (!claimed) {
+    // The rider's other requests may have taken their last seats meanwhile
+    const current = await TripSeating.findById(seating._id);
+    const riderBookings = current
+      ? current.getLiveBookings(at).filter(booking => String(booking.user) === String(user._id)).length
+      : 0;
+    if (riderBookings >= MAX_SEATS_PER_RIDER) {
+      return { status: 400, message: `You can reserve at most ${MAX_SEATS_PER_RIDER} seats on a trip` };
+    }
+
+    return {
+      status: 409,
+      message: seatLabel
+        ? `Seat ${candidates[0]} is taken between those stops`
+        : 'No seats are left between those stops'
+    };
+  }
+
+  try {
+    const reservation = await Reservation.create({
+      _id: reservationId,
+      user: user._id,
+      route: route._id,
+      bus: bus._id,
+      departureTime,
+      seatLabel: claimed,
+      fromStopNumber,
+      toStopNumber,
+      boardAt: from.plannedTime,
+      arriveAt: to.plannedTime,
+      holdExpiresAt
+    });
+    return { reservation };
+  } catch (error) {
+    await TripSeating.updateOne({ _id: seating._id }, { $pull: { bookings: { reservation: reservationId } } });
+    throw error;
+  }
+};
+
+// Turn a hold into a confirmed reservation, if it hasn't expired. The
+// seating booking only loses its expiry while the hold is live, so a seat
+// given up to someone else can't be confirmed. Returns { reservation } or
+// { status, message }.
+const confirmReservation = async (reservation, at = new Date()) => {
+  const state = reservation.getState(at);
+  if (state === 'expired') return { status: 409, message: 'The seat hold has expired, please reserve again' };
+  if (state !== 'held') return { status: 400, message: `Reservation is already ${state}` };
+
+  const confirmed = await Reservation.findOneAndUpdate(
+    { _id: reservation._id, status: 'held', holdExpiresAt: { $gt: at } },
+    { status: 'confirmed', confirmedAt: at },
+    { new: true }
+  );
+  if (!confirmed) return { status: 409, message: 'The seat hold has expired, please reserve again' };
+
+  const { matchedCount } = await TripSeating.updateOne(
+    {
+      route: reservation.route,
+      departureTime: reservation.departureTime,
+      bookings: { $elemMatch: { reservation: reservation._id, expiresAt: { $gt: new Date() } } }
+    },
+    { $set: { 'bookings.$.expiresAt': null } }
+  );
+  if (matchedCount === 0) {
+    await Reservation.updateOne({ _id: reservation._id }, { status: 'expired', confirmedAt: null });
+    return { status: 409, message: 'The seat hold has expired, please reserve again' };
+  }
+
+  return { reservation: confirmed };
+};
+
+// Cancel a held or confirmed reservation and free its seat. Returns
+// { reservation } or { status, message }.
+const cancelReservation = async (reservation, at = new Date()) => {
+  const state = reservation.getState(at);
+  if (state !== 'held' && state !== 'confirmed') {
+    return { status: 400, message: `Reservation is already ${state}` };
+  }
+
+  const cancelled = await Reservation.findOneAndUpdate(
+    { _id: reservation._id, status: { $in: ['held', 'confirmed'] } },
+    { status: 'cancelled', cancelledAt: at },
+    { new: true }
+  );
+  if (!cancelled) return { status: 409, message: 'Reservation was changed meanwhile, please reload it' };
+
+  await TripSeating.updateOne(
+    { route: reservation.route, departureTime: reservation.departureTime },
+    { $pull: { bookings: { reservation: reservation._id } } }
+  );
+
+  return { reservation: cancelled };
+};
+
+// Mark holds past their expiry as expired and drop their bookings from the
+// trips' seating. Bookings are only dropped after the grace period seat
+// claims allow them.
+const expireHolds = async (at = new Date()) => {
+  const { modifiedCount } = await Reservation.updateMany(
+    { status: 'held', holdExpiresAt: { $lte: at } },
+    { status: 'expired' }
+  );
+
+  const cutoff = new Date(at.getTime() - TripSeating.HOLD_GRACE_MS);
+  await TripSeating.updateMany(
+    { 'bookings.expiresAt': { $lte: cutoff } },
+    { $pull: { bookings: { expiresAt: { $lte: cutoff } } } }
+  );
+
+  return { expired: modifiedCount };
+};
+
+// Put a different bus on a planned trip. Refused while any live booking is
+// for a seat the new bus has no reservable seat for; the check and the
+// change are one update, so no booking can slip in between.
+const changeTripBus = async (route, departureTime, bus, at = new Date()) => {
+  const seating = await getTripSeating(route, departureTime);
+  const labels = bus.seatMap.filter(seat => seat.reservable).map(seat => seat.label);
+
+  const updated = await TripSeating.findOneAndUpdate(
+    {
+      _id: seating._id,
+      bookings: {
+        $not: {
+          $elemMatch: {
+            seatLabel: { $nin: labels },
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date(at.getTime() - TripSeating.HOLD_GRACE_MS) } }]
+          }
+        }
+      }
+    },
+    { bus: bus._id },
+    { new: true }
+  );
+  if (!updated) {
+    return { status: 409, message: `Bus ${bus.busNumber} lacks seats that are already reserved on this trip` };
+  }
+
+  await Reservation.updateMany(
+    { route: route._id, departureTime, status: { $in: ['held', 'confirmed'] } },
+    { bus: bus._id }
+  );
+
+  return { seating: updated };
+};
+
+// Seats reserved on upcoming trips of a bus that a new seat map would
+// remove, as [{ route, departureTime, seatLabel }]
+const findSeatMapConflicts = async (busId, seatMap, at = new Date()) => {
+  const labels = seatMap.filter(seat => seat.reservable !== false).map(seat => String(seat.label).toUpperCase());
+  const seatings = await TripSeating.find({
+    bus: busId,
+    departureTime: { $gte: new Date(at.getTime() - DAY_MS) },
+    bookings: { $elemMatch: { seatLabel: { $nin: labels } } }
+  });
+
+  return seatings.flatMap(seating => seating.getLiveBookings(at)
+    .filter(booking => !labels.includes(booking.seatLabel))
+    .map(booking => ({ route: seating.route, departureTime: seating.departureTime, seatLabel: booking.seatLabel })));
+};
+
+module.exports = {
+  MAX_SEATS_PER_RIDER,
+  RESERVABLE_ROUTE_TYPES,
+  acceptsReservations,
+  cancelReservation,
+  changeTripBus,
+  confirmReservation,
+  describeSeats,
+  expireHolds,
+  findPlannedTrip,
+  findSeatMapConflicts,
+  holdSeat,
+  listReservableTrips,
+  liveReservations
+};
@@ -0,0 +1,320 @@
+const Route = require('../models/Route');
+const Stop = require('../models/Stop');
+const { haversineDistance } = require('../utils/geo');
+const { escapeRegex, normalizeName, toWords, editDistance } = require('../utils/text');
+
+// Route stops this close to a shared stop are that stop, whatever they are
+// called. With the same name they may be a little further apart.
+const SAME_STOP_METRES = 15;
+const SAME_NAME_METRES = 75;
+
+// Search candidates share the first letters of a typed word or the code, so
+// typos are allowed after those letters. At most MAX_SEARCH_CANDIDATES are
+// scored per search.
+const SEARCH_PREFIX_LENGTH = 3;
+const MAX_SEARCH_CANDIDATES = 200;
+
+// How well a stop name matches the words typed, or 0 when one of them
+// matches nothing in it. Whole words beat prefixes, which beat near misses.
+const scoreName = (name, queryWords) => {
+  const nameWords = toWords(name);
+  let score = 0;
+
+  for (const word of queryWords) {
+    const allowedTypos = word.length >= 7 ? 2 : word.length >= 4 ? 1 : 0;
+    const best = Math.max(0, ...nameWords.map(candidate => {
+      if (candidate === word) return 3;
+      if (candidate.startsWith(word)) return 2;
+      if (allowedTypos === 0) return 0;
+
+      // Compare with the start of longer words too, for half-typed names
+      const typos = Math.min(
+        editDistance(word, candidate, allowedTypos),
+        editDistance(word, candidate.slice(0, word.length), allowedTypos)
+      );
+      return typos <= allowedTypos ? 1 : 0;
+    }));
+
+    if (best === 0) return 0;
+    score += best;
+  }
+
+  const typed = queryWords.join(' ');
+  const full = nameWords.join(' ');
+  if (full === typed) return score + 5;
+  return full.startsWith(typed) ? score + 2 : score;
+};
+
+// Stops matching what a rider typed, best first: by code, then by name or
+// alias, allowing for typos. Nearer stops come first among equal matches
+// when near ([longitude, latitude]) is given. Candidates are narrowed by
+// indexed prefix first and only those are scored.
+const searchStops = async (text, { limit = 10, near } = {}) => {
+  const queryWords = toWords(text);
+  if (queryWords.length === 0) return [];
+
+  const code = text.trim().toLowerCase();
+  const prefixes = [...new Set([code, ...queryWords.map(word => word.slice(0, SEARCH_PREFIX_LENGTH))])];
+  const stops = await Stop.find({
+    searchTerms: { $in: prefixes.map(prefix => new RegExp(`^${escapeRegex(prefix)}`)) }
+  })
+    .select('code name aliases location')
+    .limit(MAX_SEARCH_CANDIDATES);
+
+  return stops
+    .map(stop => {
+      const stopCode = stop.code.toLowerCase();
+      let score = stopCode === code ? 100 : stopCode.startsWith(code) ? 20 : 0;
+      let matchedName = stop.name;
+
+      [stop.name, ...stop.aliases].forEach(name => {
+        const nameScore = scoreName(name, queryWords);
+        if (nameScore > score) {
+          score = nameScore;
+          matchedName = name;
+        }
+      });
+
+      const distance = near
+        ? Math.round(haversineDistance(near, stop.location.coordinates) * 1000)
+        : undefined;
+      return { stop, score, matchedName, distance };
+    })
+    .filter(match => match.score > 0)
+    .sort((a, b) => b.score - a.score ||
+      (near ? a.distance - b.distance : 0) ||
+      a.stop.name.localeCompare(b.stop.name))
+    .slice(0, limit);
+};
+
+// Stops a rider could mean by what they typed: the best matches, all of
+// them when several match equally well
+const findStopsByText = async (text, limit = 5) => {
+  const matches = await searchStops(text, { limit });
+  return matches
+    .filter(match => match.score === matches[0].score)
+    .map(match => match.stop);
+};
+
+// Stops within radiusMetres of a point ([longitude, latitude]), nearest
+// first, with their distance in metres
+const findNearbyStops = async (point, { radiusMetres = 500, limit = 10 } = {}) => {
+  const stops = await Stop.find({
+    location: {
+      $near: {
+        $geometry: { type: 'Point', coordinates: point },
+        $maxDistance: radiusMetres
+      }
+    }
+  }).limit(limit);
+
+  return stops.map(stop => ({
+    stop,
+    distance: Math.round(haversineDistance(point, stop.location.coordinates) * 1000)
+  }));
+};
+
+// Copy a shared stop's details onto a route's visit to it
+const syncRouteStop = (routeStop, stop) => {
+  routeStop.stop = stop._id;
+  routeStop.stopCode = stop.code;
+  routeStop.name = stop.name;
+  routeStop.location = {
+    type: 'Point',
+    coordinates: [...stop.location.coordinates],
+    address: stop.location.address
+  };
+  routeStop.facilities = [...stop.facilities];
+};
+
+// Snap a route's stops to its shape again after they moved, dropping the
+// shape when they no longer fit. Returns a warning when it was dropped.
+const keepStopsOnShape = (route) => {
+  if (!route.shape) return null;
+
+  const { unsnapped } = route.setShape(route.shape.toObject().coordinates);
+  if (unsnapped.length === 0) return null;
+
+  route.clearShape();
+  return `Route ${route.routeNumber}: stops no longer fit the route shape, so it was removed`;
+};
+
+// The shared stop a route stop that isn't linked yet should use: the one
+// with its code or GTFS stop_id, else one close by under the same name or
+// very close by under any name
+const findMatchingStop = async (routeStop) => {
+  if (routeStop.stopCode) return Stop.findOne({ code: routeStop.stopCode });
+
+  if (routeStop.gtfsStopId) {
+    const byGtfsId = await Stop.findOne({ gtfsStopId: routeStop.gtfsStopId });
+    if (byGtfsId) return byGtfsId;
+  }
+
+  const coordinates = routeStop.location.coordinates;
+  const nearby = await Stop.find({
+    location: {
+      $near: {
+        $geometry: { type: 'Point', coordinates },
+        $maxDistance: SAME_NAME_METRES
+      }
+    }
+  }).limit(10);
+
+  const name = normalizeName(routeStop.name);
+  return nearby.find(stop =>
+    haversineDistance(coordinates, stop.location.coordinates) * 1000 <= SAME_STOP_METRES ||
+    [stop.name, ...stop.aliases].some(known => normalizeName(known) === name)
+  ) || null;
+};
+
+// A code no stop has yet, from the route number and stop number
+const generateStopCode = async (routeNumber, stopNumber) => {
+  const base = `${routeNumber}-${stopNumber}`;
+  let code = base;
+  for (let suffix = 2; await Stop.exists({ code }); suffix++) {
+    code = `${base}-${suffix}`;
+  }
+  return code;
+};
+
+// Link each of a route's stops to its shared stop, creating shared stops
+// for ones that match none, and copy the shared details onto them. Stops
+// are handled in order, so a route passing the same place twice uses one
+// stop. Nothing is linked if a stop references a shared stop that doesn't
+// exist; those stop numbers are returned.
+const linkRouteStops = async (routeStops, routeNumber) => {
+  const referenced = routeStops.filter(routeStop => routeStop.stop);
+  const found = await Stop.find({ _id: { $in: referenced.map(routeStop => routeStop.stop) } });
+  const foundIds = new Set(found.map(stop => String(stop._id)));
+  const missing = referenced
+    .filter(routeStop => !foundIds.has(String(routeStop.stop)))
+    .map(routeStop => routeStop.stopNumber);
+  if (missing.length > 0) return { missing, created: 0, matched: 0 };
+
+  let created = 0;
+  let matched = 0;
+
+  for (const routeStop of routeStops) {
+    let stop = routeStop.stop
+      ? found.find(candidate => String(candidate._id) === String(routeStop.stop))
+      : await findMatchingStop(routeStop);
+
+    if (stop) {
+      if (!routeStop.stop) {
+        matched += 1;
+        if (normalizeName(stop.name) !== normalizeName(routeStop.name)) {
+          stop.addAlias(routeStop.name);
+          await stop.save();
+        }
+      }
+    } else {
+      stop = await Stop.create({
+        code: routeStop.stopCode || await generateStopCode(routeNumber, routeStop.stopNumber),
+        name: routeStop.name,
+        location: {
+          type: 'Point',
+          coordinates: routeStop.location.coordinates,
+          address: routeStop.location.address
+        },
+        facilities: routeStop.facilities || [],
+        gtfsStopId: routeStop.gtfsStopId
+      });
+      created += 1;
+    }
+
+    syncRouteStop(routeStop, stop);
+  }
+
+  return { missing: [], created, matched };
+};
+
+// Copy a shared stop's changed details onto every route serving it
+const propagateStop = async (stop) => {
+  const routes = await Route.find({ 'stops.stop': stop._id });
+  const warnings = [];
+
+  for (const route of routes) {
+    route.stops
+      .filter(routeStop => String(routeStop.stop) === String(stop._id))
+      .forEach(routeStop => syncRouteStop(routeStop, stop));
+
+    const warning = keepStopsOnShape(route);
+    if (warning) warnings.push(warning);
+    await route.save();
+  }
+
+  return { routes: routes.length, warnings };
+};
+
+// Fold duplicate stops into one: routes serving them serve the target
+// instead, their names become its aliases and they are deleted
+const mergeStops = async (target, duplicates) => {
+  const duplicateIds = duplicates.map(stop => String(stop._id));
+
+  duplicates.forEach(duplicate => {
+    [duplicate.name, ...duplicate.aliases].forEach(name => target.addAlias(name));
+    duplicate.facilities.forEach(facility => {
+      if (!target.facilities.includes(facility)) target.facilities.push(facility);
+    });
+  });
+  await target.save();
+
+  const routes = await Route.find({ 'stops.stop': { $in: duplicateIds } });
+  const warnings = [];
+
+  for (const route of routes) {
+    route.stops
+      .filter(routeStop => duplicateIds.includes(String(routeStop.stop)))
+      .forEach(routeStop => syncRouteStop(routeStop, target));
+
+    const warning = keepStopsOnShape(route);
+    if (warning) warnings.push(warning);
+    await route.save();
+  }
+
+  await Stop.deleteMany({ _id: { $in: duplicateIds } });
+
+  return { routes: routes.length, warnings };
+};
+
+// Move every route's embedded stops onto shared stops. Safe to run again:
+// stops that are already linked are only refreshed from their shared stop.
+const migrateEmbeddedStops = async () => {
+  const summary = { routes: 0, created: 0, matched: 0, failed: [], warnings: [] };
+  const routes = await Route.find().sort({ routeNumber: 1 });
+
+  for (const route of routes) {
+    try {
+      const stops = [...route.stops].sort((a, b) => a.stopNumber - b.stopNumber);
+      const { missing, created, matched } = await linkRouteStops(stops, route.routeNumber);
+      if (missing.length > 0) {
+        summary.failed.push({ routeNumber: route.routeNumber, message: `Stops ${missing.join(', ')} reference missing shared stops` });
+        continue;
+      }
+
+      const warning = keepStopsOnShape(route);
+      if (warning) summary.warnings.push(warning);
+      await route.save();
+
+      summary.routes += 1;
+      summary.created += created;
+      summary.matched += matched;
+    } catch (error) {
+      summary.failed.push({ routeNumber: route.routeNumber, message: error.message });
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  searchStops,
+  findStopsByText,
+  findNearbyStops,
+  syncRouteStop,
+  keepStopsOnShape,
+  linkRouteStops,
+  propagateStop,
+  mergeStops,
+  migrateEmbeddedStops
+};
@@ -0,0 +1,124 @@
+const Ticket = require('../models/Ticket');
+const { signTicket } = require('./ticketSigning');
+
+const MINUTE_MS = 60 * 1000;
+
+// Take payment for a ticket that is waiting for it. The ticket's ID is the
+// provider's idempotency key, so charging it again after a lost response
+// never takes the money twice. Rejects when the provider can't be reached,
+// leaving the ticket waiting for payment.
+const chargeTicket = async (ticket, { paymentMethod, description }, payments) => {
+  const result = ticket.price > 0
+    ? await payments.charge({
+      amount: ticket.price,
+      currency: ticket.currency,
+      description,
+      customer: String(ticket.user),
+      paymentMethod,
+      idempotencyKey: String(ticket._id)
+    })
+    : { status: 'succeeded', reference: null };
+
+  if (result.status !== 'succeeded') {
+    ticket.status = 'payment_failed';
+    ticket.payment.failureReason = result.failureReason || 'Payment failed';
+    return ticket.save();
+  }
+
+  ticket.status = 'active';
+  ticket.payment.reference = result.reference;
+  ticket.payment.paidAt = new Date();
+  ticket.qrCode = signTicket(ticket);
+  return ticket.save();
+};
+
+// Sell a fare product to a rider. Valid from startAt (for passes bought
+// ahead) or now. A quote-priced product takes its price, routes and zones
+// from the journey's fare, { price, currency, routes, zones, fareRuleSet }.
+// With an idempotency key, a repeated request returns the ticket from the
+// first one, finishing its payment if that never completed. Returns
+// { ticket, replayed }; the ticket's status says whether payment went
+// through.
+const purchaseTicket = async ({ user, product, fare, paymentMethod, startAt, idempotencyKey }, payments) => {
+  const description = `${product.name} ticket`;
+
+  if (idempotencyKey) {
+    const existing = await Ticket.findOne({ user: user._id, idempotencyKey });
+    if (existing) {
+      if (existing.status === 'pending_payment') await chargeTicket(existing, { paymentMethod, description }, payments);
+      return { ticket: existing, replayed: true };
+    }
+  }
+
+  const now = new Date();
+  const validFrom = startAt && startAt > now ? startAt : now;
+  const terms = {
+    price: product.price,
+    currency: product.currency,
+    routes: product.routes,
+    zones: product.zones,
+    ...fare
+  };
+
+  let ticket;
+  try {
+    ticket = await Ticket.create({
+      user: user._id,
+      product: product._id,
+      productCode: product.code,
+      productName: product.name,
+      type: product.type,
+      riderCategory: product.riderCategory,
+      price: terms.price,
+      currency: terms.currency,
+      routes: terms.routes,
+      zones: terms.zones,
+      fareRuleSet: terms.fareRuleSet,
+      maxRides: product.maxRides,
+      validFrom,
+      validUntil: new Date(validFrom.getTime() + product.validityMinutes * MINUTE_MS),
+      payment: { provider: payments.name },
+      idempotencyKey
+    });
+  } catch (error) {
+    // The same purchase arriving twice at once
+    if (error.code === 11000 && idempotencyKey) {
+      return { ticket: await Ticket.findOne({ user: user._id, idempotencyKey }), replayed: true };
+    }
+    throw error;
+  }
+
+  await chargeTicket(ticket, { paymentMethod, description }, payments);
+  return { ticket, replayed: false };
+};
+
+// Give a rider their money back. The ticket stops being accepted by
+// validators that check with the server. Returns { ticket } or { message }
+// saying why it couldn't be refunded.
+const refundTicket = async (ticket, payments) => {
+  if (ticket.status !== 'active') {
+    return { message: `Only paid tickets can be refunded, this one is ${ticket.status.replace('_', ' ')}` };
+  }
+  if (ticket.payment.provider !== payments.name) {
+    return { message: `Ticket was paid through ${ticket.payment.provider}, which is not in use` };
+  }
+
+  if (ticket.payment.reference) {
+    const result = await payments.refund({ reference: ticket.payment.reference, amount: ticket.price });
+    if (result.status !== 'succeeded') {
+      return { message: `Refund failed: ${result.failureReason || 'declined by payment provider'}` };
+    }
+    ticket.payment.refundReference = result.reference;
+  }
+
+  ticket.status = 'refunded';
+  ticket.payment.refundedAt = new Date();
+  await ticket.save();
+
+  return { ticket };
+};
+
+module.exports = {
+  purchaseTicket,
+  refundTicket
+};
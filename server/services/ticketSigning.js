@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+
+// Ticket QR codes carry a signed payload, so anyone holding the public key
+// can check a ticket without reaching the server:
+//   EBT1.<base64url JSON payload>.<base64url Ed25519 signature>
+// The signature covers everything before the last dot.
+const CODE_PREFIX = 'EBT1';
+
+let signingKey = null;
+
+const toBase64Url = (buffer) => buffer.toString('base64url');
+
+// The Ed25519 key from TICKET_SIGNING_KEY, a PKCS#8 PEM private key (with
+// newlines written as \n if need be). Outside production a temporary key is
+// made when none is set; tickets signed with it stop verifying on restart.
+const getSigningKey = () => {
+  if (signingKey) return signingKey;
+
+  let privateKey;
+  if (process.env.TICKET_SIGNING_KEY) {
+    privateKey = crypto.createPrivateKey(process.env.TICKET_SIGNING_KEY.replace(/\\n/g, '\n'));
+    if (privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('TICKET_SIGNING_KEY must be an Ed25519 private key');
+    }
+  } else {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('TICKET_SIGNING_KEY must be set in production');
+    }
+    console.warn('TICKET_SIGNING_KEY is not set, signing tickets with a temporary key');
+    privateKey = crypto.generateKeyPairSync('ed25519').privateKey;
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+  signingKey = {
+    privateKey,
+    publicKey,
+    keyId: crypto.createHash('sha256').update(der).digest('hex').slice(0, 16)
+  };
+  return signingKey;
+};
+
+// The public half of the signing key, for validators to check tickets with
+const getPublicKeyInfo = () => {
+  const { publicKey, keyId } = getSigningKey();
+  return {
+    algorithm: 'Ed25519',
+    keyId,
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+  };
+};
+
+const toSeconds = (date) => Math.floor(date.getTime() / 1000);
+
+// Sign a paid ticket's terms into the text of its QR code. Times are in
+// seconds since the epoch.
+const signTicket = (ticket) => {
+  const { privateKey, keyId } = getSigningKey();
+
+  const payload = {
+    version: 1,
+    keyId,
+    ticketId: String(ticket._id),
+    product: ticket.productCode,
+    type: ticket.type,
+    category: ticket.riderCategory,
+    validFrom: toSeconds(ticket.validFrom),
+    validUntil: toSeconds(ticket.validUntil),
+    maxRides: ticket.maxRides || null,
+    routes: ticket.routes.map(String),
+    zones: ticket.zones || []
+  };
+
+  const signed = `${CODE_PREFIX}.${toBase64Url(Buffer.from(JSON.stringify(payload)))}`;
+  const signature = crypto.sign(null, Buffer.from(signed), privateKey);
+  return `${signed}.${toBase64Url(signature)}`;
+};
+
+// Check a QR code's signature. Returns { valid: true, payload } or
+// { valid: false, reason }. Whether the ticket is in date, on the right
+// route and so on is for the caller to judge from the payload.
+const verifyTicketCode = (code) => {
+  const parts = typeof code === 'string' ? code.trim().split('.') : [];
+  if (parts.length !== 3 || parts[0] !== CODE_PREFIX) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, reason: 'malformed' };
+  }
+
+  const { publicKey, keyId } = getSigningKey();
+  if (payload.keyId !== keyId) {
+    return { valid: false, reason: 'unknown_key' };
+  }
+
+  const signed = Buffer.from(`${parts[0]}.${parts[1]}`);
+  if (!crypto.verify(null, signed, publicKey, Buffer.from(parts[2], 'base64url'))) {
+    return { valid: false, reason: 'bad_signature' };
+  }
+
+  return { valid: true, payload };
+};
+
+module.exports = {
+  getPublicKeyInfo,
+  signTicket,
+  verifyTicketCode
+};
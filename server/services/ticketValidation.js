@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const BoardingEvent = require('../models/BoardingEvent');
+const Bus = require('../models/Bus');
+const FareRuleSet = require('../models/FareRuleSet');
+const Route = require('../models/Route');
+const Ticket = require('../models/Ticket');
+const Trip = require('../models/Trip');
+const { getRouteStopZone } = require('./fareEngine');
+const { verifyTicketCode } = require('./ticketSigning');
+
+const MINUTE_MS = 60 * 1000;
+
+// A ticket that boarded another bus this recently was handed back to
+// someone else; no rider changes buses that fast
+const ANTI_PASSBACK_MINUTES = 3;
+
+const REJECTION_MESSAGES = {
+  malformed: 'Not a ticket',
+  unknown_key: 'Ticket was signed with an unknown key',
+  bad_signature: 'Ticket signature is invalid',
+  not_yet_valid: 'Ticket is not valid yet',
+  expired: 'Ticket has expired',
+  wrong_route: 'Ticket is not valid on this route',
+  wrong_zone: 'Ticket is not valid in this zone',
+  not_found: 'Ticket not found',
+  refunded: 'Ticket was refunded',
+  not_paid: 'Ticket was not paid for',
+  passback: 'Ticket was just used on another bus',
+  already_boarded: 'Ticket was already used on this trip',
+  no_rides_left: 'Ticket has no rides left',
+  bus_full: 'Bus is full'
+};
+
+// Everything that can be judged from the QR code alone, the same checks a
+// driver's device makes with the public key while offline. Returns
+// { payload } when the ticket may board, or { payload, reason } when not
+// (payload is missing when the code can't be trusted at all).
+const checkTicketCode = (code, { at = new Date(), routeId }) => {
+  const { valid, payload, reason } = verifyTicketCode(code);
+  if (!valid) return { reason };
+
+  const seconds = at.getTime() / 1000;
+  if (seconds < payload.validFrom) return { payload, reason: 'not_yet_valid' };
+  if (seconds >= payload.validUntil) return { payload, reason: 'expired' };
+
+  if (payload.routes.length > 0 && !payload.routes.includes(String(routeId))) {
+    return { payload, reason: 'wrong_route' };
+  }
+
+  return { payload };
+};
+
+// The fare zone of a route stop under the rules in effect at a time, if
+// it has one
+const getBoardingZone = async (routeId, stopNumber, at) => {
+  if (stopNumber === undefined) return null;
+
+  const [rules, route] = await Promise.all([
+    FareRuleSet.findInEffect(at),
+    Route.findById(routeId).select('stops.stopNumber stops.stop')
+  ]);
+  if (!rules || !route || !route.stops.some(stop => stop.stopNumber === stopNumber)) return null;
+
+  return getRouteStopZone(rules, route, stopNumber);
+};
+
+// Validate a ticket scanned as a rider boarded a trip, and record the scan.
+// An accepted scan uses one of the ticket's rides and counts the rider on
+// the trip. Online scans also take a seat on the bus; offline scans are
+// uploaded after the rider is aboard, so the bus's load has moved on.
+// Returns { accepted, reason, message, event, ticket, bus }.
+const validateBoarding = async ({ code, trip, driver, at = new Date(), source = 'online', clientEventId }) => {
+  const visitIndex = trip.getVisitIndexAt(at);
+  const fields = {
+    bus: trip.bus,
+    trip: trip._id,
+    route: trip.route,
+    driver,
+    stopNumber: visitIndex >= 0 ? trip.stopsServed[visitIndex].stopNumber : undefined,
+    source,
+    scannedAt: at,
+    clientEventId
+  };
+
+  const reject = async (reason) => ({
+    accepted: false,
+    reason,
+    message: REJECTION_MESSAGES[reason],
+    event: await BoardingEvent.create({ ...fields, result: 'rejected', reason })
+  });
+
+  const { payload, reason } = checkTicketCode(code, { at, routeId: trip.route });
+  if (payload) {
+    fields.productCode = payload.product;
+    fields.riderCategory = payload.category;
+    if (mongoose.isValidObjectId(payload.ticketId)) fields.ticket = payload.ticketId;
+  }
+  if (reason) return reject(reason);
+  if (!fields.ticket) return reject('not_found');
+
+  // Zones depend on the fare rules, so only the server checks them. Before
+  // the bus reaches its first stop the zone is unknown and any will do.
+  if (payload.zones && payload.zones.length > 0) {
+    const zone = await getBoardingZone(trip.route, fields.stopNumber, at);
+    if (zone && !payload.zones.includes(zone)) return reject('wrong_zone');
+  }
+
+  // Checks only the server can make
+  const ticket = await Ticket.findById(fields.ticket).select('status');
+  if (!ticket) return reject('not_found');
+  if (ticket.status !== 'active') return reject(ticket.status === 'refunded' ? 'refunded' : 'not_paid');
+
+  const window = ANTI_PASSBACK_MINUTES * MINUTE_MS;
+  const passedBack = await BoardingEvent.exists({
+    ticket: ticket._id,
+    result: 'accepted',
+    trip: { $ne: trip._id },
+    scannedAt: { $gt: new Date(at.getTime() - window), $lt: new Date(at.getTime() + window) }
+  });
+  if (passedBack) return reject('passback');
+
+  // The unique index lets a ticket board a trip once, even when two scans
+  // of it arrive together
+  let event;
+  try {
+    event = await BoardingEvent.create({ ...fields, result: 'accepted' });
+  } catch (error) {
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.trip) return reject('already_boarded');
+    throw error;
+  }
+
+  const undo = async (reason) => {
+    event.result = 'rejected';
+    event.reason = reason;
+    await event.save();
+    return { accepted: false, reason, message: REJECTION_MESSAGES[reason], event };
+  };
+
+  const claimed = await Ticket.findOneAndUpdate({
+    _id: ticket._id,
+    status: 'active',
+    $or: [{ maxRides: null }, { $expr: { $lt: ['$ridesTaken', '$maxRides'] } }]
+  }, { $inc: { ridesTaken: 1 } }, { new: true });
+  if (!claimed) return undo('no_rides_left');
+
+  const tripUpdate = {};
+  if (visitIndex >= 0) tripUpdate.$inc = { [`stopsServed.${visitIndex}.passengersBoarded`]: 1 };
+
+  let bus = null;
+  if (source === 'online') {
+    bus = await Bus.findOneAndUpdate({
+      _id: trip.bus,
+      $expr: { $lt: ['$currentCapacity', '$capacity'] }
+    }, { $inc: { currentCapacity: 1 } }, { new: true });
+
+    if (!bus) {
+      await Ticket.updateOne({ _id: ticket._id }, { $inc: { ridesTaken: -1 } });
+      return undo('bus_full');
+    }
+
+    tripUpdate.$push = { passengerCounts: { count: bus.currentCapacity, recordedAt: at } };
+    tripUpdate.$max = { peakPassengerCount: bus.currentCapacity };
+  }
+
+  if (Object.keys(tripUpdate).length) {
+    await Trip.updateOne({ _id: trip._id }, tripUpdate);
+  }
+
+  return { accepted: true, event, ticket: claimed, bus };
+};
+
+module.exports = {
+  ANTI_PASSBACK_MINUTES,
+  REJECTION_MESSAGES,
+  checkTicketCode,
+  validateBoarding
+};
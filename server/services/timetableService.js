@@ -0,0 +1,159 @@
+const { getDayOfWeek } = require('../utils/time');
+const { calendarRunsOn } = require('../utils/serviceCalendar');
+
+const MAX_NEXT_DEPARTURE_DAYS = 7; // how far ahead to look for the next departure
+const MINUTES_PER_DAY = 24 * 60;
+
+// Minutes since midnight for an HH:MM time
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Local midnight of the given date
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+// Whether a schedule entry runs on a date: on its service calendar's dates
+// when it has one, otherwise every week on its day
+const entryRunsOn = (entry, date) => {
+  if (!entry.service) return entry.day === getDayOfWeek(date);
+
+  if (!entry.service.days) {
+    throw new Error('Schedule services must be populated to build a timetable');
+  }
+  return calendarRunsOn(entry.service, date);
+};
+
+// Service windows that apply on a date. A route without a weekly schedule
+// runs every day across its operating hours at its base frequency.
+const getServiceWindows = (route, date) => {
+  if (route.schedule.length === 0) {
+    return [{
+      startTime: route.operatingHours.start,
+      endTime: route.operatingHours.end,
+      frequency: route.frequency
+    }];
+  }
+
+  return route.schedule.filter(entry => entryRunsOn(entry, date));
+};
+
+// A service window as minutes since the start of its service day. A window
+// ending before it starts runs past midnight, so its end falls on the next
+// calendar day, after 24:00 like GTFS times.
+const getWindowMinutes = (window) => {
+  const start = toMinutes(window.startTime);
+  const end = toMinutes(window.endTime);
+  return { start, end: end < start ? end + MINUTES_PER_DAY : end };
+};
+
+// Planned departure minutes from the first stop on a date. Each window runs
+// from its start time up to and including its end time; overlapping windows
+// are merged. Departures past midnight stay with the day their window
+// started on.
+const getDepartureMinutes = (route, date) => {
+  const minutes = new Set();
+
+  getServiceWindows(route, date).forEach(window => {
+    const { start, end } = getWindowMinutes(window);
+    for (let time = start; time <= end; time += window.frequency) {
+      minutes.add(time);
+    }
+  });
+
+  return [...minutes].sort((a, b) => a - b);
+};
+
+const getOrderedStops = (route) => [...route.stops].sort((a, b) => a.stopNumber - b.stopNumber);
+
+// Planned trips for a route on a date, with the planned time at every stop
+// from each stop's estimatedTime offset
+const buildTimetable = (route, date = new Date()) => {
+  const midnight = startOfDay(date);
+  const stops = getOrderedStops(route);
+
+  return getDepartureMinutes(route, midnight).map((minutes, i) => {
+    const departureTime = addMinutes(midnight, minutes);
+
+    return {
+      tripNumber: i + 1,
+      departureTime,
+      arrivalTime: addMinutes(departureTime, stops.length ? stops[stops.length - 1].estimatedTime : 0),
+      stops: stops.map(stop => ({
+        stopNumber: stop.stopNumber,
+        name: stop.name,
+        plannedTime: addMinutes(departureTime, stop.estimatedTime)
+      }))
+    };
+  });
+};
+
+// The planned trip leaving the first stop at departureTime. Trips after
+// midnight may belong to the day before's windows.
+const findPlannedDeparture = (route, departureTime) => {
+  for (const offset of [0, -1]) {
+    const day = startOfDay(departureTime);
+    day.setDate(day.getDate() + offset);
+
+    const trip = buildTimetable(route, day).find(candidate => candidate.departureTime.getTime() === departureTime.getTime());
+    if (trip) return trip;
+  }
+  return null;
+};
+
+// Whether any service window covers a time, including windows that started
+// the day before and run past midnight
+const isInService = (route, at = new Date()) => {
+  const minutes = at.getHours() * 60 + at.getMinutes();
+  const dayBefore = startOfDay(at);
+  dayBefore.setDate(dayBefore.getDate() - 1);
+
+  return getServiceWindows(route, at).some(window => {
+    const { start, end } = getWindowMinutes(window);
+    return minutes >= start && minutes <= end;
+  }) || getServiceWindows(route, dayBefore).some(window => {
+    const { end } = getWindowMinutes(window);
+    return minutes + MINUTES_PER_DAY <= end;
+  });
+};
+
+// Planned departures at a stop (the first stop by default) at or after a
+// time, looking ahead into following days until `limit` are found
+const getNextDepartures = (route, { from = new Date(), stopNumber, limit = 1 } = {}) => {
+  const stops = getOrderedStops(route);
+  const stop = stopNumber !== undefined ? stops.find(s => s.stopNumber === stopNumber) : stops[0];
+  if (!stop) return [];
+
+  // Start from the day before, whose late trips can reach later stops
+  // after midnight
+  const departures = [];
+  for (let offset = -1; offset < MAX_NEXT_DEPARTURE_DAYS && departures.length < limit; offset++) {
+    const day = startOfDay(from);
+    day.setDate(day.getDate() + offset);
+
+    buildTimetable(route, day).forEach(trip => {
+      const plannedTime = addMinutes(trip.departureTime, stop.estimatedTime);
+      if (plannedTime >= from && departures.length < limit) {
+        departures.push({ tripNumber: trip.tripNumber, departureTime: trip.departureTime, plannedTime });
+      }
+    });
+  }
+
+  return departures;
+};
+
+module.exports = {
+  entryRunsOn,
+  getServiceWindows,
+  getWindowMinutes,
+  buildTimetable,
+  findPlannedDeparture,
+  isInService,
+  getNextDepartures
+};
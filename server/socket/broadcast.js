@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+
+// Socket.IO namespaces by audience. Riders only hear about the buses they
+// track; operations staff hear about every bus through the fleet room.
+// Departure boards are public and only hear that a stop's board changed.
+const NAMESPACES = {
+  riders: '/riders',
+  drivers: '/drivers',
+  ops: '/ops',
+  boards: '/boards'
+};
+
+const FLEET_ROOM = 'fleet';
+
+const RELAY_CHANNEL = 'ebus:realtime';
+const RELAY_ERROR_LOG_INTERVAL_MS = 60 * 1000; // at most one publish error logged per interval
+
+const busRoom = (busId) => `bus-${busId}`;
+
+const stopRoom = (stopCode) => `stop-${stopCode}`;
+
+const userRoom = (userId) => `user-${userId}`;
+
+// Each server instance only knows its own sockets. Every broadcast is
+// applied here and published so the other instances apply it to theirs.
+const instanceId = crypto.randomUUID();
+let relay = null;
+let lastRelayErrorAt = 0;
+let suppressedRelayErrors = 0;
+
+const apply = (io, { op, namespace, rooms, event, payload }) => {
+  const nsp = io.of(namespace);
+
+  if (op === 'leave') {
+    nsp.in(rooms).socketsLeave(rooms);
+  } else {
+    (rooms.length ? nsp.to(rooms) : nsp).emit(event, payload);
+  }
+};
+
+// Every broadcast fails while the pub/sub server is down, so only the first
+// error in each interval is logged, with a count of the ones left out
+const logRelayError = (error) => {
+  const now = Date.now();
+  if (now - lastRelayErrorAt < RELAY_ERROR_LOG_INTERVAL_MS) {
+    suppressedRelayErrors += 1;
+    return;
+  }
+
+  const suppressed = suppressedRelayErrors ? ` (${suppressedRelayErrors} more since the last one logged)` : '';
+  console.error(`Realtime relay publish error${suppressed}:`, error.message);
+  lastRelayErrorAt = now;
+  suppressedRelayErrors = 0;
+};
+
+const broadcast = (io, message) => {
+  if (!io) return;
+  apply(io, message);
+
+  if (relay) {
+    relay.publish(RELAY_CHANNEL, { origin: instanceId, ...message })
+      .catch(logRelayError);
+  }
+};
+
+// Apply broadcasts published by other instances to this instance's sockets
+const startRealtimeRelay = async (io, pubsub) => {
+  relay = pubsub;
+  await pubsub.subscribe(RELAY_CHANNEL, (message) => {
+    if (message.origin === instanceId) return;
+    apply(io, message);
+  });
+};
+
+// Send a bus event to the riders tracking it and to operations staff
+const emitToBus = (io, busId, event, payload) => {
+  broadcast(io, { op: 'emit', namespace: NAMESPACES.riders, rooms: [busRoom(busId)], event, payload });
+  broadcast(io, { op: 'emit', namespace: NAMESPACES.ops, rooms: [busRoom(busId), FLEET_ROOM], event, payload });
+};
+
+// Send a bus event to operations staff only, for details riders shouldn't
+// see about each other
+const emitToOps = (io, busId, event, payload) => {
+  broadcast(io, { op: 'emit', namespace: NAMESPACES.ops, rooms: [busRoom(busId), FLEET_ROOM], event, payload });
+};
+
+// Send an event to every connected rider, departure board and operations
+// staff member, e.g. a service alert
+const emitToAll = (io, event, payload) => {
+  broadcast(io, { op: 'emit', namespace: NAMESPACES.riders, rooms: [], event, payload });
+  broadcast(io, { op: 'emit', namespace: NAMESPACES.boards, rooms: [], event, payload });
+  broadcast(io, { op: 'emit', namespace: NAMESPACES.ops, rooms: [], event, payload });
+};
+
+// Send an event to one rider, on every device they are connected from
+const emitToUser = (io, userId, event, payload) => {
+  broadcast(io, { op: 'emit', namespace: NAMESPACES.riders, rooms: [userRoom(userId)], event, payload });
+};
+
+// Tell the departure boards of the given stops to refresh
+const emitToStops = (io, stopCodes, event, payload) => {
+  if (stopCodes.length === 0) return;
+  broadcast(io, { op: 'emit', namespace: NAMESPACES.boards, rooms: stopCodes.map(stopRoom), event, payload });
+};
+
+// Stop riders hearing about a bus, e.g. once its trip is over and its
+// driver's position is no longer public
+const closeBusRoom = (io, busId) => {
+  broadcast(io, { op: 'leave', namespace: NAMESPACES.riders, rooms: [busRoom(busId)] });
+};
+
+module.exports = {
+  NAMESPACES,
+  FLEET_ROOM,
+  busRoom,
+  stopRoom,
+  userRoom,
+  startRealtimeRelay,
+  emitToBus,
+  emitToOps,
+  emitToAll,
+  emitToUser,
+  emitToStops,
+  closeBusRoom
+};
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const Bus = require('../models/Bus');
+const Stop = require('../models/Stop');
+const { findUserByToken } = require('../middleware/auth');
+const { locationValidation, validatePayload } = require('../middleware/validation');
+const { processLocationUpdate } = require('../services/locationService');
+const { NAMESPACES, FLEET_ROOM, busRoom, stopRoom, userRoom } = require('./broadcast');
+
+const MAX_WATCHED_STOPS = 10; // stop boards one socket may follow
+
+// Reply through the client's acknowledgement callback when it sent one
+const reply = (ack, response) => {
+  if (typeof ack === 'function') ack(response);
+};
+
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+  if (auth.token) return auth.token;
+  if (headers.authorization && headers.authorization.startsWith('Bearer')) {
+    return headers.authorization.split(' ')[1];
+  }
+  return null;
+};
+
+// Namespace middleware checking the handshake carries the same JWT as
+// protect, for an account with one of the given roles
+const authenticate = (...roles) => async (socket, next) => {
+  try {
+    const token = getHandshakeToken(socket);
+    if (!token) {
+      return next(new Error('Not authorized, no token'));
+    }
+
+    const { user, message } = await findUserByToken(token);
+    if (!user) {
+      return next(new Error(message));
+    }
+
+    if (!roles.includes(user.role)) {
+      return next(new Error(`User role ${user.role} is not authorized for this namespace`));
+    }
+
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Not authorized, token failed'));
+  }
+};
+
+// Join a bus room. Riders may only follow a bus while it is on a trip.
+const handleJoinBusTrack = (socket, { onTripOnly }) => async (busId, ack) => {
+  try {
+    if (!mongoose.isValidObjectId(busId)) {
+      return reply(ack, { ok: false, message: 'Valid bus ID required' });
+    }
+
+    const bus = await Bus.findById(busId).select('currentTrip');
+    if (!bus) {
+      return reply(ack, { ok: false, message: 'Bus not found' });
+    }
+
+    if (onTripOnly && !bus.currentTrip) {
+      return reply(ack, { ok: false, message: 'Bus is not on a trip' });
+    }
+
+    socket.join(busRoom(busId));
+    reply(ack, { ok: true });
+  } catch (error) {
+    console.error('Join bus tracking error:', error);
+    reply(ack, { ok: false, message: 'Server error' });
+  }
+};
+
+const handleLeaveBusTrack = (socket) => (busId, ack) => {
+  socket.leave(busRoom(busId));
+  reply(ack, { ok: true });
+};
+
+// Follow a stop's departure board. Anyone may, since boards are public, but
+// only for known stops and a few at a time.
+const handleWatchStop = (socket) => async (stopCode, ack) => {
+  try {
+    if (typeof stopCode !== 'string' || !stopCode.trim()) {
+      return reply(ack, { ok: false, message: 'Valid stop code required' });
+    }
+
+    const watching = [...socket.rooms].filter(room => room.startsWith(stopRoom('')));
+    if (watching.length >= MAX_WATCHED_STOPS && !socket.rooms.has(stopRoom(stopCode))) {
+      return reply(ack, { ok: false, message: `Cannot watch more than ${MAX_WATCHED_STOPS} stops` });
+    }
+
+    const known = await Stop.exists({ code: stopCode });
+    if (!known) {
+      return reply(ack, { ok: false, message: 'Stop not found' });
+    }
+
+    socket.join(stopRoom(stopCode));
+    reply(ack, { ok: true });
+  } catch (error) {
+    console.error('Watch stop error:', error);
+    reply(ack, { ok: false, message: 'Server error' });
+  }
+};
+
+const handleUnwatchStop = (socket) => (stopCode, ack) => {
+  socket.leave(stopRoom(stopCode));
+  reply(ack, { ok: true });
+};
+
+// Set up the rider, driver, operations and departure board namespaces.
+// Clients connecting to the default namespace are turned away.
+const initSocket = (io) => {
+  io.use((socket, next) => {
+    next(new Error('Connect to the /riders, /drivers, /ops or /boards namespace'));
+  });
+
+  const riders = io.of(NAMESPACES.riders);
+  riders.use(authenticate('user'));
+  riders.on('connection', (socket) => {
+    // Rider alerts reach every device the rider is connected from
+    socket.join(userRoom(socket.data.user._id));
+
+    socket.on('join-bus-track', handleJoinBusTrack(socket, { onTripOnly: true }));
+    socket.on('leave-bus-track', handleLeaveBusTrack(socket));
+  });
+
+  const drivers = io.of(NAMESPACES.drivers);
+  drivers.use(authenticate('driver'));
+  drivers.on('connection', (socket) => {
+    const driverId = socket.data.user._id;
+
+    // GPS fixes are applied one at a time, in the order they were sent, so
+    // stop arrivals and departures are detected in sequence. Fixes that
+    // arrive while one is being applied are coalesced: only the latest waits
+    // its turn and the ones it replaces are acknowledged as skipped.
+    let applying = false;
+    let latest = null;
+
+    const applyFix = async (fix, ack) => {
+      try {
+        const errors = await validatePayload(locationValidation, fix);
+        if (errors.length > 0) {
+          return reply(ack, { ok: false, errors });
+        }
+
+        const { driver } = await processLocationUpdate(driverId, fix, io);
+        reply(ack, { ok: true, location: driver.currentLocation });
+      } catch (error) {
+        console.error('Socket location update error:', error);
+        reply(ack, { ok: false, message: 'Server error' });
+      }
+    };
+
+    const applyLatest = async () => {
+      applying = true;
+      while (latest) {
+        const { fix, ack } = latest;
+        latest = null;
+        await applyFix(fix, ack);
+      }
+      applying = false;
+    };
+
+    socket.on('location', (fix, ack) => {
+      if (latest) reply(latest.ack, { ok: true, skipped: true });
+      latest = { fix, ack };
+      if (!applying) applyLatest();
+    });
+  });
+
+  const ops = io.of(NAMESPACES.ops);
+  ops.use(authenticate('admin'));
+  ops.on('connection', (socket) => {
+    socket.join(FLEET_ROOM);
+    socket.on('join-bus-track', handleJoinBusTrack(socket, { onTripOnly: false }));
+    socket.on('leave-bus-track', handleLeaveBusTrack(socket));
+  });
+
+  const boards = io.of(NAMESPACES.boards);
+  boards.on('connection', (socket) => {
+    socket.on('watch-stop', handleWatchStop(socket));
+    socket.on('unwatch-stop', handleUnwatchStop(socket));
+  });
+};
+
+module.exports = {
+  initSocket
+};
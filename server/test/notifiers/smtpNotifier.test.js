@@ -0,0 +1,107 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { once } = require('events');
+const { createSmtpNotifier } = require('../../notifiers/smtpNotifier');
+
+// A mail server that accepts everything over plain SMTP and keeps the
+// commands and message it was sent
+const startSmtpServer = async () => {
+  const sessions = [];
+  const server = net.createServer(socket => {
+    const session = { commands: [], data: null };
+    sessions.push(session);
+    let buffer = '';
+    let inData = false;
+
+    socket.write('220 mail.test ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+
+      if (inData) {
+        const end = buffer.indexOf('\r\n.\r\n');
+        if (end === -1) return;
+        session.data = buffer.slice(0, end);
+        buffer = buffer.slice(end + 5);
+        inData = false;
+        socket.write('250 OK queued\r\n');
+      }
+
+      let end;
+      while (!inData && (end = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        session.commands.push(line);
+
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') socket.write('250-mail.test\r\n250 8BITMIME\r\n');
+        else if (verb === 'DATA') {
+          inData = true;
+          socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+        } else if (verb === 'QUIT') socket.end('221 Bye\r\n');
+        else socket.write('250 OK\r\n');
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return { server, sessions, url: `smtp://127.0.0.1:${server.address().port}` };
+};
+
+describe('createSmtpNotifier', () => {
+  let smtp;
+
+  afterEach(async () => {
+    await new Promise(resolve => smtp.server.close(resolve));
+  });
+
+  it('emails the notification with a link to the app', async () => {
+    smtp = await startSmtpServer();
+    const notifier = createSmtpNotifier({ url: smtp.url, from: 'E-Bus <alerts@ebus.test>', appUrl: 'https://ebus.test' });
+
+    const result = await notifier.send({ email: 'rider@example.com' }, {
+      title: 'Route 12 from Café Corner',
+      body: 'Next buses at Café Corner: 08:05, 08:20.',
+      url: '/board/CAFE'
+    });
+
+    assert.deepEqual(result, { status: 'sent' });
+    const [session] = smtp.sessions;
+    assert.deepEqual(session.commands.slice(1), ['MAIL FROM:<alerts@ebus.test>', 'RCPT TO:<rider@example.com>', 'DATA', 'QUIT']);
+
+    const [headers, body] = session.data.split('\r\n\r\n');
+    assert.match(headers, /^From: E-Bus <alerts@ebus\.test>$/m);
+    assert.match(headers, /^To: rider@example\.com$/m);
+    const [, subject] = /^Subject: =\?UTF-8\?B\?(.+)\?=$/m.exec(headers);
+    assert.equal(Buffer.from(subject, 'base64').toString('utf8'), 'Route 12 from Café Corner');
+    assert.equal(
+      Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8'),
+      'Next buses at Café Corner: 08:05, 08:20.\n\nhttps://ebus.test/board/CAFE\n'
+    );
+  });
+
+  it('refuses to send credentials without TLS', async () => {
+    smtp = await startSmtpServer();
+    const notifier = createSmtpNotifier({
+      url: smtp.url.replace('smtp://', 'smtp://user:secret@'),
+      from: 'alerts@ebus.test',
+      appUrl: 'https://ebus.test'
+    });
+
+    assert.deepEqual(await notifier.send({ email: 'rider@example.com' }, { title: 'Hi', body: 'Hello' }), {
+      status: 'failed',
+      reason: 'SMTP server offers no TLS to log in over'
+    });
+    assert.ok(!smtp.sessions[0].commands.some(command => command.startsWith('AUTH')));
+  });
+
+  it('skips riders without an email address', async () => {
+    smtp = await startSmtpServer();
+    const notifier = createSmtpNotifier({ url: smtp.url, from: 'alerts@ebus.test', appUrl: 'https://ebus.test' });
+
+    assert.deepEqual(await notifier.send({}, { title: 'Hi', body: 'Hello' }), { status: 'skipped', reason: 'No email address' });
+    assert.equal(smtp.sessions.length, 0);
+  });
+});
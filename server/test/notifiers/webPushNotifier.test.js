@@ -0,0 +1,189 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { once } = require('events');
+const {
+  createWebPushNotifier,
+  encryptPayload,
+  generateVapidKeys,
+  signVapidToken
+} = require('../../notifiers/webPushNotifier');
+
+// A browser's push subscription keys, kept so the test can decrypt
+const createSubscriber = () => {
+  const ecdh = crypto.createECDH('prime256v1');
+  const receiverKey = ecdh.generateKeys();
+  const authSecret = crypto.randomBytes(16);
+
+  return {
+    keys: { p256dh: receiverKey.toString('base64url'), auth: authSecret.toString('base64url') },
+    // Decrypt a single aes128gcm record the way the browser does (RFC 8291)
+    decrypt: (body) => {
+      const salt = body.subarray(0, 16);
+      const recordSize = body.readUInt32BE(16);
+      const keyLength = body.readUInt8(20);
+      const senderKey = body.subarray(21, 21 + keyLength);
+      const record = body.subarray(21 + keyLength);
+
+      const sharedSecret = ecdh.computeSecret(senderKey);
+      const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), receiverKey, senderKey]);
+      const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+      const contentKey = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+      const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+      const decipher = crypto.createDecipheriv('aes-128-gcm', contentKey, nonce);
+      decipher.setAuthTag(record.subarray(record.length - 16));
+      const padded = Buffer.concat([decipher.update(record.subarray(0, record.length - 16)), decipher.final()]);
+
+      assert.equal(recordSize, 4096);
+      assert.equal(padded[padded.length - 1], 0x02);
+      return padded.subarray(0, padded.length - 1);
+    }
+  };
+};
+
+// Check an ES256 VAPID JWT against the server's public key and return its
+// claims
+const verifyVapidToken = (token, publicKey) => {
+  const [header, claims, signature] = token.split('.');
+  const point = Buffer.from(publicKey, 'base64url');
+  const key = crypto.createPublicKey({
+    format: 'jwk',
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: point.subarray(1, 33).toString('base64url'),
+      y: point.subarray(33, 65).toString('base64url')
+    }
+  });
+
+  assert.deepEqual(JSON.parse(Buffer.from(header, 'base64url')), { typ: 'JWT', alg: 'ES256' });
+  assert.ok(crypto.verify('sha256', Buffer.from(`${header}.${claims}`), { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(signature, 'base64url')));
+  return JSON.parse(Buffer.from(claims, 'base64url'));
+};
+
+const vapidPrivateKey = (keys) => {
+  const point = Buffer.from(keys.publicKey, 'base64url');
+  return crypto.createPrivateKey({
+    format: 'jwk',
+    key: {
+      kty: 'EC',
+      crv: 'P-256',
+      x: point.subarray(1, 33).toString('base64url'),
+      y: point.subarray(33, 65).toString('base64url'),
+      d: keys.privateKey
+    }
+  });
+};
+
+describe('encryptPayload', () => {
+  it('encrypts a payload only the subscription can decrypt', () => {
+    const subscriber = createSubscriber();
+    const payload = Buffer.from(JSON.stringify({ title: 'Route 12 is 5 min from Main St', body: 'Bus ébus-7 is due' }));
+
+    const body = encryptPayload(payload, subscriber.keys);
+
+    assert.deepEqual(subscriber.decrypt(body), payload);
+    assert.throws(() => createSubscriber().decrypt(body));
+  });
+
+  it('uses a fresh salt and key for every message', () => {
+    const subscriber = createSubscriber();
+    const payload = Buffer.from('hello');
+
+    const first = encryptPayload(payload, subscriber.keys);
+    const second = encryptPayload(payload, subscriber.keys);
+
+    assert.notDeepEqual(first.subarray(0, 86), second.subarray(0, 86));
+    assert.deepEqual(subscriber.decrypt(second), payload);
+  });
+});
+
+describe('signVapidToken', () => {
+  it('signs a token for the push service origin that verifies with the public key', () => {
+    const keys = generateVapidKeys();
+    const token = signVapidToken('https://push.example.com/send/abc123', 'mailto:ops@example.com', vapidPrivateKey(keys));
+
+    const claims = verifyVapidToken(token, keys.publicKey);
+    assert.equal(claims.aud, 'https://push.example.com');
+    assert.equal(claims.sub, 'mailto:ops@example.com');
+    assert.ok(claims.exp > Date.now() / 1000);
+    assert.ok(claims.exp <= Date.now() / 1000 + 24 * 60 * 60);
+  });
+
+  it('does not verify with another key', () => {
+    const keys = generateVapidKeys();
+    const token = signVapidToken('https://push.example.com/send/abc123', 'mailto:ops@example.com', vapidPrivateKey(keys));
+
+    assert.throws(() => verifyVapidToken(token, generateVapidKeys().publicKey));
+  });
+});
+
+describe('createWebPushNotifier', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    server = null;
+  });
+
+  // A push service that records requests and answers each path with the
+  // given status
+  const startPushService = async (statuses) => {
+    const requests = [];
+    server = http.createServer(async (req, res) => {
+      const chunks = [];
+      for await (const chunk of req) chunks.push(chunk);
+      requests.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+      res.writeHead(statuses[req.url] || 201).end();
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    return { origin: `http://127.0.0.1:${server.address().port}`, requests };
+  };
+
+  it('pushes the encrypted notification with a VAPID signature', async () => {
+    const keys = generateVapidKeys();
+    const notifier = createWebPushNotifier({ ...keys, subject: 'mailto:ops@example.com' });
+    const service = await startPushService({});
+    const subscriber = createSubscriber();
+    const notification = { title: 'Route 12', body: 'Next buses at Main St: 08:05, 08:20.', url: '/board/MAIN' };
+
+    const result = await notifier.send({ pushSubscriptions: [{ endpoint: `${service.origin}/push/1`, keys: subscriber.keys }] }, notification);
+
+    assert.deepEqual(result, { status: 'sent', goneEndpoints: [] });
+    const [request] = service.requests;
+    assert.equal(request.headers['content-encoding'], 'aes128gcm');
+    assert.equal(request.headers.ttl, '3600');
+
+    const [, token, publicKey] = /^vapid t=([^,]+), k=(.+)$/.exec(request.headers.authorization);
+    assert.equal(publicKey, keys.publicKey);
+    assert.equal(verifyVapidToken(token, keys.publicKey).aud, service.origin);
+    assert.deepEqual(JSON.parse(subscriber.decrypt(request.body)), notification);
+  });
+
+  it('reports subscriptions the push service has dropped', async () => {
+    const notifier = createWebPushNotifier({ ...generateVapidKeys(), subject: 'mailto:ops@example.com' });
+    const service = await startPushService({ '/push/gone': 410, '/push/broken': 500 });
+    const subscriptions = ['gone', 'broken', 'ok'].map(name => ({ endpoint: `${service.origin}/push/${name}`, keys: createSubscriber().keys }));
+
+    assert.deepEqual(await notifier.send({ pushSubscriptions: subscriptions }, { title: 'Hi' }), {
+      status: 'sent',
+      goneEndpoints: [`${service.origin}/push/gone`]
+    });
+    assert.deepEqual(await notifier.send({ pushSubscriptions: subscriptions.slice(0, 2) }, { title: 'Hi' }), {
+      status: 'failed',
+      reason: 'Push service answered 410',
+      goneEndpoints: [`${service.origin}/push/gone`]
+    });
+  });
+
+  it('skips riders without a push subscription', async () => {
+    const notifier = createWebPushNotifier({ ...generateVapidKeys(), subject: 'mailto:ops@example.com' });
+    assert.deepEqual(await notifier.send({ pushSubscriptions: [] }, { title: 'Hi' }), {
+      status: 'skipped',
+      reason: 'No browser subscribed to push'
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPaymentProvider, createFakeProvider } = require('../../payments');
+
+describe('fake payment provider', () => {
+  it('is the default outside production', () => {
+    assert.equal(createPaymentProvider(undefined).name, 'fake');
+  });
+
+  it('charges payment methods it does not decline', async () => {
+    const payments = createFakeProvider();
+    const result = await payments.charge({ amount: 2.5, currency: 'USD', paymentMethod: 'tok_visa' });
+
+    assert.equal(result.status, 'succeeded');
+    assert.match(result.reference, /^fake_ch_/);
+  });
+
+  it('returns the original charge for a repeated idempotency key', async () => {
+    const payments = createFakeProvider();
+    const first = await payments.charge({ amount: 2.5, currency: 'USD', paymentMethod: 'tok_visa', idempotencyKey: 'ticket-1' });
+    const again = await payments.charge({ amount: 2.5, currency: 'USD', paymentMethod: 'tok_visa', idempotencyKey: 'ticket-1' });
+    const other = await payments.charge({ amount: 2.5, currency: 'USD', paymentMethod: 'tok_visa', idempotencyKey: 'ticket-2' });
+
+    assert.equal(again.reference, first.reference);
+    assert.notEqual(other.reference, first.reference);
+  });
+
+  it('declines the fake declined payment methods', async () => {
+    const payments = createFakeProvider();
+
+    assert.deepEqual(
+      await payments.charge({ amount: 2.5, currency: 'USD', paymentMethod: 'fake_declined' }),
+      { status: 'failed', failureReason: 'Card declined' }
+    );
+    assert.deepEqual(
+      await payments.charge({ amount: 2.5, currency: 'USD', paymentMethod: 'fake_insufficient_funds' }),
+      { status: 'failed', failureReason: 'Insufficient funds' }
+    );
+  });
+
+  it('refunds a charge once', async () => {
+    const payments = createFakeProvider();
+    const { reference } = await payments.charge({ amount: 2.5, currency: 'USD', paymentMethod: 'tok_visa' });
+
+    const refund = await payments.refund({ reference, amount: 2.5 });
+    assert.equal(refund.status, 'succeeded');
+    assert.match(refund.reference, /^fake_re_/);
+
+    assert.deepEqual(await payments.refund({ reference, amount: 2.5 }), { status: 'failed', failureReason: 'Charge already refunded' });
+    assert.deepEqual(await payments.refund({ reference: 'fake_ch_unknown', amount: 2.5 }), { status: 'failed', failureReason: 'Charge not found' });
+  });
+});
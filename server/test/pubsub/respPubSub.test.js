@@ -0,0 +1,178 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { encodeCommand, parseReply, createRespPubSub } = require('../../pubsub/respPubSub');
+const { createRespServer } = require('../support/respServer');
+
+const waitFor = async (condition, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const publishWhenReady = async (client, channel, message) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await client.publish(channel, message);
+    } catch (error) {
+      if (attempt > 100) throw error;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  }
+};
+
+describe('parseReply', () => {
+  const frames = {
+    simple: '+OK\r\n',
+    error: '-ERR wrong\r\n',
+    integer: ':42\r\n',
+    bulk: '$5\r\nhello\r\n',
+    null: '$-1\r\n',
+    message: encodeCommand(['message', 'ebus:realtime', '{"op":"emit","payload":"héllo"}'])
+  };
+
+  it('reads each reply type', () => {
+    assert.equal(parseReply(Buffer.from(frames.simple), 0).value, 'OK');
+    assert.equal(parseReply(Buffer.from(frames.error), 0).value.message, 'ERR wrong');
+    assert.equal(parseReply(Buffer.from(frames.integer), 0).value, 42);
+    assert.equal(parseReply(Buffer.from(frames.bulk), 0).value, 'hello');
+    assert.equal(parseReply(Buffer.from(frames.null), 0).value, null);
+    assert.deepEqual(parseReply(Buffer.from(frames.message), 0).value, ['message', 'ebus:realtime', '{"op":"emit","payload":"héllo"}']);
+  });
+
+  it('waits for the rest of a frame split at any byte', () => {
+    Object.values(frames).forEach(frame => {
+      const buffer = Buffer.from(frame);
+      for (let length = 0; length < buffer.length; length++) {
+        assert.equal(parseReply(buffer.subarray(0, length), 0), null, `${JSON.stringify(frame)} cut at ${length}`);
+      }
+      assert.equal(parseReply(buffer, 0).offset, buffer.length);
+    });
+  });
+
+  it('reads consecutive replies from one buffer', () => {
+    const buffer = Buffer.from(frames.integer + frames.bulk);
+    const first = parseReply(buffer, 0);
+    const second = parseReply(buffer, first.offset);
+    assert.equal(first.value, 42);
+    assert.equal(second.value, 'hello');
+    assert.equal(second.offset, buffer.length);
+  });
+
+  it('rejects unknown reply types', () => {
+    assert.throws(() => parseReply(Buffer.from('?what\r\n'), 0), /Unexpected RESP reply type/);
+  });
+});
+
+describe('createRespPubSub', () => {
+  let server;
+  let clients;
+
+  const connect = (url = server.url) => {
+    const client = createRespPubSub(url);
+    clients.push(client);
+    return client;
+  };
+
+  beforeEach(() => {
+    clients = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(clients.map(client => client.close()));
+    await server.close();
+  });
+
+  it('delivers published messages to subscribers', async () => {
+    server = await createRespServer();
+    const subscriber = connect();
+    const publisher = connect();
+    const received = [];
+
+    await subscriber.subscribe('ebus:realtime', message => received.push(message));
+    await waitFor(() => server.subscriberCount('ebus:realtime') === 1);
+
+    const receivers = await publishWhenReady(publisher, 'ebus:realtime', { op: 'emit', payload: { busId: 'b1' } });
+    await waitFor(() => received.length === 1);
+
+    assert.equal(receivers, 1);
+    assert.deepEqual(received, [{ op: 'emit', payload: { busId: 'b1' } }]);
+  });
+
+  it('rejects publishing before the connection is up', async () => {
+    server = await createRespServer();
+    const client = connect();
+    await assert.rejects(client.publish('ebus:realtime', {}), /not ready/);
+  });
+
+  it('authenticates when the URL has a password', async () => {
+    server = await createRespServer({ password: 's3cret' });
+    const client = connect();
+    const received = [];
+
+    await client.subscribe('ebus:realtime', message => received.push(message));
+    await publishWhenReady(client, 'ebus:realtime', 'hello');
+    await waitFor(() => received.length === 1);
+
+    assert.deepEqual(server.commands.filter(([name]) => name === 'AUTH'), [['AUTH', 's3cret'], ['AUTH', 's3cret']]);
+  });
+
+  it('reconnects and resubscribes after the connection drops', async () => {
+    server = await createRespServer();
+    const client = connect();
+    const received = [];
+
+    await client.subscribe('ebus:realtime', message => received.push(message));
+    await waitFor(() => server.subscriberCount('ebus:realtime') === 1);
+
+    server.dropConnections();
+    await waitFor(() => server.subscriberCount('ebus:realtime') === 0);
+    await waitFor(() => server.subscriberCount('ebus:realtime') === 1);
+
+    await publishWhenReady(client, 'ebus:realtime', { after: 'reconnect' });
+    await waitFor(() => received.length === 1);
+
+    assert.deepEqual(received, [{ after: 'reconnect' }]);
+    assert.equal(server.commands.filter(([name]) => name === 'SUBSCRIBE').length, 2);
+  });
+
+  it('handles replies that arrive a few bytes at a time', async () => {
+    server = await createRespServer({ chunkSize: 3 });
+    const client = connect();
+    const received = [];
+
+    await client.subscribe('ebus:realtime', message => received.push(message));
+    await waitFor(() => server.subscriberCount('ebus:realtime') === 1);
+
+    const receivers = await publishWhenReady(client, 'ebus:realtime', { first: true });
+    await client.publish('ebus:realtime', { second: true });
+    await waitFor(() => received.length === 2);
+
+    assert.equal(receivers, 1);
+    assert.deepEqual(received, [{ first: true }, { second: true }]);
+  });
+
+  it('skips messages that are not JSON', async (t) => {
+    server = await createRespServer();
+    const client = connect();
+    const received = [];
+    const logged = t.mock.method(console, 'error', () => {});
+
+    await client.subscribe('ebus:realtime', message => received.push(message));
+    await waitFor(() => server.subscriberCount('ebus:realtime') === 1);
+
+    const { port } = new URL(server.url);
+    const raw = net.connect({ host: '127.0.0.1', port: Number(port) });
+    raw.write(encodeCommand(['PUBLISH', 'ebus:realtime', 'not json']));
+    await waitFor(() => logged.mock.callCount() === 1);
+    raw.destroy();
+
+    await publishWhenReady(client, 'ebus:realtime', { valid: true });
+    await waitFor(() => received.length === 1);
+
+    assert.deepEqual(received, [{ valid: true }]);
+    assert.match(logged.mock.calls[0].arguments[0], /malformed message on ebus:realtime/);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const RiderAlert = require('../../models/RiderAlert');
+const Route = require('../../models/Route');
+const User = require('../../models/User');
+const Prediction = require('../../models/Prediction');
+const { createOutboxNotifier } = require('../../notifiers/outboxNotifier');
+const { sendCommuteAlerts, setNotifiers } = require('../../services/alertService');
+
+const route = {
+  _id: new mongoose.Types.ObjectId(),
+  routeNumber: '12',
+  stops: [
+    { stopNumber: 1, name: 'Main St', estimatedTime: 0 },
+    { stopNumber: 2, name: 'Depot', estimatedTime: 10 }
+  ],
+  operatingHours: { start: '06:00', end: '22:00' },
+  frequency: 15,
+  schedule: []
+};
+
+const user = { _id: new mongoose.Types.ObjectId(), email: 'rider@example.com', isActive: true };
+
+const commuteAlert = (fields) => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: user._id,
+  type: 'commute',
+  route: route._id,
+  stopNumber: 1,
+  time: '08:00',
+  channels: ['email'],
+  appliesAt: () => true,
+  ...fields
+});
+
+describe('sendCommuteAlerts', () => {
+  let outbox;
+  let claimTrigger;
+
+  const useAlerts = (alerts) => {
+    mock.method(RiderAlert, 'find', async () => alerts);
+  };
+
+  beforeEach(() => {
+    outbox = createOutboxNotifier('email', { log: false });
+    setNotifiers({ email: outbox });
+
+    claimTrigger = mock.method(RiderAlert, 'claimTrigger', async (alertId) => ({ _id: alertId, type: 'commute', user: user._id, channels: ['email'] }));
+    mock.method(RiderAlert, 'updateOne', async () => ({}));
+    mock.method(Route, 'findById', (id) => ({
+      populate: async () => (String(id) === String(route._id) ? route : null)
+    }));
+    mock.method(Prediction, 'find', () => ({ populate: () => ({ sort: async () => [] }) }));
+    mock.method(User, 'findById', () => ({ select: async () => user }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    setNotifiers({});
+  });
+
+  it('sends the next departures at the alert stop once the day is claimed', async () => {
+    const alert = commuteAlert();
+    useAlerts([alert]);
+
+    const sent = await sendCommuteAlerts(new Date(2026, 9, 19, 8, 0));
+
+    assert.equal(sent, 1);
+    assert.deepEqual(claimTrigger.mock.calls[0].arguments.slice(0, 2), [alert._id, 'day:2026-10-19']);
+    assert.equal(outbox.outbox.length, 1);
+    assert.equal(outbox.outbox[0].notification.body, 'Next buses at Main St: 08:00, 08:15, 08:30.');
+  });
+
+  it('does not claim alerts whose route or stop is gone', async () => {
+    const valid = commuteAlert();
+    useAlerts([
+      commuteAlert({ stopNumber: 9 }),
+      commuteAlert({ route: new mongoose.Types.ObjectId() }),
+      valid
+    ]);
+
+    const sent = await sendCommuteAlerts(new Date(2026, 9, 19, 8, 0));
+
+    assert.equal(sent, 1);
+    assert.equal(claimTrigger.mock.callCount(), 1);
+    assert.equal(claimTrigger.mock.calls[0].arguments[0], valid._id);
+  });
+
+  it('sends nothing when another instance claimed the day first', async () => {
+    useAlerts([commuteAlert()]);
+    claimTrigger.mock.mockImplementation(async () => null);
+
+    assert.equal(await sendCommuteAlerts(new Date(2026, 9, 19, 8, 0)), 0);
+    assert.equal(outbox.outbox.length, 0);
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Route = require('../../models/Route');
+const Prediction = require('../../models/Prediction');
+const LocationHistory = require('../../models/LocationHistory');
+const SegmentStat = require('../../models/SegmentStat');
+const PredictorModel = require('../../models/PredictorModel');
+const RiderAlert = require('../../models/RiderAlert');
+const { computeStopEtas, refreshBusPredictions } = require('../../services/etaService');
+
+const stop = (stopNumber, lng) => ({ stopNumber, name: `Stop ${stopNumber}`, location: { type: 'Point', coordinates: [lng, 28.6] } });
+
+const route = {
+  _id: new mongoose.Types.ObjectId(),
+  stops: [stop(1, 77.00), stop(2, 77.01), stop(3, 77.02)],
+  averageSpeed: 20,
+  trafficConditions: 'medium',
+  predictionAlgorithm: 'linear_regression'
+};
+
+describe('computeStopEtas', () => {
+  it('does not predict a stop the bus has served while it is still there', () => {
+    const { etas, passed } = computeStopEtas(route.stops, [77.0097, 28.6], 20, { servedThrough: 1 });
+
+    assert.deepEqual(etas.map(eta => eta.stop.stopNumber), [3]);
+    assert.equal(etas[0].stopsAway, 0);
+    assert.ok(etas[0].distance > 0.9);
+    assert.deepEqual(passed.map(entry => entry.stopNumber), [1, 2]);
+  });
+
+  it('still predicts the stop a bus is waiting at before serving it', () => {
+    const { etas } = computeStopEtas(route.stops, [77.01, 28.6], 20, { servedThrough: 0 });
+
+    assert.deepEqual(etas.map(eta => eta.stop.stopNumber), [2, 3]);
+    assert.equal(etas[0].minutes, 0);
+  });
+});
+
+describe('refreshBusPredictions', () => {
+  let bulkWrite;
+  let arrivedStops;
+
+  const bus = {
+    _id: new mongoose.Types.ObjectId(),
+    currentRoute: route._id,
+    currentLocation: { type: 'Point', coordinates: [77.0097, 28.6] },
+    speed: 0,
+    capacity: 40,
+    currentCapacity: 10
+  };
+
+  beforeEach(() => {
+    arrivedStops = [];
+    mock.method(Route, 'findById', async () => route);
+    mock.method(LocationHistory, 'find', () => ({ select: () => ({ sort: () => ({ lean: async () => [] }) }) }));
+    mock.method(SegmentStat, 'getRouteProfile', async () => ({}));
+    mock.method(PredictorModel, 'findOne', () => ({ lean: async () => null }));
+    mock.method(RiderAlert, 'find', async () => []);
+    mock.method(Prediction, 'updateMany', async () => ({}));
+    mock.method(Prediction, 'distinct', async () => arrivedStops);
+    bulkWrite = mock.method(Prediction, 'bulkWrite', async () => ({}));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const predictedStops = () => bulkWrite.mock.calls[0].arguments[0]
+    .filter(operation => operation.updateOne.upsert)
+    .map(operation => [operation.updateOne.filter.stopId, operation.updateOne.update.$set.status]);
+
+  it('creates no prediction for a stop the bus sits just past', async () => {
+    const trip = { _id: new mongoose.Types.ObjectId(), status: 'in_progress', stopsServed: [{ stopNumber: 1 }, { stopNumber: 2 }] };
+
+    const summary = await refreshBusPredictions(bus, trip, null);
+
+    assert.deepEqual(summary.map(entry => entry.stopNumber), [3]);
+    assert.deepEqual(predictedStops(), [[3, 'in_transit']]);
+  });
+
+  it('leaves stops with an arrived prediction alone', async () => {
+    const trip = { _id: new mongoose.Types.ObjectId(), status: 'in_progress', stopsServed: [{ stopNumber: 1 }] };
+    arrivedStops = [2];
+
+    await refreshBusPredictions({ ...bus, currentLocation: { type: 'Point', coordinates: [77.01, 28.6] } }, trip, null);
+
+    assert.deepEqual(predictedStops(), [[3, 'in_transit']]);
+  });
+});
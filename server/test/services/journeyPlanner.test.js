@@ -0,0 +1,71 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Route = require('../../models/Route');
+const Prediction = require('../../models/Prediction');
+const LoadProfile = require('../../models/LoadProfile');
+const { planJourney } = require('../../services/journeyPlanner');
+
+const place = (name, lng) => ({
+  _id: new mongoose.Types.ObjectId(),
+  code: name,
+  name,
+  location: { type: 'Point', coordinates: [lng, 28.6] }
+});
+
+describe('planJourney', () => {
+  let origin;
+  let destination;
+  let route;
+
+  beforeEach(() => {
+    origin = place('A', 77.0);
+    destination = place('B', 77.05);
+    route = new Route({
+      routeNumber: '12',
+      routeName: 'A to B',
+      stops: [origin, destination].map((stop, i) => ({
+        stop: stop._id,
+        stopCode: stop.code,
+        name: stop.name,
+        stopNumber: i + 1,
+        location: stop.location,
+        estimatedTime: i * 10
+      })),
+      operatingHours: { start: '06:00', end: '22:00' },
+      frequency: 15,
+      fare: { base: 1, perKm: 0 },
+      status: 'active'
+    });
+    route.updatedAt = new Date(2026, 9, 1);
+
+    mock.method(Route, 'find', () => ({ populate: async () => [route] }));
+    mock.method(Prediction, 'find', () => ({ populate: async () => [] }));
+    mock.method(LoadProfile, 'getExpected', async () => null);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const plan = () => planJourney({ origins: [origin], destinations: [destination], departAt: new Date(2026, 9, 19, 8, 5) });
+
+  it('rides the first planned bus after the departure time', async () => {
+    const [itinerary] = await plan();
+
+    assert.equal(itinerary.legs.length, 1);
+    assert.deepEqual(itinerary.departureTime, new Date(2026, 9, 19, 8, 15));
+    assert.deepEqual(itinerary.arrivalTime, new Date(2026, 9, 19, 8, 25));
+  });
+
+  it('reuses a route day timetable until the route changes', async () => {
+    await plan();
+
+    // The cached timetable still runs every 15 minutes
+    route.frequency = 10;
+    assert.deepEqual((await plan())[0].departureTime, new Date(2026, 9, 19, 8, 15));
+
+    route.updatedAt = new Date(2026, 9, 2);
+    assert.deepEqual((await plan())[0].departureTime, new Date(2026, 9, 19, 8, 10));
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Route = require('../../models/Route');
+const Bus = require('../../models/Bus');
+const Reservation = require('../../models/Reservation');
+const TripSeating = require('../../models/TripSeating');
+const { holdSeat } = require('../../services/reservationService');
+
+const bus = {
+  _id: new mongoose.Types.ObjectId(),
+  busNumber: 'P-1',
+  seatMap: ['1A', '1B', '1C', '1D'].map((label, i) => ({ label, row: 1, column: i + 1, type: 'standard', reservable: true }))
+};
+
+const user = { _id: new mongoose.Types.ObjectId() };
+
+const at = new Date(2026, 9, 19, 7, 0);
+const departureTime = new Date(2026, 9, 19, 8, 0);
+
+describe('holdSeat', () => {
+  let route;
+  let seating;
+  let claim;
+
+  // A booking of another seat on the trip, held for a rider until the hour
+  const booking = (seatLabel, rider) => ({
+    reservation: new mongoose.Types.ObjectId(),
+    user: rider,
+    seatLabel,
+    fromStopNumber: 1,
+    toStopNumber: 2,
+    expiresAt: new Date(2026, 9, 19, 8, 0)
+  });
+
+  beforeEach(() => {
+    route = new Route({
+      routeNumber: 'P1',
+      routeName: 'Airport',
+      routeType: 'premium',
+      stops: [
+        { stopNumber: 1, name: 'Center', location: { type: 'Point', coordinates: [77.0, 28.6] }, estimatedTime: 0 },
+        { stopNumber: 2, name: 'Airport', location: { type: 'Point', coordinates: [77.1, 28.6] }, estimatedTime: 30 }
+      ],
+      operatingHours: { start: '06:00', end: '22:00' },
+      frequency: 60,
+      reservations: { bus: bus._id, holdMinutes: 10 }
+    });
+    seating = new TripSeating({ route: route._id, departureTime, bus: bus._id, bookings: [] });
+
+    mock.method(Reservation, 'countDocuments', async () => 0);
+    mock.method(Reservation, 'create', async (fields) => fields);
+    mock.method(Bus, 'findById', () => ({ select: async () => bus }));
+    mock.method(TripSeating, 'findById', async () => seating);
+    claim = mock.fn(async () => seating);
+    // Getting the trip's seating upserts it; claiming a seat pushes a booking
+    mock.method(TripSeating, 'findOneAndUpdate', async (filter, update, options) =>
+      (update.$setOnInsert ? seating : claim(filter, update, options)));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('checks the rider seat limit in the same update that claims the seat', async () => {
+    const { reservation } = await holdSeat({ user, route, departureTime, fromStopNumber: 1, toStopNumber: 2, seatLabel: '1b', at });
+
+    assert.equal(reservation.seatLabel, '1B');
+    const [filter, update] = claim.mock.calls[0].arguments;
+    assert.deepEqual(filter.$expr, TripSeating.riderBelowLimit(user._id, 6, at));
+    assert.equal(filter.$expr.$lt[0].$size.$filter.cond.$and[0].$eq[1], user._id);
+    assert.equal(update.$push.bookings.user, user._id);
+    assert.equal(update.$push.bookings.reservation, reservation._id);
+  });
+
+  it('refuses a seat when the rider reached the limit since the first check', async () => {
+    claim.mock.mockImplementation(async () => {
+      // The rider's other requests took six seats meanwhile
+      seating.bookings = Array.from({ length: 6 }, (_, i) => booking(`${i + 2}A`, user._id));
+      return null;
+    });
+
+    assert.deepEqual(await holdSeat({ user, route, departureTime, fromStopNumber: 1, toStopNumber: 2, seatLabel: '1A', at }), {
+      status: 400,
+      message: 'You can reserve at most 6 seats on a trip'
+    });
+    assert.equal(Reservation.create.mock.callCount(), 0);
+  });
+
+  it('reports a seat another rider took as taken', async () => {
+    claim.mock.mockImplementation(async () => {
+      seating.bookings = [booking('1A', new mongoose.Types.ObjectId())];
+      return null;
+    });
+
+    assert.deepEqual(await holdSeat({ user, route, departureTime, fromStopNumber: 1, toStopNumber: 2, seatLabel: '1A', at }), {
+      status: 409,
+      message: 'Seat 1A is taken between those stops'
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Stop = require('../../models/Stop');
+const { searchStops } = require('../../services/stopService');
+
+const stop = (code, name, aliases = []) => new Stop({ code, name, aliases, location: { type: 'Point', coordinates: [77.2, 28.6] } });
+
+// Stop.find answering with the given candidates, recording the query
+const useCandidates = (candidates) => {
+  const calls = [];
+  mock.method(Stop, 'find', (filter) => {
+    const call = { filter };
+    calls.push(call);
+    const query = {
+      select: () => query,
+      limit: async (limit) => {
+        call.limit = limit;
+        return candidates;
+      }
+    };
+    return query;
+  });
+  return calls;
+};
+
+describe('Stop search terms', () => {
+  it('are the lower-case code and the words of the name and aliases', async () => {
+    const shared = stop('CP-01', 'Connaught Place', ['Rajiv Chowk Gate 7']);
+    await shared.validate();
+
+    assert.deepEqual([...shared.searchTerms], ['cp-01', 'connaught', 'place', 'rajiv', 'chowk', 'gate', '7']);
+  });
+});
+
+describe('searchStops', () => {
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('only fetches a capped set of stops sharing a prefix with what was typed', async () => {
+    const calls = useCandidates([]);
+
+    await searchStops('Conaught Pl');
+
+    const [{ filter, limit }] = calls;
+    assert.deepEqual(filter.searchTerms.$in.map(String), ['/^conaught pl/', '/^con/', '/^pl/']);
+    assert.equal(limit, 200);
+  });
+
+  it('escapes what was typed in the prefix query', async () => {
+    const calls = useCandidates([]);
+
+    await searchStops('a.b');
+
+    assert.deepEqual(calls[0].filter.searchTerms.$in.map(String), ['/^a\\.b/', '/^a/', '/^b/']);
+  });
+
+  it('ranks the candidates by code, then name and alias, allowing typos', async () => {
+    useCandidates([
+      stop('CP-01', 'Connaught Place', ['Rajiv Chowk Gate 7']),
+      stop('CS-02', 'Connaught Circus'),
+      stop('CO-03', 'Coronation Park')
+    ]);
+
+    const matches = await searchStops('Conaught Pl');
+    assert.deepEqual(matches.map(match => match.stop.code), ['CP-01']);
+
+    const byCode = await searchStops('cs-02');
+    assert.equal(byCode[0].stop.code, 'CS-02');
+    assert.equal(byCode[0].score, 100);
+  });
+});
@@ -0,0 +1,164 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Ticket = require('../../models/Ticket');
+const { createFakeProvider } = require('../../payments');
+const { purchaseTicket, refundTicket } = require('../../services/ticketService');
+const { verifyTicketCode } = require('../../services/ticketSigning');
+
+const product = {
+  _id: new mongoose.Types.ObjectId(),
+  code: 'DAY',
+  name: 'Day Pass',
+  type: 'day_pass',
+  riderCategory: 'adult',
+  price: 6,
+  currency: 'USD',
+  routes: [],
+  zones: [],
+  validityMinutes: 24 * 60
+};
+
+const user = { _id: new mongoose.Types.ObjectId() };
+
+// Tickets are kept in memory instead of MongoDB, including the unique
+// idempotency key index
+const useTicketStore = () => {
+  const tickets = new Map();
+
+  mock.method(Ticket, 'create', async (fields) => {
+    const duplicate = fields.idempotencyKey && [...tickets.values()].some(ticket =>
+      String(ticket.user) === String(fields.user) && ticket.idempotencyKey === fields.idempotencyKey);
+    if (duplicate) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+    const ticket = new Ticket(fields);
+    await ticket.validate();
+    tickets.set(String(ticket._id), ticket);
+    return ticket;
+  });
+  mock.method(Ticket, 'findOne', async ({ user: userId, idempotencyKey }) => [...tickets.values()].find(ticket =>
+    String(ticket.user) === String(userId) && ticket.idempotencyKey === idempotencyKey) || null);
+  mock.method(Ticket.prototype, 'save', async function() {
+    await this.validate();
+    tickets.set(String(this._id), this);
+    return this;
+  });
+
+  return tickets;
+};
+
+describe('ticket purchase', () => {
+  let payments;
+  let tickets;
+
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    payments = createFakeProvider();
+    tickets = useTicketStore();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('takes payment and issues a signed ticket', async () => {
+    const charge = mock.method(payments, 'charge');
+    const { ticket, replayed } = await purchaseTicket({ user, product, paymentMethod: 'tok_visa' }, payments);
+
+    assert.equal(replayed, false);
+    assert.equal(ticket.status, 'active');
+    assert.equal(ticket.price, 6);
+    assert.equal(ticket.payment.provider, 'fake');
+    assert.match(ticket.payment.reference, /^fake_ch_/);
+    assert.ok(ticket.payment.paidAt);
+    assert.equal(ticket.validUntil - ticket.validFrom, 24 * 60 * 60 * 1000);
+    assert.equal(charge.mock.calls[0].arguments[0].idempotencyKey, String(ticket._id));
+
+    const verified = verifyTicketCode(ticket.qrCode);
+    assert.equal(verified.valid, true);
+    assert.equal(verified.payload.ticketId, String(ticket._id));
+    assert.equal(verified.payload.product, 'DAY');
+  });
+
+  it('records a declined payment without issuing a ticket code', async () => {
+    const { ticket } = await purchaseTicket({ user, product, paymentMethod: 'fake_declined' }, payments);
+
+    assert.equal(ticket.status, 'payment_failed');
+    assert.equal(ticket.payment.failureReason, 'Card declined');
+    assert.equal(ticket.qrCode, undefined);
+  });
+
+  it('returns the first ticket when a purchase is retried', async () => {
+    const charge = mock.method(payments, 'charge');
+    const first = await purchaseTicket({ user, product, paymentMethod: 'tok_visa', idempotencyKey: 'purchase-1' }, payments);
+    const retry = await purchaseTicket({ user, product, paymentMethod: 'tok_visa', idempotencyKey: 'purchase-1' }, payments);
+
+    assert.equal(retry.replayed, true);
+    assert.equal(String(retry.ticket._id), String(first.ticket._id));
+    assert.equal(charge.mock.callCount(), 1);
+    assert.equal(tickets.size, 1);
+  });
+
+  it('finishes payment on retry when the provider could not be reached', async () => {
+    const charge = mock.method(payments, 'charge');
+    charge.mock.mockImplementationOnce(async () => { throw new Error('connect ETIMEDOUT'); });
+
+    await assert.rejects(
+      purchaseTicket({ user, product, paymentMethod: 'tok_visa', idempotencyKey: 'purchase-2' }, payments),
+      /ETIMEDOUT/
+    );
+    const [pending] = tickets.values();
+    assert.equal(pending.status, 'pending_payment');
+
+    const { ticket, replayed } = await purchaseTicket({ user, product, paymentMethod: 'tok_visa', idempotencyKey: 'purchase-2' }, payments);
+
+    assert.equal(replayed, true);
+    assert.equal(String(ticket._id), String(pending._id));
+    assert.equal(ticket.status, 'active');
+    assert.equal(charge.mock.callCount(), 2);
+    assert.equal(verifyTicketCode(ticket.qrCode).valid, true);
+  });
+
+  it('issues free tickets without charging', async () => {
+    const charge = mock.method(payments, 'charge');
+    const { ticket } = await purchaseTicket({ user, product: { ...product, price: 0 }, paymentMethod: 'none' }, payments);
+
+    assert.equal(ticket.status, 'active');
+    assert.equal(charge.mock.callCount(), 0);
+  });
+});
+
+describe('ticket refund', () => {
+  let payments;
+
+  beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    payments = createFakeProvider();
+    useTicketStore();
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('refunds a paid ticket through the provider once', async () => {
+    const { ticket } = await purchaseTicket({ user, product, paymentMethod: 'tok_visa' }, payments);
+
+    const result = await refundTicket(ticket, payments);
+    assert.equal(result.ticket.status, 'refunded');
+    assert.match(result.ticket.payment.refundReference, /^fake_re_/);
+
+    assert.deepEqual(await refundTicket(ticket, payments), {
+      message: 'Only paid tickets can be refunded, this one is refunded'
+    });
+  });
+
+  it('refuses tickets paid through another provider', async () => {
+    const { ticket } = await purchaseTicket({ user, product, paymentMethod: 'tok_visa' }, payments);
+    const other = { ...createFakeProvider(), name: 'other' };
+
+    assert.deepEqual(await refundTicket(ticket, other), {
+      message: 'Ticket was paid through fake, which is not in use'
+    });
+  });
+});
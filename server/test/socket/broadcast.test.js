@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRealtimeRelay, emitToUser } = require('../../socket/broadcast');
+
+const createIo = () => {
+  const namespace = { emit: () => {}, to: () => namespace, in: () => ({ socketsLeave: () => {} }) };
+  return { of: () => namespace };
+};
+
+describe('realtime relay', () => {
+  it('logs publish errors at most once a minute while pub/sub is down', async (t) => {
+    const io = createIo();
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const logged = t.mock.method(console, 'error', () => {});
+
+    await startRealtimeRelay(io, {
+      subscribe: async () => {},
+      publish: async () => { throw new Error('Pub/sub connection is not ready'); }
+    });
+
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    for (let i = 0; i < 5; i++) emitToUser(io, 'u1', 'rider-alert', {});
+    await flush();
+    assert.equal(logged.mock.callCount(), 1);
+    assert.deepEqual(logged.mock.calls[0].arguments, ['Realtime relay publish error:', 'Pub/sub connection is not ready']);
+
+    now += 30 * 1000;
+    emitToUser(io, 'u1', 'rider-alert', {});
+    await flush();
+    assert.equal(logged.mock.callCount(), 1);
+
+    now += 30 * 1000;
+    emitToUser(io, 'u1', 'rider-alert', {});
+    await flush();
+    assert.equal(logged.mock.callCount(), 2);
+    assert.deepEqual(logged.mock.calls[1].arguments, [
+      'Realtime relay publish error (5 more since the last one logged):',
+      'Pub/sub connection is not ready'
+    ]);
+  });
+});
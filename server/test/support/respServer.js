@@ -0,0 +1,101 @@
+const net = require('net');
+const { encodeCommand, parseReply } = require('../../pubsub/respPubSub');
+
+// A minimal stand-in for a Redis server, enough for the pub/sub client:
+// AUTH, PING, SUBSCRIBE, PUBLISH and QUIT. With chunkSize set, replies are
+// written a few bytes at a time so clients see partial frames.
+const createRespServer = async ({ password, chunkSize } = {}) => {
+  const sockets = new Set();
+  const subscribers = new Map();
+  const commands = [];
+
+  const send = (socket, data) => {
+    if (!chunkSize) return socket.write(data);
+
+    const buffer = Buffer.from(data);
+    for (let offset = 0; offset < buffer.length; offset += chunkSize) {
+      const chunk = buffer.subarray(offset, offset + chunkSize);
+      socket.queue = socket.queue
+        .then(() => new Promise(resolve => setTimeout(resolve, 1)))
+        .then(() => { if (!socket.destroyed) socket.write(chunk); });
+    }
+  };
+
+  const handleCommand = (socket, [name, ...args]) => {
+    commands.push([name.toUpperCase(), ...args]);
+
+    switch (name.toUpperCase()) {
+      case 'AUTH':
+        if (args[args.length - 1] === password) {
+          socket.authenticated = true;
+          return send(socket, '+OK\r\n');
+        }
+        return send(socket, '-WRONGPASS invalid username-password pair\r\n');
+      case 'QUIT':
+        send(socket, '+OK\r\n');
+        return socket.end();
+      default:
+        if (password && !socket.authenticated) return send(socket, '-NOAUTH Authentication required.\r\n');
+    }
+
+    switch (name.toUpperCase()) {
+      case 'PING':
+        return send(socket, '+PONG\r\n');
+      case 'SUBSCRIBE':
+        return args.forEach(channel => {
+          if (!subscribers.has(channel)) subscribers.set(channel, new Set());
+          subscribers.get(channel).add(socket);
+          socket.channels.add(channel);
+          send(socket, `*3\r\n$9\r\nsubscribe\r\n$${Buffer.byteLength(channel)}\r\n${channel}\r\n:${socket.channels.size}\r\n`);
+        });
+      case 'PUBLISH': {
+        const [channel, message] = args;
+        const receivers = [...(subscribers.get(channel) || [])];
+        receivers.forEach(receiver => send(receiver, encodeCommand(['message', channel, message])));
+        return send(socket, `:${receivers.length}\r\n`);
+      }
+      default:
+        return send(socket, `-ERR unknown command '${name}'\r\n`);
+    }
+  };
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.channels = new Set();
+    socket.queue = Promise.resolve();
+    let buffer = Buffer.alloc(0);
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let request;
+      while (buffer.length && (request = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(request.offset);
+        handleCommand(socket, request.value);
+      }
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => {
+      sockets.delete(socket);
+      socket.channels.forEach(channel => subscribers.get(channel).delete(socket));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: password ? `redis://:${password}@127.0.0.1:${port}` : `redis://127.0.0.1:${port}`,
+    commands,
+    subscriberCount: (channel) => (subscribers.get(channel) || new Set()).size,
+    // Drop every client connection, as a server restart would
+    dropConnections: () => sockets.forEach(socket => socket.destroy()),
+    close: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(resolve);
+    })
+  };
+};
+
+module.exports = {
+  createRespServer
+};
@@ -0,0 +1,124 @@
+// Geometry helpers. Coordinates are GeoJSON-style [longitude, latitude]
+// pairs throughout, matching how they are stored in MongoDB.
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two points in kilometres
+const haversineDistance = (from, to) => {
+  const [lng1, lat1] = from;
+  const [lng2, lat2] = to;
+
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Project a point onto the segment a-b using a local equirectangular
+// approximation, which is accurate enough over the length of a bus stop gap.
+// Returns how far along the segment the projection falls (0..1) and the
+// distance in km from the point to the segment.
+const projectOntoSegment = (point, a, b) => {
+  const cosLat = Math.cos(toRadians((a[1] + b[1]) / 2));
+  const ax = a[0] * cosLat;
+  const ay = a[1];
+  const bx = b[0] * cosLat - ax;
+  const by = b[1] - ay;
+  const px = point[0] * cosLat - ax;
+  const py = point[1] - ay;
+
+  const lengthSquared = bx * bx + by * by;
+  let fraction = lengthSquared === 0 ? 0 : (px * bx + py * by) / lengthSquared;
+  fraction = Math.max(0, Math.min(1, fraction));
+
+  const projected = [
+    (ax + fraction * bx) / cosLat,
+    ay + fraction * by
+  ];
+
+  return {
+    fraction,
+    projected,
+    distance: haversineDistance(point, projected)
+  };
+};
+
+// Length in km of a line through the given points
+const lineLength = (coordinates) => coordinates.slice(1).reduce(
+  (sum, point, i) => sum + haversineDistance(coordinates[i], point),
+  0
+);
+
+// Snap a point to the nearest place on a line at or beyond `fromDistance`
+// km along it, so points visited in order can't snap backwards on a line
+// that doubles back on itself. Returns the snapped position, how far along
+// the line it is and how far the point is from it, all in km.
+const snapToLine = (point, coordinates, fromDistance = 0) => {
+  let best = null;
+  let travelled = 0;
+
+  for (let i = 0; i < coordinates.length - 1; i++) {
+    const length = haversineDistance(coordinates[i], coordinates[i + 1]);
+    const segmentEnd = travelled + length;
+
+    if (segmentEnd >= fromDistance) {
+      const projection = projectOntoSegment(point, coordinates[i], coordinates[i + 1]);
+      let distanceAlong = travelled + projection.fraction * length;
+      let projected = projection.projected;
+      let offset = projection.distance;
+
+      // Clamp onto the part of the segment that is still ahead
+      if (distanceAlong < fromDistance) {
+        const fraction = length === 0 ? 0 : (fromDistance - travelled) / length;
+        projected = [
+          coordinates[i][0] + fraction * (coordinates[i + 1][0] - coordinates[i][0]),
+          coordinates[i][1] + fraction * (coordinates[i + 1][1] - coordinates[i][1])
+        ];
+        distanceAlong = fromDistance;
+        offset = haversineDistance(point, projected);
+      }
+
+      if (!best || offset < best.offset) {
+        best = { coordinates: projected, distanceAlong, offset };
+      }
+    }
+
+    travelled = segmentEnd;
+  }
+
+  return best;
+};
+
+const isValidPoint = (point) => Array.isArray(point) &&
+  point.length >= 2 &&
+  Number.isFinite(point[0]) && Math.abs(point[0]) <= 180 &&
+  Number.isFinite(point[1]) && Math.abs(point[1]) <= 90;
+
+// Coordinates of a GeoJSON LineString, given directly, as a Feature or as
+// a FeatureCollection holding one line. Returns null for anything else or
+// a line with fewer than two valid points. Altitudes are dropped.
+const toLineCoordinates = (geojson) => {
+  let geometry = geojson;
+  if (geometry?.type === 'FeatureCollection') {
+    const lines = (geometry.features || []).filter(feature => feature?.geometry?.type === 'LineString');
+    geometry = lines.length === 1 ? lines[0] : null;
+  }
+  if (geometry?.type === 'Feature') geometry = geometry.geometry;
+
+  if (geometry?.type !== 'LineString' || !Array.isArray(geometry.coordinates)) return null;
+  if (geometry.coordinates.length < 2 || !geometry.coordinates.every(isValidPoint)) return null;
+
+  return geometry.coordinates.map(([lng, lat]) => [lng, lat]);
+};
+
+module.exports = {
+  haversineDistance,
+  projectOntoSegment,
+  lineLength,
+  snapToLine,
+  toLineCoordinates
+};
@@ -0,0 +1,169 @@
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const AdmZip = require('adm-zip');
+const { parse } = require('csv-parse');
+const { stringify } = require('csv-stringify/sync');
+
+// Most a feed's tables may inflate to, together. A small zip can claim, or
+// really hold, far more than it looks, so this is checked against the sizes
+// the zip declares and again while inflating.
+const MAX_UNCOMPRESSED_BYTES = parseInt(process.env.GTFS_MAX_UNCOMPRESSED_MB || '250') * 1024 * 1024;
+
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+// GTFS calendar.txt day columns, in the order they appear in the spec
+const GTFS_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Passes data through until more than `budget.remaining` bytes have gone by
+const limitBytes = (budget) => new Transform({
+  transform(chunk, encoding, callback) {
+    budget.remaining -= chunk.length;
+    if (budget.remaining < 0) {
+      callback(new Error(`Feed inflates to more than ${MAX_UNCOMPRESSED_BYTES / (1024 * 1024)}MB`));
+      return;
+    }
+    callback(null, chunk);
+  }
+});
+
+// Inflate one zip entry and parse it as CSV a chunk at a time, so a large
+// table doesn't hold up the event loop while it is read
+const readTable = async (entry, budget) => {
+  const { method, encrypted } = entry.header;
+  if (encrypted) throw new Error(`${entry.entryName} is encrypted`);
+  if (method !== ZIP_STORED && method !== ZIP_DEFLATED) {
+    throw new Error(`${entry.entryName} uses an unsupported compression method`);
+  }
+
+  const streams = [Readable.from([entry.getCompressedData()])];
+  if (method === ZIP_DEFLATED) streams.push(zlib.createInflateRaw());
+  streams.push(limitBytes(budget), parse({
+    columns: true,
+    bom: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    trim: true
+  }));
+
+  // Errors anywhere along the way end up on the parser
+  const parser = streams.reduce((source, next) => {
+    source.on('error', error => next.destroy(error));
+    return source.pipe(next);
+  });
+
+  const rows = [];
+  for await (const row of parser) rows.push(row);
+  return rows;
+};
+
+// Read every .txt table in a GTFS zip into arrays of row objects keyed by
+// column name. Feeds are often zipped inside a top-level folder, so entries
+// are matched on their base name.
+const readFeed = async (buffer) => {
+  const zip = new AdmZip(buffer);
+  const entries = zip.getEntries().filter(entry => !entry.isDirectory && entry.entryName.endsWith('.txt'));
+
+  const declared = entries.reduce((total, entry) => total + entry.header.size, 0);
+  if (declared > MAX_UNCOMPRESSED_BYTES) {
+    throw new Error(`Feed inflates to more than ${MAX_UNCOMPRESSED_BYTES / (1024 * 1024)}MB`);
+  }
+
+  const budget = { remaining: MAX_UNCOMPRESSED_BYTES };
+  const tables = {};
+  for (const entry of entries) {
+    const name = entry.entryName.split('/').pop();
+    tables[name.replace(/\.txt$/, '')] = await readTable(entry, budget);
+  }
+
+  return tables;
+};
+
+// Write tables of { columns, rows } into a GTFS zip buffer
+const writeFeed = (tables) => {
+  const zip = new AdmZip();
+
+  Object.entries(tables).forEach(([name, { columns, rows }]) => {
+    if (rows.length === 0) return;
+    zip.addFile(`${name}.txt`, Buffer.from(stringify(rows, { header: true, columns })));
+  });
+
+  return zip.toBuffer();
+};
+
+// GTFS times are HH:MM:SS and may run past 24:00:00 for trips that continue
+// after midnight, so they are handled as seconds since the start of the
+// service day rather than as Dates
+const parseGtfsTime = (value) => {
+  const match = /^(\d{1,2}):([0-5]\d):([0-5]\d)$/.exec(value || '');
+  if (!match) return null;
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+};
+
+const formatGtfsTime = (seconds) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor((seconds % 3600) / 60))}:${pad(Math.round(seconds % 60))}`;
+};
+
+// Seconds since the start of the service day as a Route HH:MM time. Times
+// past midnight wrap to the next day; a Route window whose end is before its
+// start runs past midnight.
+const toClockTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60) % (24 * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// Route HH:MM time as seconds since the start of the day
+const fromClockTime = (value) => {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 3600 + minutes * 60;
+};
+
+// GTFS dates are YYYYMMDD
+const parseGtfsDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(value || '');
+  if (!match) return null;
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+};
+
+const formatGtfsDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+// Bus route types: 3 from the base spec and the 700-799 (bus service) and
+// 200-299 (coach service) ranges of the extended route types
+const isBusRouteType = (routeType) => {
+  const type = Number(routeType);
+  return type === 3 || (type >= 700 && type <= 799) || (type >= 200 && type <= 299);
+};
+
+const toRouteType = (routeType) => {
+  const type = Number(routeType);
+  if (type === 702) return 'express';
+  if (type >= 200 && type <= 299) return 'intercity';
+  return 'local';
+};
+
+const fromRouteType = (routeType) => {
+  switch (routeType) {
+    case 'express':
+      return 702;
+    case 'intercity':
+      return 202;
+    default:
+      return 3;
+  }
+};
+
+module.exports = {
+  GTFS_DAYS,
+  readFeed,
+  writeFeed,
+  parseGtfsTime,
+  formatGtfsTime,
+  toClockTime,
+  fromClockTime,
+  parseGtfsDate,
+  formatGtfsDate,
+  isBusRouteType,
+  toRouteType,
+  fromRouteType
+};
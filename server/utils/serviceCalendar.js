@@ -0,0 +1,38 @@
+const { getDayOfWeek } = require('./time');
+
+const DATE_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// A Date or YYYY-MM-DD string as a YYYY-MM-DD calendar day in local time
+const toDateKey = (date) => {
+  if (typeof date === 'string' && DATE_KEY.test(date)) return date;
+  const day = new Date(date);
+  return `${day.getFullYear()}-${pad(day.getMonth() + 1)}-${pad(day.getDate())}`;
+};
+
+// Local midnight of a YYYY-MM-DD calendar day
+const fromDateKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Whether a service calendar (document or plain object) runs on a date.
+// Exceptions win over the weekly pattern and its date range.
+const calendarRunsOn = (calendar, date) => {
+  const key = toDateKey(date);
+
+  const exception = (calendar.exceptions || []).find(entry => entry.date === key);
+  if (exception) return exception.type === 'added';
+
+  if (calendar.startDate && key < calendar.startDate) return false;
+  if (calendar.endDate && key > calendar.endDate) return false;
+
+  return calendar.days.includes(getDayOfWeek(fromDateKey(key)));
+};
+
+module.exports = {
+  toDateKey,
+  fromDateKey,
+  calendarRunsOn
+};
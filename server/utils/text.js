@@ -0,0 +1,39 @@
+// Text helpers for matching what riders type against stop names
+
+// Escape a string for use as a literal inside a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lower-case with runs of whitespace collapsed
+const normalizeName = (name = '') => name.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Lower-case words, without punctuation
+const toWords = (text = '') => normalizeName(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Levenshtein distance, giving up once it exceeds max
+const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+module.exports = {
+  escapeRegex,
+  normalizeName,
+  toWords,
+  editDistance
+};
@@ -0,0 +1,21 @@
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const getTimeOfDay = (date = new Date()) => {
+  const hour = date.getHours();
+  if (hour >= 5 && hour < 12) return 'morning';
+  if (hour >= 12 && hour < 17) return 'afternoon';
+  if (hour >= 17 && hour < 21) return 'evening';
+  return 'night';
+};
+
+const getDayOfWeek = (date = new Date()) => DAYS_OF_WEEK[date.getDay()];
+
+// Local HH:MM of a date
+const toTimeOfDay = (date = new Date()) => `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+module.exports = {
+  DAYS_OF_WEEK,
+  getTimeOfDay,
+  getDayOfWeek,
+  toTimeOfDay
+};